@@ -0,0 +1,218 @@
+/**
+ * Nestlé Brand Map - Brand Data Editor
+ *
+ * An editing session over a list of brand records: add, update and delete
+ * brands with every change checked against the schema, undo and redo, and
+ * the result written back out as a clean brands.json.
+ *
+ *     const session = BrandEditor.createSession(brands, { validate: BrandSchema.validateBrands });
+ *     const result = session.update('Nescafé', { ...nescafe, tagline: 'Good coffee, good mood.' });
+ *     if (!result.ok) console.log(result.errors);
+ *     session.undo(); // 'Edit "Nescafé"'
+ *     const json = session.toJson();
+ *
+ * Records are never changed in place: every edit produces a new list, so undo
+ * just steps back to the previous one. Renaming a brand renames it in the
+ * parent_brand of the brands it owns, and deleting a brand hands the brands it
+ * owned to its own parent, so the ownership tree stays whole.
+ *
+ * Works in the browser (window.BrandEditor, used by scripts.js) and under Node (module.exports).
+ */
+
+(function (global) {
+
+// Field order in the saved file; other fields follow in the order they appear in the record
+const fieldOrder = ['name', 'parent_brand', 'relationship', 'ownership', 'category', 'description', 'tagline', 'region', 'logo_url', 'website', 'acquired', 'divested', 'translations'];
+
+/**
+ * Tidy a record for saving: trim text, drop empty fields and put the fields in the usual order
+ * @param {Object} record - A brand record
+ * @returns {Object} - A new record
+ */
+function cleanRecord(record) {
+    const clean = {};
+    const fields = fieldOrder.concat(Object.keys(record).filter(field => !fieldOrder.includes(field)));
+    fields.forEach(field => {
+        const value = typeof record[field] === 'string' ? record[field].trim() : record[field];
+        if (value === undefined || value === null || value === '') return;
+        clean[field] = value;
+    });
+    return clean;
+}
+
+/**
+ * Write records out as the contents of brands.json
+ * @param {Object[]} records - Brand records
+ * @returns {string}
+ */
+function toJson(records) {
+    return JSON.stringify(records.map(cleanRecord), null, 2) + '\n';
+}
+
+/**
+ * Start an editing session
+ * @param {Object[]} records - The brand records to start from (left unchanged)
+ * @param {Object} [options]
+ * @param {Function} [options.validate] - (records) => report, as BrandSchema.validateBrands; edits that
+ *   make a record invalid are refused. Without it edits are not checked.
+ * @param {number} [options.historyLimit=100] - How many edits can be undone
+ * @returns {Object}
+ */
+function createSession(records, options = {}) {
+    const validate = options.validate || null;
+    const historyLimit = options.historyLimit || 100;
+
+    let current = records.slice();
+    let saved = current; // The list as loaded or last written out, to tell whether there are unsaved edits
+    const undoStack = []; // { label, records } as they were before each edit
+    const redoStack = [];
+
+    /**
+     * Names of the records a list leaves invalid, with their errors
+     * @param {Object[]} list - Brand records
+     * @returns {Object[]} - Issues as reported by the validator
+     */
+    function invalidIn(list) {
+        return validate ? validate(list).issues.filter(issue => issue.errors.length > 0) : [];
+    }
+
+    /**
+     * Make a new list current if it leaves no record invalid that was valid before
+     * @param {string} label - Description of the edit, e.g. 'Add "Milo"'
+     * @param {Object[]} next - The records after the edit
+     * @returns {Object} - { ok, errors: string[], label }
+     */
+    function commit(label, next) {
+        const alreadyInvalid = new Set(invalidIn(current).map(issue => issue.name));
+        const problems = invalidIn(next).filter(issue => !alreadyInvalid.has(issue.name));
+        if (problems.length > 0) {
+            const errors = [];
+            problems.forEach(issue => issue.errors.forEach(message => errors.push(`${issue.name || 'New brand'}: ${message}`)));
+            return { ok: false, errors, label };
+        }
+
+        undoStack.push({ label, records: current });
+        if (undoStack.length > historyLimit) undoStack.shift();
+        redoStack.length = 0;
+        current = next;
+        return { ok: true, errors: [], label };
+    }
+
+    /**
+     * Find a record by name
+     * @param {string} name - Brand name
+     * @returns {Object|undefined}
+     */
+    function find(name) {
+        return current.find(record => record.name === name);
+    }
+
+    /**
+     * Add a brand
+     * @param {Object} record - The new brand record
+     * @returns {Object} - { ok, errors, label }
+     */
+    function add(record) {
+        const clean = cleanRecord(record);
+        return commit(`Add "${clean.name || 'new brand'}"`, current.concat([clean]));
+    }
+
+    /**
+     * Replace a brand; a new name is carried over to the brands it owns
+     * @param {string} name - Current name of the brand
+     * @param {Object} record - The edited record
+     * @returns {Object} - { ok, errors, label }
+     */
+    function update(name, record) {
+        if (!find(name)) return { ok: false, errors: [`No brand is named "${name}".`], label: '' };
+
+        const clean = cleanRecord(record);
+        const renamed = clean.name !== name;
+        const next = current.map(existing => {
+            if (existing.name === name) return clean;
+            if (renamed && existing.parent_brand === name) return { ...existing, parent_brand: clean.name };
+            return existing;
+        });
+        return commit(renamed ? `Rename "${name}" to "${clean.name}"` : `Edit "${name}"`, next);
+    }
+
+    /**
+     * Delete a brand; the brands it owned move up to its own parent
+     * @param {string} name - Brand name
+     * @returns {Object} - { ok, errors, label }
+     */
+    function remove(name) {
+        const removed = find(name);
+        if (!removed) return { ok: false, errors: [`No brand is named "${name}".`], label: '' };
+
+        const next = current
+            .filter(record => record !== removed)
+            .map(record => {
+                if (record.parent_brand !== name) return record;
+                const moved = { ...record };
+                if (removed.parent_brand) moved.parent_brand = removed.parent_brand;
+                else delete moved.parent_brand;
+                return moved;
+            });
+        return commit(`Delete "${name}"`, next);
+    }
+
+    /**
+     * Step back one edit
+     * @returns {string|null} - Label of the edit undone, or null if there was none
+     */
+    function undo() {
+        const entry = undoStack.pop();
+        if (!entry) return null;
+        redoStack.push({ label: entry.label, records: current });
+        current = entry.records;
+        return entry.label;
+    }
+
+    /**
+     * Make the last undone edit again
+     * @returns {string|null} - Label of the edit redone, or null if there was none
+     */
+    function redo() {
+        const entry = redoStack.pop();
+        if (!entry) return null;
+        undoStack.push({ label: entry.label, records: current });
+        current = entry.records;
+        return entry.label;
+    }
+
+    return {
+        records: () => current.slice(),
+        find,
+        add,
+        update,
+        remove,
+        undo,
+        redo,
+        canUndo: () => undoStack.length > 0,
+        canRedo: () => redoStack.length > 0,
+        undoLabel: () => (undoStack.length > 0 ? undoStack[undoStack.length - 1].label : null),
+        redoLabel: () => (redoStack.length > 0 ? redoStack[redoStack.length - 1].label : null),
+        // Whether the records differ from those loaded or last written out
+        isDirty: () => current !== saved,
+        markSaved() {
+            saved = current;
+        },
+        toJson: () => toJson(current)
+    };
+}
+
+const BrandEditor = {
+    createSession,
+    cleanRecord,
+    toJson,
+    fieldOrder
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BrandEditor;
+} else {
+    global.BrandEditor = BrandEditor;
+}
+
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,378 @@
+/**
+ * Nestlé Brand Map - Export
+ *
+ * Turns the live radial diagram into files that can be used outside the page:
+ * a standalone SVG (styles inlined, logos and icons embedded as data URIs),
+ * a PNG at a chosen scale, and a single-page A4 PDF. Tables, such as a brand
+ * comparison, can be saved as CSV.
+ *
+ * Used by scripts.js through window.BrandExport; it has no dependencies.
+ */
+
+(function (global) {
+
+const svgNamespace = 'http://www.w3.org/2000/svg';
+
+// Presentation properties copied from the page's stylesheet into the exported SVG,
+// so the file looks the same without styles.css and the theme variables
+const inlinedStyleProperties = [
+    'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray',
+    'stroke-linejoin', 'paint-order', 'opacity', 'visibility', 'display', 'font-family', 'font-size', 'font-style',
+    'font-weight', 'text-anchor'
+];
+
+// A4 landscape in PDF points (1/72 inch)
+const pdfPage = { width: 842, height: 595, margin: 36 };
+
+/**
+ * Fetch a URL and return it as a data URI
+ * @param {string} url - Image URL, resolved against the page
+ * @returns {Promise<string>}
+ */
+function toDataUri(url) {
+    return fetch(new URL(url, document.baseURI).href)
+        .then(response => {
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status} (${url})`);
+            return response.blob();
+        })
+        .then(blob => new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        }));
+}
+
+/**
+ * Replace every external image reference in an SVG with a data URI
+ * Images that cannot be fetched are left as they are.
+ * @param {SVGElement} svg - The (detached) SVG to update
+ * @returns {Promise}
+ */
+function embedImages(svg) {
+    const cache = new Map();
+    const images = Array.from(svg.querySelectorAll('image'));
+
+    return Promise.all(images.map(image => {
+        const href = image.getAttribute('href') || image.getAttribute('xlink:href');
+        if (!href || href.startsWith('data:')) return null;
+
+        if (!cache.has(href)) cache.set(href, toDataUri(href));
+        return cache.get(href)
+            .then(dataUri => {
+                image.removeAttribute('xlink:href');
+                image.setAttribute('href', dataUri);
+            })
+            .catch(error => console.warn('Could not embed image in export:', error));
+    }));
+}
+
+/**
+ * Copy the computed style of every element of the live SVG onto its clone
+ * @param {SVGElement} source - The SVG in the page
+ * @param {SVGElement} clone - Its detached copy
+ */
+function inlineStyles(source, clone) {
+    const sourceElements = [source, ...source.querySelectorAll('*')];
+    const cloneElements = [clone, ...clone.querySelectorAll('*')];
+
+    sourceElements.forEach((element, i) => {
+        const computed = window.getComputedStyle(element);
+        const target = cloneElements[i];
+        inlinedStyleProperties.forEach(property => {
+            const value = computed.getPropertyValue(property);
+            if (value) target.style.setProperty(property, value);
+        });
+        // Keyboard and hover effects are not part of the picture
+        target.style.removeProperty('filter');
+        target.style.removeProperty('outline');
+        target.removeAttribute('tabindex');
+    });
+}
+
+/**
+ * Append a legend (colour swatch and label per row) to the right of the diagram
+ * @param {SVGElement} svg - The exported SVG
+ * @param {Object[]} entries - [{ label, color }]
+ * @param {number} x - Left edge of the legend
+ * @param {string} textColor - Label colour
+ */
+function appendLegend(svg, entries, x, textColor) {
+    const legend = document.createElementNS(svgNamespace, 'g');
+    legend.setAttribute('class', 'export-legend');
+    legend.setAttribute('transform', `translate(${x}, 40)`);
+
+    entries.forEach((entry, i) => {
+        const swatch = document.createElementNS(svgNamespace, 'rect');
+        swatch.setAttribute('x', 0);
+        swatch.setAttribute('y', i * 26);
+        swatch.setAttribute('width', 16);
+        swatch.setAttribute('height', 16);
+        swatch.setAttribute('rx', 3);
+        swatch.setAttribute('fill', entry.color);
+        legend.appendChild(swatch);
+
+        const label = document.createElementNS(svgNamespace, 'text');
+        label.setAttribute('x', 24);
+        label.setAttribute('y', i * 26 + 13);
+        label.setAttribute('fill', textColor);
+        label.setAttribute('font-family', "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif");
+        label.setAttribute('font-size', 14);
+        label.textContent = entry.label;
+        legend.appendChild(label);
+    });
+
+    svg.appendChild(legend);
+}
+
+/**
+ * Build a standalone SVG document from the live diagram
+ * The current zoom, rotation and filter fading are kept as they are on screen.
+ * @param {SVGElement} svgNode - The diagram's <svg> element
+ * @param {Object} [options]
+ * @param {string} [options.background] - Background colour; transparent if omitted
+ * @param {string} [options.textColor='#333333'] - Colour for the legend and title
+ * @param {string} [options.title] - Heading drawn above the diagram
+ * @param {Object[]} [options.legend] - [{ label, color }]; adds a legend to the right of the diagram
+ * @returns {Promise<Object>} - { svg: string, width: number, height: number }
+ */
+function buildStandaloneSvg(svgNode, options = {}) {
+    const diagramWidth = parseFloat(svgNode.getAttribute('width')) || 600;
+    const diagramHeight = parseFloat(svgNode.getAttribute('height')) || 600;
+    const legendWidth = options.legend && options.legend.length > 0 ? 220 : 0;
+    const width = diagramWidth + legendWidth;
+    const height = diagramHeight;
+    const textColor = options.textColor || '#333333';
+
+    const clone = svgNode.cloneNode(true);
+    inlineStyles(svgNode, clone);
+
+    clone.setAttribute('xmlns', svgNamespace);
+    clone.setAttribute('width', width);
+    clone.setAttribute('height', height);
+    clone.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    clone.style.removeProperty('opacity'); // The "no results" fade applies to the page only
+
+    if (options.background) {
+        const background = document.createElementNS(svgNamespace, 'rect');
+        background.setAttribute('width', width);
+        background.setAttribute('height', height);
+        background.setAttribute('fill', options.background);
+        const defs = clone.querySelector('defs');
+        clone.insertBefore(background, defs ? defs.nextSibling : clone.firstChild);
+    }
+
+    if (options.title) {
+        const title = document.createElementNS(svgNamespace, 'text');
+        title.setAttribute('x', 20);
+        title.setAttribute('y', 30);
+        title.setAttribute('fill', textColor);
+        title.setAttribute('font-family', "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif");
+        title.setAttribute('font-size', 20);
+        title.setAttribute('font-weight', 'bold');
+        title.textContent = options.title;
+        clone.appendChild(title);
+    }
+
+    if (legendWidth > 0) {
+        appendLegend(clone, options.legend, diagramWidth + 20, textColor);
+    }
+
+    return embedImages(clone).then(() => ({
+        svg: '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(clone),
+        width,
+        height
+    }));
+}
+
+/**
+ * Draw an SVG document onto a canvas
+ * @param {Object} exported - Result of buildStandaloneSvg
+ * @param {number} scale - Pixels per SVG unit, e.g. 2 for a retina-sized image
+ * @param {string} [background] - Fill behind the image (needed for JPEG, which has no transparency)
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+function rasterize(exported, scale, background) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(exported.width * scale);
+            canvas.height = Math.round(exported.height * scale);
+            const context = canvas.getContext('2d');
+            if (background) {
+                context.fillStyle = background;
+                context.fillRect(0, 0, canvas.width, canvas.height);
+            }
+            context.drawImage(image, 0, 0, canvas.width, canvas.height);
+            resolve(canvas);
+        };
+        image.onerror = () => reject(new Error('The exported SVG could not be drawn.'));
+        image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(exported.svg);
+    });
+}
+
+/**
+ * Build a one-page A4 landscape PDF showing a JPEG image, scaled to fit inside the margins
+ * @param {Uint8Array} jpegBytes - The JPEG file
+ * @param {number} pixelWidth - Image width in pixels
+ * @param {number} pixelHeight - Image height in pixels
+ * @param {string} [title] - Document title stored in the PDF metadata
+ * @returns {Blob}
+ */
+function buildPdf(jpegBytes, pixelWidth, pixelHeight, title = '') {
+    const fit = Math.min(
+        (pdfPage.width - 2 * pdfPage.margin) / pixelWidth,
+        (pdfPage.height - 2 * pdfPage.margin) / pixelHeight
+    );
+    const drawWidth = (pixelWidth * fit).toFixed(2);
+    const drawHeight = (pixelHeight * fit).toFixed(2);
+    const x = ((pdfPage.width - pixelWidth * fit) / 2).toFixed(2);
+    const y = ((pdfPage.height - pixelHeight * fit) / 2).toFixed(2);
+
+    const content = `q ${drawWidth} 0 0 ${drawHeight} ${x} ${y} cm /Im0 Do Q`;
+    // PDF strings escape backslashes and parentheses; keep the title to plain ASCII
+    const safeTitle = title.normalize('NFD').replace(/[^\x20-\x7E]/g, '').replace(/([\\()])/g, '\\$1');
+
+    const encoder = new TextEncoder();
+    const parts = [];
+    const offsets = [];
+    let length = 0;
+    const write = chunk => {
+        const bytes = typeof chunk === 'string' ? encoder.encode(chunk) : chunk;
+        parts.push(bytes);
+        length += bytes.length;
+    };
+    const object = (id, body) => {
+        offsets[id] = length;
+        write(`${id} 0 obj\n`);
+        body.forEach(write);
+        write('\nendobj\n');
+    };
+
+    write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+    object(1, ['<< /Type /Catalog /Pages 2 0 R >>']);
+    object(2, ['<< /Type /Pages /Kids [3 0 R] /Count 1 >>']);
+    object(3, [`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pdfPage.width} ${pdfPage.height}] ` +
+        '/Resources << /XObject << /Im0 5 0 R >> >> /Contents 4 0 R >>']);
+    object(4, [`<< /Length ${content.length} >>\nstream\n${content}\nendstream`]);
+    object(5, [`<< /Type /XObject /Subtype /Image /Width ${pixelWidth} /Height ${pixelHeight} ` +
+        `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpegBytes.length} >>\nstream\n`,
+        jpegBytes, '\nendstream']);
+    object(6, [`<< /Title (${safeTitle}) /Producer (Nestle Brand Map) >>`]);
+
+    const xrefOffset = length;
+    write(`xref\n0 7\n0000000000 65535 f \n`);
+    for (let id = 1; id <= 6; id++) {
+        write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+    }
+    write(`trailer\n<< /Size 7 /Root 1 0 R /Info 6 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+    return new Blob(parts, { type: 'application/pdf' });
+}
+
+/**
+ * Convert a canvas to a Blob
+ * @param {HTMLCanvasElement} canvas - The canvas
+ * @param {string} type - MIME type, e.g. 'image/png'
+ * @param {number} [quality] - JPEG quality between 0 and 1
+ * @returns {Promise<Blob>}
+ */
+function canvasToBlob(canvas, type, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error(`Could not encode the image as ${type}.`)), type, quality);
+    });
+}
+
+/**
+ * Offer a Blob to the user as a file download
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+function download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser time to start the download before releasing the data
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Export the diagram as an SVG file
+ * @param {SVGElement} svgNode - The diagram's <svg> element
+ * @param {string} filename - File name without extension
+ * @param {Object} [options] - See buildStandaloneSvg
+ * @returns {Promise}
+ */
+function exportSvg(svgNode, filename, options) {
+    return buildStandaloneSvg(svgNode, options).then(exported => {
+        download(new Blob([exported.svg], { type: 'image/svg+xml' }), `${filename}.svg`);
+    });
+}
+
+/**
+ * Export the diagram as a PNG file
+ * @param {SVGElement} svgNode - The diagram's <svg> element
+ * @param {string} filename - File name without extension
+ * @param {number} scale - Resolution multiplier (1 = on-screen size)
+ * @param {Object} [options] - See buildStandaloneSvg
+ * @returns {Promise}
+ */
+function exportPng(svgNode, filename, scale, options) {
+    return buildStandaloneSvg(svgNode, options)
+        .then(exported => rasterize(exported, scale))
+        .then(canvas => canvasToBlob(canvas, 'image/png'))
+        .then(blob => download(blob, `${filename}.png`));
+}
+
+/**
+ * Export the diagram, with title and legend, as a one-page A4 PDF
+ * @param {SVGElement} svgNode - The diagram's <svg> element
+ * @param {string} filename - File name without extension
+ * @param {Object} [options] - See buildStandaloneSvg; background defaults to white
+ * @returns {Promise}
+ */
+function exportPdf(svgNode, filename, options = {}) {
+    const background = options.background || '#ffffff';
+    return buildStandaloneSvg(svgNode, { ...options, background })
+        .then(exported => {
+            // Render at print resolution: about 200 dpi across the printable width
+            const scale = Math.max(2, ((pdfPage.width - 2 * pdfPage.margin) / 72 * 200) / exported.width);
+            return rasterize(exported, scale, background);
+        })
+        .then(canvas => canvasToBlob(canvas, 'image/jpeg', 0.92).then(blob => blob.arrayBuffer()).then(buffer => ({ canvas, buffer })))
+        .then(({ canvas, buffer }) => {
+            download(buildPdf(new Uint8Array(buffer), canvas.width, canvas.height, options.title), `${filename}.pdf`);
+        });
+}
+
+/**
+ * Save a table as a CSV file (UTF-8 with a byte order mark, so spreadsheet apps read accents correctly)
+ * @param {Array<Array<string>>} rows - Rows of cell values, the first row being the header
+ * @param {string} filename - File name without extension
+ */
+function exportCsv(rows, filename) {
+    const quote = value => {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const csv = rows.map(row => row.map(quote).join(',')).join('\r\n') + '\r\n';
+    download(new Blob(['\ufeff' + csv], { type: 'text/csv;charset=utf-8' }), `${filename}.csv`);
+}
+
+global.BrandExport = {
+    buildStandaloneSvg,
+    rasterize,
+    buildPdf,
+    download,
+    exportSvg,
+    exportPng,
+    exportPdf,
+    exportCsv
+};
+
+})(window);
@@ -0,0 +1,275 @@
+/**
+ * Nestlé Brand Map - Facets
+ *
+ * Multi-select filtering of brand records by category, region, parent
+ * company and relationship to the parent (owned, stake, licensed, joint
+ * venture), with the number of brands each choice would leave.
+ *
+ * Selections are { category: [], region: [], parent: [], relationship: [] }. Values chosen
+ * within one facet are alternatives (OR); facets combine with AND; an empty
+ * list does not filter.
+ *
+ * The region field is free text in brands.json ("Global", "US & Asia",
+ * "International", ...), so regions are normalised onto a hierarchy:
+ *
+ *     Global ⊃ Europe, Americas ⊃ North America, Latin America, Asia-Pacific, ...
+ *
+ * A brand matches a region filter when its region is that region, lies
+ * within it, or contains it; a brand available globally therefore matches
+ * every regional filter, and a North American brand matches "Americas".
+ * Aliases map other spellings ("US", "International") onto the hierarchy and
+ * values such as "US & Asia" are split into their parts. Regions that are
+ * neither in the hierarchy nor aliased are treated as parts of the top region.
+ *
+ *     const facets = BrandFacets.create({ rootName: 'Nestlé' });
+ *     facets.normalizeRegion('US & Asia'); // ['North America', 'Asia-Pacific']
+ *     facets.filter(brands, { region: ['Europe'] });
+ *
+ * Works in the browser (window.BrandFacets, used by scripts.js) and under Node (module.exports).
+ */
+
+(function (global) {
+
+// Regions as a tree: each region lists the regions it contains
+const defaultRegionHierarchy = {
+    Global: ['Europe', 'Americas', 'Asia-Pacific', 'Middle East & Africa'],
+    Americas: ['North America', 'Latin America']
+};
+
+// Other spellings found in brand data, by the region (or regions) they mean
+const defaultRegionAliases = {
+    International: 'Global',
+    Worldwide: 'Global',
+    US: 'North America',
+    USA: 'North America',
+    'United States': 'North America',
+    Canada: 'North America',
+    'South America': 'Latin America',
+    LATAM: 'Latin America',
+    Asia: 'Asia-Pacific',
+    APAC: 'Asia-Pacific',
+    Oceania: 'Asia-Pacific',
+    UK: 'Europe',
+    EMEA: ['Europe', 'Middle East & Africa'],
+    'Middle East': 'Middle East & Africa',
+    Africa: 'Middle East & Africa'
+};
+
+// Relationship types in the order they are offered; records without one are owned
+const relationshipLabels = {
+    owned: 'Owned',
+    jv: 'Joint venture',
+    stake: 'Stake',
+    licensed: 'Licensed'
+};
+
+const facetNames = ['category', 'region', 'parent', 'relationship'];
+
+/**
+ * Create a facet helper
+ * @param {Object} [options]
+ * @param {Object} [options.regionHierarchy] - Region → list of the regions it contains; the region
+ *   that no other region contains is the top (e.g. Global)
+ * @param {Object} [options.regionAliases] - Other spelling → region name or list of region names
+ * @param {string} [options.rootName='Nestlé'] - Parent company of brands without a parent_brand
+ * @returns {Object}
+ */
+function createFacets(options = {}) {
+    const hierarchy = options.regionHierarchy || defaultRegionHierarchy;
+    const aliases = options.regionAliases || defaultRegionAliases;
+    const rootName = options.rootName || 'Nestlé';
+
+    const parentOf = new Map();
+    Object.entries(hierarchy).forEach(([region, children]) => {
+        children.forEach(child => parentOf.set(child, region));
+    });
+    const topRegion = Object.keys(hierarchy).find(region => !parentOf.has(region)) || null;
+
+    // Case-insensitive lookup of region names and aliases
+    const lookup = new Map();
+    [...Object.keys(hierarchy), ...parentOf.keys()].forEach(region => lookup.set(region.toLowerCase(), [region]));
+    Object.entries(aliases).forEach(([alias, target]) => lookup.set(alias.toLowerCase(), [].concat(target)));
+
+    /**
+     * Map a region value from the data onto the hierarchy
+     * @param {string} value - e.g. 'US & Asia'
+     * @returns {string[]} - e.g. ['North America', 'Asia-Pacific']; empty if there is no region
+     */
+    function normalizeRegion(value) {
+        if (typeof value !== 'string' || !value.trim()) return [];
+
+        const whole = lookup.get(value.trim().toLowerCase());
+        if (whole) return whole.slice();
+
+        const regions = [];
+        value.split(/\s*(?:&|,|\/|\band\b)\s*/i).forEach(part => {
+            if (!part) return;
+            (lookup.get(part.toLowerCase()) || [part]).forEach(region => {
+                if (!regions.includes(region)) regions.push(region);
+            });
+        });
+        return regions;
+    }
+
+    /**
+     * The region followed by every region containing it, up to the top region
+     * @param {string} region
+     * @returns {string[]}
+     */
+    function regionPath(region) {
+        const path = [region];
+        let parent = parentOf.get(region) || (region !== topRegion ? topRegion : null);
+        while (parent && !path.includes(parent)) {
+            path.push(parent);
+            parent = parentOf.get(parent);
+        }
+        return path;
+    }
+
+    /**
+     * Whether a brand in one region matches a filter on another
+     * @param {string} brandRegion - Normalised region of the brand
+     * @param {string} selected - Region chosen in the filter
+     * @returns {boolean}
+     */
+    function regionMatches(brandRegion, selected) {
+        return regionPath(selected).includes(brandRegion) || regionPath(brandRegion).includes(selected);
+    }
+
+    // The facet values of a brand
+    const valuesOf = {
+        category: brand => (brand.category ? [brand.category] : []),
+        region: brand => normalizeRegion(brand.region),
+        parent: brand => [brand.parent_brand || rootName],
+        relationship: brand => [brand.relationship || 'owned']
+    };
+
+    /**
+     * Whether a brand matches the selection of one facet
+     * @param {Object} brand - A brand record
+     * @param {string} facet - 'category', 'region', 'parent' or 'relationship'
+     * @param {string[]} [selected] - The chosen values
+     * @returns {boolean}
+     */
+    function matchesFacet(brand, facet, selected) {
+        if (!selected || selected.length === 0) return true;
+        const values = valuesOf[facet](brand);
+        return selected.some(choice => values.some(value =>
+            (facet === 'region' ? regionMatches(value, choice) : value === choice)));
+    }
+
+    /**
+     * Whether a brand matches every facet selection
+     * @param {Object} brand - A brand record
+     * @param {Object} selections - Facet → chosen values
+     * @param {string} [ignoredFacet] - A facet whose selection is left out (used for counting)
+     * @returns {boolean}
+     */
+    function matches(brand, selections, ignoredFacet) {
+        return facetNames.every(facet => facet === ignoredFacet || matchesFacet(brand, facet, selections[facet]));
+    }
+
+    /**
+     * Keep the brands matching every facet selection
+     * @param {Object[]} brands - Brand records
+     * @param {Object} selections - Facet → chosen values
+     * @returns {Object[]}
+     */
+    function filter(brands, selections) {
+        return brands.filter(brand => matches(brand, selections));
+    }
+
+    /**
+     * The values offered by each facet for a set of brands
+     * Regions are listed in hierarchy order with their depth below the top region (which is
+     * not offered, as every brand is within it). Categories and parents are listed alphabetically,
+     * with the brands owned directly by the root company first; relationships in a fixed order.
+     * @param {Object[]} brands - Brand records
+     * @returns {Object} - Facet → [{ value, label, depth }]
+     */
+    function optionsFor(brands) {
+        const categories = new Set();
+        const parents = new Set();
+        const relationships = new Set();
+        const usedRegions = new Set();
+
+        brands.forEach(brand => {
+            valuesOf.category(brand).forEach(value => categories.add(value));
+            valuesOf.parent(brand).forEach(value => parents.add(value));
+            valuesOf.relationship(brand).forEach(value => relationships.add(value));
+            valuesOf.region(brand).forEach(region => regionPath(region).forEach(value => usedRegions.add(value)));
+        });
+
+        const regionOptions = [];
+        const addRegion = (region, depth) => {
+            if (!usedRegions.has(region)) return;
+            regionOptions.push({ value: region, label: region, depth });
+            (hierarchy[region] || []).forEach(child => addRegion(child, depth + 1));
+        };
+        (hierarchy[topRegion] || []).forEach(region => addRegion(region, 0));
+        // Regions outside the hierarchy sit directly under the top region
+        Array.from(usedRegions)
+            .filter(region => region !== topRegion && !parentOf.has(region) && !hierarchy[region])
+            .sort((a, b) => a.localeCompare(b))
+            .forEach(region => regionOptions.push({ value: region, label: region, depth: 0 }));
+
+        return {
+            category: Array.from(categories).sort((a, b) => a.localeCompare(b))
+                .map(value => ({ value, label: value.replace(/_/g, ' '), depth: 0 })),
+            region: regionOptions,
+            parent: Array.from(parents)
+                .sort((a, b) => (a === rootName ? -1 : b === rootName ? 1 : a.localeCompare(b)))
+                .map(value => ({ value, label: value === rootName ? `${rootName} (direct)` : value, depth: 0 })),
+            relationship: Object.keys(relationshipLabels).filter(value => relationships.has(value))
+                .concat(Array.from(relationships).filter(value => !relationshipLabels[value]).sort())
+                .map(value => ({ value, label: relationshipLabels[value] || value, depth: 0 }))
+        };
+    }
+
+    /**
+     * Count the brands each facet value would leave
+     * A facet's own selection is ignored when counting its values, so the counts say how many
+     * brands ticking (or also ticking) that value shows.
+     * @param {Object[]} brands - Brand records, e.g. those matching the search
+     * @param {Object} selections - Facet → chosen values
+     * @param {Object} options - Facet → values to count, as returned by optionsFor
+     * @returns {Object} - Facet → Map of value → count
+     */
+    function counts(brands, selections, options) {
+        const result = {};
+        facetNames.forEach(facet => {
+            const candidates = brands.filter(brand => matches(brand, selections, facet));
+            result[facet] = new Map((options[facet] || []).map(option => [
+                option.value,
+                candidates.filter(brand => matchesFacet(brand, facet, [option.value])).length
+            ]));
+        });
+        return result;
+    }
+
+    return {
+        facets: facetNames.slice(),
+        topRegion,
+        normalizeRegion,
+        regionMatches,
+        matches,
+        filter,
+        optionsFor,
+        counts
+    };
+}
+
+const BrandFacets = {
+    create: createFacets,
+    relationshipLabels,
+    regionHierarchy: defaultRegionHierarchy,
+    regionAliases: defaultRegionAliases
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BrandFacets;
+} else {
+    global.BrandFacets = BrandFacets;
+}
+
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,1458 @@
+/**
+ * Nestlé Brand Map - Translations
+ *
+ * The map's UI text in every language it speaks, and the brand fields that
+ * brand records may translate. English is the source catalogue: a message missing
+ * from another catalogue falls back to the language without its region
+ * (fr-CH → fr) and then to English.
+ *
+ *     const t = BrandI18n.createTranslator('fr-CH');
+ *     t('results.none');                                // 'Aucune marque trouvée'
+ *     t('legend.row', { category: 'Café', count: 3 });  // 'Café, 3 marques'
+ *     BrandI18n.localizeBrand(brand, 'fr');             // the brand with its French tagline and description
+ *
+ * Messages are text with {placeholders}, or, when they take a count, an object of
+ * forms keyed by Intl.PluralRules category ({ one, other, ... }). The help texts
+ * contain a little HTML. Brand records carry their own translations:
+ *
+ *     "translations": { "fr": { "description": "…" }, "ja": { "tagline": "…", "description": "…" } }
+ *
+ * Works in the browser (window.BrandI18n, used by scripts.js) and under Node (module.exports).
+ */
+
+(function (global) {
+
+const defaultLocale = 'en';
+
+// Languages written right to left; the map mirrors its layout for them
+const rtlLanguages = ['ar', 'dv', 'fa', 'he', 'ku', 'ps', 'ur', 'yi'];
+
+// Brand fields a record may translate (see localizeBrand)
+const translatedFields = ['tagline', 'description'];
+
+// Locales with a catalogue below, by their own name for the language menu
+const locales = {
+    en: { name: 'English' },
+    fr: { name: 'Français' },
+    de: { name: 'Deutsch' },
+    ja: { name: '日本語' },
+    ar: { name: 'العربية' }
+};
+
+const catalogues = {
+    en: {
+        'loading': 'Loading Nestlé Brand Map...',
+        'theme.toggle': 'Toggle dark/light mode',
+        'theme.contrast': 'High contrast',
+        'theme.motion': 'Reduce motion',
+        'preferences.reset': 'Reset preferences',
+        'preferences.resetDone': 'Preferences reset',
+        'locale.label': 'Language',
+        'locale.changed': 'Language: {name}',
+
+        'help.button': 'Help / Guide',
+        'help.buttonLabel': 'Show help and guide',
+        'help.title': 'How to Use the Brand Map',
+        'help.views': '<b>Switch Views:</b> Use the buttons above the map to toggle between the Diagram and List views.',
+        'help.layouts': '<b>Layouts:</b> The menu below the diagram shows it as a radial map, tree, sunburst, treemap or network. In the sunburst, double-click a segment to zoom into it and the centre to zoom back out; in the network, drag nodes to rearrange them.',
+        'help.legend': '<b>Legend:</b> Each row shows a category\'s icon, colour and how many of its brands match. Click a row to hide or show the category, shift-click to show only that category (shift-click it again to bring the others back).',
+        'help.collapse': '<b>Collapse Branches:</b> Click a category or parent brand (or use the + and - keys, or the +/&minus; badges in the tree) to fold its branch away and back out; a "+N" badge shows how many nodes it hides. Expand All and the Collapse menu below the map open or fold the whole map at once.',
+        'help.zoom': '<b>Zoom & Rotate:</b> Use the controls below the map, or pinch/rotate on touch devices.',
+        'help.search': '<b>Search & Filter:</b> Use the search box and the Filters panel to find brands. In the panel, tick categories, regions and parent companies; the numbers show how many brands each choice leaves, and brands available globally match every region. Search ignores accents and small typos and looks in names, taglines, categories, regions, parent brands and descriptions; the best match is centred in the diagram and matches are highlighted. The Relationship filter picks brands by how they are held: owned, joint venture, stake or licensed. Limit a term to one field with <code>category:Water</code>, <code>region:Europe</code> or <code>parent:"L\'Oréal"</code>, combine terms with AND (the default), OR and NOT (or a leading -), group them with parentheses and put exact phrases in quotes.',
+        'help.tooltips': '<b>Tooltips:</b> Hover or tap a node to see details. Click to pin/unpin.',
+        'help.links': '<b>Links:</b> A link into a brand is as thick as the share its owner holds, and dashed for a stake, a joint venture or a licence (the key is under the legend). Hover a link to read the relationship.',
+        'help.keyboard': '<b>Keyboard:</b> Tab into the map, then use Up/Down to move between a node and its children, Left/Right between siblings and Home to return to Nestlé. Enter opens a brand\'s details, Space pins its tooltip and Escape unpins it.',
+        'help.share': '<b>Share:</b> The address bar always reflects the current view, filters, zoom and pinned brand &mdash; copy it to share. Back/forward steps through your changes.',
+        'help.report': '<b>Data Report:</b> If some brand records are invalid, a warning button in the toolbar lists them and explains what is wrong.',
+        'help.export': '<b>Export:</b> The download button below the map saves the current view as SVG, PNG (choose the resolution) or an A4 PDF with the legend.',
+        'help.theme': '<b>Theme Toggle:</b> Use the sun/moon icon in the header, and the half-filled circle next to it for high contrast. The pause icon turns animations off.',
+        'help.colours': '<b>Colours:</b> The colour menu in the toolbar switches the category colours to a palette that stays distinct with red-green colour blindness, or to high-contrast colours (used automatically in high contrast mode). Shapes marks every category with its own shape and hatching as well, in the diagram, the legend and the list.',
+        'help.language': '<b>Language:</b> The language menu in the toolbar switches the text of the map, and the taglines and descriptions of the brands that have been translated.',
+        'help.timeline': '<b>Timeline:</b> The clock button below the diagram shows the portfolio as it was at the end of a year, going by the acquired and divested dates of the brands. Drag the slider (the marks are years with changes) to watch brands join and leave; press the button again to show every brand.',
+        'help.focus': '<b>Focus:</b> Double-click a node in the radial, tree or network layout, press F on it or use Focus in its pinned tooltip to bring it to the centre. Its branch stays bright while the rest of the map fades, and the bar above the map leads back up to Nestlé.',
+        'help.compare': '<b>Compare:</b> Press Compare in the toolbar, then click two to four brands in the diagram or the list (or press Enter on them) and Compare again in the bar at the bottom. The panel shows them side by side with the fields that differ highlighted, and Export CSV saves the comparison.',
+        'help.editing': '<b>Editing:</b> Add brand in the toolbar creates a brand; the details of a brand have Edit and Delete buttons. Every change is checked before it is shown on the map. Undo and Redo (or Ctrl+Z and Ctrl+Y) step through your edits, and brands.json downloads the edited data to replace the file on the server. Uploaded logos are stored in the file itself.',
+        'help.preferences': '<b>Preferences:</b> The map remembers your theme, contrast, language, view, filters, zoom, rotation and collapsed branches for your next visit. Until you choose a theme or contrast it follows your system settings, and animations are skipped if your system asks for reduced motion. Your colour palette and shapes are remembered too. The arrow icon in the header resets everything to the defaults.',
+
+        'view.choose': 'Choose view',
+        'view.diagram': 'Diagram',
+        'view.list': 'List',
+        'search.placeholder': 'Search brands...',
+        'search.label': 'Search brands',
+        'search.hint': 'Search brands, e.g. coffee OR category:Water -region:Europe',
+        'filters.hint': 'Filter by category, region and parent company',
+        'filters.button': 'Filters',
+        'filters.panel': 'Filter brands',
+        'filters.clear': 'Clear all',
+        'facet.category': 'Category',
+        'facet.region': 'Region',
+        'facet.regionNote': 'Brands available globally match every region.',
+        'facet.parent': 'Parent company',
+        'facet.relationship': 'Relationship',
+        'facet.direct': '{name} (direct)',
+        'colours.label': 'Colours',
+        'palette.label': 'Colour palette',
+        'palette.default': 'Standard colours',
+        'palette.colorblind': 'Colour-blind safe',
+        'palette.highContrast': 'High contrast',
+        'shapes.hint': 'Mark categories with shapes and patterns as well as colours',
+        'shapes.button': 'Shapes',
+
+        'compare.hint': 'Pick brands to compare side by side',
+        'compare.button': 'Compare',
+        'compare.tray': 'Brands to compare',
+        'compare.pick': 'Click two to four brands in the diagram or the list.',
+        'compare.clear': 'Clear',
+        'compare.title': 'Compare brands',
+        'compare.differencesOnly': 'Only show differences',
+        'compare.export': 'Export CSV',
+        'compare.differs': '(differs)',
+        'compare.modeOn': 'Compare mode: pick two to {max} brands.',
+        'compare.modeOff': 'Compare mode off.',
+        'compare.added': '{name} added to the comparison ({count} of {max}).',
+        'compare.removed': '{name} removed from the comparison.',
+        'compare.full': 'At most {max} brands can be compared. Remove one first.',
+        'compare.remove': 'Remove {name} from the comparison',
+        'compare.tooFew': 'Pick at least two brands to compare.',
+        'compare.field': 'Field',
+        'compare.differsColumn': 'Differs',
+        'compare.yes': 'yes',
+        'compare.field.category': 'Category',
+        'compare.field.region': 'Region',
+        'compare.field.parent_brand': 'Parent',
+        'compare.field.tagline': 'Tagline',
+        'compare.field.description': 'Description',
+        'compare.field.logo_url': 'Logo',
+        'compare.field.website': 'Website',
+
+        'admin.label': 'Edit brand data',
+        'admin.addHint': 'Add a brand',
+        'admin.add': 'Add brand',
+        'admin.undo': 'Undo',
+        'admin.redo': 'Redo',
+        'admin.undoHint': 'Undo: {label}',
+        'admin.redoHint': 'Redo: {label}',
+        'admin.downloadHint': 'Download the edited data as brands.json',
+        'admin.undone': 'Undone: {label}',
+        'admin.redone': 'Redone: {label}',
+        'admin.deleted': '{label}. Undo with Ctrl+Z.',
+
+        'report.hint': 'Data quality report',
+        'report.label': 'Show data quality report',
+        'report.title': 'Data quality report',
+        'report.close': 'Close data quality report',
+        'report.loaded': { one: '{count} brand loaded.', other: '{count} brands loaded.' },
+        'report.skipped': { one: '{count} invalid record was skipped;', other: '{count} invalid records were skipped;' },
+        'report.warned': { one: '{count} record has warnings.', other: '{count} records have warnings.' },
+        'report.unnamed': '(unnamed record)',
+        'report.record': ' (record #{number})',
+        'report.skippedRecord': ' — skipped',
+        'report.logos': 'Logos that could not be loaded',
+        'report.logoUsedBy': 'Used by {names}.',
+        'report.englishOnly': 'Problems are described in English.',
+
+        'list.label': 'Brand list',
+        'radial.label': 'Radial Brand Map',
+        'radial.diagram': 'Radial diagram of brands',
+        'radial.hierarchy': 'Brand hierarchy. Use the arrow keys to move between brands.',
+        'controls.label': 'Radial view controls',
+        'layout.hint': 'Layout',
+        'layout.label': 'Diagram layout',
+        'layout.radial': 'Radial',
+        'layout.tree': 'Tree',
+        'layout.sunburst': 'Sunburst',
+        'layout.treemap': 'Treemap',
+        'layout.force': 'Network',
+        'zoom.in': 'Zoom In',
+        'zoom.out': 'Zoom Out',
+        'zoom.reset': 'Reset View',
+        'rotate.left': 'Rotate Left',
+        'rotate.right': 'Rotate Right',
+        'expand.hint': 'Expand All',
+        'expand.label': 'Expand all branches',
+        'collapse.hint': 'Collapse to Depth',
+        'collapse.label': 'Collapse branches below a depth',
+        'collapse.prompt': 'Collapse…',
+        'collapse.toDepth': 'To depth {depth}',
+        'export.hint': 'Export',
+        'export.label': 'Export map',
+        'export.resolution': 'Resolution',
+        'export.scaleLabel': 'PNG resolution',
+        'export.scaleScreen': '1× (screen)',
+        'export.scalePrint': '4× (print)',
+        'export.pdf': 'PDF (A4, with legend)',
+        'export.title': 'Nestlé Brand Map',
+
+        'timeline.label': 'Timeline',
+        'timeline.toggle': 'Show the portfolio over time',
+        'timeline.asOf': 'As of',
+        'timeline.slider': 'Show the portfolio as of the end of a year',
+        'timeline.acquired': '{names} acquired',
+        'timeline.divested': '{names} divested',
+        'timeline.changes': '{year}: {changes}.',
+        'timeline.separator': '; ',
+        'timeline.none': 'No acquisitions or divestments in {year}.',
+        'timeline.off': 'Timeline off: showing every brand.',
+        'focus.button': 'Focus',
+        'focus.label': 'Focused branch',
+        'focus.clear': 'Show the whole map',
+        'focus.focused': 'Focused on {name}.',
+        'focus.cleared': 'Showing the whole map.',
+
+        'data.updated': 'Brand data updated.',
+        'data.error': 'Error Loading Data',
+        'data.retry': 'Try Again',
+        'results.none': 'No brands found',
+        'results.hint': 'Try adjusting your search criteria.',
+
+        'brand.unknown': 'Unknown Brand',
+        'brand.logo': '{name} logo',
+        'brand.noDescription': 'No description available.',
+        'brand.noTagline': 'No tagline available.',
+        'brand.unknownRegion': 'Unknown Region',
+        'brand.partOf': 'Part of {parent}',
+        'category.uncategorized': 'Uncategorized',
+
+        'details.about': 'About',
+        'details.details': 'Details',
+        'details.category': 'Category:',
+        'details.region': 'Region:',
+        'details.parent': 'Parent Brand:',
+        'details.relationship': 'Relationship:',
+        'details.acquired': 'Acquired:',
+        'details.divested': 'Divested:',
+        'details.website': 'Website',
+        'details.edit': 'Edit',
+        'details.delete': 'Delete',
+
+        'editor.edit': 'Edit brand',
+        'editor.add': 'Add a brand',
+        'editor.name': 'Name',
+        'editor.category': 'Category',
+        'editor.parent': 'Parent brand',
+        'editor.parentPlaceholder': 'None: owned by Nestlé directly',
+        'editor.relationship': 'Relationship',
+        'editor.ownership': 'Ownership (%)',
+        'editor.region': 'Region',
+        'editor.tagline': 'Tagline',
+        'editor.description': 'Description',
+        'editor.website': 'Website',
+        'editor.acquired': 'Acquired',
+        'editor.datePlaceholder': 'YYYY, YYYY-MM or YYYY-MM-DD',
+        'editor.divested': 'Divested',
+        'editor.divestedPlaceholder': 'Still owned',
+        'editor.logo': 'Logo',
+        'editor.upload': 'Upload…',
+        'editor.save': 'Save',
+        'editor.cancel': 'Cancel',
+        'editor.translations': 'The translated taglines and descriptions ({locales}) are kept as they are.',
+        'editor.logoTooLarge': 'The logo is {size} KB; upload one of at most {max} KB.',
+        'editor.unreadable': 'The file "{name}" could not be read.',
+
+        'relationship.owned': 'Owned',
+        'relationship.jv': 'Joint venture',
+        'relationship.stake': 'Stake',
+        'relationship.licensed': 'Licensed',
+        'relationship.ownedShare': '{share}% owned',
+        'relationship.jvShare': '{share}% joint venture',
+        'relationship.stakeShare': '{share}% stake',
+        'relationship.heldBy': '{relationship}, held by {owner}',
+
+        'tooltip.logo': '{name} logo/icon',
+        'tooltip.categoryCount': '{category} Brands: {count}',
+        'tooltip.directCount': 'Brands: {count}',
+        'tooltip.contains': { one: 'Contains: {count} item', other: 'Contains: {count} items' },
+        'tooltip.region': 'Region: {region}',
+        'tooltip.acquired': 'Acquired {acquired}',
+        'tooltip.acquiredDivested': 'Acquired {acquired}, divested {divested}',
+        'tooltip.website': 'Website',
+
+        'node.unknown': 'Unknown',
+        'node.root': 'parent company',
+        'node.parent': 'parent brand',
+        'node.category': 'category',
+        'node.children': { one: '{count} child', other: '{count} children' },
+        'node.collapsed': { one: 'collapsed, {count} hidden child', other: 'collapsed, {count} hidden children' },
+        'node.filtered': 'does not match the current filters',
+        'node.top': '{name} is the top of the map',
+        'node.leaf': '{name} has no children',
+        'root.description': 'Global leader in food and beverage.',
+
+        'legend.label': 'Categories. Click to show or hide a category, shift-click to show only that category.',
+        'legend.labelPlain': 'Categories',
+        'legend.row': { one: '{category}, {count} brand', other: '{category}, {count} brands' },
+        'legend.rowHidden': { one: '{category}, {count} brand, hidden', other: '{category}, {count} brands, hidden' },
+        'legend.shown': '{category} shown',
+        'legend.hidden': '{category} hidden',
+        'legend.shownAlone': '{category} shown, other categories hidden'
+    },
+
+    fr: {
+        'loading': 'Chargement de la carte des marques Nestlé…',
+        'theme.toggle': 'Basculer entre mode sombre et clair',
+        'theme.contrast': 'Contraste élevé',
+        'theme.motion': 'Réduire les animations',
+        'preferences.reset': 'Réinitialiser les préférences',
+        'preferences.resetDone': 'Préférences réinitialisées',
+        'locale.label': 'Langue',
+        'locale.changed': 'Langue : {name}',
+
+        'help.button': 'Aide / Guide',
+        'help.buttonLabel': 'Afficher l’aide et le guide',
+        'help.title': 'Comment utiliser la carte des marques',
+        'help.views': '<b>Changer de vue :</b> les boutons au-dessus de la carte passent de la vue Diagramme à la vue Liste.',
+        'help.layouts': '<b>Dispositions :</b> le menu sous le diagramme l’affiche en carte radiale, arbre, soleil, treemap ou réseau. Dans le soleil, double-cliquez sur un segment pour zoomer dessus et sur le centre pour revenir en arrière ; dans le réseau, faites glisser les nœuds pour les réorganiser.',
+        'help.legend': '<b>Légende :</b> chaque ligne montre l’icône et la couleur d’une catégorie, et combien de ses marques correspondent. Cliquez sur une ligne pour masquer ou afficher la catégorie, Maj-clic pour n’afficher qu’elle (Maj-clic à nouveau pour revenir aux autres).',
+        'help.collapse': '<b>Replier les branches :</b> cliquez sur une catégorie ou une marque mère (ou utilisez les touches + et -, ou les pastilles +/&minus; de l’arbre) pour replier sa branche et la déplier ; une pastille « +N » indique combien de nœuds elle cache. « Tout déplier » et le menu « Replier… » sous la carte déplient ou replient toute la carte d’un coup.',
+        'help.zoom': '<b>Zoom et rotation :</b> utilisez les commandes sous la carte, ou pincez et tournez sur les écrans tactiles.',
+        'help.search': '<b>Recherche et filtres :</b> utilisez le champ de recherche et le panneau Filtres pour trouver des marques. Dans le panneau, cochez des catégories, des régions et des sociétés mères ; les nombres indiquent combien de marques chaque choix laisse, et les marques disponibles dans le monde entier correspondent à toutes les régions. La recherche ignore les accents et les petites fautes de frappe et porte sur les noms, slogans, catégories, régions, marques mères et descriptions ; la meilleure correspondance est centrée dans le diagramme et les correspondances sont surlignées. Le filtre Relation choisit les marques selon leur mode de détention : détenue, coentreprise, participation ou licence. Limitez un terme à un champ avec <code>category:Water</code>, <code>region:Europe</code> ou <code>parent:"L\'Oréal"</code>, combinez les termes avec AND (par défaut), OR et NOT (ou un - devant), groupez-les entre parenthèses et mettez les expressions exactes entre guillemets.',
+        'help.tooltips': '<b>Infobulles :</b> survolez ou touchez un nœud pour voir ses détails. Cliquez pour l’épingler ou le libérer.',
+        'help.links': '<b>Liens :</b> un lien vers une marque est d’autant plus épais que la part détenue par son propriétaire est grande, et pointillé pour une participation, une coentreprise ou une licence (la clé est sous la légende). Survolez un lien pour lire la relation.',
+        'help.keyboard': '<b>Clavier :</b> entrez dans la carte avec Tab, puis utilisez Haut/Bas pour passer d’un nœud à ses enfants, Gauche/Droite entre nœuds voisins et Début pour revenir à Nestlé. Entrée ouvre les détails d’une marque, Espace épingle son infobulle et Échap la libère.',
+        'help.share': '<b>Partager :</b> la barre d’adresse reflète toujours la vue, les filtres, le zoom et la marque épinglée &mdash; copiez-la pour la partager. Précédent/Suivant parcourt vos changements.',
+        'help.report': '<b>Rapport de données :</b> si certaines fiches de marque sont invalides, un bouton d’avertissement dans la barre d’outils les liste et explique le problème.',
+        'help.export': '<b>Export :</b> le bouton de téléchargement sous la carte enregistre la vue actuelle en SVG, en PNG (choisissez la résolution) ou en PDF A4 avec la légende.',
+        'help.theme': '<b>Thème :</b> utilisez l’icône soleil/lune en haut, et le cercle à moitié plein à côté pour le contraste élevé. L’icône pause désactive les animations.',
+        'help.colours': '<b>Couleurs :</b> le menu des couleurs de la barre d’outils passe à une palette qui reste lisible pour les personnes daltoniennes (rouge-vert), ou à des couleurs à contraste élevé (utilisées automatiquement en mode contraste élevé). Formes marque en plus chaque catégorie de sa propre forme et de ses hachures, dans le diagramme, la légende et la liste.',
+        'help.language': '<b>Langue :</b> le menu des langues de la barre d’outils change la langue de la carte, ainsi que des slogans et descriptions des marques qui ont été traduits.',
+        'help.timeline': '<b>Chronologie :</b> le bouton horloge sous le diagramme montre le portefeuille tel qu’il était à la fin d’une année, d’après les dates d’acquisition et de cession des marques. Faites glisser le curseur (les repères sont les années avec des changements) pour voir les marques arriver et partir ; appuyez à nouveau sur le bouton pour afficher toutes les marques.',
+        'help.focus': '<b>Focus :</b> double-cliquez sur un nœud de la carte radiale, de l’arbre ou du réseau, appuyez sur F ou utilisez Centrer dans son info-bulle épinglée pour l’amener au centre. Sa branche reste visible tandis que le reste de la carte s’estompe, et la barre au-dessus de la carte permet de remonter jusqu’à Nestlé.',
+        'help.compare': '<b>Comparer :</b> appuyez sur Comparer dans la barre d’outils, cliquez sur deux à quatre marques dans le diagramme ou la liste (ou appuyez sur Entrée), puis à nouveau sur Comparer dans la barre du bas. Le panneau les montre côte à côte en surlignant les champs qui diffèrent, et Exporter en CSV enregistre la comparaison.',
+        'help.editing': '<b>Édition :</b> Ajouter une marque dans la barre d’outils crée une marque ; les détails d’une marque ont des boutons Modifier et Supprimer. Chaque modification est vérifiée avant d’apparaître sur la carte. Annuler et Rétablir (ou Ctrl+Z et Ctrl+Y) parcourent vos modifications, et brands.json télécharge les données modifiées pour remplacer le fichier sur le serveur. Les logos importés sont enregistrés dans le fichier lui-même.',
+        'help.preferences': '<b>Préférences :</b> la carte retient votre thème, votre contraste, votre langue, la vue, les filtres, le zoom, la rotation et les branches repliées pour votre prochaine visite. Tant que vous n’avez pas choisi de thème ou de contraste, elle suit les réglages de votre système, et les animations sont omises si votre système demande de réduire les mouvements. Votre palette de couleurs et les formes sont retenues aussi. L’icône flèche en haut rétablit tous les réglages par défaut.',
+
+        'view.choose': 'Choisir la vue',
+        'view.diagram': 'Diagramme',
+        'view.list': 'Liste',
+        'search.placeholder': 'Rechercher des marques…',
+        'search.label': 'Rechercher des marques',
+        'search.hint': 'Rechercher des marques, p. ex. café OR category:Water -region:Europe',
+        'filters.hint': 'Filtrer par catégorie, région et société mère',
+        'filters.button': 'Filtres',
+        'filters.panel': 'Filtrer les marques',
+        'filters.clear': 'Tout effacer',
+        'facet.category': 'Catégorie',
+        'facet.region': 'Région',
+        'facet.regionNote': 'Les marques disponibles dans le monde entier correspondent à toutes les régions.',
+        'facet.parent': 'Société mère',
+        'facet.relationship': 'Relation',
+        'facet.direct': '{name} (en direct)',
+        'colours.label': 'Couleurs',
+        'palette.label': 'Palette de couleurs',
+        'palette.default': 'Couleurs standard',
+        'palette.colorblind': 'Adaptée aux daltoniens',
+        'palette.highContrast': 'Contraste élevé',
+        'shapes.hint': 'Distinguer les catégories par des formes et des motifs en plus des couleurs',
+        'shapes.button': 'Formes',
+
+        'compare.hint': 'Choisir des marques à comparer côte à côte',
+        'compare.button': 'Comparer',
+        'compare.tray': 'Marques à comparer',
+        'compare.pick': 'Cliquez sur deux à quatre marques dans le diagramme ou la liste.',
+        'compare.clear': 'Effacer',
+        'compare.title': 'Comparer des marques',
+        'compare.differencesOnly': 'N’afficher que les différences',
+        'compare.export': 'Exporter en CSV',
+        'compare.differs': '(diffère)',
+        'compare.modeOn': 'Mode comparaison : choisissez de deux à {max} marques.',
+        'compare.modeOff': 'Mode comparaison désactivé.',
+        'compare.added': '{name} ajoutée à la comparaison ({count} sur {max}).',
+        'compare.removed': '{name} retirée de la comparaison.',
+        'compare.full': 'Au plus {max} marques peuvent être comparées. Retirez-en une d’abord.',
+        'compare.remove': 'Retirer {name} de la comparaison',
+        'compare.tooFew': 'Choisissez au moins deux marques à comparer.',
+        'compare.field': 'Champ',
+        'compare.differsColumn': 'Diffère',
+        'compare.yes': 'oui',
+        'compare.field.category': 'Catégorie',
+        'compare.field.region': 'Région',
+        'compare.field.parent_brand': 'Marque mère',
+        'compare.field.tagline': 'Slogan',
+        'compare.field.description': 'Description',
+        'compare.field.logo_url': 'Logo',
+        'compare.field.website': 'Site web',
+
+        'admin.label': 'Modifier les données des marques',
+        'admin.addHint': 'Ajouter une marque',
+        'admin.add': 'Ajouter une marque',
+        'admin.undo': 'Annuler',
+        'admin.redo': 'Rétablir',
+        'admin.undoHint': 'Annuler : {label}',
+        'admin.redoHint': 'Rétablir : {label}',
+        'admin.downloadHint': 'Télécharger les données modifiées en brands.json',
+        'admin.undone': 'Annulé : {label}',
+        'admin.redone': 'Rétabli : {label}',
+        'admin.deleted': '{label}. Annulez avec Ctrl+Z.',
+
+        'report.hint': 'Rapport de qualité des données',
+        'report.label': 'Afficher le rapport de qualité des données',
+        'report.title': 'Rapport de qualité des données',
+        'report.close': 'Fermer le rapport de qualité des données',
+        'report.loaded': { one: '{count} marque chargée.', other: '{count} marques chargées.' },
+        'report.skipped': { one: '{count} fiche invalide a été ignorée ;', other: '{count} fiches invalides ont été ignorées ;' },
+        'report.warned': { one: '{count} fiche comporte des avertissements.', other: '{count} fiches comportent des avertissements.' },
+        'report.unnamed': '(fiche sans nom)',
+        'report.record': ' (fiche nº {number})',
+        'report.skippedRecord': ' — ignorée',
+        'report.logos': 'Logos impossibles à charger',
+        'report.logoUsedBy': 'Utilisé par {names}.',
+        'report.englishOnly': 'Les problèmes sont décrits en anglais.',
+
+        'list.label': 'Liste des marques',
+        'radial.label': 'Carte radiale des marques',
+        'radial.diagram': 'Diagramme radial des marques',
+        'radial.hierarchy': 'Hiérarchie des marques. Utilisez les flèches pour passer d’une marque à l’autre.',
+        'controls.label': 'Commandes de la vue radiale',
+        'layout.hint': 'Disposition',
+        'layout.label': 'Disposition du diagramme',
+        'layout.radial': 'Radiale',
+        'layout.tree': 'Arbre',
+        'layout.sunburst': 'Soleil',
+        'layout.treemap': 'Treemap',
+        'layout.force': 'Réseau',
+        'zoom.in': 'Zoom avant',
+        'zoom.out': 'Zoom arrière',
+        'zoom.reset': 'Réinitialiser la vue',
+        'rotate.left': 'Tourner à gauche',
+        'rotate.right': 'Tourner à droite',
+        'expand.hint': 'Tout déplier',
+        'expand.label': 'Déplier toutes les branches',
+        'collapse.hint': 'Replier jusqu’à un niveau',
+        'collapse.label': 'Replier les branches sous un niveau',
+        'collapse.prompt': 'Replier…',
+        'collapse.toDepth': 'Au niveau {depth}',
+        'export.hint': 'Exporter',
+        'export.label': 'Exporter la carte',
+        'export.resolution': 'Résolution',
+        'export.scaleLabel': 'Résolution du PNG',
+        'export.scaleScreen': '1× (écran)',
+        'export.scalePrint': '4× (impression)',
+        'export.pdf': 'PDF (A4, avec légende)',
+        'export.title': 'Carte des marques Nestlé',
+
+        'timeline.label': 'Chronologie',
+        'timeline.toggle': 'Montrer le portefeuille au fil du temps',
+        'timeline.asOf': 'Fin',
+        'timeline.slider': 'Montrer le portefeuille à la fin d’une année',
+        'timeline.acquired': '{names} : acquisition',
+        'timeline.divested': '{names} : cession',
+        'timeline.changes': '{year} : {changes}.',
+        'timeline.separator': ' ; ',
+        'timeline.none': 'Aucune acquisition ni cession en {year}.',
+        'timeline.off': 'Chronologie désactivée : toutes les marques sont affichées.',
+        'focus.button': 'Centrer',
+        'focus.label': 'Branche ciblée',
+        'focus.clear': 'Afficher toute la carte',
+        'focus.focused': 'Centré sur {name}.',
+        'focus.cleared': 'Toute la carte est affichée.',
+
+        'data.updated': 'Données des marques mises à jour.',
+        'data.error': 'Erreur de chargement des données',
+        'data.retry': 'Réessayer',
+        'results.none': 'Aucune marque trouvée',
+        'results.hint': 'Essayez de modifier vos critères de recherche.',
+
+        'brand.unknown': 'Marque inconnue',
+        'brand.logo': 'Logo de {name}',
+        'brand.noDescription': 'Aucune description disponible.',
+        'brand.noTagline': 'Aucun slogan disponible.',
+        'brand.unknownRegion': 'Région inconnue',
+        'brand.partOf': 'Fait partie de {parent}',
+        'category.uncategorized': 'Sans catégorie',
+        'category.Coffee': 'Café',
+        'category.Sweets': 'Confiserie',
+        'category.Pet_Care': 'Animaux de compagnie',
+        'category.Water': 'Eaux',
+        'category.Beverages': 'Boissons',
+        'category.Cereal': 'Céréales',
+        'category.Icecream': 'Glaces',
+        'category.Cosmetics': 'Cosmétiques',
+        'category.Fashion': 'Mode',
+        'category.Parent Company': 'Société mère',
+
+        'details.about': 'À propos',
+        'details.details': 'Détails',
+        'details.category': 'Catégorie :',
+        'details.region': 'Région :',
+        'details.parent': 'Marque mère :',
+        'details.relationship': 'Relation :',
+        'details.acquired': 'Acquisition :',
+        'details.divested': 'Cession :',
+        'details.website': 'Site web',
+        'details.edit': 'Modifier',
+        'details.delete': 'Supprimer',
+
+        'editor.edit': 'Modifier la marque',
+        'editor.add': 'Ajouter une marque',
+        'editor.name': 'Nom',
+        'editor.category': 'Catégorie',
+        'editor.parent': 'Marque mère',
+        'editor.parentPlaceholder': 'Aucune : détenue directement par Nestlé',
+        'editor.relationship': 'Relation',
+        'editor.ownership': 'Participation (%)',
+        'editor.region': 'Région',
+        'editor.tagline': 'Slogan',
+        'editor.description': 'Description',
+        'editor.website': 'Site web',
+        'editor.acquired': 'Acquisition',
+        'editor.datePlaceholder': 'AAAA, AAAA-MM ou AAAA-MM-JJ',
+        'editor.divested': 'Cession',
+        'editor.divestedPlaceholder': 'Toujours détenue',
+        'editor.logo': 'Logo',
+        'editor.upload': 'Importer…',
+        'editor.save': 'Enregistrer',
+        'editor.cancel': 'Annuler',
+        'editor.translations': 'Les slogans et descriptions traduits ({locales}) sont conservés tels quels.',
+        'editor.logoTooLarge': 'Le logo fait {size} Ko ; importez-en un de {max} Ko au plus.',
+        'editor.unreadable': 'Le fichier « {name} » n’a pas pu être lu.',
+
+        'relationship.owned': 'Détenue',
+        'relationship.jv': 'Coentreprise',
+        'relationship.stake': 'Participation',
+        'relationship.licensed': 'Sous licence',
+        'relationship.ownedShare': 'Détenue à {share} %',
+        'relationship.jvShare': 'Coentreprise à {share} %',
+        'relationship.stakeShare': 'Participation de {share} %',
+        'relationship.heldBy': '{relationship}, par {owner}',
+
+        'tooltip.logo': 'Logo ou icône de {name}',
+        'tooltip.categoryCount': '{category} – marques : {count}',
+        'tooltip.directCount': 'Marques : {count}',
+        'tooltip.contains': { one: 'Contient : {count} élément', other: 'Contient : {count} éléments' },
+        'tooltip.region': 'Région : {region}',
+        'tooltip.acquired': 'Acquise en {acquired}',
+        'tooltip.acquiredDivested': 'Acquise en {acquired}, cédée en {divested}',
+        'tooltip.website': 'Site web',
+
+        'node.unknown': 'Inconnu',
+        'node.root': 'société mère',
+        'node.parent': 'marque mère',
+        'node.category': 'catégorie',
+        'node.children': { one: '{count} enfant', other: '{count} enfants' },
+        'node.collapsed': { one: 'replié, {count} enfant masqué', other: 'replié, {count} enfants masqués' },
+        'node.filtered': 'ne correspond pas aux filtres actuels',
+        'node.top': '{name} est le sommet de la carte',
+        'node.leaf': '{name} n’a pas d’enfants',
+        'root.description': 'Leader mondial de l’alimentation et des boissons.',
+
+        'legend.label': 'Catégories. Cliquez pour afficher ou masquer une catégorie, Maj-clic pour n’afficher qu’elle.',
+        'legend.labelPlain': 'Catégories',
+        'legend.row': { one: '{category}, {count} marque', other: '{category}, {count} marques' },
+        'legend.rowHidden': { one: '{category}, {count} marque, masquée', other: '{category}, {count} marques, masquée' },
+        'legend.shown': '{category} affichée',
+        'legend.hidden': '{category} masquée',
+        'legend.shownAlone': '{category} affichée, autres catégories masquées'
+    },
+
+    de: {
+        'loading': 'Nestlé-Markenkarte wird geladen…',
+        'theme.toggle': 'Zwischen dunklem und hellem Modus wechseln',
+        'theme.contrast': 'Hoher Kontrast',
+        'theme.motion': 'Animationen reduzieren',
+        'preferences.reset': 'Einstellungen zurücksetzen',
+        'preferences.resetDone': 'Einstellungen zurückgesetzt',
+        'locale.label': 'Sprache',
+        'locale.changed': 'Sprache: {name}',
+
+        'help.button': 'Hilfe / Anleitung',
+        'help.buttonLabel': 'Hilfe und Anleitung anzeigen',
+        'help.title': 'So verwenden Sie die Markenkarte',
+        'help.views': '<b>Ansicht wechseln:</b> Mit den Schaltflächen über der Karte wechseln Sie zwischen Diagramm- und Listenansicht.',
+        'help.layouts': '<b>Layouts:</b> Das Menü unter dem Diagramm zeigt es als Radialkarte, Baum, Sunburst, Treemap oder Netzwerk. Im Sunburst doppelklicken Sie auf ein Segment, um hineinzuzoomen, und auf die Mitte, um wieder herauszuzoomen; im Netzwerk ziehen Sie Knoten, um sie neu anzuordnen.',
+        'help.legend': '<b>Legende:</b> Jede Zeile zeigt Symbol und Farbe einer Kategorie und wie viele ihrer Marken passen. Klicken Sie auf eine Zeile, um die Kategorie aus- oder einzublenden, mit Umschalt-Klick zeigen Sie nur diese Kategorie (ein weiterer Umschalt-Klick holt die anderen zurück).',
+        'help.collapse': '<b>Zweige einklappen:</b> Klicken Sie auf eine Kategorie oder Muttermarke (oder verwenden Sie die Tasten + und - oder die Marken +/&minus; im Baum), um ihren Zweig ein- und wieder auszuklappen; eine Marke „+N“ zeigt, wie viele Knoten er verbirgt. „Alle ausklappen“ und das Menü „Einklappen…“ unter der Karte öffnen oder schliessen die ganze Karte auf einmal.',
+        'help.zoom': '<b>Zoomen und Drehen:</b> Verwenden Sie die Steuerelemente unter der Karte oder auf Touch-Geräten Zwei-Finger-Gesten.',
+        'help.search': '<b>Suchen und Filtern:</b> Mit dem Suchfeld und dem Filterbereich finden Sie Marken. Kreuzen Sie im Filterbereich Kategorien, Regionen und Muttergesellschaften an; die Zahlen zeigen, wie viele Marken jede Auswahl übrig lässt, und weltweit erhältliche Marken passen zu jeder Region. Die Suche ignoriert Akzente und kleine Tippfehler und durchsucht Namen, Slogans, Kategorien, Regionen, Muttermarken und Beschreibungen; der beste Treffer wird im Diagramm zentriert und Treffer werden hervorgehoben. Der Filter Beziehung wählt Marken danach, wie sie gehalten werden: im Besitz, Joint Venture, Beteiligung oder Lizenz. Beschränken Sie einen Begriff mit <code>category:Water</code>, <code>region:Europe</code> oder <code>parent:"L\'Oréal"</code> auf ein Feld, verknüpfen Sie Begriffe mit AND (Standard), OR und NOT (oder einem vorangestellten -), gruppieren Sie sie mit Klammern und setzen Sie genaue Wortfolgen in Anführungszeichen.',
+        'help.tooltips': '<b>Tooltips:</b> Fahren Sie über einen Knoten oder tippen Sie darauf, um Details zu sehen. Ein Klick heftet den Tooltip an oder löst ihn.',
+        'help.links': '<b>Verbindungen:</b> Eine Verbindung zu einer Marke ist umso dicker, je grösser der Anteil ihres Eigentümers ist, und gestrichelt bei einer Beteiligung, einem Joint Venture oder einer Lizenz (die Erklärung steht unter der Legende). Fahren Sie über eine Verbindung, um die Beziehung zu lesen.',
+        'help.keyboard': '<b>Tastatur:</b> Wechseln Sie mit Tab in die Karte und verwenden Sie dann Auf/Ab, um zwischen einem Knoten und seinen Kindern zu wechseln, Links/Rechts zwischen Geschwistern und Pos1, um zu Nestlé zurückzukehren. Eingabe öffnet die Details einer Marke, Leertaste heftet ihren Tooltip an und Esc löst ihn.',
+        'help.share': '<b>Teilen:</b> Die Adressleiste gibt immer die aktuelle Ansicht, Filter, Zoom und angeheftete Marke wieder &mdash; kopieren Sie sie zum Teilen. Zurück/Vorwärts geht Ihre Änderungen durch.',
+        'help.report': '<b>Datenbericht:</b> Sind einzelne Markeneinträge ungültig, listet eine Warnschaltfläche in der Werkzeugleiste sie auf und erklärt, was falsch ist.',
+        'help.export': '<b>Export:</b> Die Download-Schaltfläche unter der Karte speichert die aktuelle Ansicht als SVG, PNG (Auflösung wählbar) oder A4-PDF mit Legende.',
+        'help.theme': '<b>Design:</b> Verwenden Sie das Sonnen-/Mondsymbol oben und den halb gefüllten Kreis daneben für hohen Kontrast. Das Pausensymbol schaltet Animationen aus.',
+        'help.colours': '<b>Farben:</b> Das Farbmenü in der Werkzeugleiste wechselt die Kategoriefarben zu einer Palette, die bei Rot-Grün-Sehschwäche unterscheidbar bleibt, oder zu kontrastreichen Farben (im Modus mit hohem Kontrast automatisch). Formen kennzeichnet jede Kategorie zusätzlich mit eigener Form und Schraffur, im Diagramm, in der Legende und in der Liste.',
+        'help.language': '<b>Sprache:</b> Das Sprachmenü in der Werkzeugleiste wechselt die Sprache der Karte und der Slogans und Beschreibungen der Marken, die übersetzt wurden.',
+        'help.timeline': '<b>Zeitleiste:</b> Die Uhr-Schaltfläche unter dem Diagramm zeigt das Portfolio, wie es am Ende eines Jahres war, gemäss den Erwerbs- und Verkaufsdaten der Marken. Ziehen Sie den Schieberegler (die Markierungen sind Jahre mit Änderungen), um Marken kommen und gehen zu sehen; ein weiterer Druck auf die Schaltfläche zeigt wieder alle Marken.',
+        'help.focus': '<b>Fokus:</b> Doppelklicken Sie im Radial-, Baum- oder Netzwerklayout auf einen Knoten, drücken Sie darauf F oder nutzen Sie Fokussieren im angehefteten Tooltip, um ihn in die Mitte zu holen. Sein Zweig bleibt hervorgehoben, der Rest der Karte tritt zurück, und die Leiste über der Karte führt zurück bis zu Nestlé.',
+        'help.compare': '<b>Vergleichen:</b> Drücken Sie Vergleichen in der Werkzeugleiste, klicken Sie dann zwei bis vier Marken im Diagramm oder in der Liste an (oder drücken Sie darauf die Eingabetaste) und nochmals Vergleichen in der Leiste unten. Der Bereich zeigt sie nebeneinander, abweichende Felder hervorgehoben, und CSV exportieren speichert den Vergleich.',
+        'help.editing': '<b>Bearbeiten:</b> Marke hinzufügen in der Werkzeugleiste legt eine Marke an; die Details einer Marke haben die Schaltflächen Bearbeiten und Löschen. Jede Änderung wird geprüft, bevor sie auf der Karte erscheint. Rückgängig und Wiederholen (oder Ctrl+Z und Ctrl+Y) gehen Ihre Änderungen durch, und brands.json lädt die bearbeiteten Daten herunter, um die Datei auf dem Server zu ersetzen. Hochgeladene Logos werden in der Datei selbst gespeichert.',
+        'help.preferences': '<b>Einstellungen:</b> Die Karte merkt sich Design, Kontrast, Sprache, Ansicht, Filter, Zoom, Drehung und eingeklappte Zweige für Ihren nächsten Besuch. Bis Sie ein Design oder einen Kontrast wählen, folgt sie Ihren Systemeinstellungen, und Animationen entfallen, wenn Ihr System reduzierte Bewegung verlangt. Auch Farbpalette und Formen werden gespeichert. Das Pfeilsymbol oben setzt alles auf die Standardwerte zurück.',
+
+        'view.choose': 'Ansicht wählen',
+        'view.diagram': 'Diagramm',
+        'view.list': 'Liste',
+        'search.placeholder': 'Marken suchen…',
+        'search.label': 'Marken suchen',
+        'search.hint': 'Marken suchen, z. B. kaffee OR category:Water -region:Europe',
+        'filters.hint': 'Nach Kategorie, Region und Muttergesellschaft filtern',
+        'filters.button': 'Filter',
+        'filters.panel': 'Marken filtern',
+        'filters.clear': 'Alle löschen',
+        'facet.category': 'Kategorie',
+        'facet.region': 'Region',
+        'facet.regionNote': 'Weltweit erhältliche Marken passen zu jeder Region.',
+        'facet.parent': 'Muttergesellschaft',
+        'facet.relationship': 'Beziehung',
+        'facet.direct': '{name} (direkt)',
+        'colours.label': 'Farben',
+        'palette.label': 'Farbpalette',
+        'palette.default': 'Standardfarben',
+        'palette.colorblind': 'Für Farbenblinde',
+        'palette.highContrast': 'Hoher Kontrast',
+        'shapes.hint': 'Kategorien zusätzlich zu den Farben mit Formen und Mustern kennzeichnen',
+        'shapes.button': 'Formen',
+
+        'compare.hint': 'Marken für einen Vergleich nebeneinander auswählen',
+        'compare.button': 'Vergleichen',
+        'compare.tray': 'Zu vergleichende Marken',
+        'compare.pick': 'Klicken Sie zwei bis vier Marken im Diagramm oder in der Liste an.',
+        'compare.clear': 'Leeren',
+        'compare.title': 'Marken vergleichen',
+        'compare.differencesOnly': 'Nur Unterschiede zeigen',
+        'compare.export': 'CSV exportieren',
+        'compare.differs': '(abweichend)',
+        'compare.modeOn': 'Vergleichsmodus: Wählen Sie zwei bis {max} Marken.',
+        'compare.modeOff': 'Vergleichsmodus aus.',
+        'compare.added': '{name} zum Vergleich hinzugefügt ({count} von {max}).',
+        'compare.removed': '{name} aus dem Vergleich entfernt.',
+        'compare.full': 'Höchstens {max} Marken können verglichen werden. Entfernen Sie zuerst eine.',
+        'compare.remove': '{name} aus dem Vergleich entfernen',
+        'compare.tooFew': 'Wählen Sie mindestens zwei Marken zum Vergleichen.',
+        'compare.field': 'Feld',
+        'compare.differsColumn': 'Abweichend',
+        'compare.yes': 'ja',
+        'compare.field.category': 'Kategorie',
+        'compare.field.region': 'Region',
+        'compare.field.parent_brand': 'Muttermarke',
+        'compare.field.tagline': 'Slogan',
+        'compare.field.description': 'Beschreibung',
+        'compare.field.logo_url': 'Logo',
+        'compare.field.website': 'Website',
+
+        'admin.label': 'Markendaten bearbeiten',
+        'admin.addHint': 'Eine Marke hinzufügen',
+        'admin.add': 'Marke hinzufügen',
+        'admin.undo': 'Rückgängig',
+        'admin.redo': 'Wiederholen',
+        'admin.undoHint': 'Rückgängig: {label}',
+        'admin.redoHint': 'Wiederholen: {label}',
+        'admin.downloadHint': 'Die bearbeiteten Daten als brands.json herunterladen',
+        'admin.undone': 'Rückgängig gemacht: {label}',
+        'admin.redone': 'Wiederholt: {label}',
+        'admin.deleted': '{label}. Rückgängig mit Ctrl+Z.',
+
+        'report.hint': 'Datenqualitätsbericht',
+        'report.label': 'Datenqualitätsbericht anzeigen',
+        'report.title': 'Datenqualitätsbericht',
+        'report.close': 'Datenqualitätsbericht schliessen',
+        'report.loaded': { one: '{count} Marke geladen.', other: '{count} Marken geladen.' },
+        'report.skipped': { one: '{count} ungültiger Eintrag wurde übersprungen;', other: '{count} ungültige Einträge wurden übersprungen;' },
+        'report.warned': { one: '{count} Eintrag hat Warnungen.', other: '{count} Einträge haben Warnungen.' },
+        'report.unnamed': '(Eintrag ohne Namen)',
+        'report.record': ' (Eintrag Nr. {number})',
+        'report.skippedRecord': ' — übersprungen',
+        'report.logos': 'Logos, die nicht geladen werden konnten',
+        'report.logoUsedBy': 'Verwendet von {names}.',
+        'report.englishOnly': 'Die Probleme werden auf Englisch beschrieben.',
+
+        'list.label': 'Markenliste',
+        'radial.label': 'Radiale Markenkarte',
+        'radial.diagram': 'Radialdiagramm der Marken',
+        'radial.hierarchy': 'Markenhierarchie. Mit den Pfeiltasten wechseln Sie zwischen Marken.',
+        'controls.label': 'Steuerelemente der Radialansicht',
+        'layout.hint': 'Layout',
+        'layout.label': 'Diagrammlayout',
+        'layout.radial': 'Radial',
+        'layout.tree': 'Baum',
+        'layout.sunburst': 'Sunburst',
+        'layout.treemap': 'Treemap',
+        'layout.force': 'Netzwerk',
+        'zoom.in': 'Vergrössern',
+        'zoom.out': 'Verkleinern',
+        'zoom.reset': 'Ansicht zurücksetzen',
+        'rotate.left': 'Nach links drehen',
+        'rotate.right': 'Nach rechts drehen',
+        'expand.hint': 'Alle ausklappen',
+        'expand.label': 'Alle Zweige ausklappen',
+        'collapse.hint': 'Bis Ebene einklappen',
+        'collapse.label': 'Zweige unterhalb einer Ebene einklappen',
+        'collapse.prompt': 'Einklappen…',
+        'collapse.toDepth': 'Bis Ebene {depth}',
+        'export.hint': 'Exportieren',
+        'export.label': 'Karte exportieren',
+        'export.resolution': 'Auflösung',
+        'export.scaleLabel': 'PNG-Auflösung',
+        'export.scaleScreen': '1× (Bildschirm)',
+        'export.scalePrint': '4× (Druck)',
+        'export.pdf': 'PDF (A4, mit Legende)',
+        'export.title': 'Nestlé-Markenkarte',
+
+        'timeline.label': 'Zeitleiste',
+        'timeline.toggle': 'Das Portfolio im Zeitverlauf zeigen',
+        'timeline.asOf': 'Stand Ende',
+        'timeline.slider': 'Das Portfolio am Ende eines Jahres zeigen',
+        'timeline.acquired': '{names} erworben',
+        'timeline.divested': '{names} verkauft',
+        'timeline.changes': '{year}: {changes}.',
+        'timeline.separator': '; ',
+        'timeline.none': 'Keine Erwerbe oder Verkäufe im Jahr {year}.',
+        'timeline.off': 'Zeitleiste aus: Alle Marken werden gezeigt.',
+        'focus.button': 'Fokussieren',
+        'focus.label': 'Fokussierter Zweig',
+        'focus.clear': 'Ganze Karte zeigen',
+        'focus.focused': 'Fokus auf {name}.',
+        'focus.cleared': 'Die ganze Karte wird gezeigt.',
+
+        'data.updated': 'Markendaten aktualisiert.',
+        'data.error': 'Fehler beim Laden der Daten',
+        'data.retry': 'Erneut versuchen',
+        'results.none': 'Keine Marken gefunden',
+        'results.hint': 'Passen Sie Ihre Suchkriterien an.',
+
+        'brand.unknown': 'Unbekannte Marke',
+        'brand.logo': 'Logo von {name}',
+        'brand.noDescription': 'Keine Beschreibung vorhanden.',
+        'brand.noTagline': 'Kein Slogan vorhanden.',
+        'brand.unknownRegion': 'Unbekannte Region',
+        'brand.partOf': 'Teil von {parent}',
+        'category.uncategorized': 'Ohne Kategorie',
+        'category.Coffee': 'Kaffee',
+        'category.Sweets': 'Süsswaren',
+        'category.Pet_Care': 'Tiernahrung',
+        'category.Water': 'Wasser',
+        'category.Beverages': 'Getränke',
+        'category.Cereal': 'Cerealien',
+        'category.Icecream': 'Glace',
+        'category.Cosmetics': 'Kosmetik',
+        'category.Fashion': 'Mode',
+        'category.Parent Company': 'Muttergesellschaft',
+
+        'details.about': 'Über die Marke',
+        'details.details': 'Details',
+        'details.category': 'Kategorie:',
+        'details.region': 'Region:',
+        'details.parent': 'Muttermarke:',
+        'details.relationship': 'Beziehung:',
+        'details.acquired': 'Erworben:',
+        'details.divested': 'Verkauft:',
+        'details.website': 'Website',
+        'details.edit': 'Bearbeiten',
+        'details.delete': 'Löschen',
+
+        'editor.edit': 'Marke bearbeiten',
+        'editor.add': 'Eine Marke hinzufügen',
+        'editor.name': 'Name',
+        'editor.category': 'Kategorie',
+        'editor.parent': 'Muttermarke',
+        'editor.parentPlaceholder': 'Keine: direkt im Besitz von Nestlé',
+        'editor.relationship': 'Beziehung',
+        'editor.ownership': 'Anteil (%)',
+        'editor.region': 'Region',
+        'editor.tagline': 'Slogan',
+        'editor.description': 'Beschreibung',
+        'editor.website': 'Website',
+        'editor.acquired': 'Erworben',
+        'editor.datePlaceholder': 'JJJJ, JJJJ-MM oder JJJJ-MM-TT',
+        'editor.divested': 'Verkauft',
+        'editor.divestedPlaceholder': 'Noch im Besitz',
+        'editor.logo': 'Logo',
+        'editor.upload': 'Hochladen…',
+        'editor.save': 'Speichern',
+        'editor.cancel': 'Abbrechen',
+        'editor.translations': 'Die übersetzten Slogans und Beschreibungen ({locales}) bleiben, wie sie sind.',
+        'editor.logoTooLarge': 'Das Logo hat {size} KB; laden Sie eines mit höchstens {max} KB hoch.',
+        'editor.unreadable': 'Die Datei „{name}“ konnte nicht gelesen werden.',
+
+        'relationship.owned': 'Im Besitz',
+        'relationship.jv': 'Joint Venture',
+        'relationship.stake': 'Beteiligung',
+        'relationship.licensed': 'Lizenz',
+        'relationship.ownedShare': 'Zu {share} % im Besitz',
+        'relationship.jvShare': 'Joint Venture zu {share} %',
+        'relationship.stakeShare': 'Beteiligung von {share} %',
+        'relationship.heldBy': '{relationship}, gehalten von {owner}',
+
+        'tooltip.logo': 'Logo/Symbol von {name}',
+        'tooltip.categoryCount': '{category}, Marken: {count}',
+        'tooltip.directCount': 'Marken: {count}',
+        'tooltip.contains': { one: 'Enthält: {count} Eintrag', other: 'Enthält: {count} Einträge' },
+        'tooltip.region': 'Region: {region}',
+        'tooltip.acquired': 'Erworben {acquired}',
+        'tooltip.acquiredDivested': 'Erworben {acquired}, verkauft {divested}',
+        'tooltip.website': 'Website',
+
+        'node.unknown': 'Unbekannt',
+        'node.root': 'Muttergesellschaft',
+        'node.parent': 'Muttermarke',
+        'node.category': 'Kategorie',
+        'node.children': { one: '{count} Kind', other: '{count} Kinder' },
+        'node.collapsed': { one: 'eingeklappt, {count} verborgenes Kind', other: 'eingeklappt, {count} verborgene Kinder' },
+        'node.filtered': 'passt nicht zu den aktuellen Filtern',
+        'node.top': '{name} ist die Spitze der Karte',
+        'node.leaf': '{name} hat keine Kinder',
+        'root.description': 'Weltweit führend bei Nahrungsmitteln und Getränken.',
+
+        'legend.label': 'Kategorien. Klicken Sie, um eine Kategorie ein- oder auszublenden, Umschalt-Klick zeigt nur diese Kategorie.',
+        'legend.labelPlain': 'Kategorien',
+        'legend.row': { one: '{category}, {count} Marke', other: '{category}, {count} Marken' },
+        'legend.rowHidden': { one: '{category}, {count} Marke, ausgeblendet', other: '{category}, {count} Marken, ausgeblendet' },
+        'legend.shown': '{category} eingeblendet',
+        'legend.hidden': '{category} ausgeblendet',
+        'legend.shownAlone': '{category} eingeblendet, andere Kategorien ausgeblendet'
+    },
+
+    ja: {
+        'loading': 'ネスレ ブランドマップを読み込み中…',
+        'theme.toggle': 'ダーク／ライトモードを切り替え',
+        'theme.contrast': 'ハイコントラスト',
+        'theme.motion': '動きを減らす',
+        'preferences.reset': '設定をリセット',
+        'preferences.resetDone': '設定をリセットしました',
+        'locale.label': '言語',
+        'locale.changed': '言語：{name}',
+
+        'help.button': 'ヘルプ／ガイド',
+        'help.buttonLabel': 'ヘルプとガイドを表示',
+        'help.title': 'ブランドマップの使い方',
+        'help.views': '<b>表示の切り替え：</b>マップ上部のボタンで、図表示とリスト表示を切り替えます。',
+        'help.layouts': '<b>レイアウト：</b>図の下のメニューで、放射状マップ、ツリー、サンバースト、ツリーマップ、ネットワークに切り替えます。サンバーストではセグメントをダブルクリックで拡大し、中心をダブルクリックで戻ります。ネットワークではノードをドラッグして配置を変えられます。',
+        'help.legend': '<b>凡例：</b>各行にカテゴリのアイコンと色、一致するブランド数が表示されます。行をクリックするとカテゴリの表示／非表示を切り替え、Shift キーを押しながらクリックするとそのカテゴリだけを表示します（もう一度 Shift＋クリックで他のカテゴリも戻ります）。',
+        'help.collapse': '<b>枝の折りたたみ：</b>カテゴリや親ブランドをクリックする（または + と - キー、ツリーの +/&minus; バッジを使う）と、その枝を折りたたんだり展開したりできます。「+N」バッジは隠れているノードの数です。マップ下部の「すべて展開」と「折りたたみ…」メニューで、マップ全体を一度に開閉できます。',
+        'help.zoom': '<b>ズームと回転：</b>マップ下部のコントロールを使うか、タッチ端末ではピンチや回転の操作を使います。',
+        'help.search': '<b>検索と絞り込み：</b>検索ボックスとフィルターパネルでブランドを探せます。パネルではカテゴリ、地域、親会社にチェックを入れます。数字はその選択で残るブランド数で、グローバル展開のブランドはどの地域にも一致します。検索はアクセントや小さな入力ミスを無視し、名前、タグライン、カテゴリ、地域、親ブランド、説明を対象にします。最も一致したブランドが図の中央に表示され、一致箇所が強調表示されます。「関係」フィルターは、保有形態（所有、合弁、出資、ライセンス）でブランドを選びます。<code>category:Water</code>、<code>region:Europe</code>、<code>parent:"L\'Oréal"</code> のように語をひとつの項目に限定でき、AND（既定）、OR、NOT（または先頭の -）で語を組み合わせ、括弧でまとめ、引用符で完全一致の語句を指定できます。',
+        'help.tooltips': '<b>ツールチップ：</b>ノードにカーソルを合わせるかタップすると詳細が表示されます。クリックで固定／解除します。',
+        'help.links': '<b>リンク：</b>ブランドへのリンクの太さは所有者の持分を表し、出資、合弁、ライセンスの場合は破線になります（凡例の下に説明があります）。リンクにカーソルを合わせると関係が表示されます。',
+        'help.keyboard': '<b>キーボード：</b>Tab キーでマップに入り、上下キーでノードとその子の間を、左右キーで兄弟ノードの間を移動し、Home キーでネスレに戻ります。Enter キーでブランドの詳細を開き、スペースキーでツールチップを固定し、Esc キーで解除します。',
+        'help.share': '<b>共有：</b>アドレスバーには常に現在の表示、フィルター、ズーム、固定したブランドが反映されます &mdash; コピーして共有できます。戻る／進むで変更をたどれます。',
+        'help.report': '<b>データレポート：</b>無効なブランドレコードがある場合、ツールバーの警告ボタンにその一覧と問題点が表示されます。',
+        'help.export': '<b>エクスポート：</b>マップ下部のダウンロードボタンで、現在の表示を SVG、PNG（解像度を選択）、または凡例付きの A4 PDF として保存します。',
+        'help.theme': '<b>テーマ：</b>上部の太陽／月のアイコンでテーマを、その隣の半分塗りの円でハイコントラストを切り替えます。一時停止アイコンでアニメーションをオフにします。',
+        'help.colours': '<b>色：</b>ツールバーの色メニューで、赤緑の色覚特性でも区別しやすいパレットや、ハイコントラストの色（ハイコントラストモードでは自動で使用）に切り替えます。「形」をオンにすると、図、凡例、リストで各カテゴリに固有の形とハッチングも付きます。',
+        'help.language': '<b>言語：</b>ツールバーの言語メニューで、マップの表示言語と、翻訳のあるブランドのタグラインや説明の言語を切り替えます。',
+        'help.timeline': '<b>タイムライン：</b>図の下の時計ボタンで、ブランドの取得日と売却日に基づき、ある年の年末時点のポートフォリオを表示します。スライダーを動かすと（目盛りは変化のあった年です）ブランドの加入と離脱を確認できます。ボタンをもう一度押すとすべてのブランドを表示します。',
+        'help.focus': '<b>フォーカス：</b>放射状・ツリー・ネットワークのレイアウトでノードをダブルクリックするか、ノード上で F キーを押すか、固定したツールチップの「フォーカス」を使うと、そのノードが中央に移動します。そのブランチは強調され、ほかの部分は薄く表示されます。マップ上部のバーからネスレまでさかのぼれます。',
+        'help.compare': '<b>比較：</b>ツールバーの「比較」を押し、図またはリストで 2～4 個のブランドをクリックし（または Enter キーを押し）、下部のバーでもう一度「比較」を押します。パネルにブランドが並べて表示され、異なる項目が強調されます。「CSV をエクスポート」で比較結果を保存できます。',
+        'help.editing': '<b>編集：</b>ツールバーの「ブランドを追加」でブランドを作成します。ブランドの詳細には「編集」と「削除」ボタンがあります。変更はすべてマップに表示される前に検証されます。「元に戻す」と「やり直す」（または Ctrl+Z と Ctrl+Y）で編集をたどり、brands.json で編集済みデータをダウンロードしてサーバー上のファイルと置き換えます。アップロードしたロゴはファイル自体に保存されます。',
+        'help.preferences': '<b>設定：</b>マップはテーマ、コントラスト、言語、表示、フィルター、ズーム、回転、折りたたんだ枝を次回のために記憶します。テーマやコントラストを選ぶまではシステム設定に従い、システムが視差効果を減らす設定の場合はアニメーションを省略します。カラーパレットと形の設定も記憶されます。上部の矢印アイコンですべて既定に戻せます。',
+
+        'view.choose': '表示を選択',
+        'view.diagram': '図',
+        'view.list': 'リスト',
+        'search.placeholder': 'ブランドを検索…',
+        'search.label': 'ブランドを検索',
+        'search.hint': 'ブランドを検索（例：coffee OR category:Water -region:Europe）',
+        'filters.hint': 'カテゴリ、地域、親会社で絞り込み',
+        'filters.button': 'フィルター',
+        'filters.panel': 'ブランドを絞り込む',
+        'filters.clear': 'すべてクリア',
+        'facet.category': 'カテゴリ',
+        'facet.region': '地域',
+        'facet.regionNote': 'グローバル展開のブランドはすべての地域に一致します。',
+        'facet.parent': '親会社',
+        'facet.relationship': '関係',
+        'facet.direct': '{name}（直接）',
+        'colours.label': '色',
+        'palette.label': 'カラーパレット',
+        'palette.default': '標準色',
+        'palette.colorblind': '色覚多様性対応',
+        'palette.highContrast': 'ハイコントラスト',
+        'shapes.hint': '色に加えて形と模様でカテゴリを区別',
+        'shapes.button': '形',
+
+        'compare.hint': 'ブランドを選んで並べて比較',
+        'compare.button': '比較',
+        'compare.tray': '比較するブランド',
+        'compare.pick': '図またはリストで 2～4 個のブランドをクリックしてください。',
+        'compare.clear': 'クリア',
+        'compare.title': 'ブランドを比較',
+        'compare.differencesOnly': '違いのみ表示',
+        'compare.export': 'CSV をエクスポート',
+        'compare.differs': '（相違あり）',
+        'compare.modeOn': '比較モード：2～{max} 個のブランドを選んでください。',
+        'compare.modeOff': '比較モードを終了しました。',
+        'compare.added': '{name} を比較に追加しました（{count}/{max}）。',
+        'compare.removed': '{name} を比較から外しました。',
+        'compare.full': '比較できるのは最大 {max} 個です。先にひとつ外してください。',
+        'compare.remove': '{name} を比較から外す',
+        'compare.tooFew': '比較するブランドを 2 個以上選んでください。',
+        'compare.field': '項目',
+        'compare.differsColumn': '相違',
+        'compare.yes': 'あり',
+        'compare.field.category': 'カテゴリ',
+        'compare.field.region': '地域',
+        'compare.field.parent_brand': '親ブランド',
+        'compare.field.tagline': 'タグライン',
+        'compare.field.description': '説明',
+        'compare.field.logo_url': 'ロゴ',
+        'compare.field.website': 'ウェブサイト',
+
+        'admin.label': 'ブランドデータを編集',
+        'admin.addHint': 'ブランドを追加',
+        'admin.add': 'ブランドを追加',
+        'admin.undo': '元に戻す',
+        'admin.redo': 'やり直す',
+        'admin.undoHint': '元に戻す：{label}',
+        'admin.redoHint': 'やり直す：{label}',
+        'admin.downloadHint': '編集したデータを brands.json としてダウンロード',
+        'admin.undone': '元に戻しました：{label}',
+        'admin.redone': 'やり直しました：{label}',
+        'admin.deleted': '{label}。Ctrl+Z で元に戻せます。',
+
+        'report.hint': 'データ品質レポート',
+        'report.label': 'データ品質レポートを表示',
+        'report.title': 'データ品質レポート',
+        'report.close': 'データ品質レポートを閉じる',
+        'report.loaded': { other: '{count} 件のブランドを読み込みました。' },
+        'report.skipped': { other: '無効な {count} 件のレコードをスキップしました。' },
+        'report.warned': { other: '{count} 件のレコードに警告があります。' },
+        'report.unnamed': '（名前のないレコード）',
+        'report.record': '（レコード #{number}）',
+        'report.skippedRecord': ' — スキップ',
+        'report.logos': '読み込めなかったロゴ',
+        'report.logoUsedBy': '使用ブランド: {names}。',
+        'report.englishOnly': '問題の説明は英語のみです。',
+
+        'list.label': 'ブランド一覧',
+        'radial.label': '放射状ブランドマップ',
+        'radial.diagram': 'ブランドの放射状図',
+        'radial.hierarchy': 'ブランドの階層。矢印キーでブランド間を移動します。',
+        'controls.label': '放射状表示のコントロール',
+        'layout.hint': 'レイアウト',
+        'layout.label': '図のレイアウト',
+        'layout.radial': '放射状',
+        'layout.tree': 'ツリー',
+        'layout.sunburst': 'サンバースト',
+        'layout.treemap': 'ツリーマップ',
+        'layout.force': 'ネットワーク',
+        'zoom.in': '拡大',
+        'zoom.out': '縮小',
+        'zoom.reset': '表示をリセット',
+        'rotate.left': '左に回転',
+        'rotate.right': '右に回転',
+        'expand.hint': 'すべて展開',
+        'expand.label': 'すべての枝を展開',
+        'collapse.hint': '指定の深さまで折りたたむ',
+        'collapse.label': '指定の深さより下の枝を折りたたむ',
+        'collapse.prompt': '折りたたみ…',
+        'collapse.toDepth': '深さ {depth} まで',
+        'export.hint': 'エクスポート',
+        'export.label': 'マップをエクスポート',
+        'export.resolution': '解像度',
+        'export.scaleLabel': 'PNG の解像度',
+        'export.scaleScreen': '1×（画面）',
+        'export.scalePrint': '4×（印刷）',
+        'export.pdf': 'PDF（A4、凡例付き）',
+        'export.title': 'ネスレ ブランドマップ',
+
+        'timeline.label': 'タイムライン',
+        'timeline.toggle': 'ポートフォリオの推移を表示',
+        'timeline.asOf': '時点',
+        'timeline.slider': 'ある年の年末時点のポートフォリオを表示',
+        'timeline.acquired': '{names} を取得',
+        'timeline.divested': '{names} を売却',
+        'timeline.changes': '{year}年：{changes}。',
+        'timeline.separator': '、',
+        'timeline.none': '{year}年には取得も売却もありません。',
+        'timeline.off': 'タイムラインを終了：すべてのブランドを表示しています。',
+        'focus.button': 'フォーカス',
+        'focus.label': 'フォーカス中のブランチ',
+        'focus.clear': 'マップ全体を表示',
+        'focus.focused': '{name} にフォーカスしました。',
+        'focus.cleared': 'マップ全体を表示しています。',
+
+        'data.updated': 'ブランドデータを更新しました。',
+        'data.error': 'データの読み込みエラー',
+        'data.retry': '再試行',
+        'results.none': 'ブランドが見つかりません',
+        'results.hint': '検索条件を変更してみてください。',
+
+        'brand.unknown': '不明なブランド',
+        'brand.logo': '{name} のロゴ',
+        'brand.noDescription': '説明はありません。',
+        'brand.noTagline': 'タグラインはありません。',
+        'brand.unknownRegion': '地域不明',
+        'brand.partOf': '{parent} 傘下',
+        'category.uncategorized': '未分類',
+        'category.Coffee': 'コーヒー',
+        'category.Sweets': '菓子',
+        'category.Pet_Care': 'ペットケア',
+        'category.Water': 'ウォーター',
+        'category.Beverages': '飲料',
+        'category.Cereal': 'シリアル',
+        'category.Icecream': 'アイスクリーム',
+        'category.Cosmetics': '化粧品',
+        'category.Fashion': 'ファッション',
+        'category.Parent Company': '親会社',
+
+        'details.about': '概要',
+        'details.details': '詳細',
+        'details.category': 'カテゴリ：',
+        'details.region': '地域：',
+        'details.parent': '親ブランド：',
+        'details.relationship': '関係：',
+        'details.acquired': '取得：',
+        'details.divested': '売却：',
+        'details.website': 'ウェブサイト',
+        'details.edit': '編集',
+        'details.delete': '削除',
+
+        'editor.edit': 'ブランドを編集',
+        'editor.add': 'ブランドを追加',
+        'editor.name': '名前',
+        'editor.category': 'カテゴリ',
+        'editor.parent': '親ブランド',
+        'editor.parentPlaceholder': 'なし：ネスレが直接所有',
+        'editor.relationship': '関係',
+        'editor.ownership': '持分（%）',
+        'editor.region': '地域',
+        'editor.tagline': 'タグライン',
+        'editor.description': '説明',
+        'editor.website': 'ウェブサイト',
+        'editor.acquired': '取得',
+        'editor.datePlaceholder': 'YYYY、YYYY-MM、または YYYY-MM-DD',
+        'editor.divested': '売却',
+        'editor.divestedPlaceholder': '保有中',
+        'editor.logo': 'ロゴ',
+        'editor.upload': 'アップロード…',
+        'editor.save': '保存',
+        'editor.cancel': 'キャンセル',
+        'editor.translations': '翻訳済みのタグラインと説明（{locales}）はそのまま残ります。',
+        'editor.logoTooLarge': 'ロゴは {size} KB です。{max} KB 以下のものをアップロードしてください。',
+        'editor.unreadable': 'ファイル「{name}」を読み込めませんでした。',
+
+        'relationship.owned': '所有',
+        'relationship.jv': '合弁',
+        'relationship.stake': '出資',
+        'relationship.licensed': 'ライセンス',
+        'relationship.ownedShare': '{share}% 所有',
+        'relationship.jvShare': '{share}% 合弁',
+        'relationship.stakeShare': '{share}% 出資',
+        'relationship.heldBy': '{relationship}（保有：{owner}）',
+
+        'tooltip.logo': '{name} のロゴ／アイコン',
+        'tooltip.categoryCount': '{category}のブランド：{count}',
+        'tooltip.directCount': 'ブランド：{count}',
+        'tooltip.contains': { other: '含まれる項目：{count}' },
+        'tooltip.region': '地域：{region}',
+        'tooltip.acquired': '取得 {acquired}',
+        'tooltip.acquiredDivested': '取得 {acquired}、売却 {divested}',
+        'tooltip.website': 'ウェブサイト',
+
+        'node.unknown': '不明',
+        'node.root': '親会社',
+        'node.parent': '親ブランド',
+        'node.category': 'カテゴリ',
+        'node.children': { other: '子 {count} 件' },
+        'node.collapsed': { other: '折りたたみ中、非表示の子 {count} 件' },
+        'node.filtered': '現在のフィルターに一致しません',
+        'node.top': '{name} はマップの最上位です',
+        'node.leaf': '{name} には子がありません',
+        'root.description': '食品・飲料の世界的リーダー。',
+
+        'legend.label': 'カテゴリ。クリックで表示／非表示を切り替え、Shift＋クリックでそのカテゴリだけを表示します。',
+        'legend.labelPlain': 'カテゴリ',
+        'legend.row': { other: '{category}、{count} ブランド' },
+        'legend.rowHidden': { other: '{category}、{count} ブランド、非表示' },
+        'legend.shown': '{category} を表示',
+        'legend.hidden': '{category} を非表示',
+        'legend.shownAlone': '{category} を表示、他のカテゴリを非表示'
+    },
+
+    ar: {
+        'loading': 'جارٍ تحميل خريطة علامات نستله…',
+        'theme.toggle': 'التبديل بين الوضع الداكن والفاتح',
+        'theme.contrast': 'تباين عالٍ',
+        'theme.motion': 'تقليل الحركة',
+        'preferences.reset': 'إعادة ضبط التفضيلات',
+        'preferences.resetDone': 'تمت إعادة ضبط التفضيلات',
+        'locale.label': 'اللغة',
+        'locale.changed': 'اللغة: {name}',
+
+        'help.button': 'مساعدة / دليل',
+        'help.buttonLabel': 'عرض المساعدة والدليل',
+        'help.title': 'كيفية استخدام خريطة العلامات التجارية',
+        'help.views': '<b>تبديل العرض:</b> استخدم الأزرار أعلى الخريطة للتبديل بين عرض المخطط وعرض القائمة.',
+        'help.layouts': '<b>التخطيطات:</b> تعرض القائمة أسفل المخطط الخريطة بشكل شعاعي أو شجرة أو مخطط شمسي أو خريطة شجرية أو شبكة. في المخطط الشمسي، انقر نقرًا مزدوجًا على قطاع للتكبير إليه وعلى المركز للرجوع؛ وفي الشبكة، اسحب العُقد لإعادة ترتيبها.',
+        'help.legend': '<b>مفتاح الخريطة:</b> يعرض كل صف أيقونة الفئة ولونها وعدد علاماتها المطابقة. انقر على صف لإخفاء الفئة أو إظهارها، وانقر مع Shift لإظهار تلك الفئة وحدها (انقر مع Shift مرة أخرى لإعادة الفئات الأخرى).',
+        'help.collapse': '<b>طي الفروع:</b> انقر على فئة أو علامة أم (أو استخدم المفتاحين + و- أو شارات +/&minus; في الشجرة) لطي فرعها وفتحه مجددًا؛ وتبيّن شارة "+N" عدد العُقد المخفية. يفتح زر "توسيع الكل" وقائمة "طي…" أسفل الخريطة الخريطة كلها أو يطويانها دفعة واحدة.',
+        'help.zoom': '<b>التكبير والتدوير:</b> استخدم عناصر التحكم أسفل الخريطة، أو القرص والتدوير على الأجهزة اللمسية.',
+        'help.search': '<b>البحث والتصفية:</b> استخدم مربع البحث ولوحة عوامل التصفية للعثور على العلامات. في اللوحة، حدّد الفئات والمناطق والشركات الأم؛ تبيّن الأرقام عدد العلامات التي يتركها كل اختيار، والعلامات المتوفرة عالميًا تطابق كل المناطق. يتجاهل البحث علامات التشكيل والأخطاء الإملائية الصغيرة ويبحث في الأسماء والشعارات والفئات والمناطق والعلامات الأم والأوصاف؛ وتوضع أفضل نتيجة في وسط المخطط وتُبرز النتائج المطابقة. يختار عامل تصفية العلاقة العلامات حسب طريقة امتلاكها: مملوكة أو مشروع مشترك أو حصة أو ترخيص. قيّد كلمة بحقل واحد باستخدام <code>category:Water</code> أو <code>region:Europe</code> أو <code>parent:"L\'Oréal"</code>، واجمع الكلمات باستخدام AND (الافتراضي) وOR وNOT (أو - في البداية)، وجمّعها بين أقواس وضع العبارات الدقيقة بين علامتي اقتباس.',
+        'help.tooltips': '<b>التلميحات:</b> مرّر المؤشر فوق عقدة أو انقر عليها لرؤية التفاصيل. انقر لتثبيت التلميح أو إلغاء تثبيته.',
+        'help.links': '<b>الروابط:</b> يزداد سُمك الرابط إلى علامة بزيادة الحصة التي يملكها مالكها، ويكون متقطعًا للحصة أو المشروع المشترك أو الترخيص (الشرح أسفل مفتاح الخريطة). مرّر المؤشر فوق رابط لقراءة العلاقة.',
+        'help.keyboard': '<b>لوحة المفاتيح:</b> انتقل إلى الخريطة بمفتاح Tab، ثم استخدم الأعلى/الأسفل للتنقل بين عقدة وأبنائها، واليسار/اليمين بين العقد الشقيقة، وHome للعودة إلى نستله. يفتح Enter تفاصيل العلامة، ويثبّت المسافة تلميحها ويلغي Escape تثبيته.',
+        'help.share': '<b>المشاركة:</b> يعكس شريط العنوان دائمًا العرض الحالي وعوامل التصفية والتكبير والعلامة المثبتة &mdash; انسخه لمشاركته. ينقلك الرجوع/التقدّم بين تغييراتك.',
+        'help.report': '<b>تقرير البيانات:</b> إذا كانت بعض سجلات العلامات غير صالحة، يعرضها زر تحذير في شريط الأدوات ويشرح الخطأ.',
+        'help.export': '<b>التصدير:</b> يحفظ زر التنزيل أسفل الخريطة العرض الحالي بصيغة SVG أو PNG (اختر الدقة) أو PDF بحجم A4 مع مفتاح الخريطة.',
+        'help.theme': '<b>السمة:</b> استخدم أيقونة الشمس/القمر في الأعلى، والدائرة نصف الممتلئة بجانبها للتباين العالي. وتوقف أيقونة الإيقاف المؤقت الحركات.',
+        'help.colours': '<b>الألوان:</b> تبدّل قائمة الألوان في شريط الأدوات ألوان الفئات إلى لوحة تبقى مميّزة مع عمى الألوان الأحمر والأخضر، أو إلى ألوان عالية التباين (تُستخدم تلقائيًا في وضع التباين العالي). ويضيف زر الأشكال لكل فئة شكلًا وتظليلًا خاصين بها في المخطط ومفتاح الخريطة والقائمة.',
+        'help.language': '<b>اللغة:</b> تبدّل قائمة اللغات في شريط الأدوات لغة الخريطة، وكذلك شعارات العلامات وأوصافها المترجمة.',
+        'help.timeline': '<b>الخط الزمني:</b> يعرض زر الساعة أسفل المخطط المحفظة كما كانت في نهاية سنة ما، بحسب تواريخ استحواذ العلامات وبيعها. اسحب شريط التمرير (العلامات عليه هي السنوات التي شهدت تغييرات) لمشاهدة العلامات وهي تنضم وتغادر؛ واضغط الزر مرة أخرى لإظهار كل العلامات.',
+        'help.focus': '<b>التركيز:</b> انقر نقرًا مزدوجًا على عقدة في التخطيط الشعاعي أو الشجري أو الشبكي، أو اضغط F عليها، أو استخدم "تركيز" في تلميحها المثبّت لنقلها إلى المركز. يبقى فرعها بارزًا بينما يخفت باقي الخريطة، ويعيدك الشريط أعلى الخريطة إلى نستله.',
+        'help.compare': '<b>المقارنة:</b> اضغط "مقارنة" في شريط الأدوات، ثم انقر على علامتين إلى أربع علامات في المخطط أو القائمة (أو اضغط Enter عليها) ثم "مقارنة" مجددًا في الشريط السفلي. تعرض اللوحة العلامات جنبًا إلى جنب مع إبراز الحقول المختلفة، ويحفظ "تصدير CSV" المقارنة.',
+        'help.editing': '<b>التحرير:</b> ينشئ زر "إضافة علامة" في شريط الأدوات علامة جديدة؛ وفي تفاصيل كل علامة زرّا "تحرير" و"حذف". يُتحقق من كل تغيير قبل عرضه على الخريطة. ينقلك "تراجع" و"إعادة" (أو Ctrl+Z وCtrl+Y) بين تعديلاتك، ويُنزّل brands.json البيانات المعدّلة لاستبدال الملف على الخادم. تُحفظ الشعارات المرفوعة في الملف نفسه.',
+        'help.preferences': '<b>التفضيلات:</b> تتذكر الخريطة السمة والتباين واللغة والعرض وعوامل التصفية والتكبير والتدوير والفروع المطوية لزيارتك القادمة. وإلى أن تختار سمة أو تباينًا تتبع إعدادات نظامك، وتُتخطى الحركات إذا طلب نظامك تقليل الحركة. وتُحفظ لوحة الألوان والأشكال أيضًا. تعيد أيقونة السهم في الأعلى كل شيء إلى الإعدادات الافتراضية.',
+
+        'view.choose': 'اختر العرض',
+        'view.diagram': 'مخطط',
+        'view.list': 'قائمة',
+        'search.placeholder': 'ابحث عن العلامات…',
+        'search.label': 'ابحث عن العلامات',
+        'search.hint': 'ابحث عن العلامات، مثل coffee OR category:Water -region:Europe',
+        'filters.hint': 'التصفية حسب الفئة والمنطقة والشركة الأم',
+        'filters.button': 'عوامل التصفية',
+        'filters.panel': 'تصفية العلامات',
+        'filters.clear': 'مسح الكل',
+        'facet.category': 'الفئة',
+        'facet.region': 'المنطقة',
+        'facet.regionNote': 'العلامات المتوفرة عالميًا تطابق كل المناطق.',
+        'facet.parent': 'الشركة الأم',
+        'facet.relationship': 'العلاقة',
+        'facet.direct': '{name} (مباشرة)',
+        'colours.label': 'الألوان',
+        'palette.label': 'لوحة الألوان',
+        'palette.default': 'الألوان القياسية',
+        'palette.colorblind': 'ملائمة لعمى الألوان',
+        'palette.highContrast': 'تباين عالٍ',
+        'shapes.hint': 'تمييز الفئات بالأشكال والأنماط إلى جانب الألوان',
+        'shapes.button': 'الأشكال',
+
+        'compare.hint': 'اختر علامات لمقارنتها جنبًا إلى جنب',
+        'compare.button': 'مقارنة',
+        'compare.tray': 'العلامات المراد مقارنتها',
+        'compare.pick': 'انقر على علامتين إلى أربع علامات في المخطط أو القائمة.',
+        'compare.clear': 'مسح',
+        'compare.title': 'مقارنة العلامات',
+        'compare.differencesOnly': 'إظهار الاختلافات فقط',
+        'compare.export': 'تصدير CSV',
+        'compare.differs': '(مختلف)',
+        'compare.modeOn': 'وضع المقارنة: اختر من علامتين إلى {max} علامات.',
+        'compare.modeOff': 'أُوقف وضع المقارنة.',
+        'compare.added': 'أُضيفت {name} إلى المقارنة ({count} من {max}).',
+        'compare.removed': 'أُزيلت {name} من المقارنة.',
+        'compare.full': 'يمكن مقارنة {max} علامات على الأكثر. أزل واحدة أولًا.',
+        'compare.remove': 'إزالة {name} من المقارنة',
+        'compare.tooFew': 'اختر علامتين على الأقل للمقارنة.',
+        'compare.field': 'الحقل',
+        'compare.differsColumn': 'مختلف',
+        'compare.yes': 'نعم',
+        'compare.field.category': 'الفئة',
+        'compare.field.region': 'المنطقة',
+        'compare.field.parent_brand': 'العلامة الأم',
+        'compare.field.tagline': 'الشعار',
+        'compare.field.description': 'الوصف',
+        'compare.field.logo_url': 'الشعار المرئي',
+        'compare.field.website': 'الموقع الإلكتروني',
+
+        'admin.label': 'تحرير بيانات العلامات',
+        'admin.addHint': 'إضافة علامة',
+        'admin.add': 'إضافة علامة',
+        'admin.undo': 'تراجع',
+        'admin.redo': 'إعادة',
+        'admin.undoHint': 'تراجع: {label}',
+        'admin.redoHint': 'إعادة: {label}',
+        'admin.downloadHint': 'تنزيل البيانات المعدّلة بصيغة brands.json',
+        'admin.undone': 'تم التراجع: {label}',
+        'admin.redone': 'تمت الإعادة: {label}',
+        'admin.deleted': '{label}. تراجع باستخدام Ctrl+Z.',
+
+        'report.hint': 'تقرير جودة البيانات',
+        'report.label': 'عرض تقرير جودة البيانات',
+        'report.title': 'تقرير جودة البيانات',
+        'report.close': 'إغلاق تقرير جودة البيانات',
+        'report.loaded': { other: 'عدد العلامات المحمّلة: {count}.' },
+        'report.skipped': { other: 'عدد السجلات غير الصالحة التي تم تخطيها: {count}؛' },
+        'report.warned': { other: 'عدد السجلات التي فيها تحذيرات: {count}.' },
+        'report.unnamed': '(سجل بلا اسم)',
+        'report.record': ' (السجل رقم {number})',
+        'report.skippedRecord': ' — تم تخطيه',
+        'report.logos': 'شعارات تعذّر تحميلها',
+        'report.logoUsedBy': 'تستخدمه: {names}.',
+        'report.englishOnly': 'تُعرض المشكلات باللغة الإنجليزية.',
+
+        'list.label': 'قائمة العلامات',
+        'radial.label': 'خريطة العلامات الشعاعية',
+        'radial.diagram': 'مخطط شعاعي للعلامات',
+        'radial.hierarchy': 'تسلسل العلامات. استخدم مفاتيح الأسهم للتنقل بين العلامات.',
+        'controls.label': 'عناصر التحكم في العرض الشعاعي',
+        'layout.hint': 'التخطيط',
+        'layout.label': 'تخطيط المخطط',
+        'layout.radial': 'شعاعي',
+        'layout.tree': 'شجرة',
+        'layout.sunburst': 'مخطط شمسي',
+        'layout.treemap': 'خريطة شجرية',
+        'layout.force': 'شبكة',
+        'zoom.in': 'تكبير',
+        'zoom.out': 'تصغير',
+        'zoom.reset': 'إعادة ضبط العرض',
+        'rotate.left': 'تدوير لليسار',
+        'rotate.right': 'تدوير لليمين',
+        'expand.hint': 'توسيع الكل',
+        'expand.label': 'توسيع كل الفروع',
+        'collapse.hint': 'الطي حتى مستوى',
+        'collapse.label': 'طي الفروع أسفل مستوى معيّن',
+        'collapse.prompt': 'طي…',
+        'collapse.toDepth': 'حتى المستوى {depth}',
+        'export.hint': 'تصدير',
+        'export.label': 'تصدير الخريطة',
+        'export.resolution': 'الدقة',
+        'export.scaleLabel': 'دقة PNG',
+        'export.scaleScreen': '1× (الشاشة)',
+        'export.scalePrint': '4× (الطباعة)',
+        'export.pdf': 'PDF (A4، مع مفتاح الخريطة)',
+        'export.title': 'خريطة علامات نستله',
+
+        'timeline.label': 'الخط الزمني',
+        'timeline.toggle': 'عرض المحفظة عبر الزمن',
+        'timeline.asOf': 'حتى نهاية',
+        'timeline.slider': 'عرض المحفظة كما كانت في نهاية سنة',
+        'timeline.acquired': 'الاستحواذ على {names}',
+        'timeline.divested': 'بيع {names}',
+        'timeline.changes': '{year}: {changes}.',
+        'timeline.separator': '؛ ',
+        'timeline.none': 'لا استحواذ ولا بيع في {year}.',
+        'timeline.off': 'أُوقف الخط الزمني: تظهر كل العلامات.',
+        'focus.button': 'تركيز',
+        'focus.label': 'الفرع المحدد',
+        'focus.clear': 'عرض الخريطة كاملة',
+        'focus.focused': 'التركيز على {name}.',
+        'focus.cleared': 'تُعرض الخريطة كاملة.',
+
+        'data.updated': 'تم تحديث بيانات العلامات.',
+        'data.error': 'خطأ في تحميل البيانات',
+        'data.retry': 'إعادة المحاولة',
+        'results.none': 'لم يُعثر على علامات',
+        'results.hint': 'جرّب تعديل معايير البحث.',
+
+        'brand.unknown': 'علامة غير معروفة',
+        'brand.logo': 'شعار {name}',
+        'brand.noDescription': 'لا يتوفر وصف.',
+        'brand.noTagline': 'لا يتوفر شعار.',
+        'brand.unknownRegion': 'منطقة غير معروفة',
+        'brand.partOf': 'جزء من {parent}',
+        'category.uncategorized': 'غير مصنّف',
+        'category.Coffee': 'القهوة',
+        'category.Sweets': 'الحلويات',
+        'category.Pet_Care': 'رعاية الحيوانات الأليفة',
+        'category.Water': 'المياه',
+        'category.Beverages': 'المشروبات',
+        'category.Cereal': 'حبوب الإفطار',
+        'category.Icecream': 'المثلجات',
+        'category.Cosmetics': 'مستحضرات التجميل',
+        'category.Fashion': 'الأزياء',
+        'category.Parent Company': 'الشركة الأم',
+
+        'details.about': 'نبذة',
+        'details.details': 'التفاصيل',
+        'details.category': 'الفئة:',
+        'details.region': 'المنطقة:',
+        'details.parent': 'العلامة الأم:',
+        'details.relationship': 'العلاقة:',
+        'details.acquired': 'الاستحواذ:',
+        'details.divested': 'البيع:',
+        'details.website': 'الموقع الإلكتروني',
+        'details.edit': 'تحرير',
+        'details.delete': 'حذف',
+
+        'editor.edit': 'تحرير العلامة',
+        'editor.add': 'إضافة علامة',
+        'editor.name': 'الاسم',
+        'editor.category': 'الفئة',
+        'editor.parent': 'العلامة الأم',
+        'editor.parentPlaceholder': 'لا شيء: مملوكة لنستله مباشرة',
+        'editor.relationship': 'العلاقة',
+        'editor.ownership': 'نسبة الملكية (%)',
+        'editor.region': 'المنطقة',
+        'editor.tagline': 'الشعار',
+        'editor.description': 'الوصف',
+        'editor.website': 'الموقع الإلكتروني',
+        'editor.acquired': 'الاستحواذ',
+        'editor.datePlaceholder': 'YYYY أو YYYY-MM أو YYYY-MM-DD',
+        'editor.divested': 'البيع',
+        'editor.divestedPlaceholder': 'ما زالت مملوكة',
+        'editor.logo': 'الشعار المرئي',
+        'editor.upload': 'رفع…',
+        'editor.save': 'حفظ',
+        'editor.cancel': 'إلغاء',
+        'editor.translations': 'تبقى الشعارات والأوصاف المترجمة ({locales}) كما هي.',
+        'editor.logoTooLarge': 'حجم الشعار {size} كيلوبايت؛ ارفع شعارًا لا يتجاوز {max} كيلوبايت.',
+        'editor.unreadable': 'تعذرت قراءة الملف "{name}".',
+
+        'relationship.owned': 'مملوكة',
+        'relationship.jv': 'مشروع مشترك',
+        'relationship.stake': 'حصة',
+        'relationship.licensed': 'بترخيص',
+        'relationship.ownedShare': 'مملوكة بنسبة {share}%',
+        'relationship.jvShare': 'مشروع مشترك بنسبة {share}%',
+        'relationship.stakeShare': 'حصة بنسبة {share}%',
+        'relationship.heldBy': '{relationship}، لدى {owner}',
+
+        'tooltip.logo': 'شعار أو أيقونة {name}',
+        'tooltip.categoryCount': 'علامات {category}: {count}',
+        'tooltip.directCount': 'العلامات: {count}',
+        'tooltip.contains': { other: 'العناصر: {count}' },
+        'tooltip.region': 'المنطقة: {region}',
+        'tooltip.acquired': 'الاستحواذ {acquired}',
+        'tooltip.acquiredDivested': 'الاستحواذ {acquired}، البيع {divested}',
+        'tooltip.website': 'الموقع الإلكتروني',
+
+        'node.unknown': 'غير معروف',
+        'node.root': 'الشركة الأم',
+        'node.parent': 'علامة أم',
+        'node.category': 'فئة',
+        'node.children': { other: 'عدد الأبناء: {count}' },
+        'node.collapsed': { other: 'مطوية، عدد الأبناء المخفيين: {count}' },
+        'node.filtered': 'لا تطابق عوامل التصفية الحالية',
+        'node.top': '{name} في قمة الخريطة',
+        'node.leaf': 'ليس لـ {name} أبناء',
+        'root.description': 'رائدة عالميًا في الأغذية والمشروبات.',
+
+        'legend.label': 'الفئات. انقر لإظهار فئة أو إخفائها، وانقر مع Shift لإظهار تلك الفئة وحدها.',
+        'legend.labelPlain': 'الفئات',
+        'legend.row': { other: '{category}، عدد العلامات: {count}' },
+        'legend.rowHidden': { other: '{category}، عدد العلامات: {count}، مخفية' },
+        'legend.shown': 'أُظهرت {category}',
+        'legend.hidden': 'أُخفيت {category}',
+        'legend.shownAlone': 'أُظهرت {category} وأُخفيت الفئات الأخرى'
+    }
+};
+
+/**
+ * The language of a locale without its region, e.g. 'fr' for 'fr-CH'
+ * @param {string} locale - BCP 47 language tag
+ * @returns {string}
+ */
+function baseLanguage(locale) {
+    return String(locale || '').split(/[-_]/)[0].toLowerCase();
+}
+
+/**
+ * Writing direction of a locale
+ * @param {string} locale - BCP 47 language tag
+ * @returns {string} - 'rtl' or 'ltr'
+ */
+function direction(locale) {
+    return rtlLanguages.includes(baseLanguage(locale)) ? 'rtl' : 'ltr';
+}
+
+/**
+ * Locales there are catalogues for, built in and given
+ * @param {Object} [extraCatalogues] - Locale → messages, as for createTranslator
+ * @returns {string[]}
+ */
+function availableLocales(extraCatalogues = {}) {
+    return Array.from(new Set(Object.keys(catalogues).concat(Object.keys(extraCatalogues || {}))));
+}
+
+/**
+ * Pick the first of the requested locales there is a catalogue for
+ * A locale with a region falls back to its language (fr-CH → fr).
+ * @param {string|string[]} requested - Locales in order of preference, e.g. navigator.languages; empty entries are skipped
+ * @param {string[]} [available] - Locales to choose from; defaults to the built-in ones
+ * @returns {string|null} - The locale as listed in available, or null if none matches
+ */
+function resolveLocale(requested, available = Object.keys(catalogues)) {
+    const byLowerCase = new Map(available.map(locale => [locale.toLowerCase(), locale]));
+    for (const locale of [].concat(requested || [])) {
+        if (!locale || typeof locale !== 'string') continue;
+        const match = byLowerCase.get(locale.replace(/_/g, '-').toLowerCase()) || byLowerCase.get(baseLanguage(locale));
+        if (match) return match;
+    }
+    return null;
+}
+
+/**
+ * Name of a locale in its own language, for the language menu
+ * @param {string} locale - BCP 47 language tag
+ * @returns {string}
+ */
+function localeName(locale) {
+    if (locales[locale]) return locales[locale].name;
+    try {
+        return new Intl.DisplayNames([locale], { type: 'language' }).of(locale) || locale;
+    } catch (error) {
+        return locale;
+    }
+}
+
+/**
+ * Create a function that looks up and fills in messages in one locale
+ * @param {string} locale - BCP 47 language tag, e.g. 'fr' or 'fr-CH'
+ * @param {Object} [extraCatalogues] - Locale → { key: message }: messages to add or replace; they win over the
+ *   built-in catalogue of the same locale
+ * @returns {Function} - t(key, params): the message with its {placeholders} filled in from params, or the key
+ *   itself if no catalogue has it. Messages with plural forms pick one by params.count. t.has(key) tells
+ *   whether a message exists; t.locale is the locale.
+ */
+function createTranslator(locale, extraCatalogues = {}) {
+    const chain = Array.from(new Set([locale, baseLanguage(locale), defaultLocale].filter(Boolean)));
+    const sources = [];
+    chain.forEach(code => {
+        if (extraCatalogues && extraCatalogues[code]) sources.push(extraCatalogues[code]);
+        if (catalogues[code]) sources.push(catalogues[code]);
+    });
+
+    let pluralRules;
+    try {
+        pluralRules = new Intl.PluralRules(locale);
+    } catch (error) {
+        pluralRules = new Intl.PluralRules(defaultLocale);
+    }
+
+    const find = key => {
+        const source = sources.find(messages => messages[key] !== undefined);
+        return source ? source[key] : undefined;
+    };
+
+    const t = (key, params = {}) => {
+        let message = find(key);
+        if (message === undefined) return key;
+        if (typeof message === 'object') {
+            message = message[pluralRules.select(Number(params.count))] ?? message.other;
+        }
+        return String(message).replace(/\{(\w+)\}/g, (placeholder, name) =>
+            (params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder));
+    };
+    t.has = key => find(key) !== undefined;
+    t.locale = locale;
+    return t;
+}
+
+/**
+ * A brand with its tagline and description in a locale, where the record translates them
+ * @param {Object} brand - A brand record
+ * @param {string} locale - BCP 47 language tag; a translation for its language is used if there is none for the locale itself
+ * @returns {Object} - A copy with the translated fields, or the record itself if there is nothing to translate
+ */
+function localizeBrand(brand, locale) {
+    const translations = brand && brand.translations;
+    if (!translations || typeof translations !== 'object') return brand;
+    const own = translations[locale] || translations[baseLanguage(locale)];
+    if (!own || typeof own !== 'object') return brand;
+
+    const localized = { ...brand };
+    translatedFields.forEach(field => {
+        if (typeof own[field] === 'string' && own[field].trim()) localized[field] = own[field];
+    });
+    return localized;
+}
+
+const BrandI18n = {
+    defaultLocale,
+    locales,
+    catalogues,
+    translatedFields,
+    availableLocales,
+    resolveLocale,
+    localeName,
+    direction,
+    createTranslator,
+    localizeBrand
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BrandI18n;
+} else {
+    global.BrandI18n = BrandI18n;
+}
+
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,236 @@
+/**
+ * Nestlé Brand Map - Logo Loading
+ *
+ * Loads each brand logo once and remembers how it went, so the list, the
+ * details, the comparison and the diagram share one request per logo and agree
+ * on which logos are missing. A logo that fails to load is replaced by a
+ * monogram: the brand's initials on its category colour.
+ *
+ *     const logos = BrandLogos.createLoader({ concurrency: 6 });
+ *     logos.preload(brands.map(brand => brand.logo_url));
+ *     logos.lazy(img, 'assets/kitkat.png', BrandLogos.monogram('KitKat', '#E53935'));
+ *     logos.onFailure(failure => console.warn(failure.url, failure.reason));
+ *     logos.failures(); // [{ url, reason, duration }]
+ *
+ * Images are fetched a few at a time, so preloading a large catalogue does not
+ * hold up everything else on the page. lazy() leaves an image blank until it
+ * scrolls near the viewport (where IntersectionObserver is available).
+ *
+ * Works in the browser (window.BrandLogos, used by scripts.js) and under Node (module.exports).
+ */
+
+(function (global) {
+
+// Shown by lazy images until their logo has loaded
+const blankImage = 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7';
+
+/**
+ * The initials used in a monogram: the first letters of the first two words,
+ * or of a single word and the next capital in it ("KitKat" → "KK")
+ * @param {string} name - Brand name
+ * @returns {string}
+ */
+function initials(name) {
+    const words = String(name || '').trim().split(/[\s\-–—&+/]+/).filter(Boolean);
+    if (words.length === 0) return '?';
+    const letters = Array.from(words[0]);
+    if (words.length > 1) return (letters[0] + Array.from(words[1])[0]).toUpperCase();
+    const capital = letters.slice(1).find(letter => /\p{Lu}/u.test(letter));
+    return (letters[0] + (capital || '')).toUpperCase();
+}
+
+/**
+ * Whether text on a colour should be dark rather than white
+ * @param {string} color - A hex colour; other forms get white text
+ * @returns {boolean}
+ */
+function needsDarkText(color) {
+    const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(color || '').trim());
+    if (!match) return false;
+    const hex = match[1].length === 3 ? match[1].replace(/./g, digit => digit + digit) : match[1];
+    const [r, g, b] = [0, 2, 4].map(start => parseInt(hex.slice(start, start + 2), 16) / 255);
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b > 0.6;
+}
+
+/**
+ * A monogram avatar to stand in for a missing logo
+ * @param {string} name - Brand name
+ * @param {string} [color='#9E9E9E'] - Background colour, usually the brand's category colour
+ * @returns {string} - An SVG data URL
+ */
+function monogram(name, color = '#9E9E9E') {
+    const text = initials(name).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="64" height="64" viewBox="0 0 64 64">`
+        + `<circle cx="32" cy="32" r="32" fill="${String(color).replace(/"/g, '')}"/>`
+        + `<text x="32" y="32" dy="0.35em" text-anchor="middle" font-family="Arial, Helvetica, sans-serif" `
+        + `font-size="${text.length > 1 ? 24 : 30}" font-weight="bold" fill="${needsDarkText(color) ? '#333' : '#fff'}">${text}</text>`
+        + `</svg>`;
+    return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+}
+
+/**
+ * Load an image in the browser
+ * @param {string} url - Image URL
+ * @returns {Promise} - Resolves once loaded, rejects if it cannot be shown
+ */
+function loadBrowserImage(url) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('not found or not an image'));
+        image.src = url;
+    });
+}
+
+/**
+ * Create a logo loader
+ * @param {Object} [options]
+ * @param {number} [options.concurrency=6] - How many images to fetch at once
+ * @param {number} [options.timeout=15000] - Milliseconds before a logo counts as failed
+ * @param {string} [options.rootMargin='200px'] - How near the viewport a lazy image starts loading
+ * @param {Function} [options.loadImage] - (url) => Promise, for loading outside the browser
+ * @returns {Object}
+ */
+function createLoader(options = {}) {
+    const concurrency = options.concurrency || 6;
+    const timeout = options.timeout || 15000;
+    const loadImage = options.loadImage || loadBrowserImage;
+
+    const entries = new Map(); // url → { status, promise, reason, duration }
+    const queue = [];
+    const failureListeners = [];
+    let active = 0;
+
+    // Lazy images waiting to come into view, and what to do when they do
+    const waiting = new WeakMap();
+    const observer = typeof IntersectionObserver !== 'undefined'
+        ? new IntersectionObserver(seen => {
+            seen.forEach(entry => {
+                if (!entry.isIntersecting) return;
+                observer.unobserve(entry.target);
+                const show = waiting.get(entry.target);
+                waiting.delete(entry.target);
+                if (show) show();
+            });
+        }, { rootMargin: options.rootMargin || '200px' })
+        : null;
+
+    // Start queued loads while there is room
+    function pump() {
+        while (active < concurrency && queue.length > 0) {
+            const { url, entry, resolve } = queue.shift();
+            const started = Date.now();
+            let timer;
+            active++;
+
+            const timedOut = new Promise((_, reject) => {
+                timer = setTimeout(() => reject(new Error(`timed out after ${timeout / 1000}s`)), timeout);
+            });
+            Promise.race([Promise.resolve().then(() => loadImage(url)), timedOut])
+                .then(() => {
+                    entry.status = 'loaded';
+                }, error => {
+                    entry.status = 'failed';
+                    entry.reason = (error && error.message) || 'could not be loaded';
+                })
+                .then(() => {
+                    clearTimeout(timer);
+                    entry.duration = Date.now() - started;
+                    active--;
+                    resolve({ url, ok: entry.status === 'loaded', reason: entry.reason || null });
+                    if (entry.status === 'failed') {
+                        const failure = { url, reason: entry.reason, duration: entry.duration };
+                        failureListeners.forEach(listener => {
+                            try {
+                                listener(failure);
+                            } catch (error) {
+                                console.error('Error in logo failure listener:', error);
+                            }
+                        });
+                    }
+                    pump();
+                });
+        }
+    }
+
+    /**
+     * Load a logo, or get the outcome of loading it earlier
+     * @param {string} url - Logo URL
+     * @returns {Promise<Object>} - Resolves to { url, ok, reason }; never rejects
+     */
+    function load(url) {
+        if (!url) return Promise.resolve({ url, ok: false, reason: 'no logo' });
+        let entry = entries.get(url);
+        if (!entry) {
+            entry = { status: 'loading', reason: null, duration: null };
+            entry.promise = new Promise(resolve => queue.push({ url, entry, resolve }));
+            entries.set(url, entry);
+            pump();
+        }
+        return entry.promise;
+    }
+
+    /**
+     * Show a logo in an <img> once it comes into view, or the fallback if it cannot be loaded
+     * @param {HTMLImageElement} img - The image element
+     * @param {string} url - Logo URL; without one the fallback is shown straight away
+     * @param {string} fallback - Image to show instead, e.g. a monogram
+     */
+    function lazy(img, url, fallback) {
+        const show = result => {
+            img.src = result.ok ? url : fallback;
+            img.classList.toggle('logo-fallback', !result.ok);
+            img.classList.remove('logo-loading');
+        };
+        const entry = url ? entries.get(url) : null;
+
+        if (!url || (entry && entry.status !== 'loading')) {
+            show({ ok: Boolean(url) && entry.status === 'loaded' });
+            return;
+        }
+
+        img.src = blankImage;
+        img.classList.add('logo-loading');
+        const start = () => load(url).then(show);
+        if (observer && !entry) {
+            waiting.set(img, start);
+            observer.observe(img);
+        } else {
+            start();
+        }
+    }
+
+    return {
+        load,
+        lazy,
+        // Start loading logos ahead of time; resolves once they have all loaded or failed
+        preload: urls => Promise.all(Array.from(new Set(urls.filter(Boolean))).map(load)),
+        status: url => (entries.has(url) ? entries.get(url).status : null),
+        failed: url => entries.has(url) && entries.get(url).status === 'failed',
+        failures: () => Array.from(entries)
+            .filter(([, entry]) => entry.status === 'failed')
+            .map(([url, entry]) => ({ url, reason: entry.reason, duration: entry.duration })),
+        onFailure(listener) {
+            failureListeners.push(listener);
+        },
+        // Stop watching lazy images, e.g. when the map is taken down
+        disconnect() {
+            if (observer) observer.disconnect();
+            failureListeners.length = 0;
+        }
+    };
+}
+
+const BrandLogos = {
+    createLoader,
+    monogram,
+    initials
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BrandLogos;
+} else {
+    global.BrandLogos = BrandLogos;
+}
+
+})(typeof window !== 'undefined' ? window : globalThis);
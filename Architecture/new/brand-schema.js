@@ -0,0 +1,327 @@
+/**
+ * Nestlé Brand Map - Brand Record Schema and Data-Quality Checks
+ *
+ * Describes what a valid record in brands.json looks like and checks a list of
+ * records against it. Records with errors are reported and should be skipped;
+ * warnings are reported but the record is kept.
+ *
+ * Works in the browser (exposes window.BrandSchema, used by scripts.js) and
+ * headless under Node, so data editors can check the file before committing:
+ *
+ *     node brand-schema.js brands.json
+ *
+ * The command prints one line per problem and exits with status 1 if any
+ * record would be skipped.
+ */
+
+(function (global) {
+
+// Fields a brand record may contain
+// type: JavaScript type of the value; required: must be present and non-empty;
+// pattern, values (allowed values) or min/max (numbers): format check, with
+// message: the explanation shown when it fails
+const brandSchema = {
+    name: { type: 'string', required: true },
+    category: { type: 'string', required: true },
+    parent_brand: { type: 'string' },
+    // How the brand is held by its parent_brand (or by Nestlé): wholly or majority owned,
+    // a minority stake, a licence, or a joint venture
+    relationship: {
+        type: 'string',
+        values: ['owned', 'stake', 'licensed', 'jv'],
+        message: 'must be one of owned, stake, licensed or jv'
+    },
+    // Percentage of the brand the owner holds
+    ownership: {
+        type: 'number',
+        min: 0,
+        max: 100,
+        message: 'must be a percentage from 0 to 100'
+    },
+    description: { type: 'string' },
+    tagline: { type: 'string' },
+    region: { type: 'string' },
+    logo_url: {
+        type: 'string',
+        // A file path, or the image itself as a data URL (as uploaded in the map's editor)
+        pattern: /\.(png|jpe?g|gif|svg|webp)$|^data:image\/(png|jpeg|gif|svg\+xml|webp)[;,]/i,
+        message: 'must point at a PNG, JPEG, GIF, SVG or WebP image'
+    },
+    website: {
+        type: 'string',
+        pattern: /^https?:\/\//i,
+        message: 'must be an http(s) URL'
+    },
+    // When the brand joined and left the portfolio, for the map's timeline; as precise as is known
+    acquired: {
+        type: 'string',
+        pattern: /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01]))?)?$/,
+        message: 'must be a date as YYYY, YYYY-MM or YYYY-MM-DD'
+    },
+    divested: {
+        type: 'string',
+        pattern: /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01]))?)?$/,
+        message: 'must be a date as YYYY, YYYY-MM or YYYY-MM-DD'
+    },
+    // The tagline and description in other languages, by locale: { "fr": { "tagline": "…", "description": "…" } }
+    translations: { type: 'object' }
+};
+
+// Locale keys of translations (BCP 47 tags such as fr, de-CH or zh-Hant) and the fields they may translate
+const localePattern = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+const translatableFields = ['tagline', 'description'];
+
+/**
+ * Check a single record against the schema
+ * @param {*} record - The record as parsed from JSON
+ * @returns {Object} - { errors: string[], warnings: string[] }
+ */
+function validateRecord(record) {
+    const errors = [];
+    const warnings = [];
+
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        errors.push('record is not an object');
+        return { errors, warnings };
+    }
+
+    Object.keys(brandSchema).forEach(field => {
+        const rule = brandSchema[field];
+        const value = record[field];
+
+        if (value === undefined || value === null || value === '') {
+            if (rule.required) errors.push(`missing required field "${field}"`);
+            return;
+        }
+        if (typeof value !== rule.type || (rule.type === 'object' && Array.isArray(value))) {
+            const article = /^[aeiou]/.test(rule.type) ? 'an' : 'a';
+            errors.push(`"${field}" must be ${article} ${rule.type}, got ${Array.isArray(value) ? 'array' : typeof value}`);
+            return;
+        }
+        if (rule.type === 'string' && !value.trim()) {
+            if (rule.required) errors.push(`"${field}" is blank`);
+            return;
+        }
+        if ((rule.pattern && !rule.pattern.test(value)) || (rule.values && !rule.values.includes(value))) {
+            errors.push(`"${field}" ${rule.message} (got "${value}")`);
+        }
+        if (rule.type === 'number' && !(value >= rule.min && value <= rule.max)) {
+            errors.push(`"${field}" ${rule.message} (got ${value})`);
+        }
+    });
+
+    // Dates of different precision compare on the part both give (2017 is not before 2017-09)
+    const { acquired, divested } = record;
+    if (typeof acquired === 'string' && typeof divested === 'string' &&
+        brandSchema.acquired.pattern.test(acquired) && brandSchema.divested.pattern.test(divested)) {
+        const length = Math.min(acquired.length, divested.length);
+        if (divested.slice(0, length) < acquired.slice(0, length)) {
+            errors.push(`"divested" (${divested}) is before "acquired" (${acquired})`);
+        }
+    }
+
+    const { translations } = record;
+    if (translations && typeof translations === 'object' && !Array.isArray(translations)) {
+        Object.keys(translations).forEach(locale => {
+            const translation = translations[locale];
+            if (!localePattern.test(locale)) {
+                errors.push(`"translations" key "${locale}" is not a locale such as fr or de-CH`);
+            } else if (!translation || typeof translation !== 'object' || Array.isArray(translation)) {
+                errors.push(`"translations.${locale}" must be an object`);
+            } else {
+                Object.keys(translation).forEach(field => {
+                    if (!translatableFields.includes(field)) {
+                        warnings.push(`unknown field "translations.${locale}.${field}"`);
+                    } else if (typeof translation[field] !== 'string') {
+                        errors.push(`"translations.${locale}.${field}" must be a string`);
+                    }
+                });
+            }
+        });
+    }
+
+    if (record.relationship === 'licensed' && record.ownership > 0) {
+        warnings.push('a licensed brand is not owned; "ownership" is ignored');
+    }
+
+    // Unknown fields are usually typos of known ones (e.g. "parent" for "parent_brand")
+    Object.keys(record).forEach(field => {
+        if (!brandSchema[field]) warnings.push(`unknown field "${field}"`);
+    });
+
+    return { errors, warnings };
+}
+
+/**
+ * Validate a list of brand records
+ * Besides the per-record schema this checks for duplicate names, parent_brand
+ * values that point at no (valid) brand, and ownership cycles.
+ * @param {*} data - The parsed contents of brands.json
+ * @returns {Object} - { valid: Object[], issues: Object[], errorCount: number, warningCount: number }
+ *   Each issue is { index, name, errors: string[], warnings: string[] }; records with errors are left out of valid.
+ */
+function validateBrands(data) {
+    if (!Array.isArray(data)) {
+        throw new Error('Brand data must be a JSON array of brand records.');
+    }
+
+    const entries = data.map((record, index) => {
+        const { errors, warnings } = validateRecord(record);
+        const name = record && typeof record.name === 'string' ? record.name : null;
+        return { index, name, record, errors, warnings };
+    });
+
+    // Duplicate names: the first record with a name wins
+    const firstByName = new Map();
+    entries.forEach(entry => {
+        if (entry.errors.length > 0) return;
+        if (firstByName.has(entry.name)) {
+            entry.errors.push(`duplicate name, already used by record #${firstByName.get(entry.name).index + 1}`);
+        } else {
+            firstByName.set(entry.name, entry);
+        }
+    });
+
+    // parent_brand must name a valid record; repeat until stable, since skipping
+    // a parent leaves its own children dangling
+    let changed = true;
+    while (changed) {
+        changed = false;
+        entries.forEach(entry => {
+            const parentName = entry.errors.length === 0 ? entry.record.parent_brand : null;
+            if (!parentName) return;
+            const parent = firstByName.get(parentName);
+            if (parentName === entry.name) {
+                entry.errors.push('parent_brand points at the brand itself');
+            } else if (!parent) {
+                entry.errors.push(`parent_brand "${parentName}" does not match any brand`);
+            } else if (parent.errors.length > 0) {
+                entry.errors.push(`parent_brand "${parentName}" is itself invalid`);
+            } else {
+                return;
+            }
+            changed = true;
+        });
+    }
+
+    // Ownership cycles (A owns B owns A)
+    entries.forEach(entry => {
+        if (entry.errors.length > 0) return;
+        const seen = new Set([entry.name]);
+        let parentName = entry.record.parent_brand;
+        while (parentName) {
+            if (seen.has(parentName)) {
+                entry.errors.push(`parent_brand chain loops back through "${parentName}"`);
+                return;
+            }
+            seen.add(parentName);
+            parentName = firstByName.get(parentName)?.record.parent_brand;
+        }
+    });
+
+    const issues = entries
+        .filter(entry => entry.errors.length > 0 || entry.warnings.length > 0)
+        .map(({ index, name, errors, warnings }) => ({ index, name, errors, warnings }));
+
+    return {
+        valid: entries.filter(entry => entry.errors.length === 0).map(entry => entry.record),
+        issues,
+        errorCount: issues.filter(issue => issue.errors.length > 0).length,
+        warningCount: issues.filter(issue => issue.errors.length === 0).length
+    };
+}
+
+/**
+ * Check that the logo file of every record exists and add a warning to the report for each missing one
+ * @param {Object[]} records - The records to check (normally report.valid)
+ * @param {Object} report - A report returned by validateBrands; updated in place
+ * @param {Function} fileExists - (url) => boolean or Promise<boolean>
+ * @returns {Promise<Object>} - The updated report
+ */
+function checkLogoFiles(records, report, fileExists) {
+    const checks = records
+        .filter(record => record.logo_url)
+        .map(record => Promise.resolve(fileExists(record.logo_url)).then(exists => {
+            if (exists) return;
+            let issue = report.issues.find(existing => existing.name === record.name && existing.errors.length === 0);
+            if (!issue) {
+                issue = { index: -1, name: record.name, errors: [], warnings: [] };
+                report.issues.push(issue);
+                report.warningCount++;
+            }
+            issue.warnings.push(`logo file "${record.logo_url}" not found`);
+        }));
+
+    return Promise.all(checks).then(() => report);
+}
+
+/**
+ * Format a report as plain text lines, one per problem
+ * @param {Object} report - A report returned by validateBrands
+ * @returns {string[]}
+ */
+function formatReport(report) {
+    const lines = [];
+    report.issues.forEach(issue => {
+        const label = `${issue.index >= 0 ? `#${issue.index + 1} ` : ''}"${issue.name || '(unnamed)'}"`;
+        issue.errors.forEach(message => lines.push(`  ${label} skipped: ${message}`));
+        issue.warnings.forEach(message => lines.push(`  ${label} warning: ${message}`));
+    });
+    return lines;
+}
+
+/**
+ * Command-line entry point: node brand-schema.js [path/to/brands.json]
+ * @param {string[]} args - Command-line arguments
+ */
+function runCli(args) {
+    const fs = require('fs');
+    const path = require('path');
+
+    const file = path.resolve(args[0] || path.join(__dirname, 'brands.json'));
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        console.error(`${file}: ${error.message}`);
+        process.exit(1);
+    }
+
+    let report;
+    try {
+        report = validateBrands(data);
+    } catch (error) {
+        console.error(`${file}: ${error.message}`);
+        process.exit(1);
+    }
+
+    // Logo paths are relative to the page, which sits next to brands.json
+    const baseDir = path.dirname(file);
+    const fileExists = url => /^(https?:|data:)/i.test(url) || fs.existsSync(path.join(baseDir, url));
+
+    checkLogoFiles(report.valid, report, fileExists).then(() => {
+        console.log(`${file}: ${data.length} records, ${report.valid.length} valid, ` +
+            `${report.errorCount} skipped, ${report.warningCount} with warnings`);
+        formatReport(report).forEach(line => console.log(line));
+        process.exitCode = report.errorCount > 0 ? 1 : 0;
+    });
+}
+
+const BrandSchema = {
+    schema: brandSchema,
+    validateRecord,
+    validateBrands,
+    checkLogoFiles,
+    formatReport
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BrandSchema;
+    if (require.main === module) {
+        runCli(process.argv.slice(2));
+    }
+} else {
+    global.BrandSchema = BrandSchema;
+}
+
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,501 @@
+/**
+ * Nestlé Brand Map - Brand Search
+ *
+ * Ranked, accent-insensitive search over brand records with a small query
+ * language:
+ *
+ *     nescafe                      words are searched in every text field; "nescafe" finds "Nescafé"
+ *     nesle                        small typos are forgiven when nothing matches exactly
+ *     category:Water region:Europe a field name and a colon limit a term to that field
+ *     parent:"L'Oréal"             quotes keep spaces and punctuation together
+ *     coffee OR tea                terms are ANDed unless joined by OR
+ *     NOT Europe, -Europe          leave out brands matching a term
+ *     (coffee OR tea) -region:Asia parentheses group terms
+ *
+ * Field names: name, category, region, parent (parent_brand), tagline,
+ * description (desc). A word with an unknown field name is searched as is.
+ *
+ * The query parser never fails: unbalanced quotes or parentheses and stray
+ * operators are read as leniently as possible, since the query is typed live.
+ *
+ * Works in the browser (window.BrandSearch, used by scripts.js) and under Node (module.exports).
+ */
+
+(function (global) {
+
+// Query field names → record fields
+const fieldAliases = {
+    name: 'name',
+    brand: 'name',
+    category: 'category',
+    cat: 'category',
+    region: 'region',
+    parent: 'parent_brand',
+    parent_brand: 'parent_brand',
+    owner: 'parent_brand',
+    tagline: 'tagline',
+    description: 'description',
+    desc: 'description'
+};
+
+// Fields searched by terms without a field name, with the weight of a match in each
+const fieldWeights = {
+    name: 10,
+    tagline: 3,
+    parent_brand: 3,
+    category: 2,
+    region: 1,
+    description: 1
+};
+
+// Descriptions are long prose, where almost every typo-tolerant match would be a false hit
+const fuzzyFields = new Set(['name', 'tagline', 'parent_brand', 'category', 'region']);
+
+const wordPattern = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Fold text for comparison: lower case, no accents or apostrophes, underscores as spaces
+ * @param {string} text - Text to fold
+ * @returns {Object} - { text, starts, ends }: the folded text and, for each of its characters,
+ *   the range of the original character it came from
+ */
+function normalize(text) {
+    let folded = '';
+    const starts = [];
+    const ends = [];
+    let index = 0;
+
+    for (const char of String(text)) {
+        let replacement = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+        if (char === '_') replacement = ' ';
+        else if (char === '\'' || char === '’' || char === '‘') replacement = ''; // "loreal" finds "L'Oréal"
+
+        for (const foldedChar of replacement) {
+            folded += foldedChar;
+            starts.push(index);
+            ends.push(index + char.length);
+        }
+        index += char.length;
+    }
+
+    return { text: folded, starts, ends };
+}
+
+/**
+ * Split a query into tokens: parentheses, AND/OR/NOT and terms
+ * @param {string} text - The query
+ * @returns {Object[]}
+ */
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+        const char = text[i];
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+        if (char === '(' || char === ')') {
+            tokens.push({ type: char });
+            i++;
+            continue;
+        }
+
+        // A leading minus negates the term (or group) that follows
+        let negated = false;
+        if (char === '-' && i + 1 < text.length && !/\s/.test(text[i + 1])) {
+            if (text[i + 1] === '(') {
+                tokens.push({ type: 'NOT' });
+                i++;
+                continue;
+            }
+            negated = true;
+            i++;
+        }
+
+        let field = null;
+        const prefix = /^([A-Za-z_]+):(?=\S)/.exec(text.slice(i));
+        if (prefix && fieldAliases[prefix[1].toLowerCase()]) {
+            field = fieldAliases[prefix[1].toLowerCase()];
+            i += prefix[0].length;
+        }
+
+        let value;
+        let phrase = false;
+        if (text[i] === '"') {
+            // An unterminated quote runs to the end of the query
+            const end = text.indexOf('"', i + 1);
+            value = text.slice(i + 1, end === -1 ? text.length : end);
+            i = end === -1 ? text.length : end + 1;
+            phrase = true;
+        } else {
+            const word = /^[^\s()]*/.exec(text.slice(i))[0];
+            value = word;
+            i += word.length;
+        }
+
+        if (!field && !phrase && !negated && (value === 'AND' || value === 'OR' || value === 'NOT')) {
+            tokens.push({ type: value });
+        } else {
+            tokens.push({ type: 'term', field, value, phrase, negated });
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Parse a query into a tree of { type: 'and'|'or', operands }, { type: 'not', operand }
+ * and { type: 'term', field, value, phrase } nodes
+ * @param {string} text - The query
+ * @returns {Object|null} - The tree, or null for a query without any terms
+ */
+function parseQuery(text) {
+    const tokens = tokenize(String(text || ''));
+    let position = 0;
+    const peek = () => tokens[position];
+    const peekType = () => (tokens[position] ? tokens[position].type : null);
+
+    const combine = (type, operands) => {
+        const kept = operands.filter(Boolean);
+        if (kept.length === 0) return null;
+        return kept.length === 1 ? kept[0] : { type, operands: kept };
+    };
+
+    const makeTerm = token => {
+        const value = normalize(token.value).text.trim();
+        // Lone punctuation such as "-" or "&" would match almost anything
+        if (!/[\p{L}\p{N}]/u.test(value)) return null;
+        const term = { type: 'term', field: token.field, value, phrase: token.phrase };
+        return token.negated ? { type: 'not', operand: term } : term;
+    };
+
+    // or := and (OR and)*
+    function parseOr() {
+        const operands = [parseAnd()];
+        while (peekType() === 'OR') {
+            position++;
+            operands.push(parseAnd());
+        }
+        return combine('or', operands);
+    }
+
+    // and := unary ([AND] unary)*
+    function parseAnd() {
+        const operands = [];
+        while (peek() && peekType() !== 'OR' && peekType() !== ')') {
+            if (peekType() === 'AND') {
+                position++;
+                continue;
+            }
+            operands.push(parseUnary());
+        }
+        return combine('and', operands);
+    }
+
+    // unary := NOT unary | '(' or ')' | term
+    function parseUnary() {
+        const token = tokens[position++];
+        if (token.type === 'NOT') {
+            if (!peek() || ['OR', 'AND', ')'].includes(peekType())) return null;
+            const operand = parseUnary();
+            return operand ? { type: 'not', operand } : null;
+        }
+        if (token.type === '(') {
+            const inner = parseOr();
+            if (peekType() === ')') position++;
+            return inner;
+        }
+        return makeTerm(token);
+    }
+
+    // Stray closing parentheses are skipped
+    const parts = [];
+    while (position < tokens.length) {
+        parts.push(parseOr());
+        if (peekType() === ')') position++;
+    }
+    return combine('and', parts);
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus transpositions) between two strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+    const rows = [];
+    for (let i = 0; i <= a.length; i++) {
+        rows.push([i]);
+    }
+    for (let j = 1; j <= b.length; j++) {
+        rows[0][j] = j;
+    }
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return rows[a.length][b.length];
+}
+
+/**
+ * Number of typos forgiven in a term of a given length
+ * @param {number} length - Length of the term
+ * @returns {number}
+ */
+function typoTolerance(length) {
+    if (length >= 8) return 2;
+    if (length >= 5) return 1;
+    return 0;
+}
+
+/**
+ * Fold the searchable fields of a record once per search
+ * @param {Object} record - A brand record
+ * @returns {Object} - Field → { original, folded, starts, ends, words }
+ */
+function prepareRecord(record) {
+    const prepared = {};
+    Object.keys(fieldWeights).forEach(field => {
+        const value = record[field];
+        if (typeof value !== 'string' || value === '') return;
+        const folded = normalize(value);
+        const words = [];
+        for (const match of folded.text.matchAll(wordPattern)) {
+            words.push({ text: match[0], index: match.index });
+        }
+        prepared[field] = { original: value, folded: folded.text, starts: folded.starts, ends: folded.ends, words };
+    });
+    return prepared;
+}
+
+/**
+ * The record fields a term is searched in
+ * @param {Object} term - A term node
+ * @returns {string[]}
+ */
+function termFields(term) {
+    return term.field ? [term.field] : Object.keys(fieldWeights);
+}
+
+/**
+ * Match a term against one prepared field
+ * @param {Object} term - A term node
+ * @param {Object} target - The prepared field
+ * @param {string} field - The field name
+ * @returns {Object|null} - { score, ranges } with ranges in folded-text positions, or null
+ */
+function matchField(term, target, field) {
+    const weight = fieldWeights[field] || 1;
+    const ranges = [];
+    let bonus = 0;
+
+    let from = target.folded.indexOf(term.value);
+    while (from !== -1) {
+        ranges.push([from, from + term.value.length]);
+        // Whole field, then start of the field, then start of a word, then anywhere
+        let matchBonus = 1;
+        if (from === 0 && term.value.length === target.folded.length) matchBonus = 4;
+        else if (from === 0) matchBonus = 3;
+        else if (!/[\p{L}\p{N}]/u.test(target.folded[from - 1])) matchBonus = 2;
+        bonus = Math.max(bonus, matchBonus);
+        from = target.folded.indexOf(term.value, from + term.value.length);
+    }
+    if (ranges.length > 0) return { score: weight * bonus, ranges };
+
+    if (!term.fuzzy || !fuzzyFields.has(field)) return null;
+
+    // Compare the term with each word, and with the start of longer words (a word still being typed)
+    const tolerance = typoTolerance(term.value.length);
+    let best = null;
+    target.words.forEach(word => {
+        const candidates = [word.text];
+        if (word.text.length > term.value.length) candidates.push(word.text.slice(0, term.value.length));
+        candidates.forEach(candidate => {
+            const distance = editDistance(term.value, candidate);
+            if (distance <= tolerance && (!best || distance < best.distance)) {
+                best = { distance, range: [word.index, word.index + candidate.length] };
+            }
+        });
+    });
+    if (!best) return null;
+    return { score: weight * 0.5 * (1 - best.distance / (term.value.length + 1)), ranges: [best.range] };
+}
+
+/**
+ * Add the ranges matched in one field to a hit collection
+ * @param {Object} hits - Field → ranges
+ * @param {string} field - Field name
+ * @param {Array} ranges - [start, end] pairs
+ */
+function addHits(hits, field, ranges) {
+    hits[field] = (hits[field] || []).concat(ranges);
+}
+
+/**
+ * Evaluate a query tree against a prepared record
+ * @param {Object} node - A query tree node
+ * @param {Object} prepared - The prepared record
+ * @param {Object} hits - Collects field → matched ranges
+ * @returns {number|null} - The score, or null if the record does not match
+ */
+function evaluate(node, prepared, hits) {
+    if (node.type === 'term') {
+        let score = 0;
+        termFields(node).forEach(field => {
+            if (!prepared[field]) return;
+            const match = matchField(node, prepared[field], field);
+            if (!match) return;
+            score += match.score;
+            addHits(hits, field, match.ranges);
+        });
+        return score > 0 ? score : null;
+    }
+
+    if (node.type === 'not') {
+        return evaluate(node.operand, prepared, {}) === null ? 0 : null;
+    }
+
+    // Hits only count if the branch as a whole matches
+    if (node.type === 'and') {
+        const branchHits = {};
+        let total = 0;
+        for (const operand of node.operands) {
+            const score = evaluate(operand, prepared, branchHits);
+            if (score === null) return null;
+            total += score;
+        }
+        Object.keys(branchHits).forEach(field => addHits(hits, field, branchHits[field]));
+        return total;
+    }
+
+    let total = null;
+    node.operands.forEach(operand => {
+        const branchHits = {};
+        const score = evaluate(operand, prepared, branchHits);
+        if (score === null) return;
+        total = (total || 0) + score;
+        Object.keys(branchHits).forEach(field => addHits(hits, field, branchHits[field]));
+    });
+    return total;
+}
+
+/**
+ * Collect the term nodes of a query tree
+ * @param {Object} node - A query tree node
+ * @param {Object[]} [terms=[]] - Collects the terms
+ * @returns {Object[]}
+ */
+function collectTerms(node, terms = []) {
+    if (node.type === 'term') terms.push(node);
+    else if (node.type === 'not') collectTerms(node.operand, terms);
+    else node.operands.forEach(operand => collectTerms(operand, terms));
+    return terms;
+}
+
+/**
+ * Search brand records
+ * @param {Object[]} records - The brand records
+ * @param {string} text - The query
+ * @returns {Object[]} - { brand, score, matches } for each matching record, best match first
+ *   (records in their original order for an empty query). matches maps a field name to the
+ *   [start, end] ranges of the field's text that matched.
+ */
+function search(records, text) {
+    const tree = parseQuery(text);
+    if (!tree) return records.map(brand => ({ brand, score: 0, matches: {} }));
+
+    const prepared = records.map(prepareRecord);
+
+    // Typos are only forgiven for a term that matches nothing exactly, so "water" does not also find "wafer"
+    collectTerms(tree).forEach(term => {
+        term.fuzzy = !term.phrase && typoTolerance(term.value.length) > 0 &&
+            !prepared.some(fields => termFields(term).some(field => fields[field] && fields[field].folded.includes(term.value)));
+    });
+
+    const results = [];
+    records.forEach((brand, index) => {
+        const hits = {};
+        const score = evaluate(tree, prepared[index], hits);
+        if (score === null) return;
+
+        // Map the ranges back onto the original text
+        const matches = {};
+        Object.keys(hits).forEach(field => {
+            const { starts, ends } = prepared[index][field];
+            matches[field] = hits[field].map(([start, end]) => [starts[start], ends[end - 1]]);
+        });
+        results.push({ brand, score, matches, index });
+    });
+
+    results.sort((a, b) => b.score - a.score || a.index - b.index);
+    return results.map(({ brand, score, matches }) => ({ brand, score, matches }));
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Turn text into HTML with the matched ranges wrapped in <mark class="search-hit">
+ * @param {string} text - The original field text
+ * @param {Array} [ranges] - [start, end] pairs from a search result's matches
+ * @returns {string} - Escaped HTML
+ */
+function highlight(text, ranges) {
+    if (!ranges || ranges.length === 0) return escapeHtml(text);
+
+    // Merge overlapping and touching ranges
+    const merged = [];
+    ranges.slice().sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1]) {
+            last[1] = Math.max(last[1], end);
+        } else {
+            merged.push([start, end]);
+        }
+    });
+
+    let html = '';
+    let position = 0;
+    merged.forEach(([start, end]) => {
+        html += escapeHtml(text.slice(position, start));
+        html += `<mark class="search-hit">${escapeHtml(text.slice(start, end))}</mark>`;
+        position = end;
+    });
+    return html + escapeHtml(text.slice(position));
+}
+
+const BrandSearch = {
+    search,
+    parseQuery,
+    normalize: text => normalize(text).text,
+    highlight,
+    escapeHtml,
+    fields: Object.keys(fieldAliases)
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BrandSearch;
+} else {
+    global.BrandSearch = BrandSearch;
+}
+
+})(typeof window !== 'undefined' ? window : globalThis);
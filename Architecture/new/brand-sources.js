@@ -0,0 +1,273 @@
+/**
+ * Nestlé Brand Map - Data Sources
+ *
+ * Loads brand records from one or more sources and merges them into a single
+ * list. A source is either a URL string (JSON) or an object with a type:
+ *
+ *     { type: 'json', url: 'brands.json' }
+ *     { type: 'csv', url: 'portfolio.csv', columns: { name: 'Brand', category: 'Segment' } }
+ *     { type: 'tsv', url: 'portfolio.tsv' }
+ *     { type: 'inline', data: [{ name: 'Nescafé', category: 'Coffee' }] }
+ *
+ * Any source may set optional: true, in which case a failure to load it is
+ * logged and the remaining sources are still used.
+ *
+ * Sources are merged in order. A record whose name matches a record from an
+ * earlier source overrides that record field by field (a null value removes
+ * the field); other records are added. This lets a regional overlay file add
+ * brands or adjust a few fields of the main file:
+ *
+ *     BrandMap.mount(element, {
+ *         sources: ['brands.json', { type: 'csv', url: 'emea-overlay.csv', optional: true }]
+ *     });
+ *
+ * Further source types can be added with BrandSources.registerLoader.
+ * Works in the browser (window.BrandSources) and under Node (module.exports).
+ */
+
+(function (global) {
+
+// Loaders by source type; each returns a Promise of an array of records
+const loaders = {};
+
+// Fields that hold numbers (see brand-schema.js); their cells are read as numbers
+const numberFields = ['ownership'];
+
+/**
+ * Fetch a URL and return its body as text
+ * @param {string} url - URL to fetch
+ * @returns {Promise<string>}
+ */
+function fetchText(url) {
+    return fetch(url).then(response => {
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status} (${url})`);
+        }
+        return response.text();
+    });
+}
+
+/**
+ * Split delimited text into rows of cells
+ * Handles quoted cells containing delimiters, line breaks and doubled quotes ("").
+ * @param {string} text - CSV or TSV text
+ * @param {string} delimiter - Cell delimiter, e.g. ',' or '\t'
+ * @returns {string[][]}
+ */
+function parseDelimited(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    // Drop a byte-order mark left by spreadsheet exports
+    if (text.charCodeAt(0) === 0xFEFF) text = text.slice(1);
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    // Last line without a trailing line break
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Skip blank lines
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Turn delimited text into brand records using its header row
+ * Cells of number fields are read as numbers; cells that are not numbers are kept as text, for
+ * the schema check to report.
+ *
+ *     parseCsv('name,category,relationship,ownership\nBlue Bottle,Coffee,stake,68');
+ *     // [{ name: 'Blue Bottle', category: 'Coffee', relationship: 'stake', ownership: 68 }]
+ *
+ * @param {string} text - CSV or TSV text
+ * @param {Object} [options]
+ * @param {string} [options.delimiter=','] - Cell delimiter
+ * @param {Object} [options.columns] - Record field → column header, or a function (row) => value
+ *   computing the field from the row (keyed by header). Without a mapping the headers are used as field names.
+ * @returns {Object[]}
+ */
+function parseCsv(text, options = {}) {
+    const [headers, ...rows] = parseDelimited(text, options.delimiter || ',');
+    if (!headers) return [];
+
+    const trimmedHeaders = headers.map(header => header.trim());
+    const columns = options.columns ||
+        Object.fromEntries(trimmedHeaders.map(header => [header, header]));
+
+    const missing = Object.values(columns)
+        .filter(column => typeof column === 'string' && !trimmedHeaders.includes(column));
+    if (missing.length > 0) {
+        console.warn(`Column mapping refers to columns not in the file: ${missing.join(', ')}`);
+    }
+
+    return rows.map(cells => {
+        const row = {};
+        trimmedHeaders.forEach((header, i) => { row[header] = (cells[i] || '').trim(); });
+
+        const record = {};
+        Object.entries(columns).forEach(([field, column]) => {
+            const value = typeof column === 'function' ? column(row) : row[column];
+            // Empty cells leave the field out, so optional fields stay optional
+            if (value === undefined || value === null || value === '') return;
+            const number = numberFields.includes(field) && typeof value === 'string' ? Number(value) : NaN;
+            record[field] = Number.isFinite(number) ? number : value;
+        });
+        return record;
+    });
+}
+
+/**
+ * Add a loader for a new source type
+ * @param {string} type - Source type, e.g. 'api'
+ * @param {Function} loader - (source) => Promise of an array of records
+ */
+function registerLoader(type, loader) {
+    loaders[type] = loader;
+}
+
+registerLoader('json', source => fetchText(source.url).then(text => JSON.parse(text)));
+
+registerLoader('csv', source => fetchText(source.url).then(text => parseCsv(text, {
+    delimiter: source.delimiter || ',',
+    columns: source.columns
+})));
+
+registerLoader('tsv', source => fetchText(source.url).then(text => parseCsv(text, {
+    delimiter: '\t',
+    columns: source.columns
+})));
+
+registerLoader('inline', source => Promise.resolve(source.data));
+
+/**
+ * Turn the shorthand forms of a source into a source object
+ * @param {string|Object} source - URL or source object
+ * @returns {Object}
+ */
+function normalizeSource(source) {
+    if (typeof source === 'string') {
+        // Pick the type from the file extension
+        const extension = source.split(/[?#]/)[0].split('.').pop().toLowerCase();
+        return { type: loaders[extension] ? extension : 'json', url: source };
+    }
+    if (Array.isArray(source)) {
+        return { type: 'inline', data: source };
+    }
+    return { type: source.data ? 'inline' : 'json', ...source };
+}
+
+/**
+ * Load a single source
+ * @param {string|Object} source - URL or source object
+ * @returns {Promise<Array>}
+ */
+function loadSource(source) {
+    const normalized = normalizeSource(source);
+    const loader = loaders[normalized.type];
+    if (!loader) {
+        return Promise.reject(new Error(`Unknown data source type "${normalized.type}"`));
+    }
+    return Promise.resolve().then(() => loader(normalized)).then(records => {
+        if (!Array.isArray(records)) {
+            throw new Error(`Data source ${normalized.url || normalized.type} did not return a list of brand records`);
+        }
+        return records;
+    });
+}
+
+/**
+ * Merge record lists; later lists override earlier records with the same name
+ * Records are copied, so the source data is never modified.
+ * @param {Array[]} recordLists - Lists of records in order of precedence (lowest first)
+ * @returns {Array}
+ */
+function mergeSources(recordLists) {
+    const merged = [];
+    const byName = new Map();
+
+    recordLists.forEach(records => {
+        // Records within one list are never merged, so duplicates still reach the schema check
+        const fromEarlierLists = new Map(byName);
+
+        records.forEach(record => {
+            const name = record && typeof record === 'object' ? record.name : undefined;
+            const existing = name !== undefined ? fromEarlierLists.get(name) : undefined;
+
+            if (existing) {
+                Object.entries(record).forEach(([field, value]) => {
+                    if (value === null) {
+                        delete existing[field];
+                    } else {
+                        existing[field] = value;
+                    }
+                });
+                return;
+            }
+
+            const copy = record && typeof record === 'object' && !Array.isArray(record) ? { ...record } : record;
+            merged.push(copy);
+            if (name !== undefined && !byName.has(name)) byName.set(name, copy);
+        });
+    });
+
+    return merged;
+}
+
+/**
+ * Load every source and merge the results
+ * @param {Array} sources - URLs and/or source objects, lowest precedence first
+ * @returns {Promise<Array>} - The merged records
+ */
+function loadSources(sources) {
+    return Promise.all(sources.map(source => loadSource(source).catch(error => {
+        if (!source.optional) throw error;
+        console.warn('Skipping optional data source:', error);
+        return [];
+    }))).then(mergeSources);
+}
+
+const BrandSources = {
+    load: loadSources,
+    loadSource,
+    registerLoader,
+    parseCsv,
+    mergeSources
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BrandSources;
+} else {
+    global.BrandSources = BrandSources;
+}
+
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -4,31 +4,37 @@
  * This script handles the loading, filtering, and display of Nestlé brand data,
  * with both list and radial view options, including advanced D3.js interactivity.
  * Radial view now uses icons/logos within nodes instead of text labels and
- * represents the L'Oréal hierarchy.
+ * represents the ownership hierarchy built from each brand's parent_brand.
+ *
+ * The map is an embeddable widget; each mounted map keeps its own data and state:
+ *
+ *     const map = BrandMap.mount(document.getElementById('my-map'), {
+ *         sources: ['brands.json', { type: 'csv', url: 'overlay.csv', columns: { name: 'Brand' } }],
+ *         theme: 'light',
+ *         initialView: 'radial',
+ *         colorMap: { Coffee: '#6D4C41' }
+ *     });
+ *     map.on('brandselect', (event) => console.log(event.detail.brand));
+ *     map.setFilter({ search: 'coffee', region: ['Europe', 'Asia-Pacific'] });
+ *     map.focusBrand('Nescafé');
+ *     map.setLocale('fr');
+ *     map.destroy();
  */
 
-// Global variables
-let allBrands = [];
-let currentView = 'radial'; // Start with 'radial' view as default
-let radialSvg = null; // D3 SVG reference
-let radialZoom = null; // D3 zoom behavior
-let tooltip = null; // Tooltip element
-let rotation = 0; // Current rotation angle for the radial view
-let lastGestureRotation = 0; // For touch rotation gestures
-
-// Define radii for different node types - accessible globally or passed around
-// Made globally accessible for use in updateRadialRotation and event handlers
+(function (global) {
+
+// Define radii for different node types, shared by every map instance
 const radii = {
     root: 35,
-    loreal_parent: 28,
+    parent: 28, // Brands that own other brands
     category_bg: 22, // Background circle for category SVG
     brand: 18
 };
 const categoryIconSize = 30; // Display size for category SVG icons
 
 // Define colors for categories (should match CSS or be consistent)
-// Ensure these match the colors used in styles.css or are generated consistently
-const colorMap = {
+// Instances can override or extend these with the colorMap option
+const defaultColorMap = {
     'Coffee': '#8D6E63', // Brown
     'Sweets': '#EC407A', // Pink
     'Pet_Care': '#66BB6A', // Green
@@ -41,891 +47,4193 @@ const colorMap = {
     // Add colors for other categories if needed
 };
 
-// Initialize the application when DOM is loaded
-document.addEventListener("DOMContentLoaded", () => {
-    // Create tooltip element
-    createTooltip();
-
-    // Set up event listeners
-    setupEventListeners();
-
-    // Set the initial theme
-    setTheme(document.documentElement.getAttribute('data-theme') || 'dark');
-
-    // Simulate loading with a timeout
-    setTimeout(() => {
-        hideLoadingScreen();
-        // Load brand data
-        loadBrandData();
-    }, 1500);
-
-    // Help modal setup (kept as is)
-    const helpBtn = document.createElement('button');
-    helpBtn.id = 'help-btn';
-    helpBtn.innerHTML = '<i class="fas fa-question-circle"></i>';
-    helpBtn.title = 'Help / Guide';
-    helpBtn.setAttribute('aria-label', 'Show help and guide');
-    helpBtn.style.marginLeft = '8px';
-    const themeToggleDiv = document.querySelector('.theme-toggle');
-    if (themeToggleDiv) { // Check if the element exists
-      themeToggleDiv.appendChild(helpBtn);
-    } else {
-      console.error('Theme toggle div not found.');
-    }
-
-    const helpModal = document.createElement('div');
-    helpModal.id = 'help-modal';
-    helpModal.className = 'modal';
-    helpModal.innerHTML = `
-        <div class="modal-content">
-            <span class="close-button">&times;</span>
-            <h2>How to Use the Brand Map</h2>
-            <ul style="text-align:left;line-height:1.7;">
-                <li><b>Switch Views:</b> Use the buttons above the map to toggle between Radial and List views.</li>
-                <li><b>Zoom & Rotate:</b> Use the controls below the map, or pinch/rotate on touch devices.</li>
-                <li><b>Search & Filter:</b> Use the search box and region filter to find brands.</li>
-                <li><b>Tooltips:</b> Hover or tap a node to see details. Click to pin/unpin.</li>
-                <li><b>Legend:</b> (Note: Legend functionality may be limited with icon-based nodes)</li>
-                 <li><b>Theme Toggle:</b> Use the sun/moon icon in the header.</li>
-            </ul>
-        </div>
-    `;
-     document.body.appendChild(helpModal);
-
-    const helpModalCloseButton = helpModal.querySelector('.close-button');
-     if (helpModalCloseButton) { // Check if the element exists
-        helpModalCloseButton.addEventListener('click', () => {
-            const modal = document.getElementById('help-modal'); // Corrected modal id
-            if(modal) modal.classList.remove('show');
-        });
+// Other category palettes, selectable with the palette menu or setPalette; 'default' is the map above
+const palettes = {
+    // Okabe–Ito colours, which stay distinct with deuteranopia and protanopia, and two from Paul Tol's muted scheme
+    colorblind: {
+        'Coffee': '#E69F00', // Orange
+        'Sweets': '#CC79A7', // Reddish purple
+        'Pet_Care': '#009E73', // Bluish green
+        'Water': '#56B4E9', // Sky blue
+        'Beverages': '#F0E442', // Yellow
+        'Cereal': '#0072B2', // Blue
+        'Icecream': '#D55E00', // Vermillion
+        'Cosmetics': '#999933', // Olive
+        'Fashion': '#882255' // Wine
+    },
+    // Saturated colours that stand out from both themes; nodes get heavier borders with it
+    'high-contrast': {
+        'Coffee': '#A65E2E',
+        'Sweets': '#FF00A0',
+        'Pet_Care': '#00B140',
+        'Water': '#0096FF',
+        'Beverages': '#FFB300',
+        'Cereal': '#8F3DFF',
+        'Icecream': '#00D5D5',
+        'Cosmetics': '#FF4D00',
+        'Fashion': '#B0B0B0'
     }
-    window.addEventListener('click', (event) => {
-        const helpModalElement = document.getElementById('help-modal'); // Corrected modal id
-        if (helpModalElement && event.target === helpModalElement) {
-            helpModalElement.classList.remove('show');
-        }
-    });
+};
+const paletteNames = ['default', ...Object.keys(palettes)];
+
+// Shapes and hatching that tell categories apart alongside their colour (see categoryCue);
+// the two lists differ in length so that their combinations only repeat after 56 categories
+const cueSymbols = ['symbolCircle', 'symbolSquare', 'symbolTriangle', 'symbolDiamond', 'symbolStar', 'symbolCross', 'symbolWye'];
+const cueHatches = [
+    null, // Plain colour
+    'M0,8L8,0M-2,2L2,-2M6,10L10,6', // Diagonal
+    'M0,4H8', // Horizontal
+    'M4,0V8', // Vertical
+    'M0,0L8,8M-2,6L2,10M6,-2L10,2', // Other diagonal
+    'M0,4H8M4,0V8', // Grid
+    'M0,8L8,0M0,0L8,8', // Cross-hatch
+    'M3,4a1,1 0 1,0 2,0a1,1 0 1,0 -2,0' // Dots
+];
+
+// How a brand can be held by its owner (the relationship field, see brand-schema.js) and how its link is drawn;
+// the names are the relationship.* messages in brand-i18n.js
+const relationshipTypes = {
+    owned: { dash: null },
+    jv: { dash: '10,3,2,3' },
+    stake: { dash: '6,4' },
+    licensed: { dash: '2,4' }
+};
 
-    // On load, remove data-contrast from <html> if present
-    if (document.documentElement.hasAttribute('data-contrast')) {
-        document.documentElement.removeAttribute('data-contrast');
-    }
+// Brand fields offered by the editor, in form order
+const editableFields = ['name', 'category', 'parent_brand', 'relationship', 'ownership', 'region', 'tagline', 'description', 'website', 'logo_url', 'acquired', 'divested'];
+// Uploaded logos are stored in brands.json itself as data URLs, so keep them small
+const maxLogoBytes = 200 * 1024;
+
+// Brand fields laid out side by side in the comparison panel, below the logos (headed by compare.field.* messages)
+const compareFields = ['category', 'region', 'parent_brand', 'tagline', 'description'];
+// Most brands the panel has room for
+const maxComparedBrands = 4;
+
+// Category of holding companies (e.g. L'Oréal); they sit directly under their owner
+// rather than inside a category node
+const parentCompanyCategory = 'Parent Company';
+// Category that brands without one are grouped under
+const uncategorized = 'Uncategorized';
+
+// Diagram layouts, selectable with the layout menu or setLayout
+const layouts = ['radial', 'tree', 'sunburst', 'treemap', 'force'];
+
+// Layouts a node can be focused in (see focusOnNode); the sunburst zooms into its segments instead
+const focusLayouts = ['radial', 'tree', 'force'];
+
+// System settings the map follows until the user overrides them
+const systemMediaQueries = ['(prefers-color-scheme: dark)', '(prefers-contrast: more)', '(prefers-reduced-motion: reduce)'];
+
+// Options accepted by BrandMap.mount
+const defaultOptions = {
+    dataUrl: 'brands.json', // Where to fetch the brand records from
+    sources: null, // Several data sources merged in order (see brand-sources.js); replaces dataUrl when set
+    theme: null, // 'dark' or 'light' until the user picks one; null follows the system setting, then the data-theme on the element or page
+    palette: null, // Category colours until the user picks some: 'default', 'colorblind' or 'high-contrast'; null uses 'high-contrast' in high contrast mode and 'default' otherwise
+    shapeCues: false, // Mark categories with shapes and hatching as well as colours
+    initialView: 'radial', // 'radial' or 'list'
+    initialLayout: 'radial', // Diagram layout: 'radial', 'tree', 'sunburst', 'treemap' or 'force'
+    treemapSizeField: null, // Numeric brand field that sizes the treemap; null sizes every brand the same
+    colorMap: {}, // Category colours merged over the defaults (the other palettes still colour the categories they know)
+    regionHierarchy: null, // Region → regions it contains, for the region filter; null uses the default (see brand-facets.js)
+    regionAliases: null, // Other spellings of regions in the data → region name(s); null uses the default
+    syncUrl: false, // Mirror the map state in the URL hash; enable for at most one map per page
+    admin: false, // Offer tools to add, edit and delete brands and download the result as brands.json (see brand-editor.js)
+    locale: null, // UI language, e.g. 'fr' or 'fr-CH', until the user picks one; null follows the browser's languages, then English
+    messages: null, // Extra or replacement UI text by locale, e.g. { fr: { 'loading': 'Chargement…' }, it: { ... } } (keys as in brand-i18n.js)
+    detailThreshold: 500, // Diagrams with more nodes than this are drawn lighter: no fade-in, and logos only once zoomed in
+    logoZoom: 2, // Zoom level at which a diagram over the detailThreshold starts showing the logos in view
+    labelZoom: 1.5, // Zoom level at which brand names appear next to their nodes (radial, tree and network layouts)
+    taglineZoom: 3, // Zoom level at which the brands' taglines appear under their names
+    // localStorage key the user's preferences are saved under; null does not save them. By default 'nestle-brand-map',
+    // followed by '#' and the id of the map's element if it has one, so maps on one page need ids or keys of their own
+    preferencesKey: undefined
+};
 
-        if (helpBtn) { // Check if helpBtn was successfully created and added
-        helpBtn.addEventListener('click', () => {
-            const modal = document.getElementById('help-modal');
-            if (modal) modal.classList.add('show');
-        });
-    }
+// Markup rendered into the mount element
+const widgetTemplate = `
+    <!-- Loading Screen -->
+    <div class="loading-screen" role="status" aria-live="polite">
+        <div class="spinner"></div>
+        <p data-i18n="loading"></p>
+    </div>
+
+    <!-- Main Content -->
+    <div class="main-content hidden">
+        <!-- Theme Toggle -->
+        <div class="theme-toggle">
+            <button class="theme-toggle-btn" data-i18n-aria-label="theme.toggle">
+                <i class="fas fa-sun light-icon"></i>
+                <i class="fas fa-moon dark-icon"></i>
+            </button>
+            <button class="contrast-toggle-btn" data-i18n-aria-label="theme.contrast" aria-pressed="false" data-i18n-title="theme.contrast">
+                <i class="fas fa-circle-half-stroke"></i>
+            </button>
+            <button class="motion-toggle-btn" data-i18n-aria-label="theme.motion" aria-pressed="false" data-i18n-title="theme.motion">
+                <i class="fas fa-pause"></i>
+            </button>
+            <button class="reset-preferences-btn" data-i18n-aria-label="preferences.reset" data-i18n-title="preferences.reset">
+                <i class="fas fa-arrow-rotate-left"></i>
+            </button>
+        </div>
+
+        <!-- View Toggle and Filters -->
+        <div class="widget-toolbar">
+            <div class="view-toggle" role="group" data-i18n-aria-label="view.choose">
+                <button class="radial-view-btn active" aria-pressed="true"><i class="fas fa-circle-nodes"></i> <span data-i18n="view.diagram"></span></button>
+                <button class="list-view-btn" aria-pressed="false"><i class="fas fa-list"></i> <span data-i18n="view.list"></span></button>
+            </div>
+            <div class="filter-controls">
+                <div class="search-container">
+                    <input type="search" class="search-input" data-i18n-placeholder="search.placeholder" data-i18n-aria-label="search.label" data-i18n-title="search.hint" autocomplete="off">
+                    <i class="fas fa-search search-icon" aria-hidden="true"></i>
+                </div>
+                <div class="facet-control">
+                    <button class="facet-toggle" aria-haspopup="true" aria-expanded="false" data-i18n-title="filters.hint">
+                        <i class="fas fa-filter"></i> <span data-i18n="filters.button"></span> <span class="facet-active-count"></span>
+                    </button>
+                    <div class="facet-panel hidden" role="group" data-i18n-aria-label="filters.panel">
+                        <div class="facet-panel-header">
+                            <h3 data-i18n="filters.button"></h3>
+                            <button class="facet-clear" data-i18n="filters.clear" disabled></button>
+                        </div>
+                        <!-- Options are populated from the brand data -->
+                        <fieldset class="facet" data-facet="category">
+                            <legend data-i18n="facet.category"></legend>
+                            <ul class="facet-options"></ul>
+                        </fieldset>
+                        <fieldset class="facet" data-facet="region">
+                            <legend data-i18n="facet.region"></legend>
+                            <p class="facet-note" data-i18n="facet.regionNote"></p>
+                            <ul class="facet-options"></ul>
+                        </fieldset>
+                        <fieldset class="facet" data-facet="parent">
+                            <legend data-i18n="facet.parent"></legend>
+                            <ul class="facet-options"></ul>
+                        </fieldset>
+                        <fieldset class="facet" data-facet="relationship">
+                            <legend data-i18n="facet.relationship"></legend>
+                            <ul class="facet-options"></ul>
+                        </fieldset>
+                    </div>
+                </div>
+            </div>
+            <div class="display-controls" role="group" data-i18n-aria-label="colours.label">
+                <select class="palette-select" data-i18n-title="colours.label" data-i18n-aria-label="palette.label">
+                    <option value="default" data-i18n="palette.default"></option>
+                    <option value="colorblind" data-i18n="palette.colorblind"></option>
+                    <option value="high-contrast" data-i18n="palette.highContrast"></option>
+                </select>
+                <button class="shape-cues-btn" aria-pressed="false" data-i18n-title="shapes.hint">
+                    <i class="fas fa-shapes"></i> <span data-i18n="shapes.button"></span>
+                </button>
+            </div>
+            <div class="compare-controls">
+                <button class="compare-toggle-btn" aria-pressed="false" data-i18n-title="compare.hint">
+                    <i class="fas fa-table-columns"></i> <span data-i18n="compare.button"></span>
+                </button>
+            </div>
+            <div class="locale-controls">
+                <select class="locale-select" data-i18n-title="locale.label" data-i18n-aria-label="locale.label">
+                    <!-- One option per locale there is a catalogue for (see brand-i18n.js) -->
+                </select>
+            </div>
+            <div class="admin-controls hidden" role="group" data-i18n-aria-label="admin.label">
+                <button class="admin-add" data-i18n-title="admin.addHint" disabled><i class="fas fa-plus"></i> <span data-i18n="admin.add"></span></button>
+                <button class="admin-undo" data-i18n-title="admin.undo" disabled><i class="fas fa-rotate-left"></i> <span data-i18n="admin.undo"></span></button>
+                <button class="admin-redo" data-i18n-title="admin.redo" disabled><i class="fas fa-rotate-right"></i> <span data-i18n="admin.redo"></span></button>
+                <button class="admin-download" data-i18n-title="admin.downloadHint" disabled><i class="fas fa-file-arrow-down"></i> brands.json</button>
+            </div>
+            <button class="data-report-btn hidden" data-i18n-title="report.hint" data-i18n-aria-label="report.label">
+                <i class="fas fa-triangle-exclamation"></i> <span class="data-report-count"></span>
+            </button>
+        </div>
 
-});
+        <!-- List View -->
+        <div class="list-view hidden" data-i18n-aria-label="list.label">
+            <div class="category-view">
+                <!-- Category groups will be inserted here -->
+            </div>
+        </div>
 
-/**
- * Create tooltip element for interactive hover effects
- */
-function createTooltip() {
-    tooltip = document.createElement('div');
-    tooltip.className = 'tooltip';
-    tooltip.setAttribute('role', 'tooltip');
-    document.body.appendChild(tooltip);
-     // Ensure the tooltip doesn't block clicks on the document body for unpinning
-    tooltip.addEventListener('click', (event) => {
-        event.stopPropagation(); // Prevent click on tooltip from propagating to body
-    });
-}
+        <!-- Radial View -->
+        <div class="radial-view" data-i18n-aria-label="radial.label" tabindex="0">
+            <nav class="focus-breadcrumb hidden" data-i18n-aria-label="focus.label"></nav>
+            <div class="radial-diagram" role="region" data-i18n-aria-label="radial.diagram"></div>
+            <!-- Announces the node focused with the keyboard to screen readers -->
+            <div class="radial-announcer sr-only" aria-live="polite" aria-atomic="true"></div>
+            <!-- Timeline: the portfolio at the end of a year, going by the brands' acquired and divested dates -->
+            <div class="timeline-bar hidden" role="group" data-i18n-aria-label="timeline.label">
+                <label class="timeline-label"><span data-i18n="timeline.asOf"></span> <output class="timeline-year"></output>
+                    <input type="range" class="timeline-slider" step="1" data-i18n-aria-label="timeline.slider">
+                </label>
+                <p class="timeline-events"></p>
+            </div>
+            <div class="radial-controls" role="toolbar" data-i18n-aria-label="controls.label">
+                <select class="layout-select" data-i18n-title="layout.hint" data-i18n-aria-label="layout.label">
+                    <option value="radial" data-i18n="layout.radial"></option>
+                    <option value="tree" data-i18n="layout.tree"></option>
+                    <option value="sunburst" data-i18n="layout.sunburst"></option>
+                    <option value="treemap" data-i18n="layout.treemap"></option>
+                    <option value="force" data-i18n="layout.force"></option>
+                </select>
+                <button class="zoom-in" data-i18n-title="zoom.in" data-i18n-aria-label="zoom.in"><i class="fas fa-plus"></i></button>
+                <button class="zoom-out" data-i18n-title="zoom.out" data-i18n-aria-label="zoom.out"><i class="fas fa-minus"></i></button>
+                <button class="reset-zoom" data-i18n-title="zoom.reset" data-i18n-aria-label="zoom.reset"><i class="fas fa-home"></i></button>
+                <button class="rotate-left" data-i18n-title="rotate.left" data-i18n-aria-label="rotate.left"><i class="fas fa-undo"></i></button>
+                <button class="rotate-right" data-i18n-title="rotate.right" data-i18n-aria-label="rotate.right"><i class="fas fa-redo"></i></button>
+                <button class="expand-all" data-i18n-title="expand.hint" data-i18n-aria-label="expand.label"><i class="fas fa-expand-alt"></i></button>
+                <button class="timeline-toggle" data-i18n-title="timeline.label" data-i18n-aria-label="timeline.toggle" aria-pressed="false"><i class="fas fa-clock-rotate-left"></i></button>
+                <select class="collapse-depth" data-i18n-title="collapse.hint" data-i18n-aria-label="collapse.label">
+                    <option value="" data-i18n="collapse.prompt"></option>
+                    <option value="1" data-i18n="collapse.toDepth" data-depth="1"></option>
+                    <option value="2" data-i18n="collapse.toDepth" data-depth="2"></option>
+                    <option value="3" data-i18n="collapse.toDepth" data-depth="3"></option>
+                </select>
+                <div class="export-control">
+                    <button class="export-map" data-i18n-title="export.hint" data-i18n-aria-label="export.label" aria-haspopup="true" aria-expanded="false"><i class="fas fa-download"></i></button>
+                    <div class="export-menu hidden" role="menu" data-i18n-aria-label="export.label">
+                        <button role="menuitem" data-format="svg"><i class="fas fa-file-code"></i> SVG</button>
+                        <button role="menuitem" data-format="png"><i class="fas fa-file-image"></i> PNG</button>
+                        <label class="export-scale-label"><span data-i18n="export.resolution"></span>
+                            <select class="export-scale" data-i18n-aria-label="export.scaleLabel">
+                                <option value="1" data-i18n="export.scaleScreen"></option>
+                                <option value="2" selected>2×</option>
+                                <option value="4" data-i18n="export.scalePrint"></option>
+                            </select>
+                        </label>
+                        <button role="menuitem" data-format="pdf"><i class="fas fa-file-pdf"></i> <span data-i18n="export.pdf"></span></button>
+                    </div>
+                </div>
+            </div>
+        </div>
+
+        <!-- Brands picked for comparison (compare mode) -->
+        <div class="compare-tray hidden" role="region" data-i18n-aria-label="compare.tray">
+            <p class="compare-hint" data-i18n="compare.pick"></p>
+            <ul class="compare-chips"></ul>
+            <button class="compare-open-btn" disabled><i class="fas fa-table-columns"></i> <span data-i18n="compare.button"></span></button>
+            <button class="compare-clear-btn" data-i18n="compare.clear" disabled></button>
+        </div>
+
+        <!-- Data Quality Report: records that failed the schema check and logos that failed to load -->
+        <div class="data-report hidden" role="region" data-i18n-aria-label="report.title">
+            <div class="data-report-header">
+                <h3><i class="fas fa-triangle-exclamation"></i> <span data-i18n="report.title"></span></h3>
+                <button class="data-report-close" data-i18n-aria-label="report.close">&times;</button>
+            </div>
+            <p class="data-report-summary"></p>
+            <p class="data-report-note hidden" data-i18n="report.englishOnly"></p>
+            <ul class="data-report-list"></ul>
+            <div class="logo-diagnostics hidden">
+                <h4 data-i18n="report.logos"></h4>
+                <ul class="logo-diagnostics-list"></ul>
+            </div>
+        </div>
+
+        <!-- Brand Detail Modal -->
+        <div class="brand-modal modal">
+            <div class="modal-content">
+                <span class="close-button">&times;</span>
+                <div class="brand-detail-content">
+                    <!-- Brand details will be inserted here -->
+                </div>
+            </div>
+        </div>
+
+        <!-- Brand Comparison -->
+        <div class="compare-modal modal">
+            <div class="modal-content">
+                <span class="close-button">&times;</span>
+                <h2 data-i18n="compare.title"></h2>
+                <label class="compare-differences-only"><input type="checkbox"> <span data-i18n="compare.differencesOnly"></span></label>
+                <div class="compare-table-wrapper">
+                    <table class="compare-table">
+                        <!-- One column per brand, inserted by showComparison -->
+                    </table>
+                </div>
+                <div class="modal-actions">
+                    <button class="compare-export-btn"><i class="fas fa-file-csv"></i> <span data-i18n="compare.export"></span></button>
+                </div>
+            </div>
+        </div>
+    </div>
+`;
 
 /**
- * Set up event listeners for interactive elements
+ * Create a brand map inside an element
+ * @param {HTMLElement} root - The element to render the map into
+ * @param {Object} [options] - See defaultOptions
+ * @returns {Object} - The map instance
  */
-function setupEventListeners() {
-    // Theme toggle
-    const themeToggleBtn = document.getElementById('theme-toggle-btn');
-    if(themeToggleBtn) {
-        themeToggleBtn.addEventListener('click', () => {
-            const currentTheme = document.documentElement.getAttribute('data-theme');
-            setTheme(currentTheme === 'dark' ? 'light' : 'dark');
-        });
+function createBrandMap(root, options = {}) {
+    const config = { ...defaultOptions, ...options };
+    const mapId = ++mapCount; // Keeps the ids of SVG patterns unique when a page has several maps
+    const preferencesKey = config.preferencesKey === undefined
+        ? `nestle-brand-map${root.id ? `#${root.id}` : ''}`
+        : config.preferencesKey;
+    // Two maps saving under one key would overwrite each other's preferences
+    const ownsPreferencesKey = Boolean(preferencesKey) && !preferenceKeysInUse.has(preferencesKey);
+    if (ownsPreferencesKey) {
+        preferenceKeysInUse.add(preferencesKey);
+    } else if (preferencesKey) {
+        console.warn(`Another map on the page saves its preferences under "${preferencesKey}"; give this map an element id or its own preferencesKey.`);
+    }
+    let colorMap = { ...defaultColorMap, ...config.colorMap };
+    let currentPalette = 'default';
+    let shapeCues = false; // Whether categories are marked with shapes and hatching (see categoryCue)
+    let cueCategories = []; // Categories in the order they are given shapes and hatching
+    let adminMode = false; // Whether the editing tools are shown
+    let editSession = null; // Edits of the brand data, with their undo history (see brand-editor.js)
+    let compareMode = false; // Whether clicking a brand picks it for comparison instead of opening it
+    let compareSelection = []; // Names of the brands picked for comparison, in the order picked
+    let timelineYear = null; // The diagram shows the portfolio at the end of this year; null shows every brand
+    let currentLocale = null; // Language the map is shown in (see applyLocale)
+    let t = BrandI18n.createTranslator(BrandI18n.defaultLocale); // Looks up UI text in the current language (see brand-i18n.js)
+    let localizedBrands = new WeakMap(); // Brand record → the record with its tagline and description in the current language
+
+    // Instance state
+    let allBrands = [];
+    let dataReport = null; // Result of the schema check on the loaded data
+    let currentView = config.initialView === 'list' ? 'list' : 'radial';
+    let currentLayout = layouts.includes(config.initialLayout) ? config.initialLayout : 'radial';
+    const collapsedNodes = new Set(); // Collapsed branches, by nodeKey; kept across redraws, resizes and layout changes
+    let simulation = null; // Force simulation of the network layout
+    let orientLabels = null; // Turns the current layout's labels after a rotation so they stay upright
+    let labelRotation = 0; // The rotation the labels were last turned for
+    let focusedNodeKey = null; // nodeKey of the node the diagram is focused on (see focusOnNode); null shows the whole map
+    let branchToggleTimer = null; // A click on a branch waits to see whether it is the start of a double-click
+    let radialSvg = null; // D3 SVG reference
+    let radialZoom = null; // D3 zoom behavior
+    let radialLayoutSize = null; // { width, height } the diagram was laid out for; resizing rescales it instead (see resizeRadialView)
+    let radialData = null; // { root, brands, year, locale }: the hierarchy data last built by prepareRadialData and what it was built from
+    let logoPatterns = new Map(); // Logo (and size) → id of its pattern in the diagram's <defs>; nodes with the same logo share one
+    let largeDiagram = false; // Whether the diagram has more nodes than config.detailThreshold (see applyLevelOfDetail)
+    // Loads each logo once for every view and keeps track of the ones that fail (see brand-logos.js)
+    const logoLoader = BrandLogos.createLoader();
+    logoLoader.onFailure(failure => handleLogoFailure(failure));
+    let tooltip = null; // Tooltip element
+    let rotation = 0; // Current rotation angle for the radial view
+    let lastGestureRotation = 0; // For touch rotation gestures
+    let pendingUrlState = null; // URL state still to be applied once the radial view is (re)initialized
+    let pendingFocusBrand = null; // Brand passed to focusBrand before the radial view was ready
+    let keyboardNodeName = null; // Radial node that holds keyboard focus, kept across redraws
+    let loadingTimer = null; // Simulated loading delay
+    let lastFilterKey = null; // Filters last announced through the filterchange event
+    let searchMatches = new Map(); // Brand name → field → text ranges matched by the current search
+    let lastFocusedMatch = null; // Best search match last centred in the radial view
+    // Category, region and parent filters (see brand-facets.js)
+    const facetHelper = global.BrandFacets ? BrandFacets.create({
+        regionHierarchy: config.regionHierarchy,
+        regionAliases: config.regionAliases
+    }) : null;
+    const facetSelections = { category: [], region: [], parent: [], relationship: [] }; // Values ticked in each facet
+    let facetOptions = { category: [], region: [], parent: [], relationship: [] }; // Values offered by each facet
+    let preferences = {}; // Saved preferences: { theme, contrast, motion, palette, shapeCues, locale, state, collapsed } (see loadPreferences)
+    let reducedMotion = false; // Skip animations, as the user or the system asked
+    // Theme and contrast given by the host page, the last fallback once the preferences are reset
+    const pageTheme = root.getAttribute('data-theme') || document.documentElement.getAttribute('data-theme');
+    const pageContrast = root.getAttribute('data-contrast') || document.documentElement.getAttribute('data-contrast');
+    let destroyed = false;
+    // Zoom, rotation and typing fire many events; only record the URL state and preferences once they settle
+    const scheduleUrlStateUpdate = debounce(() => {
+        writeUrlState();
+        savePreferences();
+    }, 400);
+    // Centre the best search match only once the user pauses typing
+    const scheduleBestMatchFocus = debounce(focusBestMatch, 500);
+    // Listeners on window/document, removed again by destroy()
+    const globalListeners = [];
+
+    /**
+     * Find the first element inside this map matching a selector
+     * @param {string} selector - CSS selector
+     * @returns {Element|null}
+     */
+    function query(selector) {
+        return root.querySelector(selector);
     }
 
+    /**
+     * Find all elements inside this map matching a selector
+     * @param {string} selector - CSS selector
+     * @returns {NodeList}
+     */
+    function queryAll(selector) {
+        return root.querySelectorAll(selector);
+    }
 
-    // Search functionality
-    const searchInput = document.getElementById('search-input');
-    if(searchInput) {
-        searchInput.addEventListener('input', () => {
-            filterBrands();
-        });
+    /**
+     * Add a listener outside the map's own element and remember it for destroy()
+     * @param {EventTarget} target - window, document or document.body
+     * @param {string} type - Event type
+     * @param {Function} handler - Event handler
+     */
+    function listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        globalListeners.push({ target, type, handler });
     }
 
-    // Region filter
-    const regionFilter = document.getElementById('region-filter');
-     if(regionFilter) {
-        regionFilter.addEventListener('change', () => {
-            filterBrands();
-        });
+    /**
+     * Dispatch a map event on the mount element
+     * @param {string} type - Event type, e.g. 'brandselect'
+     * @param {Object} detail - Event payload
+     */
+    function emit(type, detail) {
+        root.dispatchEvent(new CustomEvent(type, { detail }));
     }
 
+    /**
+     * Render the widget and start loading data
+     */
+    function init() {
+        root.classList.add('brand-map');
+        root.innerHTML = widgetTemplate;
+
+        // Create tooltip element
+        createTooltip();
+
+        // Start from where the user left off, unless a deep link says otherwise
+        preferences = loadPreferences();
+        if (preferences.state && !hasUrlState()) {
+            const savedState = readUrlState(preferences.state);
+            currentView = savedState.view;
+            currentLayout = savedState.layout;
+        }
+        (preferences.collapsed || []).forEach(key => collapsedNodes.add(key));
+
+        // Offer every language there is a catalogue for, each under its own name
+        const localeSelect = query('.locale-select');
+        availableLocales().forEach(locale => {
+            const option = new Option(BrandI18n.localeName(locale), locale);
+            option.lang = locale;
+            localeSelect.add(option);
+        });
+
+        // Set up event listeners
+        setupEventListeners();
+        applyLayout(currentLayout);
+
+        // Set the initial language, theme, contrast and motion, and follow the system settings the user has not overridden
+        applyDisplayPreferences();
+        if (window.matchMedia) {
+            systemMediaQueries.forEach(media => listen(window.matchMedia(media), 'change', applyDisplayPreferences));
+        }
+
+        if (config.admin) setAdminMode(true);
 
-    // View toggle buttons
-    const listViewBtn = document.getElementById('list-view-btn');
-    const radialViewBtn = document.getElementById('radial-view-btn');
+        // Show the requested starting view
+        if (currentView === 'list') {
+            switchView('list');
+        }
+
+        // Simulate loading with a timeout
+        loadingTimer = setTimeout(() => {
+            hideLoadingScreen();
+            // Load brand data
+            loadBrandData();
+        }, 1500);
+
+        // Help modal setup (kept as is)
+        const helpBtn = document.createElement('button');
+        helpBtn.className = 'help-btn';
+        helpBtn.innerHTML = '<i class="fas fa-question-circle"></i>';
+        helpBtn.style.marginInlineStart = '8px';
+        const themeToggleDiv = query('.theme-toggle');
+        if (themeToggleDiv) { // Check if the element exists
+          themeToggleDiv.appendChild(helpBtn);
+        } else {
+          console.error('Theme toggle div not found.');
+        }
 
-    if(listViewBtn) {
-        listViewBtn.addEventListener('click', () => {
-            if (currentView !== 'list') {
-                switchView('list');
+        const helpModal = document.createElement('div');
+        helpModal.className = 'help-modal modal';
+        helpModal.innerHTML = `
+            <div class="modal-content">
+                <span class="close-button">&times;</span>
+                <h2></h2>
+                <ul class="help-list" style="text-align:start;line-height:1.7;">
+                    <!-- Filled in by renderHelp in the current language -->
+                </ul>
+            </div>
+        `;
+         root.appendChild(helpModal);
+        renderHelp();
+
+        const helpModalCloseButton = helpModal.querySelector('.close-button');
+         if (helpModalCloseButton) { // Check if the element exists
+            helpModalCloseButton.addEventListener('click', () => {
+                const modal = query('.help-modal');
+                if(modal) modal.classList.remove('show');
+            });
+        }
+        listen(window, 'click', (event) => {
+            const helpModalElement = query('.help-modal');
+            if (helpModalElement && event.target === helpModalElement) {
+                helpModalElement.classList.remove('show');
             }
         });
+
+            if (helpBtn) { // Check if helpBtn was successfully created and added
+            helpBtn.addEventListener('click', () => {
+                const modal = query('.help-modal');
+                if (modal) modal.classList.add('show');
+            });
+        }
+
     }
 
-    if(radialViewBtn) {
-        radialViewBtn.addEventListener('click', () => {
-            if (currentView !== 'radial') {
-                switchView('radial');
-            }
-        });
+    /**
+     * Fill the help button and the help modal in with the current language
+     */
+    function renderHelp() {
+        const helpBtn = query('.help-btn');
+        if (helpBtn) {
+            helpBtn.title = t('help.button');
+            helpBtn.setAttribute('aria-label', t('help.buttonLabel'));
+        }
+        const helpModal = query('.help-modal');
+        if (!helpModal) return;
+
+        helpModal.querySelector('h2').textContent = t('help.title');
+        const topics = ['views', 'layouts', 'legend', 'collapse', 'zoom', 'focus', 'search', 'tooltips', 'links', 'keyboard',
+            ...(config.syncUrl ? ['share'] : []), 'report', 'export', 'theme', 'colours', 'language', 'timeline', 'compare'];
+        helpModal.querySelector('.help-list').innerHTML = topics.map(topic => `<li>${t(`help.${topic}`)}</li>`).join('') +
+            `<li class="help-admin${adminMode ? '' : ' hidden'}">${t('help.editing')}</li>` +
+            `<li>${t('help.preferences')}</li>`;
     }
 
+    /**
+     * Fill in the text of the elements marked with data-i18n (their text), data-i18n-title,
+     * data-i18n-aria-label and data-i18n-placeholder (those attributes) in the current language
+     * The other data attributes of an element fill in the placeholders of its messages,
+     * e.g. data-depth="2" for 'To depth {depth}'.
+     * @param {Element} container - Element whose descendants to translate
+     */
+    function translateElements(container) {
+        container.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = t(element.dataset.i18n, element.dataset);
+        });
+        ['title', 'aria-label', 'placeholder'].forEach(attribute => {
+            container.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+                element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`), element.dataset));
+            });
+        });
+    }
 
-    // Close modal when clicking the X button
-    const closeButton = document.querySelector('#brand-modal .close-button');
-     if (closeButton) { // Check if the element exists
-        closeButton.addEventListener('click', () => {
-            const modal = document.getElementById('brand-modal');
-            if(modal) modal.classList.remove('show');
+    /**
+     * Create tooltip element for interactive hover effects
+     */
+    function createTooltip() {
+        tooltip = document.createElement('div');
+        tooltip.className = 'tooltip';
+        tooltip.setAttribute('role', 'tooltip');
+        document.body.appendChild(tooltip);
+         // Ensure the tooltip doesn't block clicks on the document body for unpinning
+        tooltip.addEventListener('click', (event) => {
+            event.stopPropagation(); // Prevent click on tooltip from propagating to body
         });
     }
 
+    /**
+     * Build the tooltip HTML for a radial node
+     * @param {Object} d - The D3 hierarchy node
+     * @returns {string} - The tooltip HTML
+     */
+    function buildTooltipContent(d) {
+        let tooltipContent = `<div style="display:flex;align-items:center;gap:10px;">`;
+        // Use iconUrl for category/root/parent, logo_url for brand for tooltip image
+        const imageUrl = d.data.nodeType === 'brand' ? d.data.logo_url : d.data.iconUrl;
+        // Brands and parent brands whose logo is missing or failed to load show their monogram
+        const tooltipImageUrl = (d.data.nodeType === 'brand' || d.data.nodeType === 'parent') && (!imageUrl || logoLoader.failed(imageUrl))
+            ? brandMonogram(d.data)
+            : imageUrl;
 
-    // Close modal when clicking outside the modal content
-    window.addEventListener('click', (event) => {
-        const modal = document.getElementById('brand-modal');
-        if (modal && event.target === modal) {
-            modal.classList.remove('show');
+        if (tooltipImageUrl) {
+            tooltipContent += `<img src="${escapeHtml(tooltipImageUrl)}" alt="${escapeHtml(t('tooltip.logo', { name: nodeLabel(d.data) }))}" style="width:32px;height:32px;border-radius: ${d.data.nodeType === 'category' ? '4px' : '50%'};background:#eee;object-fit:contain; border: 1px solid #ccc;">`;
         }
-    });
+        const name = d.data.nodeType === 'category' ? escapeHtml(categoryLabel(d.data.name)) : highlightField(d.data, 'name', t('node.unknown'));
+        tooltipContent += `<strong>${name}</strong></div>`; // Ensure name is displayed
 
+        // Add details based on node type
+        if (d.data.nodeType === 'root') {
+             if (d.data.description) tooltipContent += `<br><p style='font-size:0.9em; color:var(--secondary-text);'>${escapeHtml(d.data.description)}</p>`;
+        } else if (d.data.nodeType === 'parent') {
+             if (d.data.tagline) tooltipContent += `<br><em>${highlightField(d.data, 'tagline')}</em>`;
+             if (describeRelationship(d.data)) tooltipContent += `<br><span style='color:var(--secondary-text);'>${t('relationship.heldBy', { relationship: describeRelationship(d.data), owner: escapeHtml(nodeOwner(d).data.name) })}</span>`;
+             if (d.data.description) tooltipContent += `<br><p style='font-size:0.9em; color:var(--secondary-text);'>${highlightField(d.data, 'description')}</p>`;
+             // Brand counts per sub-category, then brands attached directly
+             const childNodes = d.children || [];
+             childNodes.filter(c => c.data.nodeType === 'category').forEach(c => {
+                 tooltipContent += `<br><span style='color:var(--secondary-text); font-size:0.9em;'>${t('tooltip.categoryCount', { category: escapeHtml(categoryLabel(c.data.name)), count: c.children ? c.children.length : 0 })}</span>`;
+             });
+             const directCount = childNodes.filter(c => c.data.nodeType !== 'category').length;
+             if (directCount > 0) tooltipContent += `<br><span style='color:var(--secondary-text); font-size:0.9em;'>${t('tooltip.directCount', { count: directCount })}</span>`;
 
-    // Radial view zoom and rotation controls
-    const zoomInBtn = document.getElementById('zoom-in');
-    const zoomOutBtn = document.getElementById('zoom-out');
-    const resetZoomBtn = document.getElementById('reset-zoom');
-    const rotateLeftBtn = document.getElementById('rotate-left');
-    const rotateRightBtn = document.getElementById('rotate-right');
+        } else if (d.data.nodeType === 'category') {
+             if (d.data.children) tooltipContent += `<br><span style='color:var(--secondary-text); font-size:0.9em;'>${t('tooltip.contains', { count: d.data.children.length })}</span>`;
 
-    if(zoomInBtn) {
-        zoomInBtn.addEventListener('click', () => {
-            if (radialZoom && radialSvg && radialSvg.node()) {
-                const svgNode = radialSvg.node();
-                const bbox = svgNode.getBoundingClientRect();
-                // Use the center of the visible area as the zoom focus
-                const center = [bbox.width / 2, bbox.height / 2];
-                radialSvg.transition().duration(400).ease(d3.easeCubicOut)
-                    .call(radialZoom.scaleBy, 1.5, center);
+        } else if (d.data.nodeType === 'brand') { // Brand node
+            if (d.data.tagline) tooltipContent += `<br><em>${highlightField(d.data, 'tagline')}</em>`;
+            if (d.data.region) tooltipContent += `<br><span style='color:var(--secondary-text);'>${t('tooltip.region', { region: highlightField(d.data, 'region') })}</span>`;
+            if (describeRelationship(d.data)) tooltipContent += `<br><span style='color:var(--secondary-text);'>${t('relationship.heldBy', { relationship: describeRelationship(d.data), owner: escapeHtml(nodeOwner(d).data.name) })}</span>`;
+            if (d.data.acquired) {
+                const held = d.data.divested ? t('tooltip.acquiredDivested', { acquired: escapeHtml(d.data.acquired), divested: escapeHtml(d.data.divested) })
+                    : t('tooltip.acquired', { acquired: escapeHtml(d.data.acquired) });
+                tooltipContent += `<br><span style='color:var(--secondary-text);'>${held}</span>`;
             }
-        });
-    }
+             if (d.data.description) tooltipContent += `<br><p style='font-size:0.9em; color:var(--secondary-text);'>${highlightField(d.data, 'description')}</p>`;
+        }
 
-     if(zoomOutBtn) {
-        zoomOutBtn.addEventListener('click', () => {
-            if (radialZoom && radialSvg && radialSvg.node()) {
-                const svgNode = radialSvg.node();
-                const bbox = svgNode.getBoundingClientRect();
-                // Use the center of the visible area as the zoom focus
-                const center = [bbox.width / 2, bbox.height / 2];
-                radialSvg.transition().duration(400).ease(d3.easeCubicOut)
-                    .call(radialZoom.scaleBy, 0.75, center);
-            }
-        });
+        // Add website link if available for any node with a website property
+        if (d.data.website) {
+             tooltipContent += `<br><a href='${escapeHtml(d.data.website)}' target='_blank' style='color:var(--nestle-blue); text-decoration:none;'>${t('tooltip.website')}</a>`;
+        }
+
+        return tooltipContent;
     }
 
-    // Add recenter button logic (if not already present)
-    const recenterBtn = document.getElementById('reset-zoom');
-    if(recenterBtn) {
-        recenterBtn.addEventListener('click', () => {
-            if (radialZoom && radialSvg) {
-                rotation = 0;
-                lastGestureRotation = 0;
-                const svgNode = radialSvg.node();
-                const width = parseFloat(svgNode.getAttribute('width'));
-                const height = parseFloat(svgNode.getAttribute('height'));
-                radialSvg.transition().duration(600)
-                    .call(radialZoom.transform, d3.zoomIdentity.translate(width / 2, height / 2).scale(1));
-            }
-        });
+    /**
+     * Pin the tooltip next to a radial node
+     * @param {Element} nodeElement - The node's <g> element
+     * @param {Object} d - The D3 hierarchy node bound to it
+     */
+    function pinTooltip(nodeElement, d) {
+        // Remove pinned class from previous source if any
+        d3.select(root).selectAll('.tooltip-pinned-source').classed('tooltip-pinned-source', false);
+        // Mark the current node as the source of the pinned tooltip
+        d3.select(nodeElement).classed('tooltip-pinned-source', true);
+
+        showTooltipAt(nodeElement, d);
+        tooltip.classList.add('pinned');
+
+        // A pinned tooltip offers to focus the diagram on its node
+        if (focusLayouts.includes(currentLayout) && d.depth > 0) {
+            const focusButton = document.createElement('button');
+            focusButton.type = 'button';
+            focusButton.className = 'tooltip-focus-btn';
+            focusButton.innerHTML = `<i class="fas fa-crosshairs" aria-hidden="true"></i> ${t('focus.button')}`;
+            focusButton.addEventListener('click', () => focusOnNode(d));
+            tooltip.appendChild(focusButton);
+        }
     }
 
-     if(rotateLeftBtn) {
-        rotateLeftBtn.addEventListener('click', () => {
-            rotation -= 30;
-             lastGestureRotation = rotation; // Keep gesture rotation in sync
-            updateRadialRotation(rotation);
-        });
+    /**
+     * Show the tooltip for a radial node next to it (without pinning it)
+     * @param {Element} nodeElement - The node's <g> element
+     * @param {Object} d - The D3 hierarchy node bound to it
+     */
+    function showTooltipAt(nodeElement, d) {
+        tooltip.innerHTML = buildTooltipContent(d);
+        tooltip.classList.add('visible');
+        // Position tooltip next to the node
+        const rect = nodeElement.getBoundingClientRect();
+        tooltip.style.left = (rect.left + window.scrollX + (rect.width / 2) + 15) + 'px';
+        tooltip.style.top = (rect.top + window.scrollY + (rect.height / 2) + 15) + 'px';
     }
 
+    /**
+     * Hide the pinned tooltip and undo the hover effects on the radial nodes
+     */
+    function unpinTooltip() {
+        tooltip.classList.remove('pinned');
+        tooltip.classList.remove('visible');
+        // Optionally, revert any highlight effects on previously clicked nodes
+        d3.select(root).selectAll('.node .main-display-circle, .node .category-icon').style('filter', null); // Target main circle and category icon
+         d3.select(root).selectAll('.node .main-display-circle').each(function(d) {
+             // Revert circle radius based on node type
+             let originalRadius = 10; // Fallback
+             if (d && d.data) { // Check if data is bound
+                if (d.data.nodeType === 'root') originalRadius = radii.root;
+                else if (d.data.nodeType === 'parent') originalRadius = radii.parent;
+                else if (d.data.nodeType === 'brand') originalRadius = radii.brand;
+                 else if (d3.select(this).classed('category-bg-circle')) originalRadius = radii.category_bg;
+             }
+             d3.select(this).transition().duration(motionDuration(200)).attr('r', originalRadius);
+         });
+          d3.select(root).selectAll('.node .category-icon').transition().duration(motionDuration(200)).attr('transform', null); // Reset transform for icons
+        if (!d3.select(root).select('.tooltip-pinned-source').empty()) {
+            d3.select(root).selectAll('.tooltip-pinned-source').classed('tooltip-pinned-source', false);
+            scheduleUrlStateUpdate();
+        }
+    }
 
-    if(rotateRightBtn) {
-        rotateRightBtn.addEventListener('click', () => {
-            rotation += 30;
-             lastGestureRotation = rotation; // Keep gesture rotation in sync
-            updateRadialRotation(rotation);
+    /**
+     * Set up event listeners for interactive elements
+     */
+    function setupEventListeners() {
+        // Theme toggle
+        const themeToggleBtn = query('.theme-toggle-btn');
+        if(themeToggleBtn) {
+            themeToggleBtn.addEventListener('click', () => {
+                const currentTheme = root.getAttribute('data-theme');
+                setTheme(currentTheme === 'dark' ? 'light' : 'dark');
+            });
+        }
+        query('.contrast-toggle-btn')?.addEventListener('click', () => {
+            setContrast(root.getAttribute('data-contrast') === 'high' ? 'normal' : 'high');
         });
-    }
+        query('.motion-toggle-btn')?.addEventListener('click', () => setReducedMotion(!reducedMotion));
+        query('.reset-preferences-btn')?.addEventListener('click', resetPreferences);
+        query('.palette-select')?.addEventListener('change', (event) => setPalette(event.target.value));
+        query('.locale-select')?.addEventListener('change', (event) => setLocale(event.target.value));
+        query('.shape-cues-btn')?.addEventListener('click', () => setShapeCues(!shapeCues));
+
+        // Comparison
+        query('.compare-toggle-btn')?.addEventListener('click', () => setCompareMode(!compareMode));
+        query('.compare-open-btn')?.addEventListener('click', showComparison);
+        query('.compare-clear-btn')?.addEventListener('click', () => {
+            compareSelection = [];
+            compareSelectionChanged();
+        });
+        query('.compare-export-btn')?.addEventListener('click', exportComparison);
+        query('.compare-differences-only input')?.addEventListener('change', (event) => {
+            query('.compare-table')?.classList.toggle('differences-only', event.target.checked);
+        });
+        query('.compare-modal .close-button')?.addEventListener('click', () => {
+            query('.compare-modal').classList.remove('show');
+        });
+        if (!global.BrandExport) query('.compare-export-btn')?.remove(); // brand-export.js not loaded on this page
+
+        // Editing tools (admin mode)
+        query('.admin-add')?.addEventListener('click', () => showBrandEditor(null));
+        query('.admin-undo')?.addEventListener('click', undoEdit);
+        query('.admin-redo')?.addEventListener('click', redoEdit);
+        query('.admin-download')?.addEventListener('click', downloadBrandData);
+        listen(root, 'keydown', (event) => {
+            if (!adminMode || !(event.ctrlKey || event.metaKey)) return;
+            if (event.target.closest('input, textarea, select')) return; // Text fields keep their own undo
+            const key = event.key.toLowerCase();
+            if (key === 'z' && !event.shiftKey) {
+                event.preventDefault();
+                undoEdit();
+            } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+                event.preventDefault();
+                redoEdit();
+            }
+        });
+        // Warn before leaving the page with edits that were not downloaded
+        listen(window, 'beforeunload', (event) => {
+            if (!editSession || !editSession.isDirty()) return;
+            event.preventDefault();
+            event.returnValue = '';
+        });
+        // The service worker (sw.js) reports a newer brands.json than the cached copy shown
+        if (navigator.serviceWorker) {
+            listen(navigator.serviceWorker, 'message', (event) => {
+                if (!event.data || event.data.type !== 'brand-data-updated') return;
+                if (editSession && editSession.isDirty()) return; // Don't throw away unsaved edits
+                loadBrandData();
+                announce(t('data.updated'));
+            });
+        }
 
+        // Search functionality
+        const searchInput = query('.search-input');
+        if(searchInput) {
+            searchInput.addEventListener('input', () => {
+                filterBrands();
+                scheduleBestMatchFocus();
+            });
+        }
 
-    // Handle window resize
-    window.addEventListener('resize', debounce(() => {
-        if (currentView === 'radial' && radialSvg) {
-            // Re-initialize to adjust layout to new size
-            initializeRadialView();
-        }
-    }, 250));
-
-
-    // Unpin tooltip on background click - central handler
-     d3.select(document.body).on('click.tooltipUnpin', (e) => {
-        // Check if the click target is outside the tooltip AND outside any node group
-        if (tooltip && !tooltip.contains(e.target) && !e.target.closest('.node')) {
-            tooltip.classList.remove('pinned');
-            tooltip.classList.remove('visible');
-            // Optionally, revert any highlight effects on previously clicked nodes
-            d3.selectAll('.node .main-display-circle, .node .category-icon').style('filter', null); // Target main circle and category icon
-             d3.selectAll('.node .main-display-circle').each(function(d) {
-                 // Revert circle radius based on node type
-                 let originalRadius = 10; // Fallback
-                 if (d && d.data) { // Check if data is bound
-                    if (d.data.nodeType === 'root') originalRadius = radii.root;
-                    else if (d.data.nodeType === 'loreal_parent') originalRadius = radii.loreal_parent;
-                    else if (d.data.nodeType === 'brand') originalRadius = radii.brand;
-                     else if (d3.select(this).classed('category-bg-circle')) originalRadius = radii.category_bg;
-                 }
-                 d3.select(this).transition().duration(200).attr('r', originalRadius);
-             });
-              d3.selectAll('.node .category-icon').transition().duration(200).attr('transform', null); // Reset transform for icons
+        // Facet panel
+        const facetToggle = query('.facet-toggle');
+        const facetPanel = query('.facet-panel');
+        if (facetToggle && facetPanel) {
+            if (!facetHelper) {
+                // brand-facets.js not loaded on this page
+                console.warn('brand-facets.js is not loaded; the category, region and parent filters are unavailable.');
+                facetToggle.parentElement.remove();
+            }
+            facetToggle.addEventListener('click', (event) => {
+                event.stopPropagation();
+                const open = facetPanel.classList.toggle('hidden') === false;
+                facetToggle.setAttribute('aria-expanded', String(open));
+            });
+            facetPanel.addEventListener('click', (event) => event.stopPropagation());
+            facetPanel.addEventListener('change', (event) => {
+                const checkbox = event.target.closest('input[data-facet]');
+                if (!checkbox) return;
+                const values = new Set(facetSelections[checkbox.dataset.facet]);
+                if (checkbox.checked) {
+                    values.add(checkbox.value);
+                } else {
+                    values.delete(checkbox.value);
+                }
+                facetSelections[checkbox.dataset.facet] = Array.from(values);
+                filterBrands();
+            });
+            query('.facet-clear').addEventListener('click', () => {
+                Object.keys(facetSelections).forEach(facet => setFacetSelection(facet, []));
+                filterBrands();
+            });
+            listen(document.body, 'click', () => {
+                facetPanel.classList.add('hidden');
+                facetToggle.setAttribute('aria-expanded', 'false');
+            });
         }
-    });
-}
 
-/**
- * Set theme (dark or light)
- * @param {string} theme - 'dark' or 'light'
- */
-function setTheme(theme) {
-    document.documentElement.setAttribute('data-theme', theme);
-    localStorage.setItem('theme', theme);
-}
 
-/**
- * Switch between list and radial views
- * @param {string} view - The view to switch to ('list' or 'radial')
- */
-function switchView(view) {
-    const listView = document.getElementById('list-view');
-    const radialView = document.getElementById('radial-view');
-    const listViewBtn = document.getElementById('list-view-btn');
-    const radialViewBtn = document.getElementById('radial-view-btn');
-
-    currentView = view;
-
-    if (view === 'list') {
-        listView.classList.remove('hidden');
-        radialView.classList.add('hidden');
-        if(listViewBtn) listViewBtn.classList.add('active');
-        if(radialViewBtn) radialViewBtn.classList.remove('active');
-         // Ensure list view content is up to date with filters
-         updateListView(allBrands.filter(brand => {
-            const regionValue = document.getElementById('region-filter')?.value || 'all';
-            const searchValue = document.getElementById('search-input')?.value.toLowerCase() || '';
-            const matchesRegion = regionValue === 'all' || brand.region === regionValue;
-            const matchesSearch = searchValue === '' ||
-                (brand.name && brand.name.toLowerCase().includes(searchValue)) ||
-                (brand.description && brand.description.toLowerCase().includes(searchValue)) ||
-                (brand.tagline && brand.tagline.toLowerCase().includes(searchValue));
-            return matchesRegion && matchesSearch;
-        }));
+        // View toggle buttons
+        const listViewBtn = query('.list-view-btn');
+        const radialViewBtn = query('.radial-view-btn');
+
+        if(listViewBtn) {
+            listViewBtn.addEventListener('click', () => {
+                if (currentView !== 'list') {
+                    switchView('list');
+                }
+            });
+        }
 
-    } else if (view === 'radial') {
-        listView.classList.add('hidden');
-        radialView.classList.remove('hidden');
-        if(listViewBtn) listViewBtn.classList.remove('active');
-        if(radialViewBtn) radialViewBtn.classList.add('active');
-        // Initialize or update radial diagram
-        requestAnimationFrame(() => { // Use rAF to ensure element is visible before init
-             initializeRadialView();
-             filterBrands(); // Apply filters after re-initialization
+        if(radialViewBtn) {
+            radialViewBtn.addEventListener('click', () => {
+                if (currentView !== 'radial') {
+                    switchView('radial');
+                }
+            });
+        }
+
+        // Data report panel
+        const dataReportBtn = query('.data-report-btn');
+        if (dataReportBtn) {
+            dataReportBtn.addEventListener('click', () => {
+                query('.data-report')?.classList.toggle('hidden');
+            });
+        }
+        const dataReportClose = query('.data-report-close');
+        if (dataReportClose) {
+            dataReportClose.addEventListener('click', () => {
+                query('.data-report')?.classList.add('hidden');
+            });
+        }
+
+
+        // Close modal when clicking the X button
+        const closeButton = query('.brand-modal .close-button');
+         if (closeButton) { // Check if the element exists
+            closeButton.addEventListener('click', () => {
+                const modal = query('.brand-modal');
+                if(modal) modal.classList.remove('show');
+            });
+        }
+
+
+        // Close modal when clicking outside the modal content
+        listen(window, 'click', (event) => {
+            queryAll('.brand-modal, .compare-modal').forEach(modal => {
+                if (event.target === modal) modal.classList.remove('show');
+            });
         });
-    }
-}
 
-/**
- * Hide loading screen and show main content
- */
-function hideLoadingScreen() {
-    const loadingScreen = document.getElementById('loading-screen');
-    const mainContent = document.getElementById('main-content');
-    if (loadingScreen) {
-        loadingScreen.style.opacity = '0';
-        setTimeout(() => {
-            loadingScreen.style.display = 'none'; // Corrected property name
-            if (mainContent) {
-                mainContent.classList.remove('hidden');
-                // Ensure radial view is initialized after layout is updated and visible
-                if (currentView === 'radial') {
-                    requestAnimationFrame(() => { // Use rAF to ensure layout is settled
-                        initializeRadialView();
-                        filterBrands(); // Apply initial filters
-                    });
-                } else {
-                     // If starting in list view, render it
-                    renderCategories(allBrands); // Render initial list view
-                    filterBrands(); // Apply initial filters
+
+        // Radial view zoom and rotation controls
+        const zoomInBtn = query('.zoom-in');
+        const zoomOutBtn = query('.zoom-out');
+        const resetZoomBtn = query('.reset-zoom');
+        const rotateLeftBtn = query('.rotate-left');
+        const rotateRightBtn = query('.rotate-right');
+
+        if(zoomInBtn) {
+            zoomInBtn.addEventListener('click', () => {
+                if (radialZoom && radialSvg && radialSvg.node()) {
+                    const svgNode = radialSvg.node();
+                    const bbox = svgNode.getBoundingClientRect();
+                    // Use the center of the visible area as the zoom focus
+                    const center = [bbox.width / 2, bbox.height / 2];
+                    radialSvg.transition().duration(motionDuration(400)).ease(d3.easeCubicOut)
+                        .call(radialZoom.scaleBy, 1.5, center);
                 }
-            }
-        }, 500); // Matches CSS transition duration
-    } else {
-         // If no loading screen, just show content and initialize
-         if (mainContent) mainContent.classList.remove('hidden');
-         if (currentView === 'radial') {
-             requestAnimationFrame(() => {
-                initializeRadialView();
-                filterBrands();
-             });
-         } else {
-            renderCategories(allBrands);
-            filterBrands();
-         }
-    }
-}
+            });
+        }
+
+         if(zoomOutBtn) {
+            zoomOutBtn.addEventListener('click', () => {
+                if (radialZoom && radialSvg && radialSvg.node()) {
+                    const svgNode = radialSvg.node();
+                    const bbox = svgNode.getBoundingClientRect();
+                    // Use the center of the visible area as the zoom focus
+                    const center = [bbox.width / 2, bbox.height / 2];
+                    radialSvg.transition().duration(motionDuration(400)).ease(d3.easeCubicOut)
+                        .call(radialZoom.scaleBy, 0.75, center);
+                }
+            });
+        }
 
+        // Add recenter button logic (if not already present)
+        const recenterBtn = query('.reset-zoom');
+        if(recenterBtn) {
+            recenterBtn.addEventListener('click', () => {
+                if (radialZoom && radialSvg) {
+                    rotation = 0;
+                    lastGestureRotation = 0;
+                    radialSvg.transition().duration(motionDuration(600))
+                        .call(radialZoom.transform, fittedTransform());
+                }
+            });
+        }
 
-/**
- * Load brand data from JSON file
- */
-function loadBrandData() {
-    fetch('brands.json')
-        .then(response => {
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+         if(rotateLeftBtn) {
+            rotateLeftBtn.addEventListener('click', () => {
+                rotation -= 30;
+                 lastGestureRotation = rotation; // Keep gesture rotation in sync
+                updateRadialRotation(rotation);
+            });
+        }
+
+
+        if(rotateRightBtn) {
+            rotateRightBtn.addEventListener('click', () => {
+                rotation += 30;
+                 lastGestureRotation = rotation; // Keep gesture rotation in sync
+                updateRadialRotation(rotation);
+            });
+        }
+
+
+        // Layout menu
+        const layoutSelect = query('.layout-select');
+        if (layoutSelect) {
+            layoutSelect.addEventListener('change', () => setLayout(layoutSelect.value));
+        }
+
+        // Expand all / collapse to depth
+        const expandAllBtn = query('.expand-all');
+        if (expandAllBtn) {
+            expandAllBtn.addEventListener('click', expandAll);
+        }
+        const collapseDepthSelect = query('.collapse-depth');
+        if (collapseDepthSelect) {
+            collapseDepthSelect.addEventListener('change', () => {
+                if (collapseDepthSelect.value) collapseToDepth(Number(collapseDepthSelect.value));
+                collapseDepthSelect.value = ''; // Back to the "Collapse…" prompt so the same depth can be picked again
+            });
+        }
+
+        // Timeline
+        query('.timeline-toggle')?.addEventListener('click', () => {
+            const range = timelineRange();
+            setTimelineYear(timelineYear === null && range ? range.max : null);
+        });
+        const timelineSlider = query('.timeline-slider');
+        if (timelineSlider) {
+            // Redraw once the slider rests, but show the year at once
+            const settleTimeline = debounce(() => setTimelineYear(Number(timelineSlider.value)), 150);
+            timelineSlider.addEventListener('input', () => {
+                query('.timeline-year').textContent = timelineSlider.value;
+                settleTimeline();
+            });
+        }
+
+        // Export menu
+        const exportBtn = query('.export-map');
+        const exportMenu = query('.export-menu');
+        if (exportBtn && exportMenu) {
+            if (!global.BrandExport) {
+                // brand-export.js not loaded on this page
+                exportBtn.parentElement.remove();
             }
-            return response.json();
-        })
-        .then(data => {
-            // Store brands globally
-            allBrands = data;
-
-            // Initialize the current view
-            // hideLoadingScreen now calls initializeView based on currentView
-            // Check if main-content is hidden to avoid re-initializing if data is just being reloaded
-            if (document.getElementById('main-content')?.classList.contains('hidden')) {
-                 // Only hide loading screen and init views if not already done
-                 hideLoadingScreen();
-            } else {
-                 // If data is reloaded after initial load (e.g. via a refresh button)
-                 if (currentView === 'radial') {
-                     initializeRadialView();
-                 } else {
-                     renderCategories(allBrands);
-                 }
-                 filterBrands(); // Apply filters after data load
+            exportBtn.addEventListener('click', (event) => {
+                event.stopPropagation();
+                const open = exportMenu.classList.toggle('hidden') === false;
+                exportBtn.setAttribute('aria-expanded', String(open));
+            });
+            exportMenu.addEventListener('click', (event) => {
+                event.stopPropagation();
+                const item = event.target.closest('[data-format]');
+                if (!item) return;
+                exportMenu.classList.add('hidden');
+                exportBtn.setAttribute('aria-expanded', 'false');
+                // A failed export has already been logged and reported through the error event
+                exportMap(item.dataset.format, { scale: parseFloat(query('.export-scale').value) }).catch(() => {});
+            });
+            listen(document.body, 'click', () => {
+                exportMenu.classList.add('hidden');
+                exportBtn.setAttribute('aria-expanded', 'false');
+            });
+        }
+
+        // Handle window resize
+        listen(window, 'resize', debounce(() => {
+            if (!destroyed && currentView === 'radial' && radialSvg) {
+                resizeRadialView();
             }
+        }, 250));
 
-        })
-        .catch(error => {
-            console.error('Error loading brand data:', error);
-            const diagramContainer = document.getElementById('radial-diagram');
-            const categoryContainer = document.getElementById('category-view');
-            const errorHTML = `
-                <div class="no-results" style="margin-top: 50px;">
-                    <h2>Error Loading Data</h2>
-                    <p>${error.message}</p>
-                    <button onclick="location.reload()" style="padding: 10px 20px; cursor: pointer;">Try Again</button>
-                </div>
-            `;
-            if (diagramContainer && currentView === 'radial') {
-                 diagramContainer.innerHTML = errorHTML;
-            } else if (categoryContainer && currentView === 'list') {
-                 categoryContainer.innerHTML = errorHTML;
-            } else {
-                 // Fallback if no specific container found
-                 document.body.innerHTML = errorHTML;
+
+        // Unpin tooltip on background click - central handler
+         listen(document.body, 'click', (e) => {
+            // Check if the click target is outside the tooltip AND outside any node group
+            if (tooltip && !tooltip.contains(e.target) && !e.target.closest('.node')) {
+                unpinTooltip();
             }
+        });
 
-             // Hide loading screen if it's still visible
-             const loadingScreen = document.getElementById('loading-screen');
-             if (loadingScreen) {
-                 loadingScreen.style.opacity = '0';
-                 setTimeout(() => { loadingScreen.style.display = 'none'; }, 500);
-             }
+        // Escape closes whichever modal or menu is open
+        listen(root, 'keydown', (event) => {
+            if (event.key !== 'Escape') return;
+            queryAll('.modal.show').forEach(modal => modal.classList.remove('show'));
+            query('.export-menu')?.classList.add('hidden');
+            query('.facet-panel')?.classList.add('hidden');
         });
-}
 
-/**
- * Filter brands based on search input and region selection
- */
-function filterBrands() {
-    const searchValue = document.getElementById('search-input')?.value.toLowerCase() || '';
-    const regionValue = document.getElementById('region-filter')?.value || 'all';
+        // Arrow keys on the radial view itself move focus into the diagram
+        const radialViewDiv = query('.radial-view');
+        if (radialViewDiv) {
+            radialViewDiv.addEventListener('keydown', (event) => {
+                if (event.target !== radialViewDiv || !/^Arrow|^Enter$/.test(event.key)) return;
+                const currentNode = query('.radial-diagram .node[tabindex="0"]');
+                if (currentNode) {
+                    event.preventDefault();
+                    currentNode.focus();
+                }
+            });
+        }
+
+        // Browser back/forward moves between the states recorded in the URL
+        if (config.syncUrl) {
+            listen(window, 'popstate', () => {
+                applyUrlState(readUrlState());
+            });
+        }
+    }
+
+    /**
+     * Set theme (dark or light) and remember the choice
+     * @param {string} theme - 'dark' or 'light'
+     */
+    function setTheme(theme) {
+        applyTheme(theme);
+        preferences.theme = theme;
+        savePreferences();
+    }
+
+    /**
+     * Show the map in a theme without saving it as the user's choice
+     * @param {string} theme - 'dark' or 'light'
+     */
+    function applyTheme(theme) {
+        root.setAttribute('data-theme', theme);
+        // The tooltip lives on <body>, outside the map, so it needs the theme too
+        if (tooltip) tooltip.setAttribute('data-theme', theme);
+    }
+
+    /**
+     * Set the contrast (normal or high) and remember the choice
+     * @param {string} contrast - 'normal' or 'high'
+     */
+    function setContrast(contrast) {
+        applyContrast(contrast);
+        preferences.contrast = root.getAttribute('data-contrast');
+        savePreferences();
+        applyDisplayPreferences(); // Without a chosen palette, the palette follows the contrast
+    }
+
+    /**
+     * Show the map in normal or high contrast without saving it as the user's choice
+     * @param {string} contrast - 'normal' or 'high'
+     */
+    function applyContrast(contrast) {
+        const value = contrast === 'high' ? 'high' : 'normal';
+        root.setAttribute('data-contrast', value);
+        if (tooltip) tooltip.setAttribute('data-contrast', value);
+        query('.contrast-toggle-btn')?.setAttribute('aria-pressed', String(value === 'high'));
+    }
+
+    /**
+     * Colour the categories with a palette and remember the choice
+     * @param {string} palette - 'default', 'colorblind' or 'high-contrast'
+     */
+    function setPalette(palette) {
+        if (!paletteNames.includes(palette)) {
+            console.warn(`Unknown palette "${palette}"; use one of ${paletteNames.join(', ')}.`);
+            return;
+        }
+        preferences.palette = palette;
+        applyPalette(palette);
+        savePreferences();
+    }
+
+    /**
+     * Colour the categories with a palette without saving it as the user's choice
+     * The colorMap option still colours the categories a palette does not know.
+     * @param {string} palette - 'default', 'colorblind' or 'high-contrast'
+     */
+    function applyPalette(palette) {
+        const name = paletteNames.includes(palette) ? palette : 'default';
+        const paletteSelect = query('.palette-select');
+        if (paletteSelect) paletteSelect.value = name;
+        root.setAttribute('data-palette', name);
+        if (name === currentPalette) return;
+
+        currentPalette = name;
+        colorMap = { ...defaultColorMap, ...config.colorMap, ...palettes[name] };
+        refreshColours();
+    }
 
-    const filteredBrands = allBrands.filter(brand => {
-        // Search filter
-        const matchesSearch = searchValue === '' ||
-            (brand.name && brand.name.toLowerCase().includes(searchValue)) ||
-            (brand.description && brand.description.toLowerCase().includes(searchValue)) ||
-            (brand.tagline && brand.tagline.toLowerCase().includes(searchValue));
+    /**
+     * Mark categories with shapes and hatching as well as colours (or stop), and remember the choice
+     * @param {boolean} enabled
+     */
+    function setShapeCues(enabled) {
+        preferences.shapeCues = Boolean(enabled);
+        applyShapeCues(preferences.shapeCues);
+        savePreferences();
+    }
+
+    /**
+     * Turn the shapes and hatching on or off without saving it as the user's choice
+     * @param {boolean} enabled
+     */
+    function applyShapeCues(enabled) {
+        query('.shape-cues-btn')?.setAttribute('aria-pressed', String(Boolean(enabled)));
+        if (Boolean(enabled) === shapeCues) return;
+
+        shapeCues = Boolean(enabled);
+        root.classList.toggle('shape-cues', shapeCues);
+        refreshColours();
+    }
+
+    /**
+     * Locales the map can be shown in: the built-in catalogues and those given with the messages option
+     * @returns {string[]}
+     */
+    function availableLocales() {
+        return BrandI18n.availableLocales(config.messages || {});
+    }
+
+    /**
+     * Show the map in a language and remember the choice
+     * @param {string} locale - BCP 47 language tag, e.g. 'fr' or 'de-CH'; without a catalogue of its own a
+     *   locale uses that of its language
+     */
+    function setLocale(locale) {
+        const resolved = BrandI18n.resolveLocale(locale, availableLocales());
+        if (!resolved) {
+            console.warn(`No translations for locale "${locale}"; use one of ${availableLocales().join(', ')}.`);
+            return;
+        }
+        preferences.locale = resolved;
+        applyLocale(resolved);
+        savePreferences();
+        announce(t('locale.changed', { name: BrandI18n.localeName(resolved) }));
+    }
 
-        // Region filter
-        const matchesRegion = regionValue === 'all' || brand.region === regionValue;
+    /**
+     * Show the map in a language without saving it as the user's choice
+     * Sets the lang and dir of the map, so right-to-left languages mirror the layout, and redraws
+     * everything already on screen in the new language.
+     * @param {string} locale - One of availableLocales()
+     */
+    function applyLocale(locale) {
+        const localeSelect = query('.locale-select');
+        if (localeSelect) localeSelect.value = locale;
+        if (locale === currentLocale) return;
+
+        currentLocale = locale;
+        t = BrandI18n.createTranslator(locale, config.messages || {});
+        localizedBrands = new WeakMap();
+        const dir = BrandI18n.direction(locale);
+        [root, tooltip].forEach(element => {
+            if (!element) return;
+            element.setAttribute('lang', locale);
+            element.setAttribute('dir', dir);
+        });
+        translateElements(root);
+        renderHelp();
+
+        if (allBrands.length > 0) {
+            renderFacetOptions();
+            renderDataReport();
+            if (currentView === 'radial' && radialSvg) redrawRadialView();
+            filterBrands();
+            updateAdminControls();
+            updateTimelineControls();
+            if (compareSelection.length > 0) compareSelectionChanged();
+        }
+        emit('localechange', { locale });
+    }
 
-        return matchesSearch && matchesRegion;
-    });
+    /**
+     * Redraw whatever shows category colours after the palette or the shape cues changed
+     */
+    function refreshColours() {
+        if (allBrands.length === 0) return; // Drawn with the right colours once the data arrives
+        if (currentView === 'radial' && radialSvg) {
+            redrawRadialView(); // Rebuilds the legend too
+        } else {
+            filterBrands();
+        }
+    }
+
+    /**
+     * The shape and hatching that tell a category apart without relying on its colour
+     * Categories get them in alphabetical order, so they are the same in every layout, the legend and the list.
+     * @param {string} category - Category name
+     * @returns {Object|null} - { symbol: d3 symbol type, hatch: path of the hatching or null }, or null
+     *   when shape cues are off or the category is not in the legend
+     */
+    function categoryCue(category) {
+        const index = shapeCues ? cueCategories.indexOf(category) : -1;
+        if (index < 0) return null;
+        return {
+            symbol: d3[cueSymbols[index % cueSymbols.length]],
+            hatch: cueHatches[index % cueHatches.length]
+        };
+    }
+
+    /**
+     * Fill for a category: its colour, hatched when shape cues are on
+     * @param {Object} defs - D3 selection of the <defs> of the SVG the fill is used in
+     * @param {string} category - Category name
+     * @param {string} [idPrefix='cue'] - Prefix keeping pattern ids unique within the page
+     * @returns {string} - A colour or a url(#pattern) reference
+     */
+    function categoryFill(defs, category, idPrefix = 'cue') {
+        const color = colorMap[category] || '#888';
+        const cue = categoryCue(category);
+        if (!cue || !cue.hatch || !defs) return color;
+
+        const id = `${idPrefix}-${mapId}-${cueCategories.indexOf(category)}`;
+        if (defs.select(`#${id}`).empty()) {
+            const pattern = defs.append('pattern')
+                .attr('id', id)
+                .attr('patternUnits', 'userSpaceOnUse')
+                .attr('width', 8)
+                .attr('height', 8);
+            pattern.append('rect')
+                .attr('width', 8)
+                .attr('height', 8)
+                .style('fill', color);
+            // Dark lines on light colours and light lines on dark ones
+            const lightness = d3.hsl(color).l;
+            pattern.append('path')
+                .attr('d', cue.hatch)
+                .style('fill', 'none')
+                .style('stroke', lightness > 0.55 ? 'rgba(0, 0, 0, 0.55)' : 'rgba(255, 255, 255, 0.7)')
+                .style('stroke-width', 1.5);
+        }
+        return `url(#${id})`;
+    }
+
+    /**
+     * A small standalone SVG showing a category's cue, for the legend and the list
+     * @param {string} category - Category name
+     * @param {string} idPrefix - Prefix keeping pattern ids unique within the page
+     * @returns {SVGElement|null} - null when shape cues are off or the category has no cue
+     */
+    function categoryCueSwatch(category, idPrefix) {
+        const cue = categoryCue(category);
+        if (!cue) return null;
+
+        const swatch = d3.create('svg')
+            .attr('class', 'category-cue')
+            .attr('viewBox', '-8 -8 16 16')
+            .attr('aria-hidden', 'true');
+        const fill = categoryFill(swatch.append('defs'), category, idPrefix);
+        swatch.append('path')
+            .attr('d', d3.symbol(cue.symbol, 110)())
+            .style('fill', fill)
+            .style('stroke', colorMap[category] || '#888')
+            .style('stroke-width', 1);
+        return swatch.node();
+    }
+
+    /**
+     * Turn animations off (or back on) and remember the choice
+     * @param {boolean} reduced - Whether to skip animations
+     */
+    function setReducedMotion(reduced) {
+        applyMotion(reduced ? 'reduced' : 'full');
+        preferences.motion = reduced ? 'reduced' : 'full';
+        savePreferences();
+    }
+
+    /**
+     * Turn animations off or on without saving it as the user's choice
+     * @param {string} motion - 'reduced' or 'full'
+     */
+    function applyMotion(motion) {
+        reducedMotion = motion === 'reduced';
+        root.setAttribute('data-motion', reducedMotion ? 'reduced' : 'full');
+        if (tooltip) tooltip.setAttribute('data-motion', reducedMotion ? 'reduced' : 'full');
+        query('.motion-toggle-btn')?.setAttribute('aria-pressed', String(reducedMotion));
+    }
+
+    /**
+     * Length of an animation, or 0 when animations are turned off
+     * @param {number} duration - Duration in ms
+     * @returns {number}
+     */
+    function motionDuration(duration) {
+        return reducedMotion ? 0 : duration;
+    }
+
+    /**
+     * Whether a CSS media query matches, e.g. '(prefers-reduced-motion: reduce)'
+     * @param {string} media - Media query
+     * @returns {boolean}
+     */
+    function mediaMatches(media) {
+        return Boolean(window.matchMedia && window.matchMedia(media).matches);
+    }
+
+    /**
+     * Apply the saved language, theme, contrast and motion, falling back to the options, the browser
+     * and system settings and finally the attributes on the element or page
+     */
+    function applyDisplayPreferences() {
+        const systemTheme = mediaMatches('(prefers-color-scheme: dark)') ? 'dark'
+            : mediaMatches('(prefers-color-scheme: light)') ? 'light' : null;
+        const browserLocales = navigator.languages || [navigator.language];
+        applyLocale(BrandI18n.resolveLocale([preferences.locale, config.locale, ...browserLocales], availableLocales()) ||
+            BrandI18n.defaultLocale);
+        applyTheme(preferences.theme || config.theme || systemTheme || pageTheme || 'dark');
+        applyContrast(preferences.contrast || (mediaMatches('(prefers-contrast: more)') ? 'high' : null) || pageContrast);
+        applyMotion(preferences.motion || (mediaMatches('(prefers-reduced-motion: reduce)') ? 'reduced' : 'full'));
+        applyPalette(preferences.palette || config.palette ||
+            (root.getAttribute('data-contrast') === 'high' ? 'high-contrast' : 'default'));
+        applyShapeCues(preferences.shapeCues ?? config.shapeCues);
+    }
+
+    /**
+     * Read the saved preferences from localStorage
+     * Earlier versions only saved the theme, under the 'theme' key; that is picked up as well.
+     * @returns {Object} - { theme, contrast, motion, palette, shapeCues, locale, state, collapsed }; anything never saved is missing
+     */
+    function loadPreferences() {
+        if (!preferencesKey) return {};
+        try {
+            const saved = JSON.parse(localStorage.getItem(preferencesKey));
+            if (saved && typeof saved === 'object') return saved;
+            const legacyTheme = localStorage.getItem('theme');
+            return legacyTheme === 'dark' || legacyTheme === 'light' ? { theme: legacyTheme } : {};
+        } catch (error) {
+            console.warn('Could not read the saved preferences:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Save the preferences together with the current view, filters, zoom, rotation and collapsed branches
+     */
+    function savePreferences() {
+        if (!preferencesKey || destroyed) return;
+
+        // Before the data has loaded the map state is not the user's yet
+        if (allBrands.length > 0) {
+            const params = new URLSearchParams(serializeUrlState());
+            params.delete('pinned'); // A pinned tooltip is not worth restoring on the next visit
+            preferences.state = params.toString();
+            preferences.collapsed = Array.from(collapsedNodes);
+        }
+
+        try {
+            localStorage.setItem(preferencesKey, JSON.stringify(preferences));
+        } catch (error) {
+            console.warn('Could not save the preferences:', error);
+        }
+    }
+
+    /**
+     * Forget the saved preferences and return to the default view and system settings
+     */
+    function resetPreferences() {
+        preferences = {};
+        if (preferencesKey) {
+            try {
+                localStorage.removeItem(preferencesKey);
+                localStorage.removeItem('theme');
+            } catch (error) {
+                console.warn('Could not clear the saved preferences:', error);
+            }
+        }
+
+        applyDisplayPreferences();
+        collapsedNodes.clear();
+        if (allBrands.length > 0) {
+            const defaults = readUrlState('');
+            defaults.view = config.initialView === 'list' ? 'list' : 'radial';
+            defaults.layout = layouts.includes(config.initialLayout) ? config.initialLayout : 'radial';
+            // A layout or view change redraws anyway; otherwise show the expanded branches
+            if (defaults.layout === currentLayout && defaults.view === currentView && currentView === 'radial' && radialSvg) {
+                initializeRadialView();
+            }
+            applyUrlState(defaults);
+        }
+
+        emit('preferencesreset', {});
+        announce(t('preferences.resetDone'));
+    }
+
+    /**
+     * Switch between list and radial views
+     * @param {string} view - The view to switch to ('list' or 'radial')
+     */
+    function switchView(view) {
+        const listView = query('.list-view');
+        const radialView = query('.radial-view');
+        const listViewBtn = query('.list-view-btn');
+        const radialViewBtn = query('.radial-view-btn');
+
+        if (view !== currentView) emit('viewchange', { view });
+        currentView = view;
+        scheduleUrlStateUpdate();
+
+        if (view === 'list') {
+            listView.classList.remove('hidden');
+            radialView.classList.add('hidden');
+            if(listViewBtn) listViewBtn.classList.add('active');
+            if(radialViewBtn) radialViewBtn.classList.remove('active');
+            if(listViewBtn) listViewBtn.setAttribute('aria-pressed', 'true');
+            if(radialViewBtn) radialViewBtn.setAttribute('aria-pressed', 'false');
+             // Ensure list view content is up to date with filters
+             updateListView(getFilteredBrands());
+
+        } else if (view === 'radial') {
+            listView.classList.add('hidden');
+            radialView.classList.remove('hidden');
+            if(listViewBtn) listViewBtn.classList.remove('active');
+            if(radialViewBtn) radialViewBtn.classList.add('active');
+            if(listViewBtn) listViewBtn.setAttribute('aria-pressed', 'false');
+            if(radialViewBtn) radialViewBtn.setAttribute('aria-pressed', 'true');
+            // Initialize or update radial diagram
+            requestAnimationFrame(() => { // Use rAF to ensure element is visible before init
+                 initializeRadialView();
+                 filterBrands(); // Apply filters after re-initialization
+            });
+        }
+    }
+
+    /**
+     * Whether the page was opened with map state in the URL hash (a deep link)
+     * @returns {boolean}
+     */
+    function hasUrlState() {
+        return config.syncUrl && window.location.hash.length > 1;
+    }
+
+    /**
+     * Read the shareable map state from the URL hash
+     * e.g. #view=radial&q=nes&region=Europe&region=Asia-Pacific&cat=Coffee&rel=stake&zoom=1.5,20,-40&rot=60&year=2015&pinned=Nescaf%C3%A9
+     * @param {string} [hash=window.location.hash] - The hash to read, e.g. the state saved with the preferences
+     * @returns {Object} - The parsed state, with defaults for anything missing
+     */
+    function readUrlState(hash = window.location.hash) {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        const [k, dx, dy] = (params.get('zoom') || '').split(',').map(Number);
+
+        return {
+            view: params.get('view') === 'list' ? 'list' : 'radial',
+            layout: layouts.includes(params.get('layout')) ? params.get('layout') : 'radial',
+            search: params.get('q') || '',
+            category: params.getAll('cat'),
+            region: params.getAll('region').filter(region => region !== 'all'),
+            parent: params.getAll('parent'),
+            relationship: params.getAll('rel'),
+            zoom: {
+                k: k > 0 ? k : 1,
+                dx: Number.isFinite(dx) ? dx : 0, // Offset from the layout's origin (see layoutOrigin)
+                dy: Number.isFinite(dy) ? dy : 0
+            },
+            rotation: Number(params.get('rot')) || 0,
+            pinned: params.get('pinned') || null,
+            year: /^\d{4}$/.test(params.get('year') || '') ? Number(params.get('year')) : null
+        };
+    }
+
+    /**
+     * Serialise the current map state into a URL hash (without the leading '#')
+     * Default values are left out to keep links short.
+     * @returns {string} - The hash string
+     */
+    function serializeUrlState() {
+        const params = new URLSearchParams();
+
+        if (currentView !== 'radial') params.set('view', currentView);
+        if (currentLayout !== 'radial') params.set('layout', currentLayout);
+
+        const searchValue = query('.search-input')?.value || '';
+        if (searchValue) params.set('q', searchValue);
+
+        facetSelections.category.forEach(value => params.append('cat', value));
+        facetSelections.region.forEach(value => params.append('region', value));
+        facetSelections.parent.forEach(value => params.append('parent', value));
+        facetSelections.relationship.forEach(value => params.append('rel', value));
+
+        if (radialSvg && radialSvg.node()) {
+            // Relative to the diagram fitted to the view, so the link means the same after a resize
+            const transform = d3.zoomTransform(radialSvg.node());
+            const fit = fittedTransform();
+            const k = Math.round(transform.k / fit.k * 100) / 100;
+            const dx = Math.round((transform.x - fit.x) / fit.k);
+            const dy = Math.round((transform.y - fit.y) / fit.k);
+            if (k !== 1 || dx !== 0 || dy !== 0) params.set('zoom', `${k},${dx},${dy}`);
+        }
+
+        const normalizedRotation = Math.round(((rotation % 360) + 360) % 360);
+        if (normalizedRotation !== 0) params.set('rot', normalizedRotation);
+
+        if (timelineYear !== null) params.set('year', timelineYear);
+
+        const pinnedNode = radialSvg ? radialSvg.select('.tooltip-pinned-source') : null;
+        if (pinnedNode && !pinnedNode.empty() && pinnedNode.datum()?.data.name) {
+            params.set('pinned', pinnedNode.datum().data.name);
+        }
+
+        return params.toString().replace(/%2C/g, ','); // Keep the zoom triple readable
+    }
+
+    /**
+     * Record the current map state as a new browser history entry if it changed
+     */
+    function writeUrlState() {
+        // Nothing worth recording before the data has loaded
+        if (!config.syncUrl || destroyed || allBrands.length === 0) return;
+
+        const hash = serializeUrlState();
+        if (hash === window.location.hash.replace(/^#/, '')) return;
+
+        // The user has moved on from the deep-linked state
+        pendingUrlState = null;
+
+        const url = hash ? `#${hash}` : window.location.pathname + window.location.search;
+        history.pushState(null, '', url);
+    }
+
+    /**
+     * Apply a state read from the URL to the filters and views
+     * @param {Object} state - State as returned by readUrlState
+     */
+    function applyUrlState(state) {
+        pendingUrlState = state;
+
+        const searchInput = query('.search-input');
+        if (searchInput) searchInput.value = state.search;
+
+        Object.keys(facetSelections).forEach(facet => setFacetSelection(facet, state[facet]));
+
+        rotation = state.rotation;
+        lastGestureRotation = rotation;
+
+        const timelineRangeNow = timelineRange();
+        const year = state.year !== null && timelineRangeNow
+            ? Math.min(timelineRangeNow.max, Math.max(timelineRangeNow.min, state.year))
+            : null;
+        const timelineChanged = year !== timelineYear;
+        timelineYear = year;
+        updateTimelineControls();
+
+        const layoutChanged = state.layout !== currentLayout;
+        if (layoutChanged) applyLayout(state.layout);
+
+        if (state.view !== currentView) {
+            // Switching to the radial view re-initializes it, which applies the pending state
+            switchView(state.view);
+        } else if (currentView === 'list' || radialSvg) {
+            filterBrands();
+            if (currentView === 'radial') {
+                // Redrawing in the new layout (or for another year) applies the pending state at the end
+                if (layoutChanged || timelineChanged) initializeRadialView();
+                else applyRadialUrlState(state);
+            }
+        }
+        // Otherwise the radial view has not been rendered yet and picks the state up on initialization
+    }
+
+    /**
+     * Apply the zoom, rotation and pinned node of a URL state to the rendered radial view
+     * @param {Object} state - State as returned by readUrlState
+     */
+    function applyRadialUrlState(state) {
+        if (!radialSvg || !radialZoom) return;
+
+        rotation = state.rotation;
+        lastGestureRotation = rotation;
+        // The zoom handler composes the transform with the current rotation
+        radialSvg.call(radialZoom.transform,
+            fittedTransform().translate(state.zoom.dx, state.zoom.dy).scale(state.zoom.k));
+
+        if (state.pinned) {
+            const pinnedNode = radialSvg.selectAll('.node').filter(d => d.data.name === state.pinned);
+            if (!pinnedNode.empty()) {
+                pinTooltip(pinnedNode.node(), pinnedNode.datum());
+            }
+        } else if (tooltip && tooltip.classList.contains('pinned')) {
+            tooltip.classList.remove('pinned', 'visible');
+            d3.select(root).selectAll('.tooltip-pinned-source').classed('tooltip-pinned-source', false);
+        }
+    }
+
+    /**
+     * Hide loading screen and show main content
+     */
+    function hideLoadingScreen() {
+        const loadingScreen = query('.loading-screen');
+        const mainContent = query('.main-content');
+        if (loadingScreen) {
+            loadingScreen.style.opacity = '0';
+            setTimeout(() => {
+                loadingScreen.style.display = 'none'; // Corrected property name
+                if (mainContent) {
+                    mainContent.classList.remove('hidden');
+                    // Ensure radial view is initialized after layout is updated and visible
+                    if (currentView === 'radial') {
+                        requestAnimationFrame(() => { // Use rAF to ensure layout is settled
+                            initializeRadialView();
+                            filterBrands(); // Apply initial filters
+                        });
+                    } else {
+                         // If starting in list view, render it
+                        renderCategories(allBrands); // Render initial list view
+                        filterBrands(); // Apply initial filters
+                    }
+                }
+            }, 500); // Matches CSS transition duration
+        } else {
+             // If no loading screen, just show content and initialize
+             if (mainContent) mainContent.classList.remove('hidden');
+             if (currentView === 'radial') {
+                 requestAnimationFrame(() => {
+                    initializeRadialView();
+                    filterBrands();
+                 });
+             } else {
+                renderCategories(allBrands);
+                filterBrands();
+             }
+        }
+    }
+
+
+    /**
+     * Load brand data from the configured sources and merge it
+     */
+    function loadBrandData() {
+        BrandSources.load(config.sources || [config.dataUrl])
+            .then(data => {
+                if (destroyed) return;
+
+                // Check the records against the schema; invalid ones are reported and skipped
+                if (global.BrandSchema) {
+                    dataReport = BrandSchema.validateBrands(data);
+                    allBrands = dataReport.valid;
+                    renderDataReport();
+                    checkLogoFiles();
+                } else {
+                    console.warn('brand-schema.js is not loaded; brand data is used without validation.');
+                    allBrands = data;
+                }
+
+                // Offer the categories, regions and parents present in the data as filters
+                renderFacetOptions();
+                cueCategories = getLegendCategories();
+                if (adminMode) startEditSession();
+                updateTimelineControls();
+                if (compareSelection.length > 0) compareSelectionChanged(); // Reloaded data may lack brands picked before
+
+                // Restore search, filters and view from a deep link, or else from the last visit
+                if (hasUrlState()) {
+                    applyUrlState(readUrlState());
+                } else if (preferences.state) {
+                    applyUrlState(readUrlState(preferences.state));
+                }
+
+                // Initialize the current view
+                // hideLoadingScreen now calls initializeView based on currentView
+                // Check if main-content is hidden to avoid re-initializing if data is just being reloaded
+                if (query('.main-content')?.classList.contains('hidden')) {
+                     // Only hide loading screen and init views if not already done
+                     hideLoadingScreen();
+                } else {
+                     // If data is reloaded after initial load (e.g. via a refresh button)
+                     if (currentView === 'radial') {
+                         initializeRadialView();
+                     } else {
+                         renderCategories(allBrands);
+                     }
+                     filterBrands(); // Apply filters after data load
+                }
+
+                emit('ready', { brands: allBrands.slice(), report: dataReport });
+            })
+            .catch(error => {
+                if (destroyed) return;
+                console.error('Error loading brand data:', error);
+                emit('error', { error });
+                const diagramContainer = query('.radial-diagram');
+                const categoryContainer = query('.category-view');
+                const errorHTML = `
+                    <div class="no-results" style="margin-top: 50px;">
+                        <h2>${t('data.error')}</h2>
+                        <p>${error.message}</p>
+                        <button onclick="location.reload()" style="padding: 10px 20px; cursor: pointer;">${t('data.retry')}</button>
+                    </div>
+                `;
+                if (diagramContainer && currentView === 'radial') {
+                     diagramContainer.innerHTML = errorHTML;
+                } else if (categoryContainer && currentView === 'list') {
+                     categoryContainer.innerHTML = errorHTML;
+                } else {
+                     // Fallback if no specific container found
+                     root.innerHTML = errorHTML;
+                }
+
+                 // Hide loading screen if it's still visible
+                 const loadingScreen = query('.loading-screen');
+                 if (loadingScreen) {
+                     loadingScreen.style.opacity = '0';
+                     setTimeout(() => { loadingScreen.style.display = 'none'; }, 500);
+                 }
+            });
+    }
+
+    /**
+     * Add warnings for logos that fail to load to the data report
+     * This loads every logo through the logo loader, so they are ready by the time they are shown.
+     */
+    function checkLogoFiles() {
+        const report = dataReport;
+        const logoExists = url => logoLoader.load(url).then(result => result.ok);
+
+        BrandSchema.checkLogoFiles(report.valid, report, logoExists).then(() => {
+            // Skip if the map was destroyed or the data reloaded meanwhile
+            if (!destroyed && report === dataReport) renderDataReport();
+        });
+    }
+
+    /**
+     * Show the data report: a count in the toolbar and one entry per problem record in the panel
+     * The panel opens by itself the first time problems are found.
+     */
+    function renderDataReport() {
+        const button = query('.data-report-btn');
+        const panel = query('.data-report');
+        const list = query('.data-report-list');
+        if (!button || !panel || !list || !dataReport) return;
+
+        const { issues, errorCount, warningCount } = dataReport;
+        const logoFailures = getLogoFailures();
+        const wasEmpty = button.classList.contains('hidden');
+
+        button.classList.toggle('hidden', issues.length === 0 && logoFailures.length === 0);
+        button.classList.toggle('has-errors', errorCount > 0);
+        // Logos that fail are usually among the records' warnings already; count them only when they are not
+        query('.data-report-count').textContent = issues.length || logoFailures.length;
+
+        query('.data-report-summary').textContent = [
+            t('report.loaded', { count: allBrands.length }),
+            t('report.skipped', { count: errorCount }),
+            t('report.warned', { count: warningCount })
+        ].join(' ');
+        // The problems are described by the schema check (see brand-schema.js), which only speaks English
+        query('.data-report-note').classList.toggle('hidden', !currentLocale || currentLocale.split('-')[0] === 'en');
+
+        list.innerHTML = '';
+        issues.forEach(issue => {
+            const item = document.createElement('li');
+            item.className = issue.errors.length > 0 ? 'data-report-error' : 'data-report-warning';
+
+            const title = document.createElement('strong');
+            title.textContent = (issue.name || t('report.unnamed')) +
+                (issue.index >= 0 ? t('report.record', { number: issue.index + 1 }) : '') +
+                (issue.errors.length > 0 ? t('report.skippedRecord') : '');
+            item.appendChild(title);
+
+            const reasons = document.createElement('ul');
+            reasons.lang = 'en';
+            issue.errors.concat(issue.warnings).forEach(message => {
+                const reason = document.createElement('li');
+                reason.textContent = message;
+                reasons.appendChild(reason);
+            });
+            item.appendChild(reasons);
+            list.appendChild(item);
+        });
+        renderLogoDiagnostics(logoFailures);
+
+        if (issues.length === 0 && logoFailures.length === 0) {
+            panel.classList.add('hidden');
+        } else if (wasEmpty) {
+            panel.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * List the logos that failed to load in the data report, with why and which brands use them
+     * @param {Object[]} failures - As returned by getLogoFailures
+     */
+    function renderLogoDiagnostics(failures) {
+        const section = query('.logo-diagnostics');
+        const list = query('.logo-diagnostics-list');
+        if (!section || !list) return;
+
+        section.classList.toggle('hidden', failures.length === 0);
+        list.innerHTML = '';
+        failures.forEach(failure => {
+            const item = document.createElement('li');
+            const url = document.createElement('code');
+            url.textContent = failure.url;
+            const details = document.createElement('span');
+            details.textContent = ' — ' + failure.reason +
+                (failure.brands.length > 0 ? '. ' + t('report.logoUsedBy', { names: failure.brands.join(', ') }) : '');
+            item.append(url, details);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * The logos that failed to load so far
+     * @returns {Object[]} - { url, reason, duration, brands: names of the brands using the logo }
+     */
+    function getLogoFailures() {
+        return logoLoader.failures().map(failure => ({
+            ...failure,
+            brands: allBrands.filter(brand => brand.logo_url === failure.url).map(brand => brand.name)
+        }));
+    }
+
+    /**
+     * A logo failed to load: show monograms in its place in the diagram, list it in the data report
+     * and let the host page know
+     * @param {Object} failure - { url, reason, duration } (see brand-logos.js)
+     */
+    function handleLogoFailure(failure) {
+        if (destroyed) return;
+        console.warn(`Logo "${failure.url}" could not be loaded: ${failure.reason}.`);
+
+        if (radialSvg) {
+            const defs = radialSvg.select('defs');
+            radialSvg.selectAll('.main-display-circle')
+                // Only circles showing the logo; in a large diagram the others show none yet (see applyLevelOfDetail)
+                .filter(function(d) { return d && nodeLogoUrl(d) === failure.url && this.style.fill.startsWith('url('); })
+                .each(function(d) { this.style.fill = logoFill(defs, d, nodeRadius(d)); });
+            radialSvg.selectAll('.cell-logo')
+                .filter(d => d.data.logo_url === failure.url)
+                .attr('href', d => brandMonogram(d.data));
+        }
+
+        renderDataReport();
+        emit('logoerror', getLogoFailures().find(entry => entry.url === failure.url));
+    }
+
+    /**
+     * Build the checkboxes of the facet panel from the values found in the data
+     * Ticked values that are still offered stay ticked after a reload.
+     */
+    function renderFacetOptions() {
+        if (!facetHelper) return;
+        facetOptions = facetHelper.optionsFor(allBrands);
+
+        facetHelper.facets.forEach(facet => {
+            const list = query(`.facet[data-facet="${facet}"] .facet-options`);
+            if (!list) return;
+            list.innerHTML = '';
+            facetOptions[facet].forEach(option => {
+                const item = document.createElement('li');
+                item.style.paddingInlineStart = `${option.depth * 16}px`; // Sub-regions are indented
+                const label = document.createElement('label');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.value = option.value;
+                checkbox.dataset.facet = facet;
+                const text = document.createElement('span');
+                text.className = 'facet-label';
+                text.textContent = facetOptionLabel(facet, option);
+                const count = document.createElement('span');
+                count.className = 'facet-count';
+                label.append(checkbox, text, count);
+                item.appendChild(label);
+                list.appendChild(item);
+            });
+            setFacetSelection(facet, facetSelections[facet]);
+        });
+    }
+
+    /**
+     * Label of a facet value in the current language
+     * @param {string} facet - 'category', 'region', 'parent' or 'relationship'
+     * @param {Object} option - { value, label } as offered by BrandFacets
+     * @returns {string}
+     */
+    function facetOptionLabel(facet, option) {
+        if (facet === 'category') return categoryLabel(option.value);
+        // The top of the tree is labelled apart, for the brands it holds directly
+        if (facet === 'parent' && option.label !== option.value) return t('facet.direct', { name: option.value });
+        if (facet === 'relationship' && relationshipTypes[option.value]) return t(`relationship.${option.value}`);
+        return option.label;
+    }
+
+    /**
+     * Replace the values ticked in one facet
+     * Values the facet does not offer are dropped; region values are normalised first, so
+     * e.g. 'US' ticks North America.
+     * @param {string} facet - 'category', 'region', 'parent' or 'relationship'
+     * @param {string|string[]} values - A value or list of values; 'all' or an empty list clears the facet
+     */
+    function setFacetSelection(facet, values) {
+        let chosen = [].concat(values || []).filter(value => value && value !== 'all');
+        if (facet === 'region' && facetHelper) {
+            chosen = chosen.flatMap(value => facetHelper.normalizeRegion(value));
+        }
+        const offered = new Set(facetOptions[facet].map(option => option.value));
+        facetSelections[facet] = Array.from(new Set(chosen.filter(value => offered.has(value))));
+
+        queryAll(`.facet-options input[data-facet="${facet}"]`).forEach(checkbox => {
+            checkbox.checked = facetSelections[facet].includes(checkbox.value);
+        });
+    }
+
+    /**
+     * Show how many brands each facet value would leave, and how many values are ticked
+     * @param {Array} searchResults - The brands matching the search, before the facets are applied
+     */
+    function updateFacetCounts(searchResults) {
+        if (!facetHelper) return;
+        const counts = facetHelper.counts(searchResults, facetSelections, facetOptions);
+
+        queryAll('.facet-options input[data-facet]').forEach(checkbox => {
+            const count = counts[checkbox.dataset.facet].get(checkbox.value) || 0;
+            const item = checkbox.closest('li');
+            item.querySelector('.facet-count').textContent = `(${count})`;
+            item.classList.toggle('empty', count === 0);
+            // A value that would leave no brands can't be ticked, but a ticked one can always be unticked
+            checkbox.disabled = count === 0 && !checkbox.checked;
+        });
+
+        const active = Object.values(facetSelections).reduce((total, values) => total + values.length, 0);
+        const activeCount = query('.facet-active-count');
+        if (activeCount) activeCount.textContent = active > 0 ? `(${active})` : '';
+        query('.facet-toggle')?.classList.toggle('active', active > 0);
+        const clearButton = query('.facet-clear');
+        if (clearButton) clearButton.disabled = active === 0;
+    }
+
+    /**
+     * Get the brands matching the current search input and facet selections
+     * @param {Array} [searchResults] - The brands matching the search, if already known
+     * @returns {Array} - The filtered array of brand objects, best search match first
+     */
+    function getFilteredBrands(searchResults = searchBrands(query('.search-input')?.value || '')) {
+        return facetHelper ? facetHelper.filter(searchResults, facetSelections) : searchResults;
+    }
+
+    /**
+     * Find the brands matching a search query and remember which text matched, for highlighting
+     * The query language is described in brand-search.js.
+     * @param {string} searchValue - The query
+     * @returns {Array} - The matching brands, best match first
+     */
+    function searchBrands(searchValue) {
+        searchMatches = new Map();
+        // Search the text as shown, in the current language
+        const brands = allBrands.map(localized);
+
+        if (!global.BrandSearch) {
+            // Plain substring search when brand-search.js is not loaded
+            const value = searchValue.toLowerCase();
+            return brands.filter(brand => value === '' ||
+                ['name', 'description', 'tagline'].some(field => brand[field] && brand[field].toLowerCase().includes(value)));
+        }
+
+        return BrandSearch.search(brands, searchValue).map(result => {
+            searchMatches.set(result.brand.name, result.matches);
+            return result.brand;
+        });
+    }
+
+    /**
+     * Get a brand field as HTML, with the text matched by the current search highlighted
+     * @param {Object} brand - The brand (or hierarchy node) data
+     * @param {string} field - Field name, e.g. 'name'
+     * @param {string} [fallback=''] - Text to show if the field is empty
+     * @returns {string}
+     */
+    function highlightField(brand, field, fallback = '') {
+        const text = brand[field];
+        if (!text) return fallback;
+        if (!global.BrandSearch) return escapeHtml(text);
+        const matches = searchMatches.get(brand.name);
+        return BrandSearch.highlight(text, matches && matches[field]);
+    }
+
+    /**
+     * A brand with its tagline and description in the current language, where the record translates them
+     * @param {Object} brand - A brand record
+     * @returns {Object} - A copy with the translated text (the same copy every time), or the record itself
+     */
+    function localized(brand) {
+        if (!localizedBrands.has(brand)) localizedBrands.set(brand, BrandI18n.localizeBrand(brand, currentLocale));
+        return localizedBrands.get(brand);
+    }
+
+    /**
+     * Name of a category in the current language; categories without a translation show their name
+     * with spaces for underscores (Pet_Care → Pet Care)
+     * @param {string} category - Category name as in the data
+     * @returns {string}
+     */
+    function categoryLabel(category) {
+        if (!category || category === uncategorized) return t('category.uncategorized');
+        const key = `category.${category}`;
+        return t.has(key) ? t(key) : category.replace(/_/g, ' ');
+    }
+
+    /**
+     * Name shown for a hierarchy node: category nodes are translated, brands keep their own names
+     * @param {Object} data - The node data
+     * @returns {string}
+     */
+    function nodeLabel(data) {
+        return data.nodeType === 'category' ? categoryLabel(data.name) : (data.name || '');
+    }
+
+    /**
+     * Centre the radial view on the best match of the search query
+     * Skipped if that brand is already the one centred, so refining a query does not keep moving the map.
+     */
+    function focusBestMatch() {
+        if (destroyed || currentView !== 'radial' || !radialSvg) return;
+        const search = query('.search-input')?.value.trim() || '';
+        if (!search) {
+            lastFocusedMatch = null;
+            return;
+        }
+
+        const best = getFilteredBrands()[0];
+        if (best && best.name !== lastFocusedMatch) {
+            lastFocusedMatch = best.name;
+            focusBrand(best.name);
+        }
+    }
+
+    /**
+     * Filter brands based on search input and facet selections
+     */
+    function filterBrands() {
+        if (destroyed) return;
+        const search = query('.search-input')?.value || '';
+        const searchResults = searchBrands(search);
+        const filteredBrands = getFilteredBrands(searchResults);
+        updateFacetCounts(searchResults);
+        updateLegendState(searchResults);
+
+        // Update the current view based on filters
+        if (currentView === 'list') {
+            updateListView(filteredBrands);
+        } else if (currentView === 'radial') {
+            updateRadialView(filteredBrands);
+        }
+
+        // Only announce the filters when they actually changed
+        const filters = {
+            search,
+            category: facetSelections.category.slice(),
+            region: facetSelections.region.slice(),
+            parent: facetSelections.parent.slice(),
+            relationship: facetSelections.relationship.slice()
+        };
+        const filterKey = JSON.stringify(filters);
+        if (filterKey !== lastFilterKey) {
+            lastFilterKey = filterKey;
+            emit('filterchange', { ...filters, brands: filteredBrands });
+        }
+
+        scheduleUrlStateUpdate();
+    }
+
+
+    /**
+     * Update the list view with filtered brands
+     * @param {Array} filteredBrands - The filtered array of brand objects
+     */
+    function updateListView(filteredBrands) {
+        const container = query('.category-view');
+         if (!container) return;
+
+        // Show no results message if needed
+        if (filteredBrands.length === 0) {
+            container.innerHTML = `
+                <div class="no-results">
+                    <h2>${t('results.none')}</h2>
+                    <p>${t('results.hint')}</p>
+                </div>
+            `;
+            return;
+        }
+
+        // With a search, keep the best matches first
+        const searching = (query('.search-input')?.value || '').trim() !== '';
+        renderCategories(filteredBrands, searching);
+    }
+
+    /**
+     * Render brands into the list view, grouped into one section per category
+     * @param {Array} brands - The array of brand objects to render
+     * @param {boolean} [ranked=false] - Keep the order of brands (and so of categories) as given,
+     *   instead of sorting both alphabetically
+     */
+    function renderCategories(brands, ranked = false) {
+        const container = query('.category-view');
+        if (!container) return;
+
+        // Group brands by category
+        const categories = {};
+        brands.forEach(brand => {
+            const category = brand.category || uncategorized; // Handle potential missing category
+            if (!categories[category]) {
+                categories[category] = [];
+            }
+            categories[category].push(brand);
+        });
+
+        // Clear the container
+        container.innerHTML = '';
+
+        // Create a section for each category, in alphabetical order (or in order of their best match)
+        const categoryNames = Object.keys(categories);
+        if (!ranked) categoryNames.sort((a, b) => a.localeCompare(b));
+        categoryNames.forEach(category => {
+            const categoryBrands = ranked ? categories[category]
+                : categories[category].sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+            const displayName = categoryLabel(category); // e.g. Pet_Care -> Pet Care, or translated
+
+            const categoryDiv = document.createElement('div');
+            categoryDiv.className = 'category';
+            categoryDiv.style.borderTop = `4px solid ${colorMap[category] || 'var(--nestle-blue)'}`;
+
+            // Add category header
+            categoryDiv.innerHTML = `
+                <h2>${escapeHtml(displayName)} <small>(${categoryBrands.length})</small></h2>
+                <div class="category-brands"></div>
+            `;
+            const cueSwatch = categoryCueSwatch(category, 'list-cue');
+            if (cueSwatch) categoryDiv.querySelector('h2').prepend(cueSwatch);
+
+            // Add brand cards to this category
+            const brandsContainer = categoryDiv.querySelector('.category-brands');
+            categoryBrands.forEach(brand => {
+                const brandCard = createBrandCard(brand);
+                brandsContainer.appendChild(brandCard);
+            });
+
+            container.appendChild(categoryDiv);
+        });
+    }
+
+
+    /**
+     * The monogram shown for a brand without a logo that loads: its initials on its category colour
+     * @param {Object} brand - The brand record, or the data of a diagram node
+     * @returns {string} - An SVG data URL
+     */
+    function brandMonogram(brand) {
+        return BrandLogos.monogram(brand.name, colorMap[brand.category] || '#888');
+    }
+
+    /**
+     * An <img> for a brand's logo: loaded once it comes into view, and showing the brand's monogram
+     * if there is no logo or it fails to load
+     * @param {Object} brand - The brand record
+     * @returns {HTMLImageElement}
+     */
+    function brandLogoImage(brand) {
+        const img = document.createElement('img');
+        img.alt = t('brand.logo', { name: brand.name });
+        logoLoader.lazy(img, brand.logo_url, brandMonogram(brand));
+        return img;
+    }
+
+    /**
+     * Create a brand card element for the list view
+     * @param {Object} brand - The brand object
+     * @returns {HTMLElement} - The brand card element
+     */
+    function createBrandCard(brand) {
+        const card = document.createElement('div');
+        card.className = 'brand-card';
+        card.dataset.brand = brand.name;
+        card.classList.toggle('compare-selected', compareSelection.includes(brand.name));
+
+        // Create card content
+        card.innerHTML = `
+            <div class="brand-info">
+                <div class="brand-logo"></div>
+                <div class="brand-details">
+                    <h3>${highlightField(brand, 'name', t('brand.unknown'))}</h3>
+                    <p class="brand-tagline">${highlightField(brand, 'tagline')}</p>
+                </div>
+            </div>
+            <p class="brand-description">${highlightField(brand, 'description', t('brand.noDescription'))}</p>
+            <div class="brand-tags">
+                <span class="tag">${t.has(`category.${brand.category}`) ? categoryLabel(brand.category) : highlightField(brand, 'category', t('category.uncategorized'))}</span>
+                <span class="tag">${highlightField(brand, 'region', t('brand.unknownRegion'))}</span>
+                 ${brand.parent_brand ? `<span class="tag">${t('brand.partOf', { parent: highlightField(brand, 'parent_brand') })}</span>` : ''}
+            </div>
+        `;
+        card.querySelector('.brand-logo').appendChild(brandLogoImage(brand));
+
+        // Add click event to show details, or in compare mode to pick the brand
+        card.addEventListener('click', () => {
+            if (compareMode) {
+                toggleCompareBrand(brand.name);
+                return;
+            }
+            emit('brandselect', { brand });
+            showBrandDetails(brand);
+        });
+
+        return card;
+    }
+
+    /**
+     * Show detailed brand information in modal
+     * @param {Object} brand - The brand object
+     */
+    function showBrandDetails(brand) {
+        const modal = query('.brand-modal');
+        const detailContent = query('.brand-detail-content');
+
+        if (!modal || !detailContent) {
+            console.error('Modal elements not found.');
+            return;
+        }
+
+        const { tagline, description } = localized(brand);
+
+        // Create modal content
+        detailContent.innerHTML = `
+            <div class="modal-logo"></div>
+            <h2 class="modal-brand-name">${brand.name ? escapeHtml(brand.name) : t('brand.unknown')}</h2>
+            <p class="modal-brand-tagline">"${tagline ? escapeHtml(tagline) : t('brand.noTagline')}"</p>
+
+            <div class="modal-section">
+                <h3>${t('details.about')}</h3>
+                <p>${description ? escapeHtml(description) : t('brand.noDescription')}</p>
+            </div>
+
+            <div class="modal-section">
+                <h3>${t('details.details')}</h3>
+                <p><strong>${t('details.category')}</strong> ${escapeHtml(categoryLabel(brand.category))}</p>
+                <p><strong>${t('details.region')}</strong> ${brand.region ? escapeHtml(brand.region) : t('brand.unknownRegion')}</p>
+                 ${brand.parent_brand ? `<p><strong>${t('details.parent')}</strong> ${escapeHtml(brand.parent_brand)}</p>` : ''}
+                ${describeRelationship(brand) ? `<p><strong>${t('details.relationship')}</strong> ${describeRelationship(brand)}</p>` : ''}
+                ${brand.acquired ? `<p><strong>${t('details.acquired')}</strong> ${escapeHtml(brand.acquired)}</p>` : ''}
+                ${brand.divested ? `<p><strong>${t('details.divested')}</strong> ${escapeHtml(brand.divested)}</p>` : ''}
+            </div>
+
+            <div class="brand-tags">
+                <span class="tag">${escapeHtml(categoryLabel(brand.category))}</span>
+                <span class="tag">${brand.region ? escapeHtml(brand.region) : t('brand.unknownRegion')}</span>
+                 ${brand.parent_brand ? `<span class="tag">${t('brand.partOf', { parent: escapeHtml(brand.parent_brand) })}</span>` : ''}
+            </div>
+            ${brand.website ? `<div class="modal-section"><h3>${t('details.website')}</h3><p><a href="${escapeHtml(brand.website)}" target="_blank">${escapeHtml(brand.website)}</a></p></div>` : ''}
+        `;
+        detailContent.querySelector('.modal-logo').appendChild(brandLogoImage(brand));
+
+        if (adminMode && editSession) {
+            const actions = document.createElement('div');
+            actions.className = 'modal-actions';
+            actions.innerHTML = `
+                <button class="brand-edit-btn"><i class="fas fa-pen"></i> ${t('details.edit')}</button>
+                <button class="brand-delete-btn"><i class="fas fa-trash"></i> ${t('details.delete')}</button>
+            `;
+            // The editor works on the record as stored, not on its translated copy
+            actions.querySelector('.brand-edit-btn').addEventListener('click', () => showBrandEditor(editSession.find(brand.name) || brand));
+            actions.querySelector('.brand-delete-btn').addEventListener('click', () => deleteBrand(brand.name));
+            detailContent.appendChild(actions);
+        }
+
+        // Show the modal with animation
+        modal.classList.add('show');
+    }
+
+    /**
+     * Show the form for editing a brand, or adding one, in the brand modal
+     * @param {Object|null} brand - The brand record to edit; null adds a new brand
+     */
+    function showBrandEditor(brand) {
+        const modal = query('.brand-modal');
+        const detailContent = query('.brand-detail-content');
+        if (!modal || !detailContent || !editSession) return;
+
+        const listId = list => `brand-form-${list}-${mapId}`;
+        detailContent.innerHTML = `
+            <form class="brand-form" novalidate>
+                <h2>${brand ? t('editor.edit') : t('editor.add')}</h2>
+                <ul class="brand-form-errors" role="alert"></ul>
+                <label>${t('editor.name')} <input name="name" required></label>
+                <label>${t('editor.category')} <input name="category" list="${listId('categories')}" required></label>
+                <label>${t('editor.parent')} <input name="parent_brand" list="${listId('brands')}" placeholder="${t('editor.parentPlaceholder')}"></label>
+                <div class="brand-form-relationship">
+                    <label>${t('editor.relationship')}
+                        <select name="relationship">
+                            <option value="">${t('relationship.owned')}</option>
+                            <option value="stake">${t('relationship.stake')}</option>
+                            <option value="jv">${t('relationship.jv')}</option>
+                            <option value="licensed">${t('relationship.licensed')}</option>
+                        </select>
+                    </label>
+                    <label>${t('editor.ownership')} <input name="ownership" type="number" min="0" max="100" step="any"></label>
+                </div>
+                <label>${t('editor.region')} <input name="region" list="${listId('regions')}"></label>
+                <label>${t('editor.tagline')} <input name="tagline"></label>
+                <label>${t('editor.description')} <textarea name="description" rows="3"></textarea></label>
+                ${brand && brand.translations ? `<p class="brand-form-note">${t('editor.translations', { locales: Object.keys(brand.translations).join(', ') })}</p>` : ''}
+                <label>${t('editor.website')} <input name="website" type="url" placeholder="https://"></label>
+                <div class="brand-form-dates">
+                    <label>${t('editor.acquired')} <input name="acquired" placeholder="${t('editor.datePlaceholder')}"></label>
+                    <label>${t('editor.divested')} <input name="divested" placeholder="${t('editor.divestedPlaceholder')}"></label>
+                </div>
+                <div class="brand-form-logo">
+                    <img class="brand-form-logo-preview hidden" alt="">
+                    <label>${t('editor.logo')} <input name="logo_url" placeholder="assets/logo.png"></label>
+                    <label class="brand-form-upload"><i class="fas fa-upload"></i> ${t('editor.upload')}
+                        <input type="file" accept="image/png,image/jpeg,image/gif,image/svg+xml,image/webp">
+                    </label>
+                </div>
+                <div class="modal-actions">
+                    <button type="submit" class="brand-form-save"><i class="fas fa-check"></i> ${t('editor.save')}</button>
+                    <button type="button" class="brand-form-cancel">${t('editor.cancel')}</button>
+                </div>
+            </form>
+        `;
+
+        const form = detailContent.querySelector('.brand-form');
+        // Suggestions from the current data
+        const suggestions = {
+            categories: allBrands.map(record => record.category),
+            brands: allBrands.map(record => record.name).filter(name => !brand || name !== brand.name),
+            regions: allBrands.map(record => record.region)
+        };
+        Object.entries(suggestions).forEach(([list, values]) => {
+            const datalist = document.createElement('datalist');
+            datalist.id = listId(list);
+            Array.from(new Set(values.filter(Boolean))).sort((a, b) => a.localeCompare(b)).forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                datalist.appendChild(option);
+            });
+            form.appendChild(datalist);
+        });
+        editableFields.forEach(field => {
+            form.elements[field].value = brand && brand[field] !== undefined && brand[field] !== null ? brand[field] : '';
+        });
+
+        const errorList = form.querySelector('.brand-form-errors');
+        const showErrors = errors => {
+            errorList.innerHTML = '';
+            errors.forEach(message => {
+                const item = document.createElement('li');
+                item.textContent = message;
+                errorList.appendChild(item);
+            });
+        };
+
+        const logoInput = form.elements.logo_url;
+        const preview = form.querySelector('.brand-form-logo-preview');
+        const updatePreview = () => {
+            preview.classList.toggle('hidden', !logoInput.value);
+            if (logoInput.value) preview.src = logoInput.value;
+        };
+        logoInput.addEventListener('input', updatePreview);
+        updatePreview();
+
+        // Uploaded logos become data URLs, so the downloaded brands.json carries them
+        const fileInput = form.querySelector('.brand-form-upload input');
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+            if (file.size > maxLogoBytes) {
+                showErrors([t('editor.logoTooLarge', { size: Math.round(file.size / 1024), max: maxLogoBytes / 1024 })]);
+                return;
+            }
+            const reader = new FileReader();
+            reader.onload = () => {
+                logoInput.value = reader.result;
+                updatePreview();
+            };
+            reader.onerror = () => showErrors([t('editor.unreadable', { name: file.name })]);
+            reader.readAsDataURL(file);
+        });
+
+        form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            // Fields the form does not show are kept as they were
+            const record = { ...(brand || {}) };
+            editableFields.forEach(field => {
+                const input = form.elements[field];
+                record[field] = input.type === 'number' && input.value !== '' ? Number(input.value) : input.value;
+            });
+
+            const result = brand ? editSession.update(brand.name, record) : editSession.add(record);
+            if (!result.ok) {
+                showErrors(result.errors);
+                return;
+            }
+            editedDataChanged(result.label);
+            const saved = editSession.find(record.name.trim());
+            if (saved) showBrandDetails(saved);
+        });
+        form.querySelector('.brand-form-cancel').addEventListener('click', () => {
+            if (brand) showBrandDetails(brand);
+            else modal.classList.remove('show');
+        });
+
+        modal.classList.add('show');
+        form.elements.name.focus();
+    }
+
+    /**
+     * Delete a brand from the data; the brands it owned move up to its own owner
+     * @param {string} name - Brand name
+     */
+    function deleteBrand(name) {
+        if (!editSession) return;
+        const result = editSession.remove(name);
+        if (!result.ok) {
+            console.warn(`Could not delete "${name}":`, result.errors.join(' '));
+            return;
+        }
+        query('.brand-modal')?.classList.remove('show');
+        editedDataChanged(t('admin.deleted', { label: result.label }));
+    }
+
+    /**
+     * Turn the tools for editing the brand data on or off
+     * @param {boolean} enabled
+     */
+    function setAdminMode(enabled) {
+        if (enabled && !global.BrandEditor) {
+            console.warn('brand-editor.js is not loaded; the brand data cannot be edited.');
+            return;
+        }
+        adminMode = Boolean(enabled);
+        root.classList.toggle('admin-mode', adminMode);
+        query('.admin-controls')?.classList.toggle('hidden', !adminMode);
+        query('.help-admin')?.classList.toggle('hidden', !adminMode);
+        // Before the data has loaded, the session starts once it arrives
+        if (adminMode && !editSession && allBrands.length > 0) startEditSession();
+        updateAdminControls();
+    }
+
+    /**
+     * Start editing the brands currently loaded, with an empty undo history
+     */
+    function startEditSession() {
+        editSession = BrandEditor.createSession(allBrands, {
+            validate: global.BrandSchema ? BrandSchema.validateBrands : null
+        });
+        updateAdminControls();
+    }
+
+    /**
+     * Enable the editing buttons that apply and describe what Undo and Redo would do
+     */
+    function updateAdminControls() {
+        const undoButton = query('.admin-undo');
+        const redoButton = query('.admin-redo');
+        const addButton = query('.admin-add');
+        const downloadButton = query('.admin-download');
+        if (!undoButton || !redoButton || !addButton || !downloadButton) return;
+
+        addButton.disabled = !editSession;
+        downloadButton.disabled = !editSession;
+        downloadButton.classList.toggle('unsaved', Boolean(editSession && editSession.isDirty()));
+        undoButton.disabled = !editSession || !editSession.canUndo();
+        redoButton.disabled = !editSession || !editSession.canRedo();
+        undoButton.title = editSession?.undoLabel() ? t('admin.undoHint', { label: editSession.undoLabel() }) : t('admin.undo');
+        redoButton.title = editSession?.redoLabel() ? t('admin.redoHint', { label: editSession.redoLabel() }) : t('admin.redo');
+    }
+
+    /**
+     * Show the edited brand data on the map after an edit, undo or redo
+     * @param {string} message - What changed, for screen readers
+     */
+    function editedDataChanged(message) {
+        allBrands = editSession.records();
+        renderFacetOptions();
+        cueCategories = getLegendCategories();
+        if (currentView === 'radial' && radialSvg) redrawRadialView(true);
+        filterBrands();
+        updateAdminControls();
+        updateTimelineControls();
+        if (compareSelection.length > 0) compareSelectionChanged(); // Deleted brands drop out
+        emit('datachange', { brands: allBrands.slice() });
+        announce(message);
+    }
+
+    /**
+     * Take back the last edit of the brand data
+     */
+    function undoEdit() {
+        const label = editSession ? editSession.undo() : null;
+        if (label) editedDataChanged(t('admin.undone', { label }));
+    }
+
+    /**
+     * Make the last undone edit of the brand data again
+     */
+    function redoEdit() {
+        const label = editSession ? editSession.redo() : null;
+        if (label) editedDataChanged(t('admin.redone', { label }));
+    }
+
+    /**
+     * Download the edited brand data as brands.json
+     */
+    function downloadBrandData() {
+        if (!editSession) return;
+        if (!global.BrandExport) {
+            console.warn('brand-export.js is not loaded; brands.json cannot be downloaded.');
+            return;
+        }
+        BrandExport.download(new Blob([editSession.toJson()], { type: 'application/json' }), 'brands.json');
+        editSession.markSaved();
+        updateAdminControls();
+    }
+
+    /**
+     * Turn compare mode on or off; in compare mode clicking a brand picks it for the comparison
+     * @param {boolean} enabled
+     */
+    function setCompareMode(enabled) {
+        compareMode = Boolean(enabled);
+        if (!compareMode) compareSelection = [];
+        root.classList.toggle('compare-mode', compareMode);
+        query('.compare-toggle-btn')?.setAttribute('aria-pressed', String(compareMode));
+        query('.compare-tray')?.classList.toggle('hidden', !compareMode);
+        compareSelectionChanged();
+        announce(compareMode ? t('compare.modeOn', { max: maxComparedBrands }) : t('compare.modeOff'));
+    }
+
+    /**
+     * Add a brand to the comparison, or take it out again
+     * @param {string} name - Brand name
+     */
+    function toggleCompareBrand(name) {
+        const index = compareSelection.indexOf(name);
+        if (index >= 0) {
+            compareSelection.splice(index, 1);
+            announce(t('compare.removed', { name }));
+        } else if (compareSelection.length >= maxComparedBrands) {
+            announce(t('compare.full', { max: maxComparedBrands }));
+            return;
+        } else {
+            compareSelection.push(name);
+            announce(t('compare.added', { name, count: compareSelection.length, max: maxComparedBrands }));
+        }
+        compareSelectionChanged();
+    }
+
+    /**
+     * Mark the picked brands in the diagram and the list, update the tray and tell listeners
+     */
+    function compareSelectionChanged() {
+        // Brands no longer in the data (deleted or renamed in admin mode) drop out
+        compareSelection = compareSelection.filter(name => allBrands.some(brand => brand.name === name));
+
+        if (radialSvg) {
+            radialSvg.selectAll('.node.brand-node').classed('compare-selected', d => compareSelection.includes(d.data.name));
+        }
+        queryAll('.brand-card').forEach(card => {
+            card.classList.toggle('compare-selected', compareSelection.includes(card.dataset.brand));
+        });
+
+        const chips = query('.compare-chips');
+        if (chips) {
+            chips.innerHTML = '';
+            compareSelection.forEach(name => {
+                const chip = document.createElement('li');
+                chip.className = 'compare-chip';
+                chip.textContent = name;
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'compare-chip-remove';
+                removeBtn.setAttribute('aria-label', t('compare.remove', { name }));
+                removeBtn.innerHTML = '&times;';
+                removeBtn.addEventListener('click', () => toggleCompareBrand(name));
+                chip.appendChild(removeBtn);
+                chips.appendChild(chip);
+            });
+        }
+        query('.compare-hint')?.classList.toggle('hidden', compareSelection.length > 0);
+        const openBtn = query('.compare-open-btn');
+        if (openBtn) openBtn.disabled = compareSelection.length < 2;
+        const clearBtn = query('.compare-clear-btn');
+        if (clearBtn) clearBtn.disabled = compareSelection.length === 0;
+
+        emit('comparechange', { brands: comparedBrands() });
+    }
+
+    /**
+     * The brand records picked for comparison, with their text in the current language
+     * @returns {Object[]}
+     */
+    function comparedBrands() {
+        return compareSelection.map(name => allBrands.find(brand => brand.name === name)).filter(Boolean).map(localized);
+    }
+
+    /**
+     * Whether brands differ in a field; case and surrounding spaces do not count
+     * @param {Object[]} brands - Brand records
+     * @param {string} field - Field name
+     * @returns {boolean}
+     */
+    function fieldDiffers(brands, field) {
+        return new Set(brands.map(brand => (brand[field] || '').trim().toLowerCase())).size > 1;
+    }
+
+    /**
+     * Show the picked brands side by side, highlighting the fields in which they differ
+     * @param {string[]} [names] - Brands to compare instead of those picked so far (at most maxComparedBrands)
+     */
+    function showComparison(names) {
+        if (Array.isArray(names)) {
+            compareSelection = names.filter(name => allBrands.some(brand => brand.name === name)).slice(0, maxComparedBrands);
+            if (!compareMode) setCompareMode(true);
+            compareSelectionChanged();
+        }
+
+        const modal = query('.compare-modal');
+        const table = query('.compare-table');
+        if (!modal || !table) return;
+        const brands = comparedBrands();
+        if (brands.length < 2) {
+            announce(t('compare.tooFew'));
+            return;
+        }
+
+        table.innerHTML = '';
+        const header = table.createTHead().insertRow();
+        header.appendChild(document.createElement('td'));
+        brands.forEach(brand => {
+            const cell = document.createElement('th');
+            cell.scope = 'col';
+            const logo = brandLogoImage(brand);
+            logo.classList.add('compare-logo');
+            logo.alt = '';
+            const name = document.createElement('span');
+            name.className = 'compare-brand-name';
+            name.textContent = brand.name;
+            cell.append(logo, name);
+            header.appendChild(cell);
+        });
+
+        const body = table.createTBody();
+        compareFields.forEach(field => {
+            const differs = fieldDiffers(brands, field);
+            const row = body.insertRow();
+            row.classList.toggle('differs', differs);
+            const heading = document.createElement('th');
+            heading.scope = 'row';
+            heading.textContent = t(`compare.field.${field}`);
+            if (differs) heading.insertAdjacentHTML('beforeend', `<span class="sr-only"> ${t('compare.differs')}</span>`);
+            row.appendChild(heading);
+            brands.forEach(brand => {
+                const value = (brand[field] || '').trim();
+                const cell = row.insertCell();
+                cell.textContent = (field === 'category' && value ? categoryLabel(value) : value) || '—';
+                cell.classList.toggle('missing', !value);
+                if (field === 'category' && value) {
+                    const swatch = categoryCueSwatch(value, 'compare-cue');
+                    if (swatch) cell.prepend(swatch);
+                }
+            });
+        });
+
+        modal.classList.add('show');
+        modal.querySelector('.close-button')?.focus();
+    }
+
+    /**
+     * Download the comparison as a CSV file: one column per brand and a column marking the fields that differ
+     */
+    function exportComparison() {
+        const brands = comparedBrands();
+        if (!global.BrandExport || brands.length === 0) return;
+
+        const rows = [[t('compare.field'), ...brands.map(brand => brand.name), t('compare.differsColumn')]];
+        compareFields.concat(['logo_url', 'website']).forEach(field => {
+            rows.push([t(`compare.field.${field}`), ...brands.map(brand => brand[field] || ''),
+                fieldDiffers(brands, field) ? t('compare.yes') : '']);
+        });
+        BrandExport.exportCsv(rows, 'brand-comparison');
+        emit('export', { format: 'csv', brands });
+    }
+
+    /**
+     * The brands in the diagram: all of them, or with the timeline on those owned at the end of its year
+     * A brand owned through another brand is only in the portfolio while that brand is.
+     * @returns {Object[]}
+     */
+    function portfolioBrands() {
+        if (timelineYear === null) return allBrands;
+
+        const brandsByName = new Map(allBrands.map(brand => [brand.name, brand]));
+        const owned = new Map();
+        const isOwned = (brand, seen) => {
+            if (owned.has(brand)) return owned.get(brand);
+            if (seen.has(brand)) return true; // Ownership cycles are broken up in prepareRadialData
+            seen.add(brand);
+            const owner = brand.parent_brand ? brandsByName.get(brand.parent_brand) : null;
+            const result = ownedAtEndOf(brand, timelineYear) && (!owner || isOwned(owner, seen));
+            owned.set(brand, result);
+            return result;
+        };
+        return allBrands.filter(brand => isOwned(brand, new Set()));
+    }
+
+    /**
+     * Years the timeline covers: from the earliest acquired or divested date in the data to this year
+     * @returns {Object|null} - { min, max }, or null if no brand has a date
+     */
+    function timelineRange() {
+        const years = [];
+        allBrands.forEach(brand => {
+            ['acquired', 'divested'].forEach(field => {
+                const year = parseInt(brand[field], 10);
+                if (Number.isFinite(year)) years.push(year);
+            });
+        });
+        if (years.length === 0) return null;
+        return { min: Math.min(...years), max: Math.max(new Date().getFullYear(), ...years) };
+    }
+
+    /**
+     * What changed in the portfolio during a year, e.g. "2017: Blue Bottle Coffee acquired; The Body Shop divested."
+     * @param {number} year
+     * @returns {string}
+     */
+    function describeTimelineYear(year) {
+        const inYear = field => allBrands
+            .filter(brand => parseInt(brand[field], 10) === year)
+            .map(brand => brand.name)
+            .sort((a, b) => a.localeCompare(b));
+        const changes = [];
+        const acquired = inYear('acquired');
+        const divested = inYear('divested');
+        if (acquired.length > 0) changes.push(t('timeline.acquired', { names: acquired.join(', ') }));
+        if (divested.length > 0) changes.push(t('timeline.divested', { names: divested.join(', ') }));
+        return changes.length > 0 ? t('timeline.changes', { year, changes: changes.join(t('timeline.separator')) })
+            : t('timeline.none', { year });
+    }
+
+    /**
+     * Show the portfolio as it was at the end of a year, or every brand again
+     * Brands joining or leaving the portfolio grow out of and shrink into their owners.
+     * @param {number|null} year - null turns the timeline off
+     */
+    function setTimelineYear(year) {
+        const range = timelineRange();
+        const next = year === null || year === undefined || !range || !Number.isFinite(Number(year))
+            ? null
+            : Math.min(range.max, Math.max(range.min, Math.round(Number(year))));
+        if (next === timelineYear) return;
+
+        timelineYear = next;
+        updateTimelineControls();
+        if (currentView === 'radial' && radialSvg) redrawRadialView(true);
+        emit('timelinechange', { year: timelineYear, brands: portfolioBrands().slice() });
+        announce(timelineYear === null ? t('timeline.off') : describeTimelineYear(timelineYear));
+        scheduleUrlStateUpdate();
+    }
+
+    /**
+     * Match the timeline button and slider to the data and the selected year
+     */
+    function updateTimelineControls() {
+        const range = timelineRange();
+        const toggle = query('.timeline-toggle');
+        // Without dates in the data there is no history to show
+        if (toggle) {
+            toggle.classList.toggle('hidden', !range);
+            toggle.setAttribute('aria-pressed', String(timelineYear !== null));
+        }
+        query('.timeline-bar')?.classList.toggle('hidden', timelineYear === null);
+
+        const slider = query('.timeline-slider');
+        if (!slider || !range) return;
+        slider.min = range.min;
+        slider.max = range.max;
+        if (timelineYear !== null) {
+            slider.value = timelineYear;
+            query('.timeline-year').textContent = timelineYear;
+            query('.timeline-events').textContent = describeTimelineYear(timelineYear);
+        }
+
+        // Tick marks at the years with changes
+        const listId = `timeline-ticks-${mapId}`;
+        let ticks = root.querySelector(`#${listId}`);
+        if (!ticks) {
+            ticks = document.createElement('datalist');
+            ticks.id = listId;
+            slider.after(ticks);
+            slider.setAttribute('list', listId);
+        }
+        ticks.innerHTML = '';
+        const years = new Set();
+        allBrands.forEach(brand => ['acquired', 'divested'].forEach(field => {
+            const eventYear = parseInt(brand[field], 10);
+            if (Number.isFinite(eventYear)) years.add(eventYear);
+        }));
+        Array.from(years).sort((a, b) => a - b).forEach(eventYear => {
+            const option = document.createElement('option');
+            option.value = eventYear;
+            ticks.appendChild(option);
+        });
+    }
+
+    /**
+     * Prepare data for radial visualization
+     * Brands hang off the brand named in their parent_brand, to any depth, with
+     * Nestlé at the root. Below each owner, brands are grouped into category nodes.
+     * With the timeline on, only the brands in the portfolio at the time are included.
+     * @returns {Object} - Hierarchical data structure for D3
+     */
+    function prepareRadialData() {
+        // Redraws, collapsing and expanding all work from the same data until the brands, year or language change
+        if (radialData && radialData.brands === allBrands && radialData.year === timelineYear && radialData.locale === currentLocale) {
+            return radialData.root;
+        }
+
+        const rootNode = {
+            name: "Nestlé",
+            nodeType: 'root',
+            iconUrl: 'assets/nestle.png', // Specific logo for the root
+            description: t('root.description'),
+            children: []
+        };
+
+        const brands = portfolioBrands();
+        const brandsByName = new Map(brands.filter(brand => brand.name).map(brand => [brand.name, brand]));
+
+        // Work out the owning brand of each brand; null means it belongs directly to Nestlé
+        const ownerOf = new Map();
+        brands.forEach(brand => {
+            let owner = null;
+            if (brand.parent_brand) {
+                if (brandsByName.has(brand.parent_brand) && brand.parent_brand !== brand.name) {
+                    owner = brandsByName.get(brand.parent_brand);
+                } else {
+                    console.warn(`Brand "${brand.name}" has unknown parent_brand "${brand.parent_brand}". Adding it as a direct Nestlé brand.`);
+                }
+            }
+            ownerOf.set(brand, owner);
+        });
+
+        // Break ownership cycles (A owns B owns A) by attaching the brand to Nestlé
+        brands.forEach(brand => {
+            const seen = new Set([brand]);
+            let owner = ownerOf.get(brand);
+            while (owner) {
+                if (seen.has(owner)) {
+                    console.warn(`Ownership cycle through "${brand.name}". Adding it as a direct Nestlé brand.`);
+                    ownerOf.set(brand, null);
+                    break;
+                }
+                seen.add(owner);
+                owner = ownerOf.get(owner);
+            }
+        });
+
+        // Collect the brands owned by each brand
+        const ownedBrands = new Map();
+        brands.forEach(brand => {
+            const owner = ownerOf.get(brand);
+            if (!owner) return;
+            if (!ownedBrands.has(owner)) ownedBrands.set(owner, []);
+            ownedBrands.get(owner).push(brand);
+        });
+
+        // A brand that owns other brands becomes a parent node with its own subtree
+        function buildBrandNode(brand) {
+            const owned = ownedBrands.get(brand);
+            if (!owned) {
+                // A copy, so the brand records themselves (which the editor saves) stay clean;
+                // its tagline and description are in the current language
+                return { ...localized(brand), nodeType: 'brand' };
+            }
+            return {
+                ...localized(brand), // Spread existing brand info
+                nodeType: 'parent',
+                iconUrl: brand.logo_url, // The parent's own logo
+                children: groupByCategory(owned, brand.category)
+            };
+        }
+
+        // Group an owner's brands into category nodes. Holding companies and brands in
+        // the owner's own category (e.g. Friskies under Purina) attach to the owner directly.
+        function groupByCategory(brands, ownerCategory) {
+            const directChildren = [];
+            const categories = {};
+            brands.forEach(brand => {
+                const node = buildBrandNode(brand);
+                const isHoldingCompany = node.nodeType === 'parent' && (!brand.category || brand.category === parentCompanyCategory);
+                if (isHoldingCompany || (ownerCategory && brand.category === ownerCategory)) {
+                    directChildren.push(node);
+                    return;
+                }
+
+                const categoryName = brand.category || uncategorized; // Handle potential missing category
+                if (!categories[categoryName]) {
+                    categories[categoryName] = {
+                        name: categoryName,
+                        nodeType: 'category',
+                        iconUrl: categoryIconUrl(categoryName), // Path to category SVG icon
+                        children: []
+                    };
+                }
+                categories[categoryName].children.push(node);
+            });
+            return directChildren.concat(Object.values(categories));
+        }
+
+        rootNode.children = groupByCategory(brands.filter(brand => !ownerOf.get(brand)), null);
+
+        // Sort every level for consistent layout (alphabetically by name)
+        (function sortChildren(node) {
+            if (!node.children) return;
+            node.children.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+            node.children.forEach(sortChildren);
+        })(rootNode);
+
+        radialData = { root: rootNode, brands: allBrands, year: timelineYear, locale: currentLocale };
+        return rootNode;
+    }
+
+
+    /**
+     * Initialize the radial view diagram using D3.js
+     * @param {boolean} [keepLayoutSize=false] - Lay the diagram out at the size it was last laid out at,
+     *   so a zoom transform kept from before (see redrawRadialView) still fits it
+     */
+    function initializeRadialView(keepLayoutSize = false) {
+        if (destroyed) return;
+
+        // The network layout keeps simulating until stopped
+        if (simulation) {
+            simulation.stop();
+            simulation = null;
+        }
+        orientLabels = null;
+        labelRotation = rotation;
+
+        // Clear the previous diagram
+        const diagramContainer = query('.radial-diagram');
+        if (!diagramContainer) {
+            console.error('Radial diagram container not found.');
+            return;
+        }
+        // Redraws (e.g. on resize) should not lose the keyboard user's place
+        const hadKeyboardFocus = diagramContainer.contains(document.activeElement);
+        diagramContainer.innerHTML = ''; // Clear everything
+
+        // Re-create flexWrap and its children if they were removed or not present
+        let flexWrap = d3.select(query('.radial-diagram')).select('.radial-flex-wrap');
+        if (flexWrap.empty()) {
+            flexWrap = d3.select(query('.radial-diagram'))
+                .append('div')
+                .attr('class', 'radial-flex-wrap');
+        } else {
+            flexWrap.html(''); // Clear existing content of flexWrap
+        }
+
+         // Append legend and svg-wrap containers within flexWrap
+         flexWrap.style('display', 'flex') // Ensure flex properties are applied
+                 .style('flex-direction', 'row')
+                 .style('align-items', 'center')
+                 .style('justify-content', 'center');
+
+         flexWrap.append('div') // Legend container
+            .attr('class', 'radial-legend')
+            .style('display', 'flex')
+            .style('flex-direction', 'column')
+            .style('align-items', 'flex-end')
+            .style('gap', '18px')
+            .style('margin-inline-end', '24px')
+            .style('min-width', '120px');
+
+
+        const svgWrap = flexWrap.append('div') // SVG container
+            .attr('class', 'radial-svg-wrap')
+            .style('flex', '1')
+            .style('display', 'flex')
+            .style('align-items', 'center')
+            .style('justify-content', 'center')
+            .style('width', '100%')
+            .style('height', '100%')
+            .style('min-width', '0'); // Allow shrinking
+
+        // Responsive width/height based on container
+        const { width, height } = measureRadialView(diagramContainer);
+        if (!keepLayoutSize || !radialLayoutSize) radialLayoutSize = { width, height };
+
+        // Adjusted radius calculation
+        const baseRadius = Math.min(radialLayoutSize.width, radialLayoutSize.height) / 2 - 40; // Increased margin for text if needed later, or larger icons
+
+        radialSvg = d3.select(svgWrap.node())
+            .append('svg')
+            .attr('width', width)
+            .attr('height', height)
+            .attr('viewBox', `0 0 ${width} ${height}`)
+            .attr('preserveAspectRatio', 'xMidYMid meet'); // Maintain aspect ratio
+
+        // Ensure defs section exists for patterns
+        let defs = radialSvg.select('defs');
+        if (defs.empty()) {
+            defs = radialSvg.insert('defs', ':first-child');
+        }
+        logoPatterns = new Map();
+
+        const g = radialSvg.append('g'); // No initial transform
+
+        // Add a subgroup for zoom/rotate transforms
+        const zoomContent = g.append('g').attr('class', 'zoom-content');
+
+        radialZoom = d3.zoom()
+            .scaleExtent([0.3, 5])
+            .on('zoom', (event) => {
+                zoomContent.attr(
+                    'transform',
+                    `translate(${event.transform.x},${event.transform.y}) scale(${event.transform.k}) rotate(${layoutRotates() ? rotation : 0})`
+                );
+                applyZoomDetail(zoomContent, event.transform.k);
+                keepLabelsUpright(); // The rotation may have been reset along with the zoom
+                scheduleUrlStateUpdate();
+            })
+            .on('end', applyLevelOfDetail);
+
+        // Apply zoom behavior to the SVG and set initial transform to center
+        radialSvg.call(radialZoom)
+            .call(radialZoom.transform, fittedTransform()); // Initial transform
+
+        // Apply initial rotation if any, ensuring scale is part of the transform
+         updateRadialRotation(rotation);
+
+        // Lay out the hierarchy in the chosen layout
+        const hierarchyRoot = d3.hierarchy(prepareRadialData());
+        applyCollapsedBranches(hierarchyRoot);
+        largeDiagram = hierarchyRoot.descendants().length > config.detailThreshold;
+
+        const layoutSize = { ...radialLayoutSize, radius: baseRadius };
+        const drawLayout = {
+            radial: drawRadialLayout,
+            tree: drawTreeLayout,
+            sunburst: drawSunburstLayout,
+            treemap: drawTreemapLayout,
+            force: drawForceLayout
+        }[currentLayout];
+        const nodeEnter = drawLayout(zoomContent, hierarchyRoot, layoutSize, defs);
+
+        // Add/Update the legend (modify addRadialLegend to handle new categories/structure if needed)
+        // For now, let's keep the existing addRadialLegend which uses text labels and colors.
+        // It might need updates to accurately reflect the new hierarchy or use category SVGs in the legend.
+        addRadialLegend();
+
+        // --- Event Handlers ---
+        // Hover effects apply to the node's circle, category icon or (sunburst/treemap) shape
+        const interactiveElements = nodeEnter;
+
+
+        interactiveElements.on('mouseenter', function(event, d) {
+            // Prevent hover effects on the root node unless specifically desired
+             if (d.data.nodeType === 'root') return;
+            if (tooltip.classList.contains('pinned')) return;
+
+            // Highlight the node's category in the legend
+            if (d.data.category || (d.data.nodeType === 'category' && d.data.name)) {
+                const categoryToHighlight = d.data.nodeType === 'category' ? d.data.name : d.data.category;
+                queryAll('.radial-legend .legend-row').forEach(item => {
+                    item.classList.toggle('highlighted', item.dataset.category === categoryToHighlight);
+                });
+            }
+
+            tooltip.innerHTML = buildTooltipContent(d);
+            tooltip.style.left = (event.pageX + 10) + 'px';
+            tooltip.style.top = (event.pageY + 10) + 'px';
+            tooltip.classList.add('visible');
+
+            // Apply hover effect: scale and shadow
+            const targetElement = d3.select(event.currentTarget);
+            const visualElement = targetElement.select('.main-display-circle, .category-icon, .node-shape');
+
+             if (!visualElement.empty()) {
+                 if (visualElement.node().tagName === 'circle') { // It's a circle (brand, root, parent)
+                     const originalRadius = visualElement.attr('r');
+                     visualElement.transition().duration(motionDuration(200)).attr('r', parseFloat(originalRadius) * 1.2);
+                 } else if (visualElement.node().tagName === 'image') { // It's an image (category icon)
+                     visualElement.transition().duration(motionDuration(200)).attr('transform', 'scale(1.2)');
+                 }
+                 visualElement.style('filter', 'drop-shadow(0 0 8px var(--nestle-blue))');
+             }
+
+
+        })
+        .on('mousemove', (event) => {
+            if (tooltip.classList.contains('pinned')) return;
+            // Update tooltip position
+            tooltip.style.left = (event.pageX + 10) + 'px';
+            tooltip.style.top = (event.pageY + 10) + 'px';
+        })
+        .on('mouseleave', function(event, d) {
+            if (tooltip.classList.contains('pinned')) return;
+
+            // Remove legend highlight
+            queryAll('.radial-legend .legend-row').forEach(item => item.classList.remove('highlighted'));
+            tooltip.classList.remove('visible'); // Hide tooltip if not pinned
+
+            // Revert hover effect: scale and shadow
+            const targetElement = d3.select(event.currentTarget);
+            const visualElement = targetElement.select('.main-display-circle, .category-icon, .node-shape');
+
+             if (!visualElement.empty()) {
+                 if (visualElement.node().tagName === 'circle') { // It's a circle
+                    let originalRadius;
+                    if (d.data.nodeType === 'root') originalRadius = radii.root;
+                    else if (d.data.nodeType === 'parent') originalRadius = radii.parent;
+                    else if (d.data.nodeType === 'brand') originalRadius = radii.brand;
+                     // If it's a category-bg-circle, revert to its specific radius
+                     else if (visualElement.classed('category-bg-circle')) originalRadius = radii.category_bg;
+                     else originalRadius = 10; // Fallback for unknown
+
+                    visualElement.transition().duration(motionDuration(200)).attr('r', originalRadius);
+                 } else if (visualElement.node().tagName === 'image') { // It's an image
+                     visualElement.transition().duration(motionDuration(200)).attr('transform', null); // Reset transform
+                 }
+                 visualElement.style('filter', null); // Remove filter
+             }
+        });
+
+        // Pin tooltip on click/tap for interactive nodes
+        // Target brand, category, parent nodes
+        nodeEnter.filter(d => d.data.nodeType !== 'root') // Exclude root from pinning behavior if desired, or include it
+            .style('cursor', d => d.data.nodeType === 'brand' ? 'pointer' : 'pointer') // Set cursor for clickables
+            .on('click', function(event, d) {
+                event.stopPropagation(); // Prevent body click from unpinning immediately
+                // In the node-link layouts a click on a category or parent brand folds its branch away (or back out),
+                // once it is clear the click does not start a double-click
+                if (['radial', 'tree', 'force'].includes(currentLayout) && d.data.nodeType !== 'brand' && (d.children || d._children)) {
+                    clearTimeout(branchToggleTimer);
+                    branchToggleTimer = setTimeout(() => toggleBranch(d), 250);
+                    return;
+                }
+                if (compareMode && d.data.nodeType === 'brand') {
+                    toggleCompareBrand(d.data.name);
+                    return;
+                }
+                // If the clicked node is already pinned, unpin it
+                if (tooltip.classList.contains('pinned') && d3.select(this).classed('tooltip-pinned-source')) {
+                    tooltip.classList.remove('pinned', 'visible');
+                    d3.select(root).selectAll('.tooltip-pinned-source').classed('tooltip-pinned-source', false); // Remove marker from all nodes
+                    // Revert hover effect on this node
+                     const visualElement = d3.select(this).select('.main-display-circle, .category-icon');
+                      if (!visualElement.empty()) {
+                         if (visualElement.node().tagName === 'circle') {
+                             let originalRadius;
+                            if (d.data.nodeType === 'parent') originalRadius = radii.parent;
+                            else if (d.data.nodeType === 'brand') originalRadius = radii.brand;
+                             else if (visualElement.classed('category-bg-circle')) originalRadius = radii.category_bg;
+                             else originalRadius = 10;
+                             visualElement.transition().duration(motionDuration(200)).attr('r', originalRadius);
+                         } else if (visualElement.node().tagName === 'image') {
+                             visualElement.transition().duration(motionDuration(200)).attr('transform', null);
+                         }
+                          visualElement.style('filter', null);
+                     }
+                    scheduleUrlStateUpdate();
+                    return;
+                }
+
+                pinTooltip(this, d);
+                if (d.data.nodeType === 'brand') emit('brandselect', { brand: d.data });
+                scheduleUrlStateUpdate();
+            });
+
+        // Double-click brings a node to the centre and dims the rest (Nestlé shows the whole map again)
+        if (focusLayouts.includes(currentLayout)) {
+            nodeEnter.on('dblclick.focus', (event, d) => {
+                event.stopPropagation(); // Not the zoom's double-click
+                clearTimeout(branchToggleTimer);
+                focusOnNode(d);
+            });
+        }
+
+
+        // Keyboard navigation
+        nodeEnter
+            .on('keydown', handleNodeKeydown)
+            .on('focus', function(event, d) {
+                keyboardNodeName = d.data.name;
+                announce(describeNode(d));
+                if (!tooltip.classList.contains('pinned')) {
+                    showTooltipAt(this, d);
+                }
+            })
+            .on('blur', () => {
+                if (!tooltip.classList.contains('pinned')) tooltip.classList.remove('visible');
+            });
+
+        // Put the previously focused node (or the root) in the tab order
+        let tabNode = nodeEnter.filter(d => d.data.name === keyboardNodeName);
+        if (tabNode.empty()) tabNode = nodeEnter.filter(d => d.depth === 0);
+        tabNode.attr('tabindex', 0);
+        if (hadKeyboardFocus) tabNode.node().focus();
+
+        // Add touch support for zoom and rotate (using the separate variables)
+        let lastTouchDist = null;
+        let lastTouchAngle = null;
+
+        const svgNode = radialSvg ? radialSvg.node() : null;
+        if(svgNode) {
+            svgNode.addEventListener('touchstart', function(e) {
+                if (e.touches.length === 2) {
+                    e.preventDefault(); // Prevent page scroll
+                    const dx = e.touches[0].clientX - e.touches[1].clientX;
+                    const dy = e.touches[0].clientY - e.touches[1].clientY;
+                    lastTouchDist = Math.sqrt(dx * dx + dy * dy);
+                    lastTouchAngle = Math.atan2(dy, dx) * 180 / Math.PI;
+                    lastGestureRotation = rotation; // Capture current rotation at gesture start
+                }
+            }, { passive: false });
+
+            svgNode.addEventListener('touchmove', function(e) {
+                if (e.touches.length === 2) {
+                    e.preventDefault(); // Prevent page scroll
+
+                    // --- Pinch Zoom ---
+                    const dxDist = e.touches[0].clientX - e.touches[1].clientX;
+                    const dyDist = e.touches[0].clientY - e.touches[1].clientY;
+                    const dist = Math.sqrt(dxDist * dxDist + dyDist * dyDist);
+                    const scaleAmount = dist / lastTouchDist;
+
+                    if(radialZoom) {
+                        // Use the visual center of the SVG in the browser window
+                        const rect = svgNode.getBoundingClientRect();
+                        const clientX = rect.left + rect.width / 2;
+                        const clientY = rect.top + rect.height / 2;
+                        const pt = svgNode.createSVGPoint();
+                        pt.x = clientX;
+                        pt.y = clientY;
+                        const svgPoint = pt.matrixTransform(svgNode.getScreenCTM().inverse());
+                        radialSvg.call(radialZoom.scaleBy, scaleAmount, [svgPoint.x, svgPoint.y]);
+                    }
+                    lastTouchDist = dist; // Update for next move
+
+                    // --- Rotation ---
+                    const dxAngle = e.touches[0].clientX - e.touches[1].clientX;
+                    const dyAngle = e.touches[0].clientY - e.touches[1].clientY;
+                    const angle = Math.atan2(dyAngle, dxAngle) * 180 / Math.PI;
+                    const deltaAngle = angle - lastTouchAngle;
+                    rotation = lastGestureRotation + deltaAngle; // Update global rotation
+
+                    updateRadialRotation(rotation); // Apply the new rotation (which uses current zoom scale)
+                }
+            }, { passive: false });
+
+            svgNode.addEventListener('touchend', function(e) {
+                if (e.touches.length < 2) { // Reset when less than 2 touches remain
+                    lastTouchDist = null;
+                    lastTouchAngle = null;
+                    // lastGestureRotation is updated at the start of a new gesture
+                }
+            });
+        }
+
+
+        // Apply initial filtering after nodes are created
+        updateRadialView(getFilteredBrands());
+        applyLevelOfDetail();
+        applyNodeFocus();
+
+        // Restore zoom, rotation and pinned node from a deep link
+        if (pendingUrlState) {
+            applyRadialUrlState(pendingUrlState);
+        }
+
+        // Centre on a brand requested through focusBrand before the view was ready
+        if (pendingFocusBrand && allBrands.length > 0) {
+            focusBrand(pendingFocusBrand);
+        }
+    }
+
+    /**
+     * Size of the radial view's SVG: the space its container has, but at least 400×400
+     * @param {Element} container - The .radial-diagram element
+     * @returns {Object} - { width, height }
+     */
+    function measureRadialView(container) {
+        const rect = container.getBoundingClientRect();
+        return {
+            width: Math.max(400, rect.width || 600),
+            height: Math.max(400, rect.height || 600)
+        };
+    }
 
-    // Update the current view based on filters
-    if (currentView === 'list') {
-        updateListView(filteredBrands);
-    } else if (currentView === 'radial') {
-        updateRadialView(filteredBrands);
+    /**
+     * The zoom transform showing the whole diagram, as laid out, in the current view
+     * Until a resize this is just the layout's origin; after one it also scales the diagram to the new size.
+     * @returns {Object} - A d3.zoomTransform
+     */
+    function fittedTransform() {
+        const svgNode = radialSvg.node();
+        const width = parseFloat(svgNode.getAttribute('width')) || 0;
+        const height = parseFloat(svgNode.getAttribute('height')) || 0;
+        const laidOut = radialLayoutSize || { width, height };
+        // Round layouts are sized by the shorter side; the tree and treemap by both
+        const k = currentLayout === 'tree' || currentLayout === 'treemap'
+            ? Math.min(width / laidOut.width, height / laidOut.height)
+            : Math.min(width, height) / Math.min(laidOut.width, laidOut.height);
+        return d3.zoomIdentity.translate(...layoutOrigin(width, height)).scale(k || 1);
     }
-}
 
+    /**
+     * Fit the diagram to a new size of the view without drawing it again
+     * The SVG gets the new size and the zoom transform is scaled to match, keeping the user's zoom and pan.
+     */
+    function resizeRadialView() {
+        const container = query('.radial-diagram');
+        if (!container || !radialSvg) return;
+
+        const svgNode = radialSvg.node();
+        const { width, height } = measureRadialView(container);
+        if (width === parseFloat(svgNode.getAttribute('width')) && height === parseFloat(svgNode.getAttribute('height'))) return;
+
+        const previousFit = fittedTransform();
+        const transform = d3.zoomTransform(svgNode);
+        radialSvg
+            .attr('width', width)
+            .attr('height', height)
+            .attr('viewBox', `0 0 ${width} ${height}`);
+        radialSvg.call(radialZoom.transform, fittedTransform()
+            .translate((transform.x - previousFit.x) / previousFit.k, (transform.y - previousFit.y) / previousFit.k)
+            .scale(transform.k / previousFit.k));
+    }
 
-/**
- * Update the list view with filtered brands
- * @param {Array} filteredBrands - The filtered array of brand objects
- */
-function updateListView(filteredBrands) {
-    const container = document.getElementById('category-view');
-     if (!container) return;
-
-    // Group brands by category (only includes filtered brands)
-    const categories = {};
-    filteredBrands.forEach(brand => {
-        const category = brand.category || 'Uncategorized'; // Handle potential missing category
-        if (!categories[category]) {
-            categories[category] = [];
-        }
-        categories[category].push(brand);
-    });
-
-    // Clear the container
-    container.innerHTML = '';
-
-    // Show no results message if needed
-    if (filteredBrands.length === 0) {
-        container.innerHTML = `
-            <div class="no-results">
-                <h2>No brands found</h2>
-                <p>Try adjusting your search criteria.</p>
-            </div>
-        `;
-        return;
+    /**
+     * Key identifying a node by its path from the root, e.g. "Nestlé/L'Oréal/Cosmetics"
+     * Names alone are not unique: the same category can appear under several owners.
+     * @param {Object} d - The D3 hierarchy node
+     * @returns {string}
+     */
+    function nodeKey(d) {
+        // Worked out once per node, from its parent's key; redraws look up every node's key
+        if (d.key === undefined) d.key = d.parent ? `${nodeKey(d.parent)}/${d.data.name}` : d.data.name;
+        return d.key;
     }
 
-    // Create a section for each category
-    for (const category in categories) {
-        const categoryDiv = document.createElement('div');
-        categoryDiv.className = 'category';
+    /**
+     * CSS classes of a node's <g> element
+     * @param {Object} d - The D3 hierarchy node
+     * @returns {string}
+     */
+    function nodeClassName(d) {
+        let classes = 'node';
+        const nodeData = d.data;
+        const nodeType = nodeData.nodeType;
 
-        // Add category header
-        categoryDiv.innerHTML = `
-            <h2>${category} <small>(${categories[category].length})</small></h2>
-            <div class="category-brands"></div>
-        `;
+        if (nodeType === 'root') classes += ' root-node';
+        else if (nodeType === 'parent') classes += ' parent-brand-node parent-node';
+        else if (nodeType === 'category') classes += ' category-node parent-node';
+        else if (nodeType === 'brand') classes += compareSelection.includes(nodeData.name) ? ' brand-node compare-selected' : ' brand-node';
+        else if (d.children) classes += ' parent-node'; // Fallback for any other parent types
+
+        // Add category class for styling/filtering, using normalized names
+        if (nodeData.category) {
+            classes += ' category-' + nodeData.category.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+        } else if (nodeType === 'category' && nodeData.name) {
+            classes += ' category-' + nodeData.name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+        }
 
-        // Add brand cards to this category
-        const brandsContainer = categoryDiv.querySelector('.category-brands');
-        categories[category].forEach(brand => {
-            const brandCard = createBrandCard(brand);
-            brandsContainer.appendChild(brandCard);
-        });
+        return classes;
+    }
 
-        container.appendChild(categoryDiv);
+    /**
+     * Radius of a node's circle in the radial, tree and network layouts
+     * @param {Object} d - The D3 hierarchy node
+     * @returns {number}
+     */
+    function nodeRadius(d) {
+        const nodeType = d.data.nodeType;
+        if (nodeType === 'root') return radii.root;
+        if (nodeType === 'parent') return radii.parent;
+        if (nodeType === 'category') return radii.category_bg;
+        if (nodeType === 'brand') return radii.brand;
+        return 10;
     }
-}
 
+    /**
+     * Fill colour of a node in the sunburst and treemap layouts
+     * @param {Object} d - The D3 hierarchy node
+     * @returns {string}
+     */
+    function nodeColor(d) {
+        const nodeData = d.data;
+        if (nodeData.nodeType === 'root') return 'var(--nestle-red)';
+        if (nodeData.nodeType === 'parent') return 'var(--nestle-blue)';
+        return colorMap[nodeCategory(d)] || '#888';
+    }
 
-/**
- * Create a brand card element for the list view
- * @param {Object} brand - The brand object
- * @returns {HTMLElement} - The brand card element
- */
-function createBrandCard(brand) {
-    const card = document.createElement('div');
-    card.className = 'brand-card';
-
-    // Use logo_url from the brand object
-    const logoUrl = brand.logo_url || 'assets/placeholder.svg'; // Fallback to a placeholder SVG
-
-    // Create card content
-    card.innerHTML = `
-        <div class="brand-info">
-            <div class="brand-logo">
-                <img src="${logoUrl}" alt="${brand.name} logo" onerror="this.onerror=null;this.classList.add('svg-placeholder');this.src='data:image/svg+xml;utf8,<svg xmlns=\\'http://www.w3.org/2000/svg\\' width=\\'32\\' height=\\'32\\'><rect width=\\'32\\' height=\\'32\\' fill=\\'%23eee\\'/><text x=\\'16\\' y=\\'20\\' font-size=\\'14\\' text-anchor=\\'middle\\' fill=\\'%23999\\'>?</text></svg>\'\'; this.classList.add('placeholder-icon');">
-            </div>
-            <div class="brand-details">
-                <h3>${brand.name || 'Unknown Brand'}</h3>
-                <p class="brand-tagline">${brand.tagline || ''}</p>
-            </div>
-        </div>
-        <p class="brand-description">${brand.description || 'No description available.'}</p>
-        <div class="brand-tags">
-            <span class="tag">${brand.category || 'Uncategorized'}</span>
-            <span class="tag">${brand.region || 'Unknown Region'}</span>
-             ${brand.parent_brand ? `<span class="tag">Part of ${brand.parent_brand}</span>` : ''}
-        </div>
-    `;
+    /**
+     * Fill of a node in the sunburst and treemap layouts: its colour, hatched when shape cues are on
+     * @param {Object} d - The D3 hierarchy node
+     * @param {Object} defs - D3 selection of the SVG <defs>
+     * @returns {string}
+     */
+    function nodeFill(d, defs) {
+        const category = nodeCategory(d);
+        return category && colorMap[category] ? categoryFill(defs, category) : nodeColor(d);
+    }
 
-    // Add click event to show details
-    card.addEventListener('click', () => {
-        showBrandDetails(brand);
-    });
+    /**
+     * The category a node is coloured by: its own name for category nodes, the brand's category otherwise
+     * @param {Object} d - The D3 hierarchy node
+     * @returns {string|undefined}
+     */
+    function nodeCategory(d) {
+        if (d.data.nodeType === 'root' || d.data.nodeType === 'parent') return undefined;
+        return d.data.nodeType === 'category' ? d.data.name : d.data.category;
+    }
 
-    return card;
-}
+    /**
+     * Whether the current layout is round and can be rotated
+     * @returns {boolean}
+     */
+    function layoutRotates() {
+        return currentLayout === 'radial' || currentLayout === 'sunburst';
+    }
 
-/**
- * Show detailed brand information in modal
- * @param {Object} brand - The brand object
- */
-function showBrandDetails(brand) {
-    const modal = document.getElementById('brand-modal');
-    const detailContent = document.getElementById('brand-detail-content');
+    /**
+     * Where the layout's origin sits in the SVG before any zooming
+     * Round layouts are drawn around (0,0); the tree and treemap from the top-left corner.
+     * @param {number} width - SVG width
+     * @param {number} height - SVG height
+     * @returns {number[]} - [x, y]
+     */
+    function layoutOrigin(width, height) {
+        return currentLayout === 'tree' || currentLayout === 'treemap' ? [0, 0] : [width / 2, height / 2];
+    }
 
-    if (!modal || !detailContent) {
-        console.error('Modal elements not found.');
-        return;
+    /**
+     * Switch the layout control state (select value, rotate buttons) to a layout
+     * @param {string} layout - One of the layouts
+     */
+    function applyLayout(layout) {
+        currentLayout = layout;
+        const layoutSelect = query('.layout-select');
+        if (layoutSelect) layoutSelect.value = layout;
+        queryAll('.rotate-left, .rotate-right').forEach(button => {
+            button.disabled = !layoutRotates();
+        });
     }
 
-    const logoUrl = brand.logo_url || 'assets/placeholder.svg'; // Fallback
+    /**
+     * Show the diagram in another layout
+     * @param {string} layout - 'radial', 'tree', 'sunburst', 'treemap' or 'force'
+     */
+    function setLayout(layout) {
+        if (!layouts.includes(layout)) {
+            console.warn(`Unknown layout "${layout}"; expected one of ${layouts.join(', ')}.`);
+            return;
+        }
+        if (layout === currentLayout) return;
 
-    // Create modal content
-    detailContent.innerHTML = `
-        <div class="modal-logo">
-            <img src="${logoUrl}" alt="${brand.name} logo" onerror="this.onerror=null;this.classList.add('svg-placeholder');this.src='data:image/svg+xml;utf8,<svg xmlns=\\'http://www.w3.org/2000/svg\\' width=\\'32\\' height=\\'32\\'><rect width=\\'32\\' height=\\'32\\' fill=\\'%23eee\\'/><text x=\\'16\\' y=\\'20\\' font-size=\\'14\\' text-anchor=\\'middle\\' fill=\\'%23999\\'>?</text></svg>\'\'; this.classList.add('placeholder-icon');">
-        </div>
-        <h2 class="modal-brand-name">${brand.name || 'Unknown Brand'}</h2>
-        <p class="modal-brand-tagline">"${brand.tagline || 'No tagline available.'}"</p>
+        applyLayout(layout);
+        if (currentView === 'radial' && radialSvg) initializeRadialView();
+        emit('layoutchange', { layout });
+        scheduleUrlStateUpdate();
+    }
 
-        <div class="modal-section">
-            <h3>About</h3>
-            <p>${brand.description || 'No description available.'}</p>
-        </div>
+    /**
+     * Hide the children of the collapsed branches
+     * The hidden children are kept in _children so the branch can be expanded again.
+     * @param {Object} hierarchyRoot - The D3 hierarchy
+     */
+    function applyCollapsedBranches(hierarchyRoot) {
+        hierarchyRoot.each(d => {
+            if (d.children && collapsedNodes.has(nodeKey(d))) {
+                d._children = d.children;
+                d.children = null;
+            }
+        });
+    }
 
-        <div class="modal-section">
-            <h3>Details</h3>
-            <p><strong>Category:</strong> ${brand.category || 'Uncategorized'}</p>
-            <p><strong>Region:</strong> ${brand.region || 'Unknown Region'}</p>
-             ${brand.parent_brand ? `<p><strong>Parent Brand:</strong> ${brand.parent_brand}</p>` : ''}
-        </div>
+    /**
+     * Collapse an expanded branch or expand a collapsed one, keeping the current zoom
+     * @param {Object} d - The D3 hierarchy node of the branch
+     */
+    function toggleBranch(d) {
+        const key = nodeKey(d);
+        if (collapsedNodes.has(key)) {
+            collapsedNodes.delete(key);
+        } else {
+            collapsedNodes.add(key);
+        }
+        keyboardNodeName = d.data.name;
+        collapsedStateChanged();
+    }
 
-        <div class="brand-tags">
-            <span class="tag">${brand.category || 'Uncategorized'}</span>
-            <span class="tag">${brand.region || 'Unknown Region'}</span>
-             ${brand.parent_brand ? `<span class="tag">Part of ${brand.parent_brand}</span>` : ''}
-        </div>
-        ${brand.website ? `<div class="modal-section"><h3>Website</h3><p><a href="${brand.website}" target="_blank">${brand.website}</a></p></div>` : ''}
-    `;
+    /**
+     * Expand every collapsed branch
+     */
+    function expandAll() {
+        if (collapsedNodes.size === 0) return;
+        collapsedNodes.clear();
+        collapsedStateChanged();
+    }
 
-    // Show the modal with animation
-    modal.classList.add('show');
-}
+    /**
+     * Collapse every branch at or below a depth, expanding the ones above it
+     * @param {number} depth - 1 shows only Nestlé's direct children, 2 one level more, and so on
+     */
+    function collapseToDepth(depth) {
+        if (!(depth >= 1)) {
+            console.warn(`Invalid collapse depth "${depth}".`);
+            return;
+        }
+        collapsedNodes.clear();
+        d3.hierarchy(prepareRadialData()).each(d => {
+            if (d.depth >= depth && d.children) collapsedNodes.add(nodeKey(d));
+        });
+        collapsedStateChanged();
+    }
 
-/**
- * Prepare data for radial visualization
- * @returns {Object} - Hierarchical data structure for D3
- */
-function prepareRadialData() {
-    const rootNode = {
-        name: "Nestlé",
-        nodeType: 'root',
-        iconUrl: 'assets/nestle.png', // Specific logo for the root
-        description: "Global leader in food and beverage.",
-        children: []
-    };
+    /**
+     * Make the hidden ancestors of a node visible again
+     * @param {string} name - Name of the brand (or category/parent) node
+     * @returns {boolean} - Whether any branch was expanded
+     */
+    function expandToNode(name) {
+        const target = d3.hierarchy(prepareRadialData()).descendants().find(d => d.data.name === name);
+        if (!target) return false;
+        let expanded = false;
+        target.ancestors().slice(1).forEach(ancestor => {
+            expanded = collapsedNodes.delete(nodeKey(ancestor)) || expanded;
+        });
+        return expanded;
+    }
 
-    let lorealParentNodeData = allBrands.find(brand => brand.name === "L'Oréal");
-    let lorealParentNode = null;
-
-    // Separate direct Nestlé brands and L'Oréal brands
-    const directNestleBrands = [];
-    const lorealBrands = [];
-
-    allBrands.forEach(brand => {
-         if (brand.name === "L'Oréal" && lorealParentNodeData) {
-             // Handled separately to ensure it's the parent node data
-         } else if (brand.parent_brand === "L'Oréal") {
-             lorealBrands.push(brand);
-         } else {
-             directNestleBrands.push(brand);
-         }
-    });
-
-    // Build L'Oréal hierarchy if L'Oréal data exists
-    if (lorealParentNodeData) {
-        lorealParentNode = {
-            ...lorealParentNodeData, // Spread existing brand info
-            nodeType: 'loreal_parent', // Special type for L'Oréal parent
-            iconUrl: lorealParentNodeData.logo_url, // L'Oréal's own logo
-            children: []
-        };
+    /**
+     * Tell listeners about a change of the collapsed branches and show it
+     */
+    function collapsedStateChanged() {
+        emit('collapsechange', { collapsed: Array.from(collapsedNodes) });
+        scheduleUrlStateUpdate(); // Saves the collapsed branches with the preferences
+        if (currentView === 'radial' && radialSvg) redrawRadialView(true);
+    }
 
-        const lorealSubCategories = {
-            Fashion: {
-                name: "Fashion",
-                nodeType: 'category',
-                iconUrl: 'assets/fashion.svg',
-                isLorealCategory: true,
-                children: []
-            },
-            Cosmetics: {
-                name: "Cosmetics",
-                nodeType: 'category',
-                iconUrl: 'assets/cosmetics.svg',
-                isLorealCategory: true,
-                children: []
-            }
-        };
+    /**
+     * Render the diagram again in place, keeping the current zoom and pan and the pinned tooltip
+     * @param {boolean} [animate=false] - In the radial and tree layouts, move the nodes from their
+     *   old positions to their new ones instead of fading the whole diagram in
+     */
+    function redrawRadialView(animate = false) {
+        const transform = radialSvg ? d3.zoomTransform(radialSvg.node()) : null;
+        const pinnedSource = radialSvg ? radialSvg.select('.tooltip-pinned-source') : null;
+        const pinnedKey = pinnedSource && !pinnedSource.empty() ? nodeKey(pinnedSource.datum()) : null;
+
+        // Where every node was drawn, and which ancestors it had, before the redraw
+        const previousNodes = new Map();
+        if (animate && radialSvg && !largeDiagram && (currentLayout === 'radial' || currentLayout === 'tree')) {
+            radialSvg.selectAll('.node').each(d => previousNodes.set(nodeKey(d), {
+                position: d.position,
+                radius: nodeRadius(d),
+                ancestorKeys: d.ancestors().slice(1).map(nodeKey)
+            }));
+        }
 
-        lorealBrands.forEach(brand => {
-             brand.nodeType = 'brand'; // Ensure nodeType is set for brands
-            if (brand.category === "Fashion" && lorealSubCategories.Fashion) {
-                lorealSubCategories.Fashion.children.push(brand);
-            } else if (brand.category === "Cosmetics" && lorealSubCategories.Cosmetics) {
-                lorealSubCategories.Cosmetics.children.push(brand);
+        initializeRadialView(true);
+        if (!radialSvg) return;
+        if (transform) radialSvg.call(radialZoom.transform, transform);
+        const duration = previousNodes.size > 0 && !reducedMotion ? animateLayoutChange(previousNodes) : 0;
+
+        if (pinnedKey) {
+            const repin = () => {
+                if (destroyed || !radialSvg) return;
+                const node = radialSvg.selectAll('.node').filter(d => nodeKey(d) === pinnedKey);
+                if (node.empty()) {
+                    unpinTooltip();
+                } else {
+                    pinTooltip(node.node(), node.datum());
+                }
+            };
+            // The tooltip follows the node, so wait for it to arrive
+            if (duration > 0) {
+                setTimeout(repin, duration);
             } else {
-                 console.warn(`L'Oréal brand "${brand.name}" has unexpected category: ${brand.category}`);
-                 // Optional: Add to a default L'Oréal sub-category or directly under L'Oréal parent
+                repin();
             }
+        }
+    }
+
+    /**
+     * Move the nodes of a freshly drawn diagram from their previous positions to their new ones
+     * Nodes that have just appeared grow out of their nearest ancestor that was already shown;
+     * nodes that have gone shrink into their nearest ancestor that is still shown.
+     * @param {Map} previousNodes - nodeKey → { position, radius, ancestorKeys } before the redraw
+     * @returns {number} - Duration of the animation in ms
+     */
+    function animateLayoutChange(previousNodes) {
+        const duration = 600;
+        const currentPositions = new Map();
+        const nodes = radialSvg.selectAll('.node');
+        nodes.each(d => currentPositions.set(nodeKey(d), d.position));
+
+        const startPosition = d => {
+            const shownBefore = d.ancestors().find(ancestor => previousNodes.has(nodeKey(ancestor)));
+            return shownBefore ? previousNodes.get(nodeKey(shownBefore)).position : d.position;
+        };
+
+        // Replaces the fade-in from appendNodes; nodes already on screen stay opaque
+        nodes.interrupt()
+            .attr('opacity', d => previousNodes.has(nodeKey(d)) ? 1 : 0)
+            .attr('transform', d => `translate(${startPosition(d)})`)
+            .transition().duration(duration).ease(d3.easeCubicInOut)
+            .attr('opacity', 1)
+            .attr('transform', d => `translate(${d.position})`);
+
+        // Links are drawn at their final shape, so bring them in once the nodes are nearly there
+        radialSvg.selectAll('.link').interrupt()
+            .attr('opacity', 0)
+            .transition().delay(duration / 2).duration(duration / 2)
+            .attr('opacity', 1);
+
+        const ghosts = radialSvg.select('.zoom-content').append('g').attr('class', 'ghost-nodes');
+        previousNodes.forEach((previous, key) => {
+            if (currentPositions.has(key)) return;
+            const collapsedInto = previous.ancestorKeys.find(ancestorKey => currentPositions.has(ancestorKey));
+            ghosts.append('circle')
+                .attr('r', previous.radius)
+                .attr('transform', `translate(${previous.position})`)
+                .style('fill', 'var(--secondary-text)')
+                .style('opacity', 0.6)
+                .transition().duration(duration).ease(d3.easeCubicInOut)
+                .attr('transform', `translate(${collapsedInto ? currentPositions.get(collapsedInto) : [0, 0]})`)
+                .style('opacity', 0)
+                .remove();
         });
 
-        // Add populated sub-categories to L'Oréal parent
-        if (lorealSubCategories.Fashion.children.length > 0) {
-            lorealParentNode.children.push(lorealSubCategories.Fashion);
-        }
-        if (lorealSubCategories.Cosmetics.children.length > 0) {
-            lorealParentNode.children.push(lorealSubCategories.Cosmetics);
-        }
+        return duration;
+    }
 
-        // Add L'Oréal parent node to the root only if it has children (sub-categories with brands)
-         if (lorealParentNode.children.length > 0) {
-             rootNode.children.push(lorealParentNode);
-         }
+    /**
+     * Whether a node is a brand (or parent brand), whose link shows how its owner holds it
+     * @param {Object} d - The D3 hierarchy node
+     * @returns {boolean}
+     */
+    function isHeldBrand(d) {
+        return d.data.nodeType === 'brand' || d.data.nodeType === 'parent';
+    }
 
-    } else if (lorealBrands.length > 0) {
-         console.warn("Found L'Oréal brands but no L'Oréal parent entry in brands.json. Adding them as direct Nestlé brands under their categories.");
-         // If L'Oréal parent is missing, add its brands directly under Nestlé in their categories
-         lorealBrands.forEach(brand => directNestleBrands.push(brand));
+    /**
+     * The brand (or Nestlé) that owns a node: its nearest ancestor that is not a category
+     * @param {Object} d - The D3 hierarchy node
+     * @returns {Object} - The owner's hierarchy node
+     */
+    function nodeOwner(d) {
+        return d.ancestors().slice(1).find(ancestor => ancestor.data.nodeType !== 'category') || d;
     }
 
+    /**
+     * The relationship type of a brand record; brands without one are owned
+     * @param {Object} brand - A brand record or node data
+     * @returns {Object} - An entry of relationshipTypes
+     */
+    function relationshipType(brand) {
+        return relationshipTypes[brand.relationship] || relationshipTypes.owned;
+    }
 
-    // Group direct Nestlé brands by category
-    const directNestleCategories = {};
-    directNestleBrands.forEach(brand => {
-        brand.nodeType = 'brand'; // Ensure nodeType is set for brands
-        const categoryName = brand.category || 'Uncategorized'; // Handle potential missing category
+    /**
+     * How a brand is held, e.g. "20% stake", "Joint venture" or "Licensed"
+     * @param {Object} brand - A brand record or node data
+     * @returns {string|null} - null for a brand owned outright
+     */
+    function describeRelationship(brand) {
+        const type = relationshipTypes[brand.relationship] ? brand.relationship : 'owned';
+        const share = typeof brand.ownership === 'number' && type !== 'licensed' ? brand.ownership : null;
+        if (type === 'owned') return share !== null && share < 100 ? t('relationship.ownedShare', { share }) : null;
+        return share !== null ? t(`relationship.${type}Share`, { share }) : t(`relationship.${type}`);
+    }
 
-        if (!directNestleCategories[categoryName]) {
-            // Normalize category name for SVG filename
-            let svgFileName = categoryName.toLowerCase().replace(/[^a-z0-9]+/g, '_');
-             // Correct specific names if needed (e.g., "pet_care")
-             if (categoryName === "Pet_Care") svgFileName = "pet_care";
-             if (categoryName === "Icecream") svgFileName = "icecream";
-             if (categoryName === "Cereal") svgFileName = "cereal";
-             if (categoryName === "Beauty & Personal Care") svgFileName = "cosmetics"; // Map old category to a new SVG
+    /**
+     * Stroke width of a link into a brand, from 0.5px for no share to 2px for a brand owned outright
+     * @param {Object} link - A hierarchy link
+     * @returns {string|null} - null keeps the stylesheet's width (links into categories, stakes of unknown size)
+     */
+    function linkWidth(link) {
+        if (!isHeldBrand(link.target)) return null;
+        const brand = link.target.data;
+        const type = relationshipTypes[brand.relationship] ? brand.relationship : 'owned';
+        let share = typeof brand.ownership === 'number' ? brand.ownership : null;
+        if (type === 'licensed') share = 0;
+        else if (share === null && type === 'owned') share = 100;
+        return share === null ? null : `${0.5 + 1.5 * share / 100}px`;
+    }
 
+    /**
+     * Create a <g class="node"> per hierarchy node, fading in
+     * Callers position the groups and draw their contents.
+     * @param {Object} container - D3 selection to draw into
+     * @param {Object[]} nodes - The hierarchy nodes to draw
+     * @returns {Object} - D3 selection of the new node groups
+     */
+    function appendNodes(container, nodes) {
+        const nodeEnter = container.append('g')
+            .attr('class', 'nodes')
+            .attr('role', 'tree')
+            .attr('aria-label', t('radial.hierarchy'))
+            .selectAll('.node')
+            .data(nodes)
+            .enter()
+            .append('g')
+            .attr('class', nodeClassName)
+            // Focusable with the keyboard; only one node is in the tab order at a time
+            .attr('tabindex', -1)
+            .attr('role', 'treeitem')
+            .attr('aria-level', d => d.depth + 1)
+            .attr('aria-label', d => describeNode(d))
+            .attr('aria-expanded', d => d.children ? 'true' : (d._children ? 'false' : null))
+            .attr('opacity', largeDiagram ? 1 : 0); // Initial opacity for fade-in
+
+        // Fade in nodes; a transition per node costs too much in a large diagram
+        if (!largeDiagram) nodeEnter.transition().duration(motionDuration(600)).attr('opacity', 1);
+        return nodeEnter;
+    }
 
-            directNestleCategories[categoryName] = {
-                name: categoryName,
-                nodeType: 'category',
-                iconUrl: `assets/${svgFileName}.svg`, // Path to category SVG icon
-                children: []
-            };
-        }
-        directNestleCategories[categoryName].children.push(brand);
-    });
+    /**
+     * Draw the links between nodes, fading in
+     * @param {Object} container - D3 selection to draw into
+     * @param {Object[]} links - Links from hierarchy.links()
+     * @param {Function|null} linkPath - Path generator; null if the caller positions the links itself
+     * @returns {Object} - D3 selection of the link paths
+     */
+    function drawLinks(container, links, linkPath) {
+        const linkElements = container.append('g').attr('class', 'links')
+            .selectAll('.link')
+            .data(links)
+            .enter()
+            .append('path')
+            .attr('class', 'link')
+            .attr('d', linkPath)
+            .attr('opacity', largeDiagram ? 1 : 0)
+            // Links into a category or brand take its colour; the others keep the theme's link colour
+            .style('stroke', d => colorMap[nodeCategory(d.target)] || null)
+            // Links into a brand show how it is held: thickness for the share, dashes for the relationship
+            .style('stroke-width', linkWidth)
+            .style('stroke-dasharray', d => isHeldBrand(d.target) ? relationshipType(d.target.data).dash : null);
+        linkElements.filter(d => isHeldBrand(d.target))
+            .append('title')
+            .text(d => `${nodeOwner(d.target).data.name} → ${d.target.data.name}: ${describeRelationship(d.target.data) || t('relationship.owned')}`);
+        if (!largeDiagram) linkElements.transition().duration(motionDuration(600)).attr('opacity', 1); // Fade in links
+        return linkElements;
+    }
 
-    // Add direct Nestlé categories to the root
-    for (const categoryKey in directNestleCategories) {
-        if (directNestleCategories[categoryKey].children.length > 0) {
-            rootNode.children.push(directNestleCategories[categoryKey]);
-        }
+    /**
+     * Radial layout: Nestlé in the centre and brands on the outer ring
+     * @param {Object} container - D3 selection to draw into
+     * @param {Object} hierarchyRoot - The D3 hierarchy
+     * @param {Object} size - { width, height, radius }
+     * @param {Object} defs - D3 selection of the SVG <defs>
+     * @returns {Object} - D3 selection of the node groups
+     */
+    function drawRadialLayout(container, hierarchyRoot, size, defs) {
+        // Use cluster layout - angle in degrees, radius is distance from center
+        d3.cluster().size([360, size.radius])(hierarchyRoot);
+        hierarchyRoot.each(d => { d.position = project(d.x, d.y); });
+
+        drawLinks(container, hierarchyRoot.links(), d3.linkRadial()
+            .angle(d => d.x * Math.PI / 180) // Convert degrees to radians
+            .radius(d => d.y)); // Use the radius from the cluster layout
+
+        const nodeEnter = appendNodes(container, hierarchyRoot.descendants())
+            .attr('transform', d => `translate(${d.position})`);
+        nodeEnter.each(function(d) { drawNodeGlyph(this, d, defs); });
+        drawCollapsedBadges(nodeEnter);
+        drawZoomLabels(nodeEnter, { radial: true });
+        return nodeEnter;
     }
 
-     // Sort root children for consistent layout (e.g., alphabetically by name)
-    rootNode.children.sort((a, b) => a.name.localeCompare(b.name));
-     // Sort category children (brands)
-     rootNode.children.forEach(child => {
-         if (child.children) {
-             child.children.sort((a, b) => a.name.localeCompare(b.name));
-             // If child is L'Oréal, sort its sub-categories and their children
-             if (child.nodeType === 'loreal_parent') {
-                 child.children.sort((a, b) => a.name.localeCompare(b.name)); // Sort Fashion/Cosmetics sub-categories
-                 child.children.forEach(subchild => {
-                     if (subchild.children) {
-                         subchild.children.sort((a, b) => a.name.localeCompare(b.name)); // Sort brands under Fashion/Cosmetics
-                     }
-                 });
-             }
-         }
-     });
+    /**
+     * Tree layout: a tidy tree growing left to right, with +/- badges to collapse branches
+     * @param {Object} container - D3 selection to draw into
+     * @param {Object} hierarchyRoot - The D3 hierarchy (collapsed branches already applied)
+     * @param {Object} size - { width, height, radius }
+     * @param {Object} defs - D3 selection of the SVG <defs>
+     * @returns {Object} - D3 selection of the node groups
+     */
+    function drawTreeLayout(container, hierarchyRoot, size, defs) {
+        const margin = { top: 40, right: 160, bottom: 40, left: 70 }; // Right margin leaves room for labels
+        // d3.tree's x runs down the page and y across it
+        d3.tree().size([size.height - margin.top - margin.bottom, size.width - margin.left - margin.right])(hierarchyRoot);
+        hierarchyRoot.each(d => { d.position = [d.y + margin.left, d.x + margin.top]; });
+
+        drawLinks(container, hierarchyRoot.links(), d3.linkHorizontal()
+            .x(d => d.position[0])
+            .y(d => d.position[1]));
+
+        const nodeEnter = appendNodes(container, hierarchyRoot.descendants())
+            .attr('transform', d => `translate(${d.position})`);
+        nodeEnter.each(function(d) { drawNodeGlyph(this, d, defs); });
+
+        nodeEnter.append('text')
+            .attr('class', 'node-label')
+            .attr('x', d => nodeRadius(d) + 6)
+            .attr('dy', '0.32em')
+            .text(d => nodeLabel(d.data));
+        drawZoomLabels(nodeEnter, { names: false }); // Only the taglines: the tree always names its nodes
+
+        // +/- badge to the left of each branch
+        const toggles = nodeEnter.filter(d => d.children || d._children)
+            .append('g')
+            .attr('class', 'collapse-toggle')
+            .attr('transform', d => `translate(${-nodeRadius(d) - 10}, 0)`)
+            .on('click', (event, d) => {
+                event.stopPropagation(); // Not a click on the node itself
+                toggleBranch(d);
+            });
+        toggles.append('circle')
+            .attr('r', 8)
+            .style('fill', 'var(--card-bg)')
+            .style('stroke', 'var(--nestle-blue)')
+            .style('stroke-width', '1.5px');
+        toggles.append('text')
+            .attr('text-anchor', 'middle')
+            .attr('dy', '0.35em')
+            .style('fill', 'var(--nestle-blue)')
+            .style('font-weight', 'bold')
+            .text(d => d.children ? '−' : '+');
+
+        return nodeEnter;
+    }
 
+    /**
+     * Sunburst layout: rings of arcs, one ring per level
+     * Double-clicking a segment zooms into it; double-clicking the centre zooms back out.
+     * @param {Object} container - D3 selection to draw into
+     * @param {Object} hierarchyRoot - The D3 hierarchy
+     * @param {Object} size - { width, height, radius }
+     * @returns {Object} - D3 selection of the node groups
+     */
+    function drawSunburstLayout(container, hierarchyRoot, size, defs) {
+        // Partition in depth units (ring n spans n..n+1) so zooming can shift whole rings
+        sumVisibleHierarchy(hierarchyRoot, () => 1);
+        // Collapsed branches may leave the outer rings empty
+        const rings = d3.max(hierarchyRoot.descendants(), d => d.depth) + 1;
+        d3.partition().size([2 * Math.PI, rings])(hierarchyRoot);
+        const ringWidth = size.radius / rings;
+
+        const arc = d3.arc()
+            .startAngle(a => a.x0)
+            .endAngle(a => a.x1)
+            .padAngle(a => Math.min((a.x1 - a.x0) / 2, 0.005))
+            .padRadius(size.radius / 2)
+            .innerRadius(a => a.y0 * ringWidth)
+            .outerRadius(a => Math.max(a.y0 * ringWidth, a.y1 * ringWidth - 1));
+        const arcVisible = a => a.y1 > a.y0 && a.x1 > a.x0;
+        // Only label arcs long enough to hold some text
+        const labelVisible = a => arcVisible(a) && (a.y0 === 0 || (a.x1 - a.x0) * (a.y0 + a.y1) / 2 * ringWidth > 40);
+        const labelTransform = a => {
+            if (a.y0 === 0) return null; // The centre disc
+            const angle = (a.x0 + a.x1) / 2 * 180 / Math.PI;
+            const radius = (a.y0 + a.y1) / 2 * ringWidth;
+            return `rotate(${angle - 90}) translate(${radius},0) rotate(${readsUpsideDown(angle - 90) ? 180 : 0})`;
+        };
+        const arcCentre = a => {
+            if (a.y0 === 0) return [0, 0];
+            const angle = (a.x0 + a.x1) / 2;
+            const radius = (a.y0 + a.y1) / 2 * ringWidth;
+            return [radius * Math.sin(angle), -radius * Math.cos(angle)];
+        };
 
-    return rootNode;
-}
+        hierarchyRoot.each(d => {
+            d.current = { x0: d.x0, x1: d.x1, y0: d.y0, y1: d.y1 };
+            d.position = arcCentre(d.current);
+        });
 
+        const nodeEnter = appendNodes(container, hierarchyRoot.descendants());
+        const arcs = nodeEnter.append('path')
+            .attr('class', 'node-shape')
+            .attr('d', d => arc(d.current))
+            .style('fill', d => nodeFill(d, defs))
+            .style('fill-opacity', d => d.children ? 0.8 : 1)
+            .style('stroke', 'var(--background)')
+            .style('stroke-width', '1px')
+            .style('visibility', d => arcVisible(d.current) ? null : 'hidden');
+        const labels = nodeEnter.append('text')
+            .attr('class', 'node-label')
+            .attr('text-anchor', 'middle')
+            .attr('dy', '0.35em')
+            .attr('transform', d => labelTransform(d.current))
+            .style('visibility', d => labelVisible(d.current) ? null : 'hidden')
+            .text(d => fitLabel(nodeLabel(d.data), ringWidth - 8));
+        orientLabels = () => labels.attr('transform', d => labelTransform(d.current));
+
+        // Double-click zooms, so keep d3.zoom from handling it too
+        radialSvg.on('dblclick.zoom', null);
+        nodeEnter.on('dblclick', (event, clicked) => {
+            event.stopPropagation();
+            // The centre disc is the segment currently zoomed into; double-clicking it goes up a level
+            const focus = clicked.current.y0 === 0 && clicked.parent ? clicked.parent : clicked;
+            if (!focus.children) return;
+
+            hierarchyRoot.each(d => {
+                d.target = {
+                    x0: Math.max(0, Math.min(1, (d.x0 - focus.x0) / (focus.x1 - focus.x0))) * 2 * Math.PI,
+                    x1: Math.max(0, Math.min(1, (d.x1 - focus.x0) / (focus.x1 - focus.x0))) * 2 * Math.PI,
+                    y0: Math.max(0, d.y0 - focus.depth),
+                    y1: Math.max(0, d.y1 - focus.depth)
+                };
+                d.position = arcCentre(d.target);
+            });
 
-/**
- * Initialize the radial view diagram using D3.js
- */
-function initializeRadialView() {
-    // Clear the previous diagram
-    const diagramContainer = document.getElementById('radial-diagram');
-    if (!diagramContainer) {
-        console.error('Radial diagram container not found.');
-        return;
-    }
-    diagramContainer.innerHTML = ''; // Clear everything
-
-    // Re-create flexWrap and its children if they were removed or not present
-    let flexWrap = d3.select('#radial-diagram').select('#radial-flex-wrap');
-    if (flexWrap.empty()) {
-        flexWrap = d3.select('#radial-diagram')
-            .append('div')
-            .attr('id', 'radial-flex-wrap');
-    } else {
-        flexWrap.html(''); // Clear existing content of flexWrap
-    }
-
-     // Append legend and svg-wrap containers within flexWrap
-     flexWrap.style('display', 'flex') // Ensure flex properties are applied
-             .style('flex-direction', 'row')
-             .style('align-items', 'center')
-             .style('justify-content', 'center');
-
-     flexWrap.append('div') // Legend container
-        .attr('id', 'radial-legend')
-        .style('display', 'flex')
-        .style('flex-direction', 'column')
-        .style('align-items', 'flex-end')
-        .style('gap', '18px')
-        .style('margin-right', '24px')
-        .style('min-width', '120px');
-
-
-    const svgWrap = flexWrap.append('div') // SVG container
-        .attr('id', 'radial-svg-wrap')
-        .style('flex', '1')
-        .style('display', 'flex')
-        .style('align-items', 'center')
-        .style('justify-content', 'center')
-        .style('width', '100%')
-        .style('height', '100%')
-        .style('min-width', '0'); // Allow shrinking
-
-    // Responsive width/height based on container
-    const wrapRect = diagramContainer.getBoundingClientRect();
-    const width = Math.max(400, wrapRect.width || 600);
-    const height = Math.max(400, wrapRect.height || 600);
-
-    // Adjusted radius calculation
-    const baseRadius = Math.min(width, height) / 2 - 40; // Increased margin for text if needed later, or larger icons
-
-    radialSvg = d3.select(svgWrap.node())
-        .append('svg')
-        .attr('width', width)
-        .attr('height', height)
-        .attr('viewBox', `0 0 ${width} ${height}`)
-        .attr('preserveAspectRatio', 'xMidYMid meet'); // Maintain aspect ratio
-
-    // Ensure defs section exists for patterns
-    let defs = radialSvg.select('defs');
-    if (defs.empty()) {
-        defs = radialSvg.insert('defs', ':first-child');
-    }
-
-    const g = radialSvg.append('g'); // No initial transform
-
-    // Add a subgroup for zoom/rotate transforms
-    const zoomContent = g.append('g').attr('class', 'zoom-content');
-
-    radialZoom = d3.zoom()
-        .scaleExtent([0.3, 5])
-        .on('zoom', (event) => {
-            zoomContent.attr(
-                'transform',
-                `translate(${event.transform.x},${event.transform.y}) scale(${event.transform.k}) rotate(${rotation})`
-            );
+            arcs.filter(d => arcVisible(d.target)).style('visibility', null);
+            arcs.transition().duration(motionDuration(750))
+                .tween('data', d => {
+                    const interpolate = d3.interpolate(d.current, d.target);
+                    return t => { d.current = interpolate(t); };
+                })
+                .attrTween('d', d => () => arc(d.current))
+                .on('end', function(d) {
+                    d3.select(this).style('visibility', arcVisible(d.target) ? null : 'hidden');
+                });
+            labels.style('visibility', d => labelVisible(d.target) ? null : 'hidden')
+                .transition().duration(motionDuration(750))
+                .attrTween('transform', d => () => labelTransform(d.current));
         });
 
-    // Apply zoom behavior to the SVG and set initial transform to center
-    radialSvg.call(radialZoom)
-        .call(radialZoom.transform, d3.zoomIdentity.translate(width / 2, height / 2)); // Initial transform
+        return nodeEnter;
+    }
 
-    // Apply initial rotation if any, ensuring scale is part of the transform
-     updateRadialRotation(rotation);
+    /**
+     * Treemap layout: nested rectangles sized by brand count, or by a numeric brand field
+     * (the treemapSizeField option)
+     * @param {Object} container - D3 selection to draw into
+     * @param {Object} hierarchyRoot - The D3 hierarchy
+     * @param {Object} size - { width, height, radius }
+     * @returns {Object} - D3 selection of the node groups
+     */
+    function drawTreemapLayout(container, hierarchyRoot, size, defs) {
+        const sizeField = config.treemapSizeField;
+        // Only leaves carry a size; branches are the sum of their leaves
+        sumVisibleHierarchy(hierarchyRoot, nodeData => sizeField ? Math.max(0, Number(nodeData[sizeField]) || 0) : 1);
+
+        d3.treemap()
+            .size([size.width, size.height])
+            .paddingOuter(4)
+            .paddingTop(22) // Room for the branch label
+            .paddingInner(2)
+            .round(true)(hierarchyRoot);
+        hierarchyRoot.each(d => { d.position = [(d.x0 + d.x1) / 2, (d.y0 + d.y1) / 2]; });
+
+        const nodeEnter = appendNodes(container, hierarchyRoot.descendants())
+            .attr('transform', d => `translate(${d.x0},${d.y0})`);
+
+        nodeEnter.append('rect')
+            .attr('class', 'node-shape')
+            .attr('width', d => Math.max(0, d.x1 - d.x0))
+            .attr('height', d => Math.max(0, d.y1 - d.y0))
+            .attr('rx', 3)
+            .style('fill', d => d.children ? 'var(--card-bg)' : nodeFill(d, defs))
+            .style('stroke', d => d.children ? nodeColor(d) : 'var(--background)')
+            .style('stroke-width', d => d.children ? '1.5px' : '1px');
+
+        nodeEnter.append('text')
+            .attr('class', 'node-label')
+            .attr('x', 6)
+            .attr('y', 15)
+            .text(d => fitLabel(nodeLabel(d.data), d.x1 - d.x0 - 10));
+
+        // Logos on leaves with enough room
+        nodeEnter.filter(d => !d.children && d.data.logo_url && d.x1 - d.x0 >= 48 && d.y1 - d.y0 >= 60)
+            .each(d => logoLoader.load(d.data.logo_url)) // So a failure is noticed (see handleLogoFailure)
+            .append('image')
+            .attr('class', 'cell-logo')
+            .attr('href', d => (logoLoader.failed(d.data.logo_url) ? brandMonogram(d.data) : d.data.logo_url))
+            .attr('x', d => (d.x1 - d.x0) / 2 - 16)
+            .attr('y', d => (d.y1 - d.y0) / 2 - 8)
+            .attr('width', 32)
+            .attr('height', 32)
+            .attr('preserveAspectRatio', 'xMidYMid meet');
+
+        return nodeEnter;
+    }
 
-    const radialData = prepareRadialData();
+    /**
+     * Network layout: a force-directed graph of the ownership links; nodes can be dragged
+     * @param {Object} container - D3 selection to draw into
+     * @param {Object} hierarchyRoot - The D3 hierarchy
+     * @param {Object} size - { width, height, radius }
+     * @param {Object} defs - D3 selection of the SVG <defs>
+     * @returns {Object} - D3 selection of the node groups
+     */
+    function drawForceLayout(container, hierarchyRoot, size, defs) {
+        const nodes = hierarchyRoot.descendants();
+        const links = hierarchyRoot.links();
+
+        // Start from the radial positions so the network settles quickly and the same way every time
+        d3.cluster().size([360, size.radius * 0.6])(hierarchyRoot);
+        nodes.forEach(d => { [d.x, d.y] = project(d.x, d.y); });
+        hierarchyRoot.fx = 0; // Keep Nestlé in the centre
+        hierarchyRoot.fy = 0;
+
+        const linkElements = drawLinks(container, links, null);
+        const nodeEnter = appendNodes(container, nodes);
+        nodeEnter.each(function(d) { drawNodeGlyph(this, d, defs); });
+        drawCollapsedBadges(nodeEnter);
+        drawZoomLabels(nodeEnter);
+
+        const updatePositions = () => {
+            nodes.forEach(d => { d.position = [d.x, d.y]; });
+            linkElements.attr('d', d => `M${d.source.x},${d.source.y}L${d.target.x},${d.target.y}`);
+            nodeEnter.attr('transform', d => `translate(${d.x},${d.y})`);
+        };
+        updatePositions();
+
+        simulation = d3.forceSimulation(nodes)
+            .force('link', d3.forceLink(links).distance(link => nodeRadius(link.source) + nodeRadius(link.target) + 30))
+            .force('charge', d3.forceManyBody().strength(-200))
+            .force('collide', d3.forceCollide(d => nodeRadius(d) + 4))
+            .on('tick', updatePositions);
+
+        // Dragged nodes stay where they are dropped
+        nodeEnter.call(d3.drag()
+            .on('start', (event, d) => {
+                if (!event.active) simulation.alphaTarget(0.3).restart();
+                d.fx = d.x;
+                d.fy = d.y;
+            })
+            .on('drag', (event, d) => {
+                d.fx = event.x;
+                d.fy = event.y;
+            })
+            .on('end', (event) => {
+                if (!event.active) simulation.alphaTarget(0);
+            }));
+
+        return nodeEnter;
+    }
 
-    // Use cluster layout - angle in degrees, radius is distance from center
-    const cluster = d3.cluster().size([360, baseRadius]);
-    const root = d3.hierarchy(radialData);
+    /**
+     * Label the brand and parent brand nodes with their names and taglines, shown as the diagram
+     * is zoomed in (see applyZoomDetail)
+     * @param {Object} nodeEnter - D3 selection of the node groups
+     * @param {Object} [options] - { radial: run the labels out along the radius, as in the radial layout;
+     *   names: false to add only the taglines }
+     */
+    function drawZoomLabels(nodeEnter, { radial = false, names = true } = {}) {
+        const labels = nodeEnter.filter(isHeldBrand)
+            .append('g')
+            .attr('class', 'zoom-label')
+            .attr('aria-hidden', 'true'); // The node's aria-label already names it
+        if (names) {
+            labels.append('text')
+                .attr('class', 'zoom-name')
+                .attr('dy', '0.35em')
+                .text(d => nodeLabel(d.data));
+        }
+        labels.filter(d => d.data.tagline)
+            .append('text')
+            .attr('class', 'zoom-tagline')
+            // Under the name; in the tree under its own (unscaled) node label
+            .attr('y', names ? null : 8)
+            .attr('dy', names ? '1.5em' : '0.9em')
+            .text(d => d.data.tagline);
+
+        const orient = () => labels.each(function(d) {
+            const angle = radial ? d.x - 90 : 0; // d3.cluster's x is the angle from the top
+            const flip = radial && readsUpsideDown(angle);
+            const offset = nodeRadius(d) + 6;
+            d3.select(this)
+                .attr('transform', angle === 0 && !flip ? null : `rotate(${flip ? angle + 180 : angle})`)
+                .selectAll('text')
+                .attr('x', flip ? -offset : offset)
+                .attr('text-anchor', flip ? 'end' : 'start');
+        });
+        orient();
+        if (radial) orientLabels = orient;
+    }
 
-    // Assign x and y coordinates based on the cluster layout
-    cluster(root);
+    /**
+     * Whether text running in a direction would read upside down once the diagram is rotated
+     * @param {number} angle - Direction of the text in the diagram, in degrees clockwise from pointing right
+     * @returns {boolean}
+     */
+    function readsUpsideDown(angle) {
+        const onScreen = (((angle + (layoutRotates() ? rotation : 0)) % 360) + 360) % 360;
+        return onScreen > 90 && onScreen < 270;
+    }
 
-    // Draw links
-    const linksGroup = zoomContent.append('g').attr('class', 'links');
-    linksGroup.selectAll('.link')
-        .data(root.links())
-        .enter()
-        .append('path')
-        .attr('class', 'link')
-        .attr('d', d3.linkRadial()
-            .angle(d => d.x * Math.PI / 180) // Convert degrees to radians
-            .radius(d => d.y)) // Use the radius from the cluster layout
-        .attr('opacity', 0)
-        .transition().duration(600)
-        .attr('opacity', 1); // Fade in links
-
-    // Draw nodes
-    const nodesGroup = zoomContent.append('g').attr('class', 'nodes');
-    const nodeEnter = nodesGroup.selectAll('.node')
-        .data(root.descendants())
-        .enter()
-        .append('g')
-        .attr('class', d => {
-            let classes = 'node';
-            const nodeData = d.data;
-            const nodeType = nodeData.nodeType;
-
-            if (nodeType === 'root') classes += ' root-node';
-            else if (nodeType === 'loreal_parent') classes += ' loreal-parent-node parent-node';
-            else if (nodeType === 'category') classes += ' category-node parent-node';
-            else if (nodeType === 'brand') classes += ' brand-node';
-            else if (d.children) classes += ' parent-node'; // Fallback for any other parent types
-
-            // Add category class for styling/filtering, using normalized names
-             if (nodeData.category) {
-                classes += ' category-' + nodeData.category.toLowerCase().replace(/[^a-z0-9]+/g, '-');
-            } else if (nodeType === 'category' && nodeData.name) {
-                 classes += ' category-' + nodeData.name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
-            }
+    /**
+     * Turn the labels over that a change of rotation has left upside down
+     */
+    function keepLabelsUpright() {
+        if (!orientLabels || labelRotation === rotation) return;
+        labelRotation = rotation;
+        orientLabels();
+    }
 
+    /**
+     * Show more of the diagram as it is zoomed in: icons only, then brand names from config.labelZoom,
+     * then taglines too from config.taglineZoom. The labels keep the same size on screen at any zoom.
+     * @param {Object} zoomContent - D3 selection of the group the zoom transform is applied to
+     * @param {number} k - The zoom scale
+     */
+    function applyZoomDetail(zoomContent, k) {
+        const detail = k >= config.taglineZoom ? 'taglines' : k >= config.labelZoom ? 'names' : 'icons';
+        if (radialSvg.attr('data-detail') !== detail) radialSvg.attr('data-detail', detail);
+        zoomContent.style('--zoom-scale', k);
+    }
 
-            return classes;
-        })
-        // Position nodes using the project function
-        .attr('transform', d => `translate(${project(d.x, d.y)})`)
-        .attr('opacity', 0); // Initial opacity for fade-in
+    /**
+     * Mark collapsed branches with a "+N" badge giving the number of hidden children
+     * @param {Object} nodeEnter - D3 selection of the node groups
+     */
+    function drawCollapsedBadges(nodeEnter) {
+        const badges = nodeEnter.filter(d => d._children)
+            .append('g')
+            .attr('class', 'collapsed-badge')
+            .attr('transform', d => `translate(${nodeRadius(d) * 0.75},${-nodeRadius(d) * 0.75})`);
+        badges.append('circle')
+            .attr('r', 9)
+            .style('fill', 'var(--nestle-blue)')
+            .style('stroke', 'var(--card-bg)')
+            .style('stroke-width', '1.5px');
+        badges.append('text')
+            .attr('text-anchor', 'middle')
+            .attr('dy', '0.35em')
+            .style('fill', '#fff')
+            .style('font-size', '10px')
+            .style('font-weight', 'bold')
+            .text(d => `+${d._children.length}`);
+    }
 
-    // Fade in nodes
-    nodeEnter.transition().duration(600).attr('opacity', 1);
+    /**
+     * Give every node a value: leaves their size, branches the sum of their children
+     * A collapsed branch counts the leaves hidden inside it, so folding a branch keeps its share of the space.
+     * @param {Object} hierarchyRoot - The D3 hierarchy (collapsed branches already applied)
+     * @param {Function} leafSize - (record) => size of a brand with no children
+     */
+    function sumVisibleHierarchy(hierarchyRoot, leafSize) {
+        const hiddenSize = nodeData => nodeData.children && nodeData.children.length > 0
+            ? d3.sum(nodeData.children, hiddenSize)
+            : leafSize(nodeData);
+        hierarchyRoot.eachAfter(d => {
+            d.value = d.children ? d3.sum(d.children, child => child.value) : hiddenSize(d.data);
+        });
+    }
 
-    // Append visual elements (circles, images, patterns) based on node type
-    nodeEnter.each(function(d) {
-        const nodeElement = d3.select(this);
+    /**
+     * Draw the circle filled with the logo (or the category icon) of a node
+     * Used by the radial, tree and network layouts.
+     * @param {Element} element - The node's <g> element
+     * @param {Object} d - The D3 hierarchy node
+     * @param {Object} defs - D3 selection of the SVG <defs>, which holds the logo patterns
+     */
+    function drawNodeGlyph(element, d, defs) {
+        const nodeElement = d3.select(element);
         const nodeData = d.data;
         const nodeType = nodeData.nodeType;
 
-        let imageUrl = null;
         let currentRadius;
 
         if (nodeType === 'category') {
@@ -935,7 +4243,7 @@ function initializeRadialView() {
                 .attr('r', radii.category_bg)
                 .style('fill', colorMap[nodeData.name] || 'var(--category-circle-fill, rgba(200, 200, 200, 0.5))') // Use colorMap for fill
                 .style('stroke', colorMap[nodeData.name] || 'var(--category-circle-fill, rgba(200, 200, 200, 0.5))') // Border matches fill
-                .style('stroke-width', '2px');
+                .style('stroke-width', currentPalette === 'high-contrast' ? '3px' : '2px');
 
             // Add the SVG image
             if (nodeData.iconUrl) {
@@ -948,74 +4256,31 @@ function initializeRadialView() {
                     .attr('height', categoryIconSize)
                     .attr('preserveAspectRatio', 'xMidYMid meet'); // Maintain aspect ratio
             }
-        } else if (nodeType === 'brand' || nodeType === 'root' || nodeType === 'loreal_parent') {
+        } else if (nodeType === 'brand' || nodeType === 'root' || nodeType === 'parent') {
             // These node types use circles filled with patterns (logos)
-            imageUrl = nodeType === 'brand' ? nodeData.logo_url : nodeData.iconUrl; // Use logo_url for brand, iconUrl for root/loreal
             if (nodeType === 'root') currentRadius = radii.root;
-            else if (nodeType === 'loreal_parent') currentRadius = radii.loreal_parent;
+            else if (nodeType === 'parent') currentRadius = radii.parent;
             else currentRadius = radii.brand;
 
-            // For brand, root, and loreal_parent nodes, add a white-ish background circle with black border
-            if (nodeType === 'brand' || nodeType === 'root' || nodeType === 'loreal_parent') {
+            // For brand, root, and parent nodes, add a white-ish background circle with black border
+            if (nodeType === 'brand' || nodeType === 'root' || nodeType === 'parent') {
                 nodeElement.append('circle')
                     .attr('class', nodeType + '-bg-circle')
                     .attr('r', currentRadius)
                     .style('fill', '#fff')
-                    .style('stroke', '#111')
-                    .style('stroke-width', '2px');
+                    // Brands are bordered in their category's colour
+                    .style('stroke', nodeType === 'brand' ? colorMap[nodeData.category] || '#111' : '#111')
+                    .style('stroke-width', currentPalette === 'high-contrast' ? '3px' : '2px');
             }
 
             const circle = nodeElement.append('circle')
                 .attr('class', 'main-display-circle') // Class for styling and event targeting
                 .attr('r', currentRadius);
 
-            if (imageUrl) {
-                // Create a unique ID for the pattern based on node data
-                const safeNamePart = (nodeData.name || '').replace(/[^a-zA-Z0-9]/g, '').substring(0, 10);
-                const patternId = `pattern-${safeNamePart}-${d.id || Math.random().toString(36).substr(2, 5)}`;
-
-                // Check if the image is a PNG/JPG/JPEG
-                const isRaster = /\.(png|jpg|jpeg)$/i.test(imageUrl);
-                let pattern;
-                if (isRaster) {
-                    // For PNG/JPG, use userSpaceOnUse and set size to node diameter, centered
-                    pattern = defs.append('pattern')
-                        .attr('id', patternId)
-                        .attr('patternUnits', 'userSpaceOnUse')
-                        .attr('x', -currentRadius)
-                        .attr('y', -currentRadius)
-                        .attr('width', 2 * currentRadius)
-                        .attr('height', 2 * currentRadius);
-                    pattern.append('image')
-                        .attr('href', imageUrl)
-                        .attr('x', 0)
-                        .attr('y', 0)
-                        .attr('width', 2 * currentRadius)
-                        .attr('height', 2 * currentRadius)
-                        .attr('preserveAspectRatio', 'xMidYMid meet');
-                } else {
-                    // For SVG, use objectBoundingBox and normalized sizing
-                    pattern = defs.append('pattern')
-                        .attr('id', patternId)
-                        .attr('patternUnits', 'objectBoundingBox')
-                        .attr('width', 1)
-                        .attr('height', 1);
-                    pattern.append('image')
-                        .attr('href', imageUrl)
-                        .attr('x', 0)
-                        .attr('y', 0)
-                        .attr('width', 1)
-                        .attr('height', 1)
-                        .attr('preserveAspectRatio', 'xMidYMid meet');
-                }
-                // Fill the circle with the pattern
-                circle.style('fill', `url(#${patternId})`);
-            } else {
-                // Fallback fill color if no image URL
-                circle.style('fill', 'var(--card-bg)');
-            }
+            // Fill the circle with the logo; in a large diagram applyLevelOfDetail does that once zoomed in
+            circle.style('fill', largeDiagram ? 'var(--card-bg)' : logoFill(defs, d, currentRadius));
             // Apply stroke and cursor based on node type
-            if (nodeType === 'root' || nodeType === 'loreal_parent') {
+            if (nodeType === 'root' || nodeType === 'parent') {
                 circle.style('stroke', 'none'); // No stroke for the pattern circle, border is on the bg circle
             } else if (nodeType === 'brand') {
                 circle.style('stroke', 'none'); // No stroke for the pattern circle, border is on the bg circle
@@ -1028,491 +4293,871 @@ function initializeRadialView() {
                 .attr('r', 10) // Smaller default radius
                 .style('fill', 'var(--secondary-text)'); // Neutral color
         }
-    });
-
-    // REMOVED: Code that appended text labels
 
-    // Add/Update the legend (modify addRadialLegend to handle new categories/structure if needed)
-    // For now, let's keep the existing addRadialLegend which uses text labels and colors.
-    // It might need updates to accurately reflect the new hierarchy or use category SVGs in the legend.
-    addRadialLegend();
-
-    // --- Event Handlers ---
-    // Use a common class or select for both circles and images for hover/click effects
-    // Targeting .main-display-circle and .category-icon
-    const interactiveElements = nodeEnter.selectAll('.main-display-circle, .category-icon');
+        // The category's shape on the lower right of brand and category nodes
+        const cue = categoryCue(nodeCategory(d));
+        if (cue && (nodeType === 'brand' || nodeType === 'category')) {
+            const offset = (nodeType === 'category' ? radii.category_bg : radii.brand) * 0.75;
+            nodeElement.append('path')
+                .attr('class', 'category-marker')
+                .attr('transform', `translate(${offset},${offset})`)
+                .attr('d', d3.symbol(cue.symbol, 90)())
+                .style('fill', categoryFill(defs, nodeCategory(d)))
+                .style('stroke', 'var(--card-bg)')
+                .style('stroke-width', '1px');
+        }
+    }
 
+    /**
+     * The logo a brand, parent brand or root node is filled with
+     * @param {Object} d - The D3 hierarchy node
+     * @returns {string|undefined}
+     */
+    function nodeLogoUrl(d) {
+        return d.data.nodeType === 'brand' ? d.data.logo_url : d.data.iconUrl; // Use logo_url for brand, iconUrl for root/parent
+    }
 
-    interactiveElements.on('mouseenter', function(event, d) {
-        // Prevent hover effects on the root node unless specifically desired
-         if (d.data.nodeType === 'root' && !event.currentTarget.classList.contains('category-icon')) return;
-        if (tooltip.classList.contains('pinned')) return;
+    /**
+     * Fill for a circle showing a node's logo: a pattern in the diagram's <defs>, created the first time
+     * the logo is used at that size and shared by every node using it after that. Nodes without a logo,
+     * or whose logo failed to load, show their monogram (handleLogoFailure swaps it in for late failures).
+     * @param {Object} defs - D3 selection of the SVG <defs>
+     * @param {Object} d - The D3 hierarchy node
+     * @param {number} radius - Radius of the circle
+     * @returns {string} - A url(#pattern) reference
+     */
+    function logoFill(defs, d, radius) {
+        const logoUrl = nodeLogoUrl(d);
+        const usable = Boolean(logoUrl) && !logoLoader.failed(logoUrl);
+        if (usable) logoLoader.load(logoUrl); // So a failure is noticed
+        const imageUrl = usable ? logoUrl : brandMonogram(d.data);
+        // Check if the image is a PNG/JPG/JPEG
+        const isRaster = /\.(png|jpg|jpeg)$/i.test(imageUrl);
+        // SVG logos scale to the circle they fill, so one pattern serves every size
+        const key = isRaster ? `${imageUrl} ${radius}` : imageUrl;
+        if (!logoPatterns.has(key)) {
+            const patternId = `logo-${mapId}-${logoPatterns.size}`;
+            if (isRaster) {
+                // For PNG/JPG, use userSpaceOnUse and set size to node diameter, centered
+                const pattern = defs.append('pattern')
+                    .attr('id', patternId)
+                    .attr('patternUnits', 'userSpaceOnUse')
+                    .attr('x', -radius)
+                    .attr('y', -radius)
+                    .attr('width', 2 * radius)
+                    .attr('height', 2 * radius);
+                pattern.append('image')
+                    .attr('href', imageUrl)
+                    .attr('x', 0)
+                    .attr('y', 0)
+                    .attr('width', 2 * radius)
+                    .attr('height', 2 * radius)
+                    .attr('preserveAspectRatio', 'xMidYMid meet');
+            } else {
+                // For SVG, use objectBoundingBox and normalized sizing
+                const pattern = defs.append('pattern')
+                    .attr('id', patternId)
+                    .attr('patternUnits', 'objectBoundingBox')
+                    .attr('width', 1)
+                    .attr('height', 1);
+                pattern.append('image')
+                    .attr('href', imageUrl)
+                    .attr('x', 0)
+                    .attr('y', 0)
+                    .attr('width', 1)
+                    .attr('height', 1)
+                    .attr('preserveAspectRatio', 'xMidYMid meet');
+            }
+            logoPatterns.set(key, patternId);
+        }
+        return `url(#${logoPatterns.get(key)})`;
+    }
 
-        // Legend highlight - Update to work with category names
-        if (d.data.category || (d.data.nodeType === 'category' && d.data.name)) {
-            const categoryToHighlight = d.data.nodeType === 'category' ? d.data.name : d.data.category;
-             // Normalize category name for comparison if necessary (e.g., Pet_Care vs pet_care)
-             const normalizedCategory = categoryToHighlight.replace(/_/g, ' '); // Simple normalization for legend text
+    /**
+     * Show the logos of a large diagram once it is zoomed in to config.logoZoom, and only those of the
+     * nodes in view; the rest stay plain circles. Diagrams up to config.detailThreshold nodes show every logo.
+     */
+    function applyLevelOfDetail() {
+        if (!largeDiagram || !radialSvg) return;
+
+        const svgNode = radialSvg.node();
+        const width = parseFloat(svgNode.getAttribute('width')) || 0;
+        const height = parseFloat(svgNode.getAttribute('height')) || 0;
+        const transform = d3.zoomTransform(svgNode);
+        const showLogos = transform.k >= config.logoZoom;
+        const rad = (layoutRotates() ? rotation : 0) * Math.PI / 180;
+        const defs = radialSvg.select('defs');
+
+        radialSvg.selectAll('.main-display-circle').each(function(d) {
+            if (!d.position || !['brand', 'root', 'parent'].includes(d.data.nodeType)) return;
+            let inView = false;
+            if (showLogos) {
+                // Where the node is on screen, after the rotation and the zoom
+                const [x, y] = d.position;
+                const [screenX, screenY] = transform.apply([x * Math.cos(rad) - y * Math.sin(rad), x * Math.sin(rad) + y * Math.cos(rad)]);
+                const margin = nodeRadius(d) * transform.k;
+                inView = screenX > -margin && screenX < width + margin && screenY > -margin && screenY < height + margin;
+            }
+            this.style.fill = inView ? logoFill(defs, d, nodeRadius(d)) : 'var(--card-bg)';
+        });
+    }
 
-            const legendItems = document.querySelectorAll(`#radial-legend div`);
-            legendItems.forEach(item => {
-                 // Compare normalized text content
-                if (item.textContent.trim().toLowerCase().includes(normalizedCategory.toLowerCase())) {
-                    item.style.background = 'var(--hover-color)'; // Use a themed hover color
-                    item.style.fontWeight = 'bold';
-                     // Optional: Add a subtle border or shadow to the legend item
-                }
-            });
+    /**
+     * Update the radial view rotation
+     * @param {number} angle - Rotation angle in degrees
+     */
+    function updateRadialRotation(angle) {
+        const diagramContainer = query('.radial-diagram');
+        const svgElement = diagramContainer ? diagramContainer.querySelector('.radial-svg-wrap svg') : null;
+        if (!svgElement) return;
+
+        // Get current dimensions from the SVG element itself
+        const width = parseFloat(svgElement.getAttribute('width')) || 600;
+        const height = parseFloat(svgElement.getAttribute('height')) || 600;
+
+        const zoomContent = radialSvg ? radialSvg.select('.zoom-content') : null;
+        if (!zoomContent) return;
+
+        // Get current transform from D3 zoom behavior
+        let currentTransform = d3.zoomIdentity;
+         if (radialZoom && radialSvg && radialSvg.node()) {
+            currentTransform = d3.zoomTransform(radialSvg.node());
         }
 
-        // Tooltip content generation
-        let tooltipContent = `<div style="display:flex;align-items:center;gap:10px;">`;
-        // Use iconUrl for category/root/loreal, logo_url for brand for tooltip image
-        const tooltipImageUrl = d.data.nodeType === 'brand' ? d.data.logo_url : d.data.iconUrl;
+        // For smooth rotation, use a transition
+        zoomContent.transition().duration(motionDuration(400)).ease(d3.easeCubicOut)
+            .attr('transform', `translate(${currentTransform.x},${currentTransform.y}) scale(${currentTransform.k}) rotate(${layoutRotates() ? angle : 0})`);
 
-        if (tooltipImageUrl) {
-            tooltipContent += `<img src="${tooltipImageUrl}" alt="${d.data.name} logo/icon" style="width:32px;height:32px;border-radius: ${d.data.nodeType === 'category' ? '4px' : '50%'};background:#eee;object-fit:contain; border: 1px solid #ccc;">`;
-        }
-        tooltipContent += `<strong>${d.data.name || 'Unknown'}</strong></div>`; // Ensure name is displayed
+        // Update the global rotation variable for gesture handling
+        rotation = angle; // Ensure the global variable stays in sync
+        keepLabelsUpright();
+        applyLevelOfDetail(); // Other nodes may have turned into view
+        scheduleUrlStateUpdate();
+    }
 
-        // Add details based on node type
-        if (d.data.nodeType === 'root') {
-             if (d.data.description) tooltipContent += `<br><p style='font-size:0.9em; color:var(--secondary-text);'>${d.data.description}</p>`;
-        } else if (d.data.nodeType === 'loreal_parent') {
-             if (d.data.description) tooltipContent += `<br><p style='font-size:0.9em; color:var(--secondary-text);'>${d.data.description}</p>`;
-             const fashionCount = d.children?.find(c => c.data.name === "Fashion")?.children.length || 0;
-             const cosmeticsCount = d.children?.find(c => c.data.name === "Cosmetics")?.children.length || 0;
-             if (fashionCount > 0) tooltipContent += `<br><span style='color:var(--secondary-text); font-size:0.9em;'>Fashion Brands: ${fashionCount}</span>`;
-             if (cosmeticsCount > 0) tooltipContent += `<br><span style='color:var(--secondary-text); font-size:0.9em;'>Cosmetics Brands: ${cosmeticsCount}</span>`;
 
-        } else if (d.data.nodeType === 'category') {
-             if (d.data.children) tooltipContent += `<br><span style='color:var(--secondary-text); font-size:0.9em;'>Contains: ${d.data.children.length} items</span>`;
+    /**
+     * Describe a radial node for screen readers: name, kind or category, and number of children
+     * @param {Object} d - The D3 hierarchy node
+     * @returns {string}
+     */
+    function describeNode(d) {
+        const nodeData = d.data;
+        const parts = [nodeLabel(nodeData) || t('node.unknown')];
 
-        } else if (d.data.nodeType === 'brand') { // Brand node
-            if (d.data.tagline) tooltipContent += `<br><em>${d.data.tagline}</em>`;
-            if (d.data.region) tooltipContent += `<br><span style='color:var(--secondary-text);'>Region: ${d.data.region}</span>`;
-             if (d.data.description) tooltipContent += `<br><p style='font-size:0.9em; color:var(--secondary-text);'>${d.data.description}</p>`; // Added description to brand tooltip
+        if (nodeData.nodeType === 'root') parts.push(t('node.root'));
+        else if (nodeData.nodeType === 'parent') parts.push(t('node.parent'));
+        else if (nodeData.nodeType === 'category') parts.push(t('node.category'));
+        else if (nodeData.category) parts.push(categoryLabel(nodeData.category));
 
-        }
+        const childCount = d.children ? d.children.length : 0;
+        if (childCount > 0) parts.push(t('node.children', { count: childCount }));
+        if (d._children) parts.push(t('node.collapsed', { count: d._children.length }));
 
-        // Add website link if available for any node with a website property
-        if (d.data.website) {
-             tooltipContent += `<br><a href='${d.data.website}' target='_blank' style='color:var(--nestle-blue); text-decoration:none;'>Website</a>`;
-        }
+        if (d.filtered) parts.push(t('node.filtered'));
+        return parts.join(', ');
+    }
 
+    /**
+     * Read a message out through the radial view's live region
+     * @param {string} message - Text to announce
+     */
+    function announce(message) {
+        const announcer = query('.radial-announcer');
+        if (announcer) announcer.textContent = message;
+    }
 
-        tooltip.innerHTML = tooltipContent;
-        tooltip.style.left = (event.pageX + 10) + 'px';
-        tooltip.style.top = (event.pageY + 10) + 'px';
-        tooltip.classList.add('visible');
+    /**
+     * Move keyboard focus to a radial node, panning the diagram if the node is off screen
+     * @param {Object} d - The D3 hierarchy node to focus
+     */
+    function focusRadialNode(d) {
+        const nodes = radialSvg.selectAll('.node');
+        const target = nodes.filter(n => n === d);
+        if (target.empty()) return;
+
+        nodes.attr('tabindex', -1);
+        target.attr('tabindex', 0);
+
+        const svgRect = radialSvg.node().getBoundingClientRect();
+        const nodeRect = target.node().getBoundingClientRect();
+        const margin = 40;
+        const offscreen = nodeRect.left < svgRect.left + margin || nodeRect.right > svgRect.right - margin ||
+            nodeRect.top < svgRect.top + margin || nodeRect.bottom > svgRect.bottom - margin;
+        if (offscreen && svgRect.width > 0) {
+            // translateBy works in diagram units, so undo the current scale
+            const k = d3.zoomTransform(radialSvg.node()).k;
+            const dx = (svgRect.left + svgRect.width / 2) - (nodeRect.left + nodeRect.width / 2);
+            const dy = (svgRect.top + svgRect.height / 2) - (nodeRect.top + nodeRect.height / 2);
+            radialSvg.call(radialZoom.translateBy, dx / k, dy / k);
+        }
 
-        // Apply hover effect: scale and shadow
-        const targetElement = d3.select(event.currentTarget);
-        const visualElement = targetElement.select('.main-display-circle, .category-icon');
+        target.node().focus();
+    }
 
-         if (!visualElement.empty()) {
-             if (visualElement.node().tagName === 'circle') { // It's a circle (brand, root, loreal)
-                 const originalRadius = visualElement.attr('r');
-                 visualElement.transition().duration(200).attr('r', parseFloat(originalRadius) * 1.2);
-             } else if (visualElement.node().tagName === 'image') { // It's an image (category icon)
-                 visualElement.transition().duration(200).attr('transform', 'scale(1.2)');
-             }
-             visualElement.style('filter', 'drop-shadow(0 0 8px var(--nestle-blue))');
-         }
-
-
-    })
-    .on('mousemove', (event) => {
-        if (tooltip.classList.contains('pinned')) return;
-        // Update tooltip position
-        tooltip.style.left = (event.pageX + 10) + 'px';
-        tooltip.style.top = (event.pageY + 10) + 'px';
-    })
-    .on('mouseleave', function(event, d) {
-        if (tooltip.classList.contains('pinned')) return;
-
-        // Remove legend highlight
-        const legendItems = document.querySelectorAll(`#radial-legend div`);
-        legendItems.forEach(item => {
-            item.style.background = '';
-            item.style.fontWeight = '';
-            // Optional: Remove added border or shadow from legend item
-        });
-        tooltip.classList.remove('visible'); // Hide tooltip if not pinned
+    /**
+     * Keyboard handling for a focused radial node
+     * Up/Down move to the parent/first child, Left/Right to the previous/next sibling,
+     * Home to the root. Enter opens a brand's details (or pins the tooltip of other nodes),
+     * Space pins the tooltip and Escape unpins it. In the tree layout + and - expand and collapse.
+     * @param {KeyboardEvent} event - The keydown event
+     * @param {Object} d - The D3 hierarchy node bound to the focused element
+     */
+    function handleNodeKeydown(event, d) {
+        const siblings = d.parent ? d.parent.children : [d];
+        const index = siblings.indexOf(d);
+        let target = null;
+
+        switch (event.key) {
+            case 'ArrowUp':
+                target = d.parent;
+                if (!target) announce(t('node.top', { name: nodeLabel(d.data) }));
+                break;
+            case 'ArrowDown':
+                target = d.children ? d.children[0] : null;
+                if (!target) announce(t('node.leaf', { name: nodeLabel(d.data) }));
+                break;
+            case 'ArrowLeft':
+                target = siblings[(index - 1 + siblings.length) % siblings.length];
+                break;
+            case 'ArrowRight':
+                target = siblings[(index + 1) % siblings.length];
+                break;
+            case 'Home':
+                target = d.ancestors().pop();
+                break;
+            case 'Enter':
+                if (compareMode && d.data.nodeType === 'brand') {
+                    toggleCompareBrand(d.data.name);
+                    break;
+                }
+                pinTooltip(event.currentTarget, d);
+                if (d.data.nodeType === 'brand') {
+                    emit('brandselect', { brand: d.data });
+                    showBrandDetails(d.data);
+                }
+                scheduleUrlStateUpdate();
+                break;
+            case ' ':
+                if (event.currentTarget.classList.contains('tooltip-pinned-source')) {
+                    unpinTooltip();
+                } else {
+                    pinTooltip(event.currentTarget, d);
+                    if (d.data.nodeType === 'brand') emit('brandselect', { brand: d.data });
+                    scheduleUrlStateUpdate();
+                }
+                break;
+            case 'f':
+            case 'F':
+                if (!focusLayouts.includes(currentLayout)) return;
+                focusOnNode(d);
+                break;
+            case '+':
+            case '-':
+                // Expand or collapse a branch
+                if ((event.key === '+' && d._children) || (event.key === '-' && d.children && d.depth > 0)) {
+                    toggleBranch(d);
+                }
+                break;
+            case 'Escape':
+                // Let an open modal close first
+                if (query('.modal.show')) return;
+                unpinTooltip();
+                break;
+            default:
+                return;
+        }
 
-        // Revert hover effect: scale and shadow
-        const targetElement = d3.select(event.currentTarget);
-        const visualElement = targetElement.select('.main-display-circle, .category-icon');
+        event.preventDefault();
+        event.stopPropagation();
+        if (target && target !== d) focusRadialNode(target);
+    }
 
-         if (!visualElement.empty()) {
-             if (visualElement.node().tagName === 'circle') { // It's a circle
-                let originalRadius;
-                if (d.data.nodeType === 'root') originalRadius = radii.root;
-                else if (d.data.nodeType === 'loreal_parent') originalRadius = radii.loreal_parent;
-                else if (d.data.nodeType === 'brand') originalRadius = radii.brand;
-                 // If it's a category-bg-circle, revert to its specific radius
-                 else if (visualElement.classed('category-bg-circle')) originalRadius = radii.category_bg;
-                 else originalRadius = 10; // Fallback for unknown
+    /**
+     * Update the radial view with filtered brands
+     * @param {Array} filteredBrands - The filtered array of brand objects
+     */
+    function updateRadialView(filteredBrands) {
+        if (!radialSvg) {
+            console.error('radialSvg is not initialized.');
+            return;
+        }
 
-                visualElement.transition().duration(200).attr('r', originalRadius);
-             } else if (visualElement.node().tagName === 'image') { // It's an image
-                 visualElement.transition().duration(200).attr('transform', null); // Reset transform
-             }
-             visualElement.style('filter', null); // Remove filter
-         }
-    });
-
-    // Pin tooltip on click/tap for interactive nodes
-    // Target brand, category, loreal_parent nodes
-    nodeEnter.filter(d => d.data.nodeType !== 'root') // Exclude root from pinning behavior if desired, or include it
-        .style('cursor', d => d.data.nodeType === 'brand' ? 'pointer' : 'pointer') // Set cursor for clickables
-        .on('click', function(event, d) {
-            event.stopPropagation(); // Prevent body click from unpinning immediately
-            // If the clicked node is already pinned, unpin it
-            if (tooltip.classList.contains('pinned') && d3.select(this).classed('tooltip-pinned-source')) {
-                tooltip.classList.remove('pinned', 'visible');
-                d3.selectAll('.tooltip-pinned-source').classed('tooltip-pinned-source', false); // Remove marker from all nodes
-                // Revert hover effect on this node
-                 const visualElement = d3.select(this).select('.main-display-circle, .category-icon');
-                  if (!visualElement.empty()) {
-                     if (visualElement.node().tagName === 'circle') {
-                         let originalRadius;
-                        if (d.data.nodeType === 'loreal_parent') originalRadius = radii.loreal_parent;
-                        else if (d.data.nodeType === 'brand') originalRadius = radii.brand;
-                         else if (visualElement.classed('category-bg-circle')) originalRadius = radii.category_bg;
-                         else originalRadius = 10;
-                         visualElement.transition().duration(200).attr('r', originalRadius);
-                     } else if (visualElement.node().tagName === 'image') {
-                         visualElement.transition().duration(200).attr('transform', null);
-                     }
-                      visualElement.style('filter', null);
-                 }
-                return;
+        // A node is visible if it matches the filters itself or has a matching descendant,
+        // so every ancestor of a matching brand (categories, parent brands) stays visible
+        const matchingNames = new Set(filteredBrands.map(brand => brand.name).filter(name => name));
+        const visibleNodes = new Set();
+        radialSvg.selectAll('.node').each(d => {
+            const isBrandNode = d.data.nodeType === 'brand' || d.data.nodeType === 'parent';
+            if (isBrandNode && matchingNames.has(d.data.name)) {
+                d.ancestors().forEach(ancestor => visibleNodes.add(ancestor));
             }
+        });
 
-             // Remove pinned class from previous source if any
-            d3.selectAll('.tooltip-pinned-source').classed('tooltip-pinned-source', false);
-            // Mark the current node as the source of the pinned tooltip
-            d3.select(this).classed('tooltip-pinned-source', true);
-
+        // Update node visibility based on the visibleNodes set
+        radialSvg.selectAll('.node')
+            .classed('filtered', d => {
+                 // A node is 'filtered' (hidden) if it is NOT in the visibleNodes set
+                 // The root node is never fully hidden, only potentially faded by the overall SVG opacity.
+                 // Kept on the node too, for describeNode
+                d.filtered = d.data.nodeType !== 'root' && !visibleNodes.has(d);
+                return d.filtered;
+            });
 
-            // Generate tooltip content (similar to mouseenter)
-             let tooltipContent = `<div style="display:flex;align-items:center;gap:10px;">`;
-            const tooltipImageUrl = d.data.nodeType === 'brand' ? d.data.logo_url : d.data.iconUrl;
+        // If no *brands* match the filter, show a message and fade the diagram.
+        // We check filteredBrands.length which is the list of brands matching criteria.
+        const noResultsMsg = query('.radial-view .no-results');
+
+        if (filteredBrands.length === 0) {
+            if (!noResultsMsg) {
+                const msg = document.createElement('div');
+                msg.className = 'no-results';
+                msg.innerHTML = `
+                    <h2>${t('results.none')}</h2>
+                    <p>${t('results.hint')}</p>
+                `;
+                const radialViewDiv = query('.radial-view');
+                if (radialViewDiv) {
+                     radialViewDiv.appendChild(msg);
+                }
+            }
 
-            if (tooltipImageUrl) {
-                tooltipContent += `<img src="${tooltipImageUrl}" alt="${d.data.name} logo/icon" style="width:32px;height:32px;border-radius: ${d.data.nodeType === 'category' ? '4px' : '50%'};background:#eee;object-fit:contain; border: 1px solid #ccc;">`;
+            // Fade the diagram
+            radialSvg.style('opacity', 0.2);
+        } else {
+            // Remove any "no results" message
+            if (noResultsMsg) {
+                noResultsMsg.remove();
             }
-            tooltipContent += `<strong>${d.data.name || 'Unknown'}</strong></div>`;
 
-            if (d.data.nodeType === 'root') {
-                 if (d.data.description) tooltipContent += `<br><p style='font-size:0.9em; color:var(--secondary-text);'>${d.data.description}</p>`;
-            } else if (d.data.nodeType === 'loreal_parent') {
-                 if (d.data.description) tooltipContent += `<br><p style='font-size:0.9em; color:var(--secondary-text);'>${d.data.description}</p>`;
-                const fashionCount = d.children?.find(c => c.data.name === "Fashion")?.children.length || 0;
-                const cosmeticsCount = d.children?.find(c => c.data.name === "Cosmetics")?.children.length || 0;
-                if (fashionCount > 0) tooltipContent += `<br><span style='color:var(--secondary-text); font-size:0.9em;'>Fashion Brands: ${fashionCount}</span>`;
-                if (cosmeticsCount > 0) tooltipContent += `<br><span style='color:var(--secondary-text); font-size:0.9em;'>Cosmetics Brands: ${cosmeticsCount}</span>`;
+            // Show the diagram
+            radialSvg.style('opacity', 1);
+        }
+
+         // Adjust opacity of links connected to filtered nodes
+        radialSvg.selectAll('.link')
+            .style('opacity', d => {
+                // Check if both source and target nodes are in the set of visible nodes
+                 const sourceVisible = d.source.data.nodeType === 'root' || visibleNodes.has(d.source);
+                 const targetVisible = visibleNodes.has(d.target);
+                 return (sourceVisible && targetVisible) ? 1 : 0.1; // Fade out links to filtered nodes
+            });
 
-            } else if (d.data.nodeType === 'category') {
-                 if (d.data.children) tooltipContent += `<br><span style='color:var(--secondary-text); font-size:0.9em;'>Contains: ${d.data.children.length} items</span>`;
+    }
 
-            } else if (d.data.nodeType === 'brand') { // Brand node
-                if (d.data.tagline) tooltipContent += `<br><em>${d.data.tagline}</em>`;
-                if (d.data.region) tooltipContent += `<br><span style='color:var(--secondary-text);'>Region: ${d.data.region}</span>`;
-                 if (d.data.description) tooltipContent += `<br><p style='font-size:0.9em; color:var(--secondary-text);'>${d.data.description}</p>`;
 
+    /**
+     * Build the legend next to the radial view: one row per category with its icon, colour and brand count
+     * Clicking a row shows or hides the category; shift-clicking shows only that category. Both go
+     * through the category filter of the facet panel, so the legend, the panel and the URL agree.
+     */
+    function addRadialLegend() {
+        const legend = query('.radial-legend');
+        if (!legend) {
+            console.error('Radial legend container not found.');
+            return;
+        }
+        legend.innerHTML = '';
+        legend.setAttribute('role', 'group');
+        legend.setAttribute('aria-label', facetHelper ? t('legend.label') : t('legend.labelPlain'));
+
+        getLegendCategories().forEach(category => {
+            // Colours come from this map's colorMap so the colorMap option applies here too
+            const color = colorMap[category] || '#888';
+            const row = document.createElement('button');
+            row.type = 'button';
+            row.className = 'legend-row';
+            row.dataset.category = category;
+            row.disabled = !facetHelper; // Nothing to toggle without the facet filters
+
+            const icon = document.createElement('img');
+            icon.className = 'legend-icon';
+            icon.src = categoryIconUrl(category);
+            icon.alt = '';
+            icon.addEventListener('error', () => icon.remove()); // Not every category has an icon
+
+            // The category's shape when shape cues are on, a coloured dot otherwise
+            let swatch = categoryCueSwatch(category, 'legend-cue');
+            if (!swatch) {
+                swatch = document.createElement('span');
+                swatch.className = 'legend-dot';
+                swatch.style.background = color;
+                swatch.style.borderColor = color;
             }
 
-            if (d.data.website) {
-                 tooltipContent += `<br><a href='${d.data.website}' target='_blank' style='color:var(--nestle-blue); text-decoration:none;'>Website</a>`;
-            }
+            const label = document.createElement('span');
+            label.className = 'legend-label';
+            label.style.color = color;
+            label.textContent = categoryLabel(category); // e.g. Pet_Care -> Pet Care, or translated
 
-            tooltip.innerHTML = tooltipContent;
-            tooltip.classList.add('visible', 'pinned'); // Make visible and pinned
-            // Position tooltip near the clicked element or mouse
-            const rect = event.currentTarget.getBoundingClientRect();
-            tooltip.style.left = (rect.left + window.scrollX + (rect.width / 2) + 15) + 'px';
-            tooltip.style.top = (rect.top + window.scrollY + (rect.height / 2) + 15) + 'px';
+            const count = document.createElement('span');
+            count.className = 'legend-count';
 
+            row.append(icon, swatch, label, count);
+            row.addEventListener('click', (event) => toggleLegendCategory(category, event.shiftKey));
+            legend.appendChild(row);
         });
 
+        // How the link styles read, once the data has brands that are not simply owned
+        const heldAs = Object.keys(relationshipTypes).filter(type => type !== 'owned' && allBrands.some(brand => brand.relationship === type));
+        if (heldAs.length > 0) {
+            const key = document.createElement('div');
+            key.className = 'legend-links';
+            ['owned', ...heldAs].forEach(type => {
+                const item = document.createElement('span');
+                item.className = 'legend-link';
+                const sample = d3.create('svg').attr('width', 28).attr('height', 8).attr('aria-hidden', 'true');
+                sample.append('line')
+                    .attr('x1', 0).attr('y1', 4).attr('x2', 28).attr('y2', 4)
+                    .style('stroke', 'var(--text-color)')
+                    .style('stroke-width', type === 'owned' ? 2 : 1.25)
+                    .style('stroke-dasharray', relationshipTypes[type].dash);
+                item.append(sample.node(), t(`relationship.${type}`));
+                key.appendChild(item);
+            });
+            legend.appendChild(key);
+        }
 
-    // Add touch support for zoom and rotate (using the separate variables)
-    let lastTouchDist = null;
-    let lastTouchAngle = null;
-
-    const svgNode = radialSvg ? radialSvg.node() : null;
-    if(svgNode) {
-        svgNode.addEventListener('touchstart', function(e) {
-            if (e.touches.length === 2) {
-                e.preventDefault(); // Prevent page scroll
-                const dx = e.touches[0].clientX - e.touches[1].clientX;
-                const dy = e.touches[0].clientY - e.touches[1].clientY;
-                lastTouchDist = Math.sqrt(dx * dx + dy * dy);
-                lastTouchAngle = Math.atan2(dy, dx) * 180 / Math.PI;
-                lastGestureRotation = rotation; // Capture current rotation at gesture start
-            }
-        }, { passive: false });
-
-        svgNode.addEventListener('touchmove', function(e) {
-            if (e.touches.length === 2) {
-                e.preventDefault(); // Prevent page scroll
-
-                // --- Pinch Zoom ---
-                const dxDist = e.touches[0].clientX - e.touches[1].clientX;
-                const dyDist = e.touches[0].clientY - e.touches[1].clientY;
-                const dist = Math.sqrt(dxDist * dxDist + dyDist * dyDist);
-                const scaleAmount = dist / lastTouchDist;
-
-                if(radialZoom) {
-                    // Use the visual center of the SVG in the browser window
-                    const rect = svgNode.getBoundingClientRect();
-                    const clientX = rect.left + rect.width / 2;
-                    const clientY = rect.top + rect.height / 2;
-                    const pt = svgNode.createSVGPoint();
-                    pt.x = clientX;
-                    pt.y = clientY;
-                    const svgPoint = pt.matrixTransform(svgNode.getScreenCTM().inverse());
-                    radialSvg.call(radialZoom.scaleBy, scaleAmount, [svgPoint.x, svgPoint.y]);
-                }
-                lastTouchDist = dist; // Update for next move
+        updateLegendState();
+    }
 
-                // --- Rotation ---
-                const dxAngle = e.touches[0].clientX - e.touches[1].clientX;
-                const dyAngle = e.touches[0].clientY - e.touches[1].clientY;
-                const angle = Math.atan2(dyAngle, dxAngle) * 180 / Math.PI;
-                const deltaAngle = angle - lastTouchAngle;
-                rotation = lastGestureRotation + deltaAngle; // Update global rotation
+    /**
+     * Show or hide a category from the legend
+     * Hiding the only category still shown brings every category back.
+     * @param {string} category - The category clicked
+     * @param {boolean} solo - Show only this category (shift-click); on the category already shown alone,
+     *   bring every category back
+     */
+    function toggleLegendCategory(category, solo) {
+        const allCategories = facetOptions.category.map(option => option.value);
+        let shown = facetSelections.category.length > 0 ? facetSelections.category.slice() : allCategories.slice();
+
+        if (solo) {
+            shown = shown.length === 1 && shown[0] === category ? [] : [category];
+        } else if (shown.includes(category)) {
+            shown = shown.filter(value => value !== category);
+        } else {
+            shown.push(category);
+        }
+        // Every category shown is the same as no category filter
+        if (shown.length === allCategories.length) shown = [];
 
-                updateRadialRotation(rotation); // Apply the new rotation (which uses current zoom scale)
-            }
-        }, { passive: false });
+        setFacetSelection('category', shown);
+        filterBrands();
 
-        svgNode.addEventListener('touchend', function(e) {
-            if (e.touches.length < 2) { // Reset when less than 2 touches remain
-                lastTouchDist = null;
-                lastTouchAngle = null;
-                // lastGestureRotation is updated at the start of a new gesture
-            }
-        });
+        const visible = facetSelections.category.length === 0 || facetSelections.category.includes(category);
+        const message = !visible ? 'legend.hidden' : solo ? 'legend.shownAlone' : 'legend.shown';
+        announce(t(message, { category: categoryLabel(category) }));
     }
 
+    /**
+     * Update the legend rows to the current filters: which categories are shown and how many
+     * of their brands match the search and the other filters
+     * @param {Array} [searchResults] - The brands matching the search, if already known
+     */
+    function updateLegendState(searchResults = searchBrands(query('.search-input')?.value || '')) {
+        const rows = queryAll('.radial-legend .legend-row');
+        if (rows.length === 0) return;
+
+        const candidates = facetHelper
+            ? searchResults.filter(brand => facetHelper.matches(brand, facetSelections, 'category'))
+            : searchResults;
+
+        const counts = d3.rollup(candidates, brands => brands.length, brand => brand.category);
+        rows.forEach(row => {
+            const category = row.dataset.category;
+            const count = counts.get(category) || 0;
+            const shown = facetSelections.category.length === 0 || facetSelections.category.includes(category);
+            row.querySelector('.legend-count').textContent = count;
+            row.classList.toggle('inactive', !shown);
+            row.classList.toggle('empty', count === 0);
+            row.setAttribute('aria-pressed', String(shown));
+            row.setAttribute('aria-label', t(shown ? 'legend.row' : 'legend.rowHidden', { category: categoryLabel(category), count }));
+        });
+    }
 
-    // Apply initial filtering after nodes are created
-    updateRadialView(allBrands.filter(brand => {
-        const regionValue = document.getElementById('region-filter')?.value || 'all';
-        const searchValue = document.getElementById('search-input')?.value.toLowerCase() || '';
-        const matchesRegion = regionValue === 'all' || brand.region === regionValue;
-        const matchesSearch = searchValue === '' ||
-            (brand.name && brand.name.toLowerCase().includes(searchValue)) ||
-            (brand.description && brand.description.toLowerCase().includes(searchValue)) ||
-            (brand.tagline && brand.tagline.toLowerCase().includes(searchValue));
-        return matchesRegion && matchesSearch;
-    }));
-}
-
-/**
- * Update the radial view rotation
- * @param {number} angle - Rotation angle in degrees
- */
-function updateRadialRotation(angle) {
-    const diagramContainer = document.getElementById('radial-diagram');
-    const svgElement = diagramContainer ? diagramContainer.querySelector('#radial-svg-wrap svg') : null;
-    if (!svgElement) return;
+    /**
+     * Categories shown in the legend: every brand category except the holding companies' own
+     * @returns {string[]} - Sorted alphabetically
+     */
+    function getLegendCategories() {
+        return Array.from(new Set(allBrands
+            .map(brand => brand.category)
+            .filter(category => category && category !== parentCompanyCategory)
+        )).sort((a, b) => a.localeCompare(b));
+    }
 
-    // Get current dimensions from the SVG element itself
-    const width = parseFloat(svgElement.getAttribute('width')) || 600;
-    const height = parseFloat(svgElement.getAttribute('height')) || 600;
+    /**
+     * Export the radial view as it is currently shown (zoom, rotation, filters)
+     * @param {string} format - 'svg', 'png' or 'pdf'; the PDF also gets a title and the legend
+     * @param {Object} [options] - { scale }: PNG resolution multiplier, default 2
+     * @returns {Promise} - Resolves once the download has been offered
+     */
+    function exportMap(format, options = {}) {
+        if (!global.BrandExport || !radialSvg || currentView !== 'radial') {
+            const error = new Error('Export is only available once the radial view is shown.');
+            console.error(error.message);
+            return Promise.reject(error);
+        }
 
-    const zoomContent = radialSvg ? radialSvg.select('.zoom-content') : null;
-    if (!zoomContent) return;
+        // Match the current theme instead of a transparent background
+        const themeStyles = window.getComputedStyle(root);
+        const exportOptions = {
+            background: themeStyles.getPropertyValue('--background').trim() || themeStyles.backgroundColor,
+            textColor: themeStyles.getPropertyValue('--text-color').trim() || themeStyles.color
+        };
+        const filename = 'nestle-brand-map';
+        const svgNode = radialSvg.node();
+
+        let exported;
+        if (format === 'svg') {
+            exported = BrandExport.exportSvg(svgNode, filename, exportOptions);
+        } else if (format === 'png') {
+            exported = BrandExport.exportPng(svgNode, filename, options.scale || 2, exportOptions);
+        } else if (format === 'pdf') {
+            exported = BrandExport.exportPdf(svgNode, filename, {
+                ...exportOptions,
+                title: t('export.title'),
+                legend: getLegendCategories().map(category => ({
+                    label: categoryLabel(category),
+                    color: colorMap[category] || '#888'
+                }))
+            });
+        } else {
+            return Promise.reject(new Error(`Unknown export format "${format}"`));
+        }
 
-    // Get current transform from D3 zoom behavior
-    let currentTransform = d3.zoomIdentity;
-     if (radialZoom && radialSvg && radialSvg.node()) {
-        currentTransform = d3.zoomTransform(radialSvg.node());
+        return exported
+            .then(() => emit('export', { format }))
+            .catch(error => {
+                console.error('Error exporting the map:', error);
+                emit('error', { error });
+                throw error;
+            });
     }
 
-    // For smooth rotation, use a transition
-    zoomContent.transition().duration(400).ease(d3.easeCubicOut)
-        .attr('transform', `translate(${currentTransform.x},${currentTransform.y}) scale(${currentTransform.k}) rotate(${angle})`);
-
-    // Update the global rotation variable for gesture handling
-    rotation = angle; // Ensure the global variable stays in sync
-}
+    /**
+     * Set the search text and/or the category, region, parent and relationship filters
+     * @param {Object} filter - { search, category, region, parent, relationship }; each facet takes a value or a list
+     *   of values ('all' or [] clears it). Omitted keys keep their current value.
+     */
+    function setFilter(filter = {}) {
+        const searchInput = query('.search-input');
+        if (searchInput && filter.search !== undefined) searchInput.value = filter.search || '';
+
+        Object.keys(facetSelections).forEach(facet => {
+            if (filter[facet] !== undefined) setFacetSelection(facet, filter[facet]);
+        });
 
+        if (allBrands.length > 0) filterBrands();
+    }
 
-/**
- * Update the radial view with filtered brands
- * @param {Array} filteredBrands - The filtered array of brand objects
- */
-function updateRadialView(filteredBrands) {
-    if (!radialSvg) {
-        console.error('radialSvg is not initialized.');
-        return;
-    }
-
-    // Get the names of brands that should be visible based on filters
-    const visibleBrandNames = new Set(filteredBrands
-        .filter(d => d.nodeType === 'brand' || !d.nodeType) // Consider items with no nodeType as potential brands too
-        .map(b => b.name)
-        .filter(name => name)); // Ensure names are not null or undefined
-
-     // Determine which nodes (brands, categories, parents) should be visible.
-     // A node should be visible if it's the root, the L'Oréal parent (if it contains visible children),
-     // a category (if it contains visible brands), or a brand that matches the filter.
-
-     const visibleNodeNames = new Set();
-
-     // Start building the set of visible nodes from the filtered brands
-     filteredBrands.forEach(brand => {
-         if (brand.name) {
-             visibleNodeNames.add(brand.name); // Add the brand name itself
-         }
-     });
-
-
-    // Now, traverse the hierarchy from the root to mark all necessary ancestors as visible
-    // Find the root node data in the current D3 layout data
-    const rootNodeData = radialSvg.select('.root-node').data()[0]?.data; // Get the raw data from the root node
-
-    if (rootNodeData) {
-        function markAncestorsVisible(nodeData) {
-            if (!nodeData || !nodeData.name) return;
-
-            // If this node is in the set of visible brands OR
-            // If any of its children (recursively) are in the set of visible brands,
-            // then this node itself should be visible.
-            let anyDescendantVisible = false;
-            if (nodeData.children) {
-                 // Need to get hierarchy descendants to check recursively
-                 const hierarchyNode = d3.hierarchy(nodeData);
-                 hierarchyNode.descendants().slice(1).forEach(desc => { // Exclude self
-                     if (visibleBrandNames.has(desc.data.name)) {
-                          anyDescendantVisible = true;
-                     }
-                 });
-            }
+    /**
+     * Centre the radial view on a node and pin its tooltip
+     * @param {string} name - Name of the brand (or category/parent) node
+     */
+    function focusBrand(name) {
+        if (currentView !== 'radial' || !radialSvg || allBrands.length === 0) {
+            // Picked up at the end of initializeRadialView
+            pendingFocusBrand = name;
+            if (currentView !== 'radial') switchView('radial');
+            return;
+        }
 
-            if (visibleBrandNames.has(nodeData.name) || anyDescendantVisible) {
-                visibleNodeNames.add(nodeData.name);
-                // Also mark its parent as visible
-                const parentNode = allBrands.find(b => b.name === nodeData.parent_brand);
-                if (parentNode && parentNode.name !== rootNodeData.name) { // Don't need to explicitly mark Nestlé root again
-                     visibleNodeNames.add(parentNode.name);
-                     // Recursively mark ancestors up to the root
-                     markAncestorsVisible(parentNode);
-                } else if (nodeData.nodeType === 'category' || nodeData.nodeType === 'loreal_parent') {
-                    // If it's a category or loreal parent, its parent in the visualization is Nestlé root, which is handled.
-                }
-            }
+        // Open any collapsed branch hiding the node first
+        if (radialSvg.selectAll('.node').filter(d => d.data.name === name).empty() && expandToNode(name)) {
+            emit('collapsechange', { collapsed: Array.from(collapsedNodes) });
+            redrawRadialView();
         }
 
-        // Rebuild a temporary hierarchy from allBrands to easily traverse parents
-         const tempHierarchy = d3.hierarchy({
-             name: "Nestlé",
-             children: allBrands.map(b => ({...b})) // Create a copy to add hierarchy properties
-         });
+        const targetNode = radialSvg.selectAll('.node').filter(d => d.data.name === name);
+        if (targetNode.empty()) {
+            console.warn(`Brand "${name}" not found in the radial view.`);
+            return;
+        }
 
-         // Map name to the temporary hierarchy node for quick lookup
-         const nameToTempNode = new Map(tempHierarchy.descendants().map(d => [d.data.name, d]));
+        const d = targetNode.datum();
+        const svgNode = radialSvg.node();
+        const width = parseFloat(svgNode.getAttribute('width'));
+        const height = parseFloat(svgNode.getAttribute('height'));
+        const k = Math.max(d3.zoomTransform(svgNode).k, 1.5);
+
+        // Node position in the (rotated) diagram
+        const [x, y] = d.position;
+        const rad = (layoutRotates() ? rotation : 0) * Math.PI / 180;
+        const rotatedX = x * Math.cos(rad) - y * Math.sin(rad);
+        const rotatedY = x * Math.sin(rad) + y * Math.cos(rad);
+
+        radialSvg.transition().duration(motionDuration(750)).ease(d3.easeCubicOut)
+            .call(radialZoom.transform, d3.zoomIdentity.translate(width / 2 - k * rotatedX, height / 2 - k * rotatedY).scale(k))
+            .on('end', () => {
+                // Cleared only now, so a re-initialization mid-transition focuses again
+                pendingFocusBrand = null;
+                pinTooltip(targetNode.node(), d);
+                scheduleUrlStateUpdate();
+            });
+    }
 
-         // Mark visible brands and their ancestors
-         filteredBrands.forEach(brand => {
-             let currentNodeData = brand;
-             while(currentNodeData && currentNodeData.name !== "Nestlé") {
-                 if (currentNodeData.name) visibleNodeNames.add(currentNodeData.name);
-                 const tempNode = nameToTempNode.get(currentNodeData.name);
-                 currentNodeData = tempNode?.parent?.data; // Move up the hierarchy
-             }
-              if (rootNodeData && rootNodeData.name) visibleNodeNames.add(rootNodeData.name); // Always ensure root is added
+    /**
+     * Bring a node to the centre of the view and dim the branches it is not part of
+     * The node, its ancestors, its siblings and its descendants stay bright. In the radial layout the
+     * diagram also turns the shorter way round until the node sits right of the centre, so its branch
+     * reads from Nestlé on the left out to the node, like the breadcrumb above the map.
+     * @param {Object} d - The D3 hierarchy node; the root shows the whole map again
+     */
+    function focusOnNode(d) {
+        if (!radialSvg || !focusLayouts.includes(currentLayout) || !d.position) return;
+        if (d.depth === 0) {
+            clearNodeFocus(true);
+            return;
+        }
+        focusedNodeKey = nodeKey(d);
+        applyNodeFocus();
+
+        const svgNode = radialSvg.node();
+        const width = parseFloat(svgNode.getAttribute('width'));
+        const height = parseFloat(svgNode.getAttribute('height'));
+        const k = Math.max(d3.zoomTransform(svgNode).k, config.labelZoom); // Close enough to read the names
+        const startRotation = rotation;
+        // d3.cluster's x is the angle from the top; 90° is right of the centre
+        const endRotation = layoutRotates() ? rotation + ((((90 - d.x - rotation) % 360) + 540) % 360 - 180) : rotation;
+
+        // Node position in the diagram as it will be rotated
+        const [x, y] = d.position;
+        const rad = (layoutRotates() ? endRotation : 0) * Math.PI / 180;
+        const rotatedX = x * Math.cos(rad) - y * Math.sin(rad);
+        const rotatedY = x * Math.sin(rad) + y * Math.cos(rad);
+
+        // A pinned tooltip follows the node once it has arrived
+        const repin = tooltip.classList.contains('pinned');
+        tooltip.classList.remove('visible');
+
+        radialSvg.transition().duration(motionDuration(750)).ease(d3.easeCubicInOut)
+            // Before the zoom's own tween, so every zoom event applies the rotation reached so far
+            .tween('rotation', () => {
+                const turn = d3.interpolateNumber(startRotation, endRotation);
+                return time => { rotation = turn(time); };
+            })
+            .call(radialZoom.transform, d3.zoomIdentity.translate(width / 2 - k * rotatedX, height / 2 - k * rotatedY).scale(k))
+            .on('end', () => {
+                lastGestureRotation = rotation;
+                const nodeElement = radialSvg.selectAll('.node').filter(node => node === d);
+                if (repin && !nodeElement.empty()) pinTooltip(nodeElement.node(), d);
+                scheduleUrlStateUpdate();
+            });
 
-         });
-         // Add the L'Oréal node explicitly if it contains any visible descendant
-         const lorealNodeData = allBrands.find(b => b.name === "L'Oréal");
-         if(lorealNodeData) {
-              const lorealHierarchyNode = nameToTempNode.get(lorealNodeData.name);
-               if (lorealHierarchyNode && lorealHierarchyNode.descendants().some(desc => visibleBrandNames.has(desc.data.name))) {
-                  visibleNodeNames.add(lorealNodeData.name);
-               }
-         }
-
-
-        // Add Category and L'Oréal sub-category names if they contain visible brands
-         radialSvg.selectAll('.node').each(function(d) {
-             if (d.data.nodeType === 'category' || d.data.nodeType === 'loreal_parent') {
-                 // Check if this category/parent contains any visible brand descendants in the original filtered list
-                 const containsVisibleBrand = filteredBrands.some(brand => {
-                     let parent = brand;
-                     while(parent) {
-                          if (parent.name === d.data.name) return true;
-                          // Find the parent in the allBrands list to get its parent_brand
-                          const parentBrandData = allBrands.find(b => b.name === parent.parent_brand);
-                          parent = parentBrandData; // Move up using parent_brand link
-                     }
-                     return false; // Brand is not a descendant of this node
-                 });
+        announce(t('focus.focused', { name: nodeLabel(d.data) }));
+        emit('focuschange', { name: d.data.name, path: d.ancestors().reverse().map(node => node.data.name) });
+    }
 
-                 if (containsVisibleBrand) {
-                     visibleNodeNames.add(d.data.name);
-                 }
-             }
-         });
+    /**
+     * Show the whole map again after focusOnNode
+     * @param {boolean} [recentre=false] - Also zoom back out to the whole diagram
+     */
+    function clearNodeFocus(recentre = false) {
+        const hadFocus = focusedNodeKey !== null;
+        focusedNodeKey = null;
+        applyNodeFocus();
+        if (recentre && radialSvg) {
+            radialSvg.transition().duration(motionDuration(750)).ease(d3.easeCubicInOut)
+                .call(radialZoom.transform, fittedTransform());
+        }
+        if (hadFocus) {
+            announce(t('focus.cleared'));
+            emit('focuschange', { name: null, path: [] });
+        }
+    }
 
+    /**
+     * Mark the focused node's branch in the diagram and show the breadcrumb leading to it
+     * The focus is dropped when its node is no longer drawn, e.g. once a branch above it is collapsed.
+     */
+    function applyNodeFocus() {
+        let focused = null;
+        if (radialSvg && focusedNodeKey && focusLayouts.includes(currentLayout)) {
+            radialSvg.selectAll('.node').each(d => {
+                if (nodeKey(d) === focusedNodeKey) focused = d;
+            });
+        }
+        if (focusedNodeKey && !focused) {
+            focusedNodeKey = null;
+            emit('focuschange', { name: null, path: [] });
+        }
 
+        const inFocus = new Set();
+        if (focused) {
+            focused.ancestors().forEach(node => inFocus.add(node));
+            if (focused.parent) focused.parent.children.forEach(node => inFocus.add(node));
+            focused.descendants().forEach(node => inFocus.add(node));
+        }
+        if (radialSvg) {
+            radialSvg.classed('has-focus', focused !== null);
+            radialSvg.selectAll('.node')
+                .classed('in-focus', d => inFocus.has(d))
+                .classed('focused', d => d === focused);
+            radialSvg.selectAll('.link').classed('in-focus', link => inFocus.has(link.source) && inFocus.has(link.target));
+        }
+        renderFocusBreadcrumb(focused);
     }
 
-
-    // Update node visibility based on the visibleNodeNames set
-    radialSvg.selectAll('.node')
-        .classed('filtered', d => {
-             // A node is 'filtered' (hidden) if its name is NOT in the visibleNodeNames set
-             // The root node is never fully hidden, only potentially faded by the overall SVG opacity.
-            return d.data.nodeType !== 'root' && !visibleNodeNames.has(d.data.name);
+    /**
+     * Show the path from Nestlé to the focused node above the diagram, e.g. Nestlé › L'Oréal › Cosmetics › Garnier
+     * Each step up the path focuses that node; Nestlé and the close button show the whole map.
+     * @param {Object|null} focused - The focused hierarchy node; null hides the breadcrumb
+     */
+    function renderFocusBreadcrumb(focused) {
+        const breadcrumb = query('.focus-breadcrumb');
+        if (!breadcrumb) return;
+        breadcrumb.innerHTML = '';
+        breadcrumb.classList.toggle('hidden', !focused);
+        if (!focused) return;
+
+        const steps = document.createElement('ol');
+        focused.ancestors().reverse().forEach(node => {
+            const step = document.createElement('li');
+            if (node === focused) {
+                const current = document.createElement('span');
+                current.textContent = nodeLabel(node.data);
+                current.setAttribute('aria-current', 'location');
+                step.appendChild(current);
+            } else {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.textContent = nodeLabel(node.data);
+                button.addEventListener('click', () => focusOnNode(node));
+                step.appendChild(button);
+            }
+            steps.appendChild(step);
         });
 
-    // If no *brands* match the filter, show a message and fade the diagram.
-    // We check filteredBrands.length which is the list of brands matching criteria.
-    const noResultsMsg = document.querySelector('#radial-view .no-results');
-
-    if (filteredBrands.length === 0) {
-        if (!noResultsMsg) {
-            const msg = document.createElement('div');
-            msg.className = 'no-results';
-            msg.innerHTML = `
-                <h2>No brands found</h2>
-                <p>Try adjusting your search criteria.</p>
-            `;
-            const radialViewDiv = document.getElementById('radial-view');
-            if (radialViewDiv) {
-                 radialViewDiv.appendChild(msg);
-            }
-        }
+        const clearButton = document.createElement('button');
+        clearButton.type = 'button';
+        clearButton.className = 'focus-clear';
+        clearButton.title = t('focus.clear');
+        clearButton.setAttribute('aria-label', t('focus.clear'));
+        clearButton.innerHTML = '<i class="fas fa-times" aria-hidden="true"></i>';
+        clearButton.addEventListener('click', () => clearNodeFocus(true));
+        breadcrumb.append(steps, clearButton);
+    }
 
-        // Fade the diagram
-        radialSvg.style('opacity', 0.2);
-    } else {
-        // Remove any "no results" message
-        if (noResultsMsg) {
-            noResultsMsg.remove();
+    /**
+     * Focus the diagram on a node by name, as double-clicking it does
+     * @param {string|null} name - Name of the brand (or category/parent) node; null shows the whole map again
+     */
+    function setFocus(name) {
+        if (name === null || name === undefined) {
+            clearNodeFocus(true);
+            return;
+        }
+        if (!focusLayouts.includes(currentLayout)) {
+            console.warn(`Nodes cannot be focused in the ${currentLayout} layout; use ${focusLayouts.join(', ')}.`);
+            return;
         }
+        const node = radialSvg ? radialSvg.selectAll('.node').filter(d => d.data.name === name) : null;
+        if (!node || node.empty()) {
+            console.warn(`"${name}" is not shown in the diagram, so it cannot be focused.`);
+            return;
+        }
+        focusOnNode(node.datum());
+    }
 
-        // Show the diagram
-        radialSvg.style('opacity', 1);
+    /**
+     * Remove the map, its listeners and its tooltip
+     */
+    function destroy() {
+        if (destroyed) return;
+        destroyed = true;
+
+        clearTimeout(loadingTimer);
+        clearTimeout(branchToggleTimer);
+        if (ownsPreferencesKey) preferenceKeysInUse.delete(preferencesKey);
+        logoLoader.disconnect();
+        globalListeners.forEach(({ target, type, handler }) => target.removeEventListener(type, handler));
+        globalListeners.length = 0;
+        if (radialSvg) radialSvg.interrupt();
+        if (simulation) simulation.stop();
+        if (tooltip) tooltip.remove();
+
+        root.innerHTML = '';
+        root.classList.remove('brand-map');
+        emit('destroy', {});
     }
 
-     // Adjust opacity of links connected to filtered nodes
-    radialSvg.selectAll('.link')
-        .style('opacity', d => {
-            // Check if both source and target nodes are in the set of visible nodes
-             const sourceVisible = visibleNodeNames.has(d.source.data.name);
-             const targetVisible = visibleNodeNames.has(d.target.data.name);
-             return (sourceVisible && targetVisible) ? 1 : 0.1; // Fade out links to filtered nodes
-        });
+    const instance = {
+        element: root,
+        setFilter,
+        focusBrand,
+        setFocus,
+        destroy,
+        setView: view => switchView(view === 'list' ? 'list' : 'radial'),
+        setLayout,
+        expandAll,
+        collapseToDepth,
+        setTheme,
+        setContrast,
+        setPalette,
+        setShapeCues,
+        setLocale,
+        getLocale: () => currentLocale,
+        setTimelineYear,
+        setCompareMode,
+        compare: showComparison,
+        getComparedBrands: comparedBrands,
+        setAdminMode,
+        undo: undoEdit,
+        redo: redoEdit,
+        downloadBrandData,
+        setReducedMotion,
+        resetPreferences,
+        exportMap,
+        getBrands: () => allBrands.slice(),
+        getDataReport: () => dataReport,
+        getLogoFailures,
+        /**
+         * Listen for a map event ('ready', 'brandselect', 'filterchange', 'viewchange', 'layoutchange', 'collapsechange', 'focuschange', 'timelinechange', 'comparechange', 'datachange', 'localechange', 'preferencesreset', 'export', 'logoerror', 'error', 'destroy')
+         * The handler receives a CustomEvent whose detail holds the payload.
+         */
+        on(type, handler) {
+            root.addEventListener(type, handler);
+            return instance;
+        },
+        off(type, handler) {
+            root.removeEventListener(type, handler);
+            return instance;
+        }
+    };
+
+    init();
+    return instance;
+}
 
+/**
+ * Escape text for use in HTML
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
 }
 
+/**
+ * Whether a brand was in the portfolio at the end of a year, going by its acquired and divested dates
+ * Brands without dates have always been in it. Dates may be YYYY, YYYY-MM or YYYY-MM-DD, which compare as text.
+ * @param {Object} brand - The brand record
+ * @param {number} year
+ * @returns {boolean}
+ */
+function ownedAtEndOf(brand, year) {
+    const yearEnd = `${year}-12-31`;
+    if (brand.acquired && String(brand.acquired) > yearEnd) return false;
+    if (brand.divested && String(brand.divested) <= yearEnd) return false;
+    return true;
+}
 
 /**
  * Debounce function to limit how often a function can be called
@@ -1533,54 +5178,29 @@ function debounce(func, wait) {
 
 
 /**
- * Add or update the radial legend.
- * Note: This version uses text labels and colors based on categories.
- * It might need refinement to align with icon-based category nodes.
+ * Get the SVG icon for a category node
+ * @param {string} categoryName - The category name from the brand data
+ * @returns {string} - Path to the category icon
  */
-function addRadialLegend() {
-    // Remove any existing legend before adding
-    d3.select('#radial-legend').html('');
-
-    // Get unique categories that actually have brands assigned to them
-    const categoriesWithBrands = Array.from(new Set(allBrands
-        .filter(brand => brand.nodeType === 'brand' && brand.category) // Only consider brands with a category
-        .map(b => b.category)
-    ));
-
-     // Define colors for categories (should match CSS or be consistent)
-     // Ensure these match the colors used in styles.css or are generated consistently
-    const colorMap = {
-        'Coffee': '#8D6E63', // Brown
-        'Sweets': '#EC407A', // Pink
-        'Pet_Care': '#66BB6A', // Green
-        'Water': '#29B6F6', // Light Blue
-        'Beverages': '#FFA726', // Orange
-        'Cereal': '#9C27B0', // Purple
-        'Icecream': '#FFCDD2', // Light Pink
-        'Cosmetics': '#FF8A65', // Light Orange
-        'Fashion': '#BA68C8' // Different purple
-        // Add colors for other categories if needed
-    };
+function categoryIconUrl(categoryName) {
+    // Normalize category name for SVG filename
+    let svgFileName = categoryName.toLowerCase().replace(/[^a-z0-9]+/g, '_');
+    if (categoryName === "Beauty & Personal Care") svgFileName = "cosmetics"; // Map old category to a new SVG
+    return `assets/${svgFileName}.svg`;
+}
 
-    const legend = d3.select('#radial-legend');
-     if (legend.empty()) {
-         console.error('Radial legend container not found.');
-         return;
-     }
-
-    categoriesWithBrands.forEach(cat => {
-        // Normalize category name for display in legend (e.g., Pet_Care -> Pet Care)
-        const displayName = cat.replace(/_/g, ' ');
-
-        legend.append('div')
-            .attr('class', 'legend-row')
-            .html(`
-                <span class="legend-label" style="color: ${colorMap[cat] || '#888'};">${displayName}</span>
-            `);
-    });
-
-     // Optional: Add specific legend items for L'Oréal parent and Nestlé root if desired
-     // This might be useful to explain their visual representation.
+
+/**
+ * Shorten a label to fit a width, ending it with an ellipsis
+ * @param {string} text - The label
+ * @param {number} width - Available width in pixels
+ * @param {number} [charWidth=7] - Approximate width of one character
+ * @returns {string} - The label, shortened, or '' if not even a few characters fit
+ */
+function fitLabel(text, width, charWidth = 7) {
+    const maxChars = Math.floor(width / charWidth);
+    if (maxChars < 3) return '';
+    return text.length <= maxChars ? text : text.slice(0, maxChars - 1) + '…';
 }
 
 // Helper function to project radial coordinates (angle, radius) to Cartesian (x, y)
@@ -1589,3 +5209,34 @@ function project(angle, radius) {
     const rad = (angle - 90) * Math.PI / 180; // Convert degrees to radians, adjust for 0 at the top
     return [radius * Math.cos(rad), radius * Math.sin(rad)]; // Return [x, y]
 }
+
+// Maps mounted through BrandMap.mount, so remounting an element replaces the old map
+const mountedMaps = new WeakMap();
+// localStorage keys the mounted maps save their preferences under (see preferencesKey)
+const preferenceKeysInUse = new Set();
+let mapCount = 0;
+
+global.BrandMap = {
+    /**
+     * Mount a brand map into an element
+     * @param {HTMLElement|string} element - The element, or a selector for it
+     * @param {Object} [options] - { dataUrl, sources, theme, initialView, initialLayout, treemapSizeField, colorMap, syncUrl, admin, locale, messages, detailThreshold, logoZoom, labelZoom, taglineZoom, preferencesKey }
+     * @returns {Object} - The map instance
+     */
+    mount(element, options) {
+        const root = typeof element === 'string' ? document.querySelector(element) : element;
+        if (!root) {
+            throw new Error(`BrandMap.mount: element ${element} not found`);
+        }
+        if (mountedMaps.has(root)) {
+            mountedMaps.get(root).destroy();
+        }
+        const map = createBrandMap(root, options);
+        mountedMaps.set(root, map);
+        root.addEventListener('destroy', () => mountedMaps.delete(root), { once: true });
+        return map;
+    },
+    defaults: defaultOptions
+};
+
+})(window);
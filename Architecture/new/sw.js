@@ -0,0 +1,142 @@
+/**
+ * Nestlé Brand Map - Service Worker
+ *
+ * Lets the map run offline, e.g. on kiosk displays without internet access.
+ * On install it caches the page, its scripts and styles, the vendored libraries,
+ * brands.json and every file in assets/ (plus any logo brands.json names
+ * elsewhere). Requests are then answered stale-while-revalidate: straight from
+ * the cache, while a fresh copy is fetched in the background for next time.
+ *
+ * When a fresh brands.json differs from the cached one, open pages get a
+ * { type: 'brand-data-updated', url } message; mounted maps reload their data.
+ *
+ * Registered by index.html. Bump cacheVersion when the list of files changes.
+ */
+
+const cacheVersion = 3;
+const cacheName = `brand-map-v${cacheVersion}`;
+const brandDataUrl = 'brands.json';
+
+// The app and the libraries it needs
+const appFiles = [
+    './',
+    'index.html',
+    'styles.css',
+    'brand-sources.js',
+    'brand-schema.js',
+    'brand-export.js',
+    'brand-search.js',
+    'brand-facets.js',
+    'brand-editor.js',
+    'brand-i18n.js',
+    'brand-logos.js',
+    'scripts.js',
+    brandDataUrl,
+    'vendor/d3/d3.min.js',
+    'vendor/fontawesome/css/all.min.css',
+    'vendor/fontawesome/webfonts/fa-solid-900.woff2',
+    'vendor/fontawesome/webfonts/fa-regular-400.woff2',
+    'vendor/fontawesome/webfonts/fa-brands-400.woff2',
+    'vendor/fontawesome/webfonts/fa-v4compatibility.woff2'
+];
+
+// Everything in assets/: logos, category icons and placeholders
+const assetFiles = [
+    'beverages.svg', 'cereal.svg', 'coffee.svg', 'cosmetics.svg', 'fashion.svg', 'icecream.svg',
+    'pet_care.svg', 'sweets.svg', 'water.svg', 'placeholder.svg', 'favicon.ico', 'loading.gif',
+    'bluebottle.png', 'bodyshop.png', 'butterfinger.png', 'cheerios.png', 'diesel.png', 'felix.png',
+    'friskies.png', 'garnier.png', 'kitkat.png', 'loreal.png', 'milkybar.png', 'milo.png',
+    'nerds.png', 'nescafe.png', 'nespresso.png', 'nestle.png', 'nestleice.png', 'purelife.png',
+    'purina.png', 'ralphlauren.png', 'smarties.png', 'spg.png', 'vichy.png', 'vittel.png', 'ysl.png'
+].map(file => `assets/${file}`);
+
+/**
+ * Logo files named in brands.json, so logos of newly added brands are cached as well
+ * @returns {Promise<string[]>}
+ */
+function brandLogoUrls() {
+    return fetch(brandDataUrl)
+        .then(response => (response.ok ? response.json() : []))
+        .then(records => (Array.isArray(records) ? records : [])
+            .map(record => record && record.logo_url)
+            .filter(url => typeof url === 'string' && url && !/^(data|https?):/i.test(url)))
+        .catch(() => []);
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(cacheName)
+            .then(cache => cache.addAll(appFiles.concat(assetFiles))
+                .then(brandLogoUrls)
+                // A logo that fails to load must not stop the map from working offline
+                .then(logos => Promise.all(logos
+                    .filter(url => !assetFiles.includes(url))
+                    .map(url => cache.add(url).catch(error => console.warn(`Could not cache ${url}:`, error))))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop the caches of earlier versions
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('brand-map-v') && name !== cacheName)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Tell the open pages that brands.json has changed
+ * @param {string} url - URL of the data file
+ */
+function notifyBrandDataUpdated(url) {
+    self.clients.matchAll({ type: 'window' }).then(clients => {
+        clients.forEach(client => client.postMessage({ type: 'brand-data-updated', url }));
+    });
+}
+
+/**
+ * Answer from the cache and refresh the cached copy from the network
+ * Without a cached copy, wait for the network.
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+function staleWhileRevalidate(event) {
+    const request = event.request;
+    const isBrandData = new URL(request.url).pathname.endsWith(`/${brandDataUrl}`);
+
+    return caches.open(cacheName).then(cache =>
+        // The page is cached without its query string (e.g. index.html?admin)
+        cache.match(request, { ignoreSearch: request.mode === 'navigate' }).then(cached => {
+            // Read before the cached response is handed to the page
+            const cachedText = isBrandData && cached ? cached.clone().text() : null;
+
+            const refreshed = fetch(request).then(response => {
+                if (!response.ok) return response;
+                const freshText = cachedText ? response.clone().text() : null;
+                return cache.put(request, response.clone())
+                    .then(() => (cachedText ? Promise.all([cachedText, freshText]) : null))
+                    .then(texts => {
+                        if (texts && texts[0] !== texts[1]) notifyBrandDataUpdated(request.url);
+                        return response;
+                    });
+            });
+
+            if (cached) {
+                // Keep the worker alive for the refresh; offline, it fails quietly
+                event.waitUntil(refreshed.catch(() => {}));
+                return cached;
+            }
+            return refreshed;
+        })
+    );
+}
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    // Only this app's own files; anything else goes straight to the network
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+    event.respondWith(staleWhileRevalidate(event));
+});